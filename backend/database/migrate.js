@@ -0,0 +1,120 @@
+/**
+ * Database Migration Runner
+ * 
+ * Applies the SQL files in database/migrations/ in filename order and records
+ * each one in the schema_migrations table, so every file runs exactly once.
+ * 
+ * Fresh install:
+ *   psql -d restaurant_db -f database/schema.sql
+ *   npm run migrate
+ * 
+ * Existing database:
+ *   npm run migrate
+ * 
+ * Migrations must be idempotent (IF NOT EXISTS) so they are safe on top of
+ * schema.sql as well as on older databases.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pool, closePool } = require('../models/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * List migration files in the order they must be applied
+ * @returns {Array<string>} - Migration filenames (e.g. 001_session_refresh_tokens.sql)
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+}
+
+/**
+ * Create the bookkeeping table if it does not exist yet
+ * @param {Object} client - pg client or pool
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get migrations that have not been applied yet
+ * @returns {Promise<Array<string>>} - Pending migration filenames
+ */
+async function pendingMigrations() {
+  await ensureMigrationsTable(pool);
+  return await unappliedMigrations();
+}
+
+/**
+ * Get migrations that have not been applied yet, without creating anything
+ * (readiness checks). A database without schema_migrations has them all pending.
+ * @returns {Promise<Array<string>>} - Pending migration filenames
+ */
+async function unappliedMigrations() {
+  let applied = new Set();
+  try {
+    const result = await pool.query('SELECT version FROM schema_migrations');
+    applied = new Set(result.rows.map(row => row.version));
+  } catch (error) {
+    // 42P01: undefined_table
+    if (error.code !== '42P01') throw error;
+  }
+  return listMigrations().filter(file => !applied.has(file));
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @returns {Promise<Array<string>>} - Filenames applied
+ */
+async function runMigrations() {
+  const pending = await pendingMigrations();
+
+  for (const file of pending) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [file]);
+      await client.query('COMMIT');
+      console.log(`Applied migration ${file}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${file} failed: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  return pending;
+}
+
+// CLI: npm run migrate
+if (require.main === module) {
+  runMigrations()
+    .then(applied => {
+      if (applied.length === 0) console.log('Database is up to date');
+      return closePool();
+    })
+    .catch(async error => {
+      console.error(error.message);
+      await closePool();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  pendingMigrations,
+  unappliedMigrations,
+  runMigrations
+};
@@ -0,0 +1,13 @@
+-- ============================================
+-- 001: Refresh tokens on user_sessions
+-- ============================================
+--
+-- Each user_sessions row is a refresh-token family. token_hash holds the
+-- SHA-256 hash of the family's current (unused) refresh token; rotating it
+-- replaces the hash, and presenting an older token revokes the family.
+
+-- "Remember me" sessions get a persistent refresh cookie
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS is_persistent BOOLEAN DEFAULT false;
+
+-- Last time the refresh token was rotated
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP;
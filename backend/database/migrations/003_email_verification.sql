@@ -0,0 +1,11 @@
+-- ============================================
+-- 003: Email verification
+-- ============================================
+--
+-- New accounts must confirm their address before they can sign in.
+-- Verification links are single-use user_tokens (purpose email_verification).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- Accounts that existed before verification was introduced are trusted
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
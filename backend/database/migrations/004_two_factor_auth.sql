@@ -0,0 +1,25 @@
+-- ============================================
+-- 004: TOTP two-factor authentication
+-- ============================================
+--
+-- totp_secret is written when enrollment starts; 2FA is only enforced once
+-- totp_enabled_at is set (after the user confirms a first code).
+-- totp_last_step stores the last accepted time step so a code cannot be replayed.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Restaurant-wide policy: every user must sign in with 2FA
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS require_mfa BOOLEAN DEFAULT false;
+
+-- One-time recovery codes (SHA-256 hashes), replaced as a set
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
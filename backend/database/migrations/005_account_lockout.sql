@@ -0,0 +1,17 @@
+-- ============================================
+-- 005: Per-account lockout
+-- ============================================
+--
+-- Consecutive failed logins are counted per account. Reaching the threshold
+-- locks the account for a window that doubles with every lockout
+-- (lockout_count); a successful login or an unlock resets both counters.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+-- Security events (account_locked, account_unlocked...) are recorded in
+-- audit_log alongside row changes; action keeps the row operation (UPDATE)
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS event VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_event ON audit_log(event);
@@ -0,0 +1,10 @@
+-- ============================================
+-- 006: Per-restaurant permission overrides
+-- ============================================
+--
+-- Owners can grant or revoke individual permissions for the manager and
+-- staff roles of their restaurant. Defaults live in services/permissions.js;
+-- this column only stores the differences:
+--   { "manager": { "orders:refund": false }, "staff": { "menu:write": true } }
+
+ALTER TABLE restaurants ADD COLUMN IF NOT EXISTS permission_overrides JSONB DEFAULT '{}'::jsonb;
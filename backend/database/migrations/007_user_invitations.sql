@@ -0,0 +1,27 @@
+-- ============================================
+-- 007: Staff invitations
+-- ============================================
+--
+-- Owners (and managers, for staff) invite team members by email instead of
+-- letting them self-register with a role of their choosing. The invitee sets
+-- their own password through the emailed link. Only the SHA-256 hash of the
+-- token is stored; an invitation ends when it is accepted, revoked or expires.
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+    email VARCHAR(254) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('manager', 'staff')),
+    token_hash VARCHAR(255) NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_token_hash ON user_invitations(token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_invitations_restaurant_id ON user_invitations(restaurant_id);
+CREATE INDEX IF NOT EXISTS idx_user_invitations_email ON user_invitations(email);
@@ -0,0 +1,16 @@
+-- ============================================
+-- 008: Password history
+-- ============================================
+--
+-- Previous password hashes (bcrypt) of each user, so a password change can
+-- refuse recently used passwords. models/User.js keeps the most recent few
+-- and deletes older rows.
+
+CREATE TABLE IF NOT EXISTS user_password_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_password_history_user_id ON user_password_history(user_id);
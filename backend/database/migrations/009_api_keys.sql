@@ -0,0 +1,27 @@
+-- ============================================
+-- 009: API keys
+-- ============================================
+--
+-- Machine access for integrations (delivery aggregators, accounting
+-- scripts). A key belongs to a restaurant, not to a user, and is limited to
+-- the permissions listed in scopes (see services/permissions.js). Only the
+-- SHA-256 hash of the key is stored; key_prefix is the public part shown in
+-- listings so a key can be recognised after it was created.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    restaurant_id UUID NOT NULL REFERENCES restaurants(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(255) NOT NULL UNIQUE,
+    scopes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip INET,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_restaurant_id ON api_keys(restaurant_id);
@@ -0,0 +1,21 @@
+-- ============================================
+-- 010: Single sign-on identities
+-- ============================================
+--
+-- Links users to accounts at an external OpenID Connect identity provider.
+-- An identity is the provider's (issuer, subject) pair, which never changes
+-- even when the email address at the provider does. A user can sign in with
+-- any linked identity instead of (or as well as) a local password.
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issuer VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(254),
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (issuer, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
@@ -0,0 +1,13 @@
+-- ============================================
+-- 011: Admin impersonation sessions
+-- ============================================
+--
+-- A support admin can sign in as another user to see exactly what they see.
+-- The session belongs to the impersonated user (user_id) and records the
+-- admin in impersonator_id; access tokens carry both identities. These
+-- sessions have a short, hard expiry and block sensitive actions
+-- (see POST /api/impersonation in server.js).
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_impersonator_id ON user_sessions(impersonator_id);
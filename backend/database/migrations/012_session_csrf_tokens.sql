@@ -0,0 +1,13 @@
+-- ============================================
+-- 012: CSRF tokens for cookie sessions
+-- ============================================
+--
+-- Every session gets a synchronizer token at login. The browser reads it from
+-- the rm_csrf cookie and echoes it in the X-CSRF-Token header; the server
+-- compares it with this hash on every cookie-authenticated write
+-- (POST/PUT/PATCH/DELETE). API key requests carry no cookies and are exempt.
+--
+-- Sessions created before this migration have no token; POST /api/refresh
+-- issues one.
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS csrf_token_hash VARCHAR(255);
@@ -0,0 +1,12 @@
+-- ============================================
+-- 013: Restaurant scope for the audit trail
+-- ============================================
+--
+-- BaseModel now records every create/update/delete in audit_log with
+-- before/after values (credential columns redacted). Owners read their own
+-- restaurant's history through GET /api/audit, so each entry carries the
+-- restaurant it belongs to. No foreign key: the history outlives the rows.
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS restaurant_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_restaurant_created ON audit_log(restaurant_id, created_at);
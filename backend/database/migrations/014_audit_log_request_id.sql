@@ -0,0 +1,11 @@
+-- ============================================
+-- 014: Request ID on audit entries
+-- ============================================
+--
+-- Every request runs in a context (services/requestContext.js) that BaseModel
+-- reads to stamp created_by / updated_by / performed_by and the audit trail.
+-- Recording the request ID groups the entries written by one request.
+
+ALTER TABLE audit_log ADD COLUMN IF NOT EXISTS request_id VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_request_id ON audit_log(request_id);
@@ -0,0 +1,14 @@
+-- ============================================
+-- 015: Grace window for concurrent refreshes
+-- ============================================
+--
+-- Two tabs of one browser whose access tokens expire together both redeem
+-- the same refresh token. The first rotates it; the second would look like
+-- token reuse and revoke the session. Rotation now keeps the previous hash,
+-- when it was rotated and a hash of the client (IP and user agent) that
+-- rotated it, so the same client gets a new access token for a few seconds
+-- instead (the winner's response already set the new refresh cookie).
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS previous_token_hash VARCHAR(255);
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS rotation_client_hash VARCHAR(255);
@@ -0,0 +1,155 @@
+/**
+ * ApiKey Model
+ *
+ * Per-restaurant API keys for integrations (api_keys). A key is sent as
+ * "Authorization: Bearer rmk_<prefix>_<secret>" and grants only its scopes,
+ * which are permission names from services/permissions.js.
+ *
+ * Only a SHA-256 hash of the full key is stored; the raw key is returned
+ * once, at creation. The prefix is kept in clear so people can tell their
+ * keys apart. A key is active until it is revoked or expires.
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+const KEY_PATTERN = /^rmk_([0-9a-f]{8})_([0-9a-f]{64})$/;
+
+class ApiKey extends BaseModel {
+  constructor() {
+    super('api_keys', [
+      'id', 'restaurant_id', 'name', 'key_prefix', 'key_hash', 'scopes',
+      'created_by', 'expires_at', 'last_used_at', 'last_used_ip', 'revoked_at',
+      'created_at', 'updated_at'
+    ], {
+      restaurant_id: {
+        required: true,
+        type: 'string'
+      },
+      name: {
+        required: true,
+        type: 'string',
+        minLength: 1,
+        maxLength: 100
+      },
+      key_prefix: {
+        required: true,
+        type: 'string',
+        maxLength: 20
+      },
+      key_hash: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      }
+    });
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key - Raw key
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Whether a string has the shape of an API key (cheap check before any lookup)
+   * @param {string} key - Candidate key
+   * @returns {boolean}
+   */
+  looksLikeKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+  }
+
+  /**
+   * Current state of a key
+   * @param {Object} apiKey - api_keys row
+   * @returns {string} - active | revoked | expired
+   */
+  statusOf(apiKey) {
+    if (apiKey.revoked_at) return 'revoked';
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) return 'expired';
+    return 'active';
+  }
+
+  /**
+   * Create a key
+   * @param {Object} data - { restaurantId, name, scopes, createdBy, expiresAt }
+   * @returns {Promise<Object>} - { apiKey, key } (raw key is only returned here)
+   */
+  async issue(data) {
+    const prefix = `rmk_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await this.create({
+      restaurant_id: data.restaurantId,
+      name: data.name,
+      key_prefix: prefix,
+      key_hash: this.hashKey(key),
+      scopes: JSON.stringify(data.scopes),
+      created_by: data.createdBy || null,
+      expires_at: data.expiresAt || null
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Active key for a raw key
+   * @param {string} key - Raw key from the Authorization header
+   * @returns {Promise<Object|null>} - api_keys row or null if unknown, revoked or expired
+   */
+  async findActiveByKey(key) {
+    if (!this.looksLikeKey(key)) return null;
+
+    const query = `SELECT * FROM ${this.tableName} WHERE key_hash = $1 AND revoked_at IS NULL`;
+    const result = await this.query(query, [this.hashKey(key)]);
+    const apiKey = result[0];
+    return apiKey && this.statusOf(apiKey) === 'active' ? apiKey : null;
+  }
+
+  /**
+   * Record that a key was used
+   * @param {string} id - Key ID
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<void>}
+   */
+  async touch(id, ipAddress) {
+    const query = `UPDATE ${this.tableName} SET last_used_at = $1, last_used_ip = $2 WHERE id = $3`;
+    await this.query(query, [new Date(), this.normalizeIp(ipAddress), id]);
+  }
+
+  /**
+   * Revoke a key of a restaurant
+   * @param {string} id - Key ID
+   * @param {string} restaurantId - Restaurant the key must belong to
+   * @returns {Promise<Object|null>} - Revoked key or null if not found / already revoked
+   */
+  async revoke(id, restaurantId) {
+    const now = new Date();
+    const query = `
+      UPDATE ${this.tableName}
+      SET revoked_at = $1, updated_at = $1
+      WHERE id = $2 AND restaurant_id = $3 AND revoked_at IS NULL
+      RETURNING *
+    `;
+    const result = await this.query(query, [now, id, restaurantId]);
+    return result[0] || null;
+  }
+
+  /**
+   * Keys of a restaurant, newest first
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - Keys
+   */
+  async findByRestaurant(restaurantId) {
+    return await this.findAll({
+      where: { restaurant_id: restaurantId },
+      orderBy: 'created_at DESC'
+    });
+  }
+}
+
+module.exports = new ApiKey();
@@ -0,0 +1,131 @@
+/**
+ * AuditLog Model
+ * 
+ * Append-only history of changes and security events (audit_log table).
+ * 
+ * - action: row operation (INSERT, UPDATE, DELETE) - enforced by the schema
+ * - event: optional domain event, e.g. account_locked / api_key_created
+ * - performed_by: acting user, NULL for system events (e.g. automatic lockout)
+ * - restaurant_id: restaurant the entry belongs to (scope of GET /api/audit)
+ * - request_id: request that made the change (from the request context)
+ *
+ * Row changes are written by BaseModel on create/update/delete; this model
+ * opts out so its own inserts are not audited.
+ */
+
+const BaseModel = require('./BaseModel');
+const requestContext = require('../services/requestContext');
+
+const EVENTS = [
+  'account_locked', 'account_unlocked', 'api_key_created', 'api_key_revoked',
+  'sso_account_linked', 'sso_user_provisioned', 'impersonation_started',
+  'impersonation_stopped', 'impersonated_request'
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class AuditLog extends BaseModel {
+  constructor() {
+    super('audit_log', [
+      'id', 'table_name', 'record_id', 'action', 'event', 'old_values',
+      'new_values', 'performed_by', 'restaurant_id', 'request_id', 'ip_address', 'user_agent', 'created_at'
+    ], {
+      table_name: {
+        required: true,
+        type: 'string',
+        maxLength: 50
+      },
+      record_id: {
+        required: true,
+        type: 'string'
+      },
+      action: {
+        required: true,
+        type: 'string',
+        enum: ['INSERT', 'UPDATE', 'DELETE']
+      },
+      event: {
+        type: 'string',
+        enum: EVENTS
+      }
+    }, { audit: false });
+  }
+
+  /**
+   * Record an audit entry
+   * @param {Object} entry - { tableName, recordId, action, event, oldValues, newValues,
+   *                           performedBy, restaurantId, requestId, ipAddress, userAgent }
+   *                  requestId defaults to the current request's
+   * @param {Object} client - Transaction client from beginTransaction() (optional)
+   * @returns {Promise<Object>} - Created audit_log row
+   */
+  async record(entry, client = null) {
+    const context = requestContext.get();
+    return await this.create({
+      table_name: entry.tableName,
+      record_id: entry.recordId,
+      action: entry.action || 'UPDATE',
+      event: entry.event || null,
+      old_values: entry.oldValues ? JSON.stringify(entry.oldValues) : null,
+      new_values: entry.newValues ? JSON.stringify(entry.newValues) : null,
+      performed_by: entry.performedBy || null,
+      restaurant_id: entry.restaurantId || null,
+      request_id: entry.requestId || (context ? context.requestId : null),
+      ip_address: this.normalizeIp(entry.ipAddress),
+      user_agent: entry.userAgent || null
+    }, client);
+  }
+
+  /**
+   * Audit history of one record, newest first
+   * @param {string} tableName - Table name
+   * @param {string} recordId - Record ID
+   * @returns {Promise<Array>} - Audit entries
+   */
+  async findByRecord(tableName, recordId) {
+    return await this.findAll({
+      where: { table_name: tableName, record_id: recordId },
+      orderBy: 'created_at DESC'
+    });
+  }
+
+  /**
+   * Search the audit trail, newest first
+   * @param {Object} filters - { restaurantId, tableName, recordId, action, event,
+   *                             performedBy, requestId, from, to, limit, offset }
+   * @returns {Promise<Object>} - { entries, total, limit, offset }
+   */
+  async search(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.restaurantId) add('restaurant_id = ?', filters.restaurantId);
+    if (filters.tableName) add('table_name = ?', filters.tableName);
+    if (filters.recordId) add('record_id = ?', filters.recordId);
+    if (filters.action) add('action = ?', filters.action);
+    if (filters.event) add('event = ?', filters.event);
+    if (filters.performedBy) add('performed_by = ?', filters.performedBy);
+    if (filters.requestId) add('request_id = ?', filters.requestId);
+    if (filters.from) add('created_at >= ?', filters.from);
+    if (filters.to) add('created_at <= ?', filters.to);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const countResult = await this.query(`SELECT COUNT(*) AS total FROM ${this.tableName} ${where}`, params);
+    const entries = await this.query(
+      `SELECT * FROM ${this.tableName} ${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`,
+      params
+    );
+
+    return { entries, total: parseInt(countResult[0].total, 10), limit, offset };
+  }
+}
+
+module.exports = new AuditLog();
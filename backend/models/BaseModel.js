@@ -6,11 +6,24 @@
  * - Query building
  * - Validation
  * - Timestamps management
+ * - Actor stamping: created_by / updated_by / performed_by are filled from the
+ *   request context (services/requestContext.js) when the table has them
+ * - Audit trail: create/update/delete write an audit_log entry with the
+ *   before/after values (credentials redacted) unless the model opts out
  * 
  * All models should extend this base class.
  */
 
 const { pool } = require('./db');
+const requestContext = require('../services/requestContext');
+const logger = require('../services/logger');
+
+// Columns whose values never reach audit_log (password hashes, token hashes, secrets)
+const SENSITIVE_COLUMN = /password|secret|token|hash/i;
+const REDACTED = '[REDACTED]';
+
+// Bookkeeping columns left out of update diffs
+const AUDIT_IGNORED_COLUMNS = ['updated_at', 'updated_by'];
 
 class BaseModel {
   /**
@@ -18,26 +31,33 @@ class BaseModel {
    * @param {string} tableName - The name of the database table
    * @param {Array} columns - Array of column names
    * @param {Object} validations - Validation rules for columns
+   * @param {Object} options - { audit: false } keeps the table out of audit_log
    */
-  constructor(tableName, columns, validations = {}) {
+  constructor(tableName, columns, validations = {}, options = {}) {
     this.tableName = tableName;
     this.columns = columns;
     this.validations = validations;
+    this.audited = options.audit !== false;
   }
 
   /**
    * Validate data against defined rules
    * @param {Object} data - Data to validate
+   * @param {Object} options - { partial: boolean } skips required checks for absent fields (updates)
    * @returns {Object} - { isValid: boolean, errors: Array }
    */
-  validate(data) {
+  validate(data, options = {}) {
     const errors = [];
 
     for (const [field, rules] of Object.entries(this.validations)) {
       const value = data[field];
 
-      // Required check
-      if (rules.required && (value === undefined || value === null || value === '')) {
+      // Partial validation: only check the fields being written
+      if (options.partial && value === undefined) continue;
+
+      // Required check (may be a function of the whole record)
+      const required = typeof rules.required === 'function' ? rules.required(data) : rules.required;
+      if (required && (value === undefined || value === null || value === '')) {
         errors.push(`${field} is required`);
         continue;
       }
@@ -95,6 +115,116 @@ class BaseModel {
     };
   }
 
+  /**
+   * Normalize a client IP for INET columns
+   * IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) are stored as plain IPv4
+   * @param {string} ip - Address as reported by Express (req.ip)
+   * @returns {string|null} - Normalized address or null
+   */
+  normalizeIp(ip) {
+    if (!ip) return null;
+    return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  }
+
+  /**
+   * Fill actor columns the caller left unset with the current request's user
+   * @param {Object} data - Record data (modified in place)
+   * @param {Array} columns - Candidate columns, e.g. ['created_by', 'updated_by']
+   */
+  stampActor(data, columns) {
+    const actor = requestContext.actorId();
+    if (!actor) return;
+    for (const column of columns) {
+      if (this.columns.includes(column) && data[column] === undefined) data[column] = actor;
+    }
+  }
+
+  /**
+   * Copy of a row with sensitive values replaced (NULL stays NULL)
+   * @param {Object} row - Database row
+   * @returns {Object} - Row safe for audit_log
+   */
+  redact(row) {
+    const safe = {};
+    for (const [key, value] of Object.entries(row)) {
+      safe[key] = SENSITIVE_COLUMN.test(key) && value !== null && value !== undefined ? REDACTED : value;
+    }
+    return safe;
+  }
+
+  /**
+   * Restaurant an audit entry belongs to (GET /api/audit shows owners their restaurant's entries)
+   * @param {Object} row - Changed row
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<string|null>} - Restaurant ID or null
+   */
+  async auditRestaurantId(row, client = null) {
+    if (this.tableName === 'restaurants') return row.id;
+    if (row.restaurant_id) return row.restaurant_id;
+    if (row.user_id) {
+      const result = await (client || pool).query('SELECT restaurant_id FROM users WHERE id = $1', [row.user_id]);
+      if (result.rows[0]) return result.rows[0].restaurant_id;
+    }
+    const context = requestContext.get();
+    return context ? context.restaurantId : null;
+  }
+
+  /**
+   * Write the audit_log entry for a change
+   * 
+   * Inside a transaction the entry uses the same client, so a failure rolls
+   * the change back too. Outside one the change has already happened: the
+   * failure is logged and the caller carries on.
+   * 
+   * @param {string} action - INSERT | UPDATE | DELETE
+   * @param {Object|null} before - Row before the change
+   * @param {Object|null} after - Row after the change
+   * @param {Object} audit - { performedBy, ipAddress, userAgent }, defaults to the request context
+   * @param {Object} client - Transaction client (optional)
+   * @returns {Promise<void>}
+   */
+  async recordChange(action, before, after, audit = null, client = null) {
+    const row = after || before;
+    if (!this.audited || !row || !row.id) return;
+
+    let oldValues = before ? this.redact(before) : null;
+    let newValues = after ? this.redact(after) : null;
+    if (before && after) {
+      // Updates keep only the columns that changed
+      const changed = Object.keys(after).filter(key =>
+        !AUDIT_IGNORED_COLUMNS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+      );
+      if (changed.length === 0) return;
+      oldValues = Object.fromEntries(changed.map(key => [key, oldValues[key]]));
+      newValues = Object.fromEntries(changed.map(key => [key, newValues[key]]));
+    }
+
+    // Required here: AuditLog itself extends BaseModel
+    const AuditLog = require('./AuditLog');
+    const context = requestContext.get() || {};
+    const actor = audit || {
+      performedBy: requestContext.actorId(),
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent
+    };
+    try {
+      await AuditLog.record({
+        tableName: this.tableName,
+        recordId: row.id,
+        action,
+        oldValues,
+        newValues,
+        restaurantId: await this.auditRestaurantId(row, client),
+        performedBy: actor.performedBy,
+        ipAddress: actor.ipAddress,
+        userAgent: actor.userAgent
+      }, client);
+    } catch (error) {
+      if (client) throw error;
+      logger.error('Audit log error', { table: this.tableName, recordId: row.id, error: error.message });
+    }
+  }
+
   /**
    * Find all records with optional filtering
    * @param {Object} options - Query options
@@ -184,9 +314,11 @@ class BaseModel {
   /**
    * Create a new record
    * @param {Object} data - Record data
+   * @param {Object} client - Transaction client from beginTransaction() (optional)
+   * @param {Object} audit - { performedBy, ipAddress, userAgent } for audit_log (default: request context)
    * @returns {Promise<Object>} - Created record
    */
-  async create(data) {
+  async create(data, client = null, audit = null) {
     try {
       // Validate data
       const validation = this.validate(data);
@@ -194,9 +326,10 @@ class BaseModel {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
-      // Add timestamps
-      data.created_at = new Date();
-      data.updated_at = new Date();
+      // Add timestamps (only for tables that have them)
+      if (this.columns.includes('created_at')) data.created_at = new Date();
+      if (this.columns.includes('updated_at')) data.updated_at = new Date();
+      this.stampActor(data, ['created_by', 'updated_by', 'performed_by']);
 
       // Build INSERT query
       const keys = Object.keys(data);
@@ -209,7 +342,8 @@ class BaseModel {
         RETURNING *
       `;
 
-      const result = await pool.query(query, values);
+      const result = await (client || pool).query(query, values);
+      await this.recordChange('INSERT', null, result.rows[0], audit, client);
       return result.rows[0];
     } catch (error) {
       throw new Error(`Error creating record in ${this.tableName}: ${error.message}`);
@@ -220,18 +354,23 @@ class BaseModel {
    * Update a record by ID
    * @param {string} id - Record ID
    * @param {Object} data - Updated data
+   * @param {Object} audit - { performedBy, ipAddress, userAgent } for audit_log (default: request context)
    * @returns {Promise<Object>} - Updated record
    */
-  async update(id, data) {
+  async update(id, data, audit = null) {
     try {
       // Validate data (partial validation for updates)
-      const validation = this.validate(data);
+      const validation = this.validate(data, { partial: true });
       if (!validation.isValid) {
         throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
       }
 
       // Add updated timestamp
-      data.updated_at = new Date();
+      if (this.columns.includes('updated_at')) data.updated_at = new Date();
+      this.stampActor(data, ['updated_by']);
+
+      // Snapshot for the audit trail
+      const before = this.audited ? await this.findById(id) : null;
 
       // Build UPDATE query
       const keys = Object.keys(data);
@@ -251,6 +390,7 @@ class BaseModel {
         throw new Error(`Record with ID ${id} not found`);
       }
 
+      await this.recordChange('UPDATE', before, result.rows[0], audit);
       return result.rows[0];
     } catch (error) {
       throw new Error(`Error updating record in ${this.tableName}: ${error.message}`);
@@ -260,13 +400,17 @@ class BaseModel {
   /**
    * Delete a record by ID
    * @param {string} id - Record ID
+   * @param {Object} audit - { performedBy, ipAddress, userAgent } for audit_log (default: request context)
    * @returns {Promise<boolean>} - True if deleted
    */
-  async delete(id) {
+  async delete(id, audit = null) {
     try {
-      const query = `DELETE FROM ${this.tableName} WHERE id = $1 RETURNING id`;
+      const query = `DELETE FROM ${this.tableName} WHERE id = $1 RETURNING *`;
       const result = await pool.query(query, [id]);
-      return result.rows.length > 0;
+      if (result.rows.length === 0) return false;
+
+      await this.recordChange('DELETE', result.rows[0], null, audit);
+      return true;
     } catch (error) {
       throw new Error(`Error deleting record from ${this.tableName}: ${error.message}`);
     }
@@ -5,6 +5,7 @@
  */
 
 const BaseModel = require('./BaseModel');
+const requestContext = require('../services/requestContext');
 
 class InventoryItem extends BaseModel {
   constructor() {
@@ -148,9 +149,9 @@ class InventoryItem extends BaseModel {
       // Record transaction
       await client.query(
         `INSERT INTO inventory_transactions 
-         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [id, transactionType, quantityChange, oldQuantity, newQuantity, item.unit_cost, notes]
+         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id, transactionType, quantityChange, oldQuantity, newQuantity, item.unit_cost, notes, requestContext.actorId()]
       );
 
       await this.commit(client);
@@ -191,9 +192,9 @@ class InventoryItem extends BaseModel {
       // Record transaction
       await client.query(
         `INSERT INTO inventory_transactions 
-         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [id, 'purchase', quantity, item.current_quantity, newQuantity, unitCost || item.unit_cost, notes]
+         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id, 'purchase', quantity, item.current_quantity, newQuantity, unitCost || item.unit_cost, notes, requestContext.actorId()]
       );
 
       await this.commit(client);
@@ -231,9 +232,9 @@ class InventoryItem extends BaseModel {
       // Record transaction
       await client.query(
         `INSERT INTO inventory_transactions 
-         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [id, 'usage', -quantity, item.current_quantity, newQuantity, item.unit_cost, notes]
+         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id, 'usage', -quantity, item.current_quantity, newQuantity, item.unit_cost, notes, requestContext.actorId()]
       );
 
       await this.commit(client);
@@ -271,9 +272,9 @@ class InventoryItem extends BaseModel {
       // Record transaction
       await client.query(
         `INSERT INTO inventory_transactions 
-         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [id, 'waste', -quantity, item.current_quantity, newQuantity, item.unit_cost, reason]
+         (inventory_item_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, notes, performed_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [id, 'waste', -quantity, item.current_quantity, newQuantity, item.unit_cost, reason, requestContext.actorId()]
       );
 
       await this.commit(client);
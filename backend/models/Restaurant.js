@@ -5,13 +5,15 @@
  */
 
 const BaseModel = require('./BaseModel');
+const UserSession = require('./UserSession');
 
 class Restaurant extends BaseModel {
   constructor() {
     super('restaurants', [
       'id', 'name', 'legal_name', 'tax_id', 'phone', 'email', 'website',
       'address_line1', 'address_line2', 'city', 'state', 'postal_code',
-      'country', 'timezone', 'currency', 'is_active', 'created_at', 'updated_at'
+      'country', 'timezone', 'currency', 'is_active', 'require_mfa',
+      'permission_overrides', 'created_at', 'updated_at'
     ], {
       name: {
         required: true,
@@ -100,12 +102,50 @@ class Restaurant extends BaseModel {
   }
 
   /**
-   * Deactivate restaurant
+   * Deactivate restaurant and sign out all of its users
    * @param {string} id - Restaurant ID
    * @returns {Promise<Object>} - Updated restaurant
    */
   async deactivate(id) {
-    return await this.update(id, { is_active: false });
+    const restaurant = await this.update(id, { is_active: false });
+    await UserSession.revokeAllForRestaurant(id);
+    return restaurant;
+  }
+
+  /**
+   * Require (or stop requiring) two-factor authentication for all users
+   * @param {string} id - Restaurant ID
+   * @param {boolean} required - Policy value
+   * @returns {Promise<Object>} - Updated restaurant
+   */
+  async setRequireMfa(id, required) {
+    return await this.update(id, { require_mfa: Boolean(required) });
+  }
+
+  /**
+   * Set or clear one permission override for a role
+   * @param {string} id - Restaurant ID
+   * @param {string} role - Role (manager or staff)
+   * @param {string} permission - Permission, e.g. 'orders:refund'
+   * @param {boolean|null} allowed - Grant (true), revoke (false) or back to default (null)
+   * @returns {Promise<Object>} - Updated restaurant
+   */
+  async setPermissionOverride(id, role, permission, allowed) {
+    const restaurant = await this.findById(id);
+    if (!restaurant) {
+      throw new Error(`Record with ID ${id} not found`);
+    }
+
+    const overrides = { ...(restaurant.permission_overrides || {}) };
+    const roleOverrides = { ...(overrides[role] || {}) };
+    if (allowed === null) {
+      delete roleOverrides[permission];
+    } else {
+      roleOverrides[permission] = Boolean(allowed);
+    }
+    overrides[role] = roleOverrides;
+
+    return await this.update(id, { permission_overrides: JSON.stringify(overrides) });
   }
 
   /**
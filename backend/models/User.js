@@ -6,14 +6,21 @@
  */
 
 const BaseModel = require('./BaseModel');
+const Restaurant = require('./Restaurant');
+const UserSession = require('./UserSession');
+const UserPasswordHistory = require('./UserPasswordHistory');
 const bcrypt = require('bcryptjs');
 
+// Previous passwords a user cannot switch back to (in addition to the current one)
+const PASSWORD_HISTORY_SIZE = 5;
+
 class User extends BaseModel {
   constructor() {
     super('users', [
       'id', 'email', 'password_hash', 'first_name', 'last_name',
       'phone', 'role', 'restaurant_id', 'is_active', 'last_login',
-      'created_at', 'updated_at', 'created_by', 'updated_by'
+      'email_verified_at', 'totp_secret', 'totp_enabled_at', 'totp_last_step',
+      'failed_login_count', 'lockout_count', 'locked_until', 'created_at', 'updated_at', 'created_by', 'updated_by'
     ], {
       email: {
         required: true,
@@ -22,7 +29,8 @@ class User extends BaseModel {
         maxLength: 254
       },
       password: {
-        required: true,
+        // Stored records carry password_hash instead of the plain password
+        required: (data) => !data.password_hash,
         type: 'string',
         minLength: 8,
         custom: (value) => {
@@ -87,22 +95,52 @@ class User extends BaseModel {
   /**
    * Create a new user with hashed password
    * @param {Object} data - User data
+   * @param {Object} client - Transaction client from beginTransaction() (optional)
+   * @param {Object} audit - { performedBy, ipAddress, userAgent } for audit_log (default: request context)
    * @returns {Promise<Object>} - Created user
    */
-  async create(data) {
+  async create(data, client = null, audit = null) {
+    // Validate the plain password before it is replaced by its hash
+    const validation = this.validate(data);
+    if (!validation.isValid) {
+      throw new Error(`Error creating record in ${this.tableName}: Validation failed: ${validation.errors.join(', ')}`);
+    }
+
     // Hash password before creating user
     if (data.password) {
       data.password_hash = await this.hashPassword(data.password);
       delete data.password;
     }
 
-    const user = await super.create(data);
+    const user = await super.create(data, client, audit);
     
     // Remove password_hash from response
     delete user.password_hash;
     return user;
   }
 
+  /**
+   * Create an owner account and its restaurant in one transaction
+   * Either both rows exist afterwards or neither does
+   * @param {Object} data - User data (as for create, without restaurant_id)
+   * @param {Object} restaurantData - Restaurant data (name, timezone, currency)
+   * @returns {Promise<Object>} - { user, restaurant }
+   */
+  async createWithRestaurant(data, restaurantData) {
+    const client = await this.beginTransaction();
+
+    try {
+      const restaurant = await Restaurant.create(restaurantData, client);
+      const user = await this.create({ ...data, restaurant_id: restaurant.id }, client);
+
+      await this.commit(client);
+      return { user, restaurant };
+    } catch (error) {
+      await this.rollback(client);
+      throw error;
+    }
+  }
+
   /**
    * Find user by email
    * @param {string} email - User email
@@ -125,8 +163,18 @@ class User extends BaseModel {
       return null;
     }
 
-    if (!user.is_active) {
-      throw new Error('User account is deactivated');
+    if (!user.is_active || !(await this.isRestaurantActive(user))) {
+      const error = new Error('User account is deactivated');
+      error.code = 'ACCOUNT_DEACTIVATED';
+      throw error;
+    }
+
+    // Locked accounts are refused before the password is even checked
+    if (this.isLocked(user)) {
+      const error = new Error('User account is locked');
+      error.code = 'ACCOUNT_LOCKED';
+      error.lockedUntil = user.locked_until;
+      throw error;
     }
 
     const isValidPassword = await this.comparePassword(password, user.password_hash);
@@ -135,14 +183,76 @@ class User extends BaseModel {
       return null;
     }
 
-    // Update last login
-    await this.update(user.id, { last_login: new Date() });
+    // Lockout counters are only reset once a session starts (recordLogin),
+    // so a correct password cannot wipe out failed 2FA codes
 
     // Remove password_hash from response
     delete user.password_hash;
     return user;
   }
 
+  /**
+   * Record a completed sign-in: set last_login and reset the lockout counters
+   * Called when a session starts, i.e. after the 2FA step where there is one
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async recordLogin(id) {
+    return await this.update(id, { last_login: new Date(), failed_login_count: 0, lockout_count: 0 });
+  }
+
+  /**
+   * Check whether an account is currently locked
+   * @param {Object} user - User record
+   * @returns {boolean} - True while locked_until is in the future
+   */
+  isLocked(user) {
+    return Boolean(user.locked_until) && new Date(user.locked_until) > new Date();
+  }
+
+  /**
+   * Count a failed login (atomic increment)
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} - { failed_login_count, lockout_count } or null
+   */
+  async recordFailedLogin(id) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET failed_login_count = COALESCE(failed_login_count, 0) + 1
+      WHERE id = $1
+      RETURNING failed_login_count, lockout_count
+    `;
+    const result = await this.query(query, [id]);
+    return result[0] || null;
+  }
+
+  /**
+   * Lock an account until a point in time
+   * Resets the failure counter and counts the lockout (for exponential windows)
+   * @param {string} id - User ID
+   * @param {Date} until - Lock expiry
+   * @returns {Promise<Object>} - Updated user
+   */
+  async lock(id, until) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET locked_until = $1, failed_login_count = 0, lockout_count = COALESCE(lockout_count, 0) + 1
+      WHERE id = $2
+      RETURNING *
+    `;
+    const result = await this.query(query, [until, id]);
+    return result[0] || null;
+  }
+
+  /**
+   * Unlock an account and reset its lockout counters
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async unlock(id) {
+    return await this.update(id, { locked_until: null, failed_login_count: 0, lockout_count: 0 });
+  }
+
   /**
    * Get users by restaurant
    * @param {string} restaurantId - Restaurant ID
@@ -174,12 +284,25 @@ class User extends BaseModel {
   }
 
   /**
-   * Deactivate user account
+   * Whether the user's restaurant (if any) is active
+   * @param {Object} user - User record
+   * @returns {Promise<boolean>} - False when the restaurant was deactivated
+   */
+  async isRestaurantActive(user) {
+    if (!user.restaurant_id) return true;
+    const restaurant = await Restaurant.findById(user.restaurant_id);
+    return !restaurant || restaurant.is_active !== false;
+  }
+
+  /**
+   * Deactivate user account and sign it out everywhere
    * @param {string} id - User ID
    * @returns {Promise<Object>} - Updated user
    */
   async deactivate(id) {
-    return await this.update(id, { is_active: false });
+    const user = await this.update(id, { is_active: false });
+    await UserSession.revokeAllForUser(id);
+    return user;
   }
 
   /**
@@ -191,14 +314,100 @@ class User extends BaseModel {
     return await this.update(id, { is_active: true });
   }
 
+  /**
+   * Mark the user's email address as verified
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async markEmailVerified(id) {
+    return await this.update(id, { email_verified_at: new Date() });
+  }
+
+  /**
+   * Start TOTP enrollment: store a new secret, not yet enforced
+   * @param {string} id - User ID
+   * @param {string} secret - Base32 TOTP secret
+   * @returns {Promise<Object>} - Updated user
+   */
+  async startTotpEnrollment(id, secret) {
+    return await this.update(id, { totp_secret: secret, totp_enabled_at: null, totp_last_step: null });
+  }
+
+  /**
+   * Finish TOTP enrollment after the first code was confirmed
+   * @param {string} id - User ID
+   * @param {number} step - Time step of the confirming code
+   * @returns {Promise<Object>} - Updated user
+   */
+  async enableTotp(id, step) {
+    return await this.update(id, { totp_enabled_at: new Date(), totp_last_step: step });
+  }
+
+  /**
+   * Turn off TOTP and forget the secret
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} - Updated user
+   */
+  async disableTotp(id) {
+    return await this.update(id, { totp_secret: null, totp_enabled_at: null, totp_last_step: null });
+  }
+
+  /**
+   * Record an accepted TOTP time step (atomic replay protection)
+   * A code can only be used once: steps at or before the last accepted one are refused.
+   * @param {string} id - User ID
+   * @param {number} step - Time step of the accepted code
+   * @returns {Promise<boolean>} - False if the step was already used
+   */
+  async recordTotpStep(id, step) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET totp_last_step = $1
+      WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+      RETURNING id
+    `;
+    const result = await this.query(query, [step, id]);
+    return result.length > 0;
+  }
+
+  /**
+   * Check a candidate password against the current and recent passwords
+   * @param {Object} user - users row (with password_hash)
+   * @param {string} password - Candidate password
+   * @returns {Promise<boolean>} - True if the password was used recently
+   */
+  async isPasswordReused(user, password) {
+    const hashes = [user.password_hash, ...await UserPasswordHistory.recentHashes(user.id, PASSWORD_HISTORY_SIZE)];
+    for (const hash of hashes) {
+      if (await this.comparePassword(password, hash)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Store a new password hash, keeping the replaced one in the history
+   * @param {Object} user - users row (with password_hash)
+   * @param {string} newPassword - New password
+   */
+  async replacePassword(user, newPassword) {
+    const newHash = await this.hashPassword(newPassword);
+    await UserPasswordHistory.record(user.id, user.password_hash);
+    await this.update(user.id, { password_hash: newHash });
+    await UserPasswordHistory.trim(user.id, PASSWORD_HISTORY_SIZE);
+  }
+
   /**
    * Change user password
+   * Every other session of the user is revoked: a stolen session must not
+   * survive the password change meant to lock its holder out.
    * @param {string} id - User ID
    * @param {string} oldPassword - Current password
    * @param {string} newPassword - New password
+   * @param {string} currentSessionId - Session that made the change and stays signed in (optional)
    * @returns {Promise<boolean>} - True if password changed
+   * @throws {Error} code INVALID_PASSWORD (wrong current password) or PASSWORD_REUSED
    */
-  async changePassword(id, oldPassword, newPassword) {
+  async changePassword(id, oldPassword, newPassword, currentSessionId = null) {
     const user = await this.findById(id);
     
     if (!user) {
@@ -208,11 +417,19 @@ class User extends BaseModel {
     const isValidPassword = await this.comparePassword(oldPassword, user.password_hash);
     
     if (!isValidPassword) {
-      throw new Error('Current password is incorrect');
+      const error = new Error('Current password is incorrect');
+      error.code = 'INVALID_PASSWORD';
+      throw error;
     }
 
-    const newHash = await this.hashPassword(newPassword);
-    await this.update(id, { password_hash: newHash });
+    if (await this.isPasswordReused(user, newPassword)) {
+      const error = new Error(`New password must differ from your last ${PASSWORD_HISTORY_SIZE + 1} passwords`);
+      error.code = 'PASSWORD_REUSED';
+      throw error;
+    }
+
+    await this.replacePassword(user, newPassword);
+    await UserSession.revokeAllForUser(id, currentSessionId);
     
     return true;
   }
@@ -224,8 +441,12 @@ class User extends BaseModel {
    * @returns {Promise<boolean>} - True if password reset
    */
   async resetPassword(id, newPassword) {
-    const newHash = await this.hashPassword(newPassword);
-    await this.update(id, { password_hash: newHash });
+    const user = await this.findById(id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await this.replacePassword(user, newPassword);
     return true;
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * UserIdentity Model
+ *
+ * Accounts at an external OpenID Connect provider linked to users
+ * (user_identities). The (issuer, subject) pair identifies the person at the
+ * provider; the email is only a copy for display and may go stale.
+ *
+ * Identities are created when a signed-in user's email matches a verified
+ * provider email (linking) or when single sign-on provisions a new user.
+ */
+
+const BaseModel = require('./BaseModel');
+const User = require('./User');
+
+class UserIdentity extends BaseModel {
+  constructor() {
+    super('user_identities', [
+      'id', 'user_id', 'issuer', 'subject', 'email', 'last_login_at', 'created_at'
+    ], {
+      user_id: {
+        required: true,
+        type: 'string'
+      },
+      issuer: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      },
+      subject: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      },
+      email: {
+        type: 'string',
+        maxLength: 254
+      }
+    });
+  }
+
+  /**
+   * Identity for a provider account
+   * @param {string} issuer - Provider issuer URL
+   * @param {string} subject - Provider subject (sub claim)
+   * @returns {Promise<Object|null>} - Identity or null
+   */
+  async findByProvider(issuer, subject) {
+    return await this.findOne({ issuer, subject });
+  }
+
+  /**
+   * Identities of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Identities, newest first
+   */
+  async findByUser(userId) {
+    return await this.findAll({ where: { user_id: userId }, orderBy: 'created_at DESC' });
+  }
+
+  /**
+   * Link a provider account to an existing user
+   * @param {string} userId - User ID
+   * @param {Object} identity - { issuer, subject, email }
+   * @param {Object} client - Transaction client from beginTransaction() (optional)
+   * @returns {Promise<Object>} - Created identity
+   */
+  async link(userId, identity, client = null) {
+    return await this.create({
+      user_id: userId,
+      issuer: identity.issuer,
+      subject: identity.subject,
+      email: identity.email || null,
+      last_login_at: new Date()
+    }, client);
+  }
+
+  /**
+   * Record a sign-in through an identity
+   * @param {string} id - Identity ID
+   * @param {string} email - Current provider email
+   * @returns {Promise<void>}
+   */
+  async touch(id, email) {
+    const query = `UPDATE ${this.tableName} SET last_login_at = $1, email = COALESCE($2, email) WHERE id = $3`;
+    await this.query(query, [new Date(), email || null, id]);
+  }
+
+  /**
+   * Create a user and its identity in one transaction (just-in-time provisioning)
+   * The provider has verified the email address.
+   * @param {Object} userData - { email, password, first_name, last_name, role, restaurant_id }
+   * @param {Object} identity - { issuer, subject, email }
+   * @returns {Promise<Object>} - Created user
+   */
+  async provision(userData, identity) {
+    const client = await this.beginTransaction();
+
+    try {
+      const user = await User.create({ ...userData, email_verified_at: new Date() }, client);
+      await this.link(user.id, identity, client);
+
+      await this.commit(client);
+      return user;
+    } catch (error) {
+      await this.rollback(client);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserIdentity();
@@ -0,0 +1,223 @@
+/**
+ * UserInvitation Model
+ *
+ * Email invitations that add managers and staff to an existing restaurant
+ * (user_invitations). The invitee chooses their own password when accepting;
+ * role and restaurant come from the invitation, never from the invitee.
+ *
+ * Only a SHA-256 hash of the token is stored. An invitation is pending until
+ * it is accepted, revoked or expires; resending replaces the token.
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+const User = require('./User');
+
+const ROLES = ['manager', 'staff'];
+
+class UserInvitation extends BaseModel {
+  constructor() {
+    super('user_invitations', [
+      'id', 'restaurant_id', 'email', 'role', 'token_hash', 'invited_by',
+      'expires_at', 'accepted_at', 'accepted_user_id', 'revoked_at',
+      'created_at', 'updated_at'
+    ], {
+      restaurant_id: {
+        required: true,
+        type: 'string'
+      },
+      email: {
+        required: true,
+        type: 'string',
+        email: true,
+        maxLength: 254
+      },
+      role: {
+        required: true,
+        type: 'string',
+        enum: ROLES
+      },
+      token_hash: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      },
+      expires_at: {
+        required: true
+      }
+    });
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Current state of an invitation
+   * @param {Object} invitation - user_invitations row
+   * @returns {string} - pending | accepted | revoked | expired
+   */
+  statusOf(invitation) {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+    return 'pending';
+  }
+
+  /**
+   * Create an invitation
+   * @param {Object} data - { restaurantId, email, role, invitedBy }
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @returns {Promise<Object>} - { invitation, token } (raw token only ever emailed)
+   */
+  async issue(data, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const invitation = await this.create({
+      restaurant_id: data.restaurantId,
+      email: data.email,
+      role: data.role,
+      token_hash: this.hashToken(token),
+      invited_by: data.invitedBy || null,
+      expires_at: new Date(Date.now() + ttlMs)
+    });
+
+    return { invitation, token };
+  }
+
+  /**
+   * Replace the token of a pending invitation and restart its lifetime
+   * @param {string} id - Invitation ID
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @returns {Promise<Object|null>} - { invitation, token } or null if not pending
+   */
+  async renew(id, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const query = `
+      UPDATE ${this.tableName}
+      SET token_hash = $1, expires_at = $2, updated_at = $3
+      WHERE id = $4 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING *
+    `;
+    const result = await this.query(query, [this.hashToken(token), new Date(now.getTime() + ttlMs), now, id]);
+    return result[0] ? { invitation: result[0], token } : null;
+  }
+
+  /**
+   * Revoke an invitation that has not been accepted yet
+   * @param {string} id - Invitation ID
+   * @returns {Promise<Object|null>} - Revoked invitation or null
+   */
+  async revoke(id) {
+    const now = new Date();
+    const query = `
+      UPDATE ${this.tableName}
+      SET revoked_at = $1, updated_at = $1
+      WHERE id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING *
+    `;
+    const result = await this.query(query, [now, id]);
+    return result[0] || null;
+  }
+
+  /**
+   * Pending invitation for an email address in a restaurant
+   * @param {string} restaurantId - Restaurant ID
+   * @param {string} email - Invitee email (lowercase)
+   * @returns {Promise<Object|null>} - Invitation or null
+   */
+  async findPending(restaurantId, email) {
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE restaurant_id = $1 AND email = $2
+        AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $3
+    `;
+    const result = await this.query(query, [restaurantId, email, new Date()]);
+    return result[0] || null;
+  }
+
+  /**
+   * Pending invitation for a raw token
+   * @param {string} token - Raw token from the emailed link
+   * @returns {Promise<Object|null>} - Invitation or null if invalid, used, revoked or expired
+   */
+  async findByToken(token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $2
+    `;
+    const result = await this.query(query, [this.hashToken(token), new Date()]);
+    return result[0] || null;
+  }
+
+  /**
+   * Invitations of a restaurant, newest first
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<Array>} - Invitations
+   */
+  async findByRestaurant(restaurantId) {
+    return await this.findAll({
+      where: { restaurant_id: restaurantId },
+      orderBy: 'created_at DESC'
+    });
+  }
+
+  /**
+   * Accept an invitation: create the user and close the invitation in one transaction
+   * The email is verified by the act of following the link.
+   * @param {string} token - Raw token
+   * @param {Object} data - { password, first_name, last_name, phone }
+   * @returns {Promise<Object|null>} - { user, invitation } or null if the token is not valid
+   */
+  async accept(token, data) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+
+    const client = await this.beginTransaction();
+
+    try {
+      const now = new Date();
+      const claimed = await client.query(
+        `UPDATE ${this.tableName}
+         SET accepted_at = $1, updated_at = $1
+         WHERE token_hash = $2 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > $1
+         RETURNING *`,
+        [now, this.hashToken(token)]
+      );
+      const invitation = claimed.rows[0];
+      if (!invitation) {
+        await this.rollback(client);
+        return null;
+      }
+
+      const user = await User.create({
+        ...data,
+        email: invitation.email,
+        role: invitation.role,
+        restaurant_id: invitation.restaurant_id,
+        email_verified_at: now
+      }, client);
+
+      await client.query(
+        `UPDATE ${this.tableName} SET accepted_user_id = $1 WHERE id = $2`,
+        [user.id, invitation.id]
+      );
+
+      await this.commit(client);
+      return { user, invitation: { ...invitation, accepted_user_id: user.id } };
+    } catch (error) {
+      await this.rollback(client);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserInvitation();
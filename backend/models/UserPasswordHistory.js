@@ -0,0 +1,66 @@
+/**
+ * UserPasswordHistory Model
+ * 
+ * Previous bcrypt password hashes of each user (user_password_history).
+ * User.changePassword() refuses a new password that matches the current one
+ * or any hash kept here; only the most recent hashes are retained.
+ * Not audited by BaseModel (credential material).
+ */
+
+const BaseModel = require('./BaseModel');
+
+class UserPasswordHistory extends BaseModel {
+  constructor() {
+    super('user_password_history', [
+      'id', 'user_id', 'password_hash', 'created_at'
+    ], {
+      user_id: {
+        required: true,
+        type: 'string'
+      },
+      password_hash: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      }
+    }, { audit: false });
+  }
+
+  /**
+   * Remember a password hash that is being replaced
+   * @param {string} userId - User ID
+   * @param {string} passwordHash - bcrypt hash
+   * @returns {Promise<Object>} - Created record
+   */
+  async record(userId, passwordHash) {
+    return await this.create({ user_id: userId, password_hash: passwordHash });
+  }
+
+  /**
+   * Most recent previous hashes of a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of hashes
+   * @returns {Promise<Array<string>>} - bcrypt hashes, newest first
+   */
+  async recentHashes(userId, limit) {
+    const rows = await this.findAll({ where: { user_id: userId }, orderBy: 'created_at DESC', limit });
+    return rows.map(row => row.password_hash);
+  }
+
+  /**
+   * Delete all but the most recent hashes of a user
+   * @param {string} userId - User ID
+   * @param {number} keep - Number of hashes to keep
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async trim(userId, keep) {
+    const rows = await this.findAll({ where: { user_id: userId }, orderBy: 'created_at DESC' });
+    let deleted = 0;
+    for (const row of rows.slice(keep)) {
+      if (await this.delete(row.id)) deleted++;
+    }
+    return deleted;
+  }
+}
+
+module.exports = new UserPasswordHistory();
@@ -0,0 +1,113 @@
+/**
+ * UserRecoveryCode Model
+ * 
+ * One-time recovery codes for two-factor authentication (user_recovery_codes).
+ * Codes are shown to the user once when generated; only SHA-256 hashes are
+ * stored. Generating a new set deletes the previous one.
+ * Not audited by BaseModel (credential material).
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+// Unambiguous alphabet (no 0/O, 1/I/L) for codes that are typed by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_COUNT = 10;
+
+class UserRecoveryCode extends BaseModel {
+  constructor() {
+    super('user_recovery_codes', [
+      'id', 'user_id', 'code_hash', 'used_at', 'created_at'
+    ], {
+      user_id: {
+        required: true,
+        type: 'string'
+      },
+      code_hash: {
+        required: true,
+        type: 'string',
+        maxLength: 64
+      }
+    }, { audit: false });
+  }
+
+  /**
+   * Hash a code for storage and lookup (case, spaces and dashes ignored)
+   * @param {string} code - Raw code
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  hashCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate one code in the form XXXXX-XXXXX
+   * @returns {string} - Raw code
+   */
+  generateCode() {
+    const bytes = crypto.randomBytes(10);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  }
+
+  /**
+   * Replace a user's recovery codes with a fresh set
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} - Raw codes (only ever shown once)
+   */
+  async replaceForUser(userId) {
+    await this.deleteForUser(userId);
+
+    const codes = [];
+    for (let i = 0; i < CODE_COUNT; i++) {
+      const code = this.generateCode();
+      await this.create({ user_id: userId, code_hash: this.hashCode(code) });
+      codes.push(code);
+    }
+    return codes;
+  }
+
+  /**
+   * Redeem a recovery code (atomic, single use)
+   * @param {string} userId - User ID
+   * @param {string} code - Raw code
+   * @returns {Promise<boolean>} - True if the code was valid and unused
+   */
+  async consume(userId, code) {
+    if (typeof code !== 'string' || !code.trim()) return false;
+
+    const query = `
+      UPDATE ${this.tableName}
+      SET used_at = $1
+      WHERE user_id = $2 AND code_hash = $3 AND used_at IS NULL
+      RETURNING id
+    `;
+    const result = await this.query(query, [new Date(), userId, this.hashCode(code)]);
+    return result.length > 0;
+  }
+
+  /**
+   * Count unused codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Remaining codes
+   */
+  async countRemaining(userId) {
+    const query = `SELECT COUNT(*) AS count FROM ${this.tableName} WHERE user_id = $1 AND used_at IS NULL`;
+    const result = await this.query(query, [userId]);
+    return parseInt(result[0].count, 10);
+  }
+
+  /**
+   * Delete all of a user's codes
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async deleteForUser(userId) {
+    const query = `DELETE FROM ${this.tableName} WHERE user_id = $1 RETURNING id`;
+    const result = await this.query(query, [userId]);
+    return result.length;
+  }
+}
+
+module.exports = new UserRecoveryCode();
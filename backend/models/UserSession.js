@@ -0,0 +1,333 @@
+/**
+ * UserSession Model
+ * 
+ * Server-side record of every login session (user_sessions table).
+ * 
+ * Each row is a refresh-token family: token_hash holds the SHA-256 hash of the
+ * family's current refresh token, which is rotated (single use) on every
+ * refresh. Access tokens carry the session id (sid), so revoking the row
+ * cuts off the whole family on every server instance, across restarts.
+ * 
+ * Impersonation sessions belong to the impersonated user and record the
+ * admin who started them in impersonator_id.
+ * 
+ * csrf_token_hash holds the SHA-256 hash of the session's CSRF (synchronizer)
+ * token, which cookie-authenticated writes must echo in a header.
+ * 
+ * previous_token_hash, rotated_at and rotation_client_hash describe the last
+ * rotation, so a second tab redeeming the same token moments later is not
+ * mistaken for token theft.
+ * 
+ * Rows are not audited by BaseModel: they churn on every refresh, and the
+ * session events that matter are recorded explicitly.
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+class UserSession extends BaseModel {
+  constructor() {
+    super('user_sessions', [
+      'id', 'user_id', 'token_hash', 'ip_address', 'user_agent',
+      'expires_at', 'created_at', 'revoked_at', 'is_persistent', 'last_used_at',
+      'impersonator_id', 'csrf_token_hash', 'previous_token_hash', 'rotated_at',
+      'rotation_client_hash'
+    ], {
+      user_id: {
+        required: true,
+        type: 'string'
+      },
+      token_hash: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      },
+      expires_at: {
+        required: true
+      },
+      is_persistent: {
+        type: 'boolean'
+      }
+    }, { audit: false });
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Generate a refresh token bound to a session
+   * Format: <sessionId>.<64 hex chars of randomness>
+   * @param {string} sessionId - Session (token family) ID
+   * @returns {string} - Raw refresh token
+   */
+  generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Extract the session ID from a refresh token
+   * @param {string} token - Raw refresh token
+   * @returns {string|null} - Session ID or null if malformed
+   */
+  parseRefreshToken(token) {
+    if (typeof token !== 'string') return null;
+    const match = /^([0-9a-f-]{36})\.[0-9a-f]{64}$/.exec(token);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Generate a CSRF token
+   * @returns {string} - 64 hex chars
+   */
+  generateCsrfToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Start a new session (token family)
+   * @param {string} userId - User ID
+   * @param {Object} meta - { ipAddress, userAgent, expiresAt, isPersistent, impersonatorId }
+   * @returns {Promise<Object>} - { session, refreshToken, csrfToken }
+   */
+  async start(userId, meta = {}) {
+    const id = crypto.randomUUID();
+    const refreshToken = this.generateRefreshToken(id);
+    const csrfToken = this.generateCsrfToken();
+
+    const session = await this.create({
+      id,
+      user_id: userId,
+      token_hash: this.hashToken(refreshToken),
+      ip_address: this.normalizeIp(meta.ipAddress),
+      user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 500) : null,
+      expires_at: meta.expiresAt,
+      is_persistent: !!meta.isPersistent,
+      impersonator_id: meta.impersonatorId || null,
+      csrf_token_hash: this.hashToken(csrfToken)
+    });
+
+    return { session, refreshToken, csrfToken };
+  }
+
+  /**
+   * Replace a session's CSRF token (e.g. when the browser switches back to it)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<string>} - New raw CSRF token
+   */
+  async issueCsrfToken(sessionId) {
+    const csrfToken = this.generateCsrfToken();
+    const query = `UPDATE ${this.tableName} SET csrf_token_hash = $1 WHERE id = $2`;
+    await this.query(query, [this.hashToken(csrfToken), sessionId]);
+    return csrfToken;
+  }
+
+  /**
+   * Check a CSRF token sent with a request against the session's token
+   * @param {Object} session - Session record
+   * @param {string} token - Value of the X-CSRF-Token header
+   * @returns {boolean} - True if it is the session's token
+   */
+  isValidCsrfToken(session, token) {
+    if (!session.csrf_token_hash || typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+      return false;
+    }
+    const expected = Buffer.from(session.csrf_token_hash, 'hex');
+    const actual = Buffer.from(this.hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check whether a session can still be used
+   * @param {Object} session - Session record
+   * @returns {boolean} - True if not revoked and not expired
+   */
+  isActive(session) {
+    return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+  }
+
+  /**
+   * Check whether a refresh token is the family's current token
+   * @param {Object} session - Session record
+   * @param {string} token - Raw refresh token
+   * @returns {boolean} - True if the token has not been used yet
+   */
+  isCurrentToken(session, token) {
+    const expected = Buffer.from(session.token_hash, 'hex');
+    const actual = Buffer.from(this.hashToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Hash identifying the client of a refresh (IP and user agent)
+   * @param {Object} client - { ipAddress, userAgent }
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  clientHash(client = {}) {
+    return this.hashToken(`${this.normalizeIp(client.ipAddress) || ''}\n${client.userAgent || ''}`);
+  }
+
+  /**
+   * Rotate the refresh token of a session (single use)
+   * The swap is conditional on the old hash, so two concurrent refreshes with
+   * the same token cannot both succeed. The old hash is kept with the time and
+   * client of the rotation (see isRecentlyRotatedToken).
+   * @param {string} sessionId - Session ID
+   * @param {string} oldToken - Refresh token being redeemed
+   * @param {Object} client - { ipAddress, userAgent } of the request
+   * @returns {Promise<string|null>} - New refresh token, or null if oldToken was not current
+   */
+  async rotate(sessionId, oldToken, client = {}) {
+    const newToken = this.generateRefreshToken(sessionId);
+    const oldHash = this.hashToken(oldToken);
+    const query = `
+      UPDATE ${this.tableName}
+      SET token_hash = $1, last_used_at = $2, previous_token_hash = $4, rotated_at = $2, rotation_client_hash = $5
+      WHERE id = $3 AND token_hash = $4 AND revoked_at IS NULL
+      RETURNING id
+    `;
+    const result = await this.query(query, [
+      this.hashToken(newToken), new Date(), sessionId, oldHash, this.clientHash(client)
+    ]);
+    return result.length > 0 ? newToken : null;
+  }
+
+  /**
+   * Check whether a refresh token was rotated moments ago by the same client
+   * (another tab of the same browser refreshing at the same time)
+   * @param {Object} session - Session record (read after the rotation)
+   * @param {string} token - Raw refresh token
+   * @param {Object} client - { ipAddress, userAgent } of the request
+   * @param {number} graceMs - How long after the rotation the old token is tolerated
+   * @returns {boolean} - True inside the grace window
+   */
+  isRecentlyRotatedToken(session, token, client, graceMs) {
+    if (!session.previous_token_hash || !session.rotated_at || session.revoked_at) return false;
+    if (Date.now() - new Date(session.rotated_at).getTime() > graceMs) return false;
+    const expected = Buffer.from(`${session.previous_token_hash}${session.rotation_client_hash || ''}`, 'hex');
+    const actual = Buffer.from(`${this.hashToken(token)}${this.clientHash(client)}`, 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Revoke a session and therefore its whole refresh-token family
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} - True if an active session was revoked
+   */
+  async revoke(sessionId) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET revoked_at = $1
+      WHERE id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `;
+    const result = await this.query(query, [new Date(), sessionId]);
+    return result.length > 0;
+  }
+
+  /**
+   * Revoke one session of a user (the ownership check is part of the update)
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID that must own the session
+   * @returns {Promise<boolean>} - True if an active session was revoked
+   */
+  async revokeForUser(sessionId, userId) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET revoked_at = $1
+      WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL
+      RETURNING id
+    `;
+    const result = await this.query(query, [new Date(), sessionId, userId]);
+    return result.length > 0;
+  }
+
+  /**
+   * Revoke every active session of a user (password reset, deactivation...)
+   * @param {string} userId - User ID
+   * @param {string} exceptSessionId - Session to keep, e.g. the caller's own (optional)
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllForUser(userId, exceptSessionId = null) {
+    const params = [new Date(), userId];
+    let query = `
+      UPDATE ${this.tableName}
+      SET revoked_at = $1
+      WHERE user_id = $2 AND revoked_at IS NULL
+    `;
+    if (exceptSessionId) {
+      query += ' AND id <> $3';
+      params.push(exceptSessionId);
+    }
+    const result = await this.query(`${query} RETURNING id`, params);
+    return result.length;
+  }
+
+  /**
+   * Revoke every active session of the users of a restaurant (deactivation)
+   * @param {string} restaurantId - Restaurant ID
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllForRestaurant(restaurantId) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET revoked_at = $1
+      WHERE revoked_at IS NULL
+        AND user_id IN (SELECT id FROM users WHERE restaurant_id = $2)
+      RETURNING id
+    `;
+    const result = await this.query(query, [new Date(), restaurantId]);
+    return result.length;
+  }
+
+  /**
+   * Active (not revoked, not expired) sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Sessions
+   */
+  async findActiveForUser(userId) {
+    const query = `
+      SELECT * FROM ${this.tableName}
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > $2
+    `;
+    const sessions = await this.query(query, [userId, new Date()]);
+    return sessions.sort((a, b) => this.lastSeen(b) - this.lastSeen(a));
+  }
+
+  /**
+   * Number of active (not revoked, not expired) sessions across all users
+   * @returns {Promise<number>} - Session count
+   */
+  async countActive() {
+    const query = `SELECT COUNT(*) AS count FROM ${this.tableName} WHERE revoked_at IS NULL AND expires_at > $1`;
+    const result = await this.query(query, [new Date()]);
+    return parseInt(result[0].count, 10);
+  }
+
+  /**
+   * Last activity of a session: the last refresh, or the login itself
+   * @param {Object} session - Session record
+   * @returns {Date} - Last seen time
+   */
+  lastSeen(session) {
+    return new Date(session.last_used_at || session.created_at);
+  }
+
+  /**
+   * Delete sessions whose refresh token has expired
+   * Revoked rows are kept until expiry so reuse of their tokens is still detected.
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async purgeExpired() {
+    const query = `DELETE FROM ${this.tableName} WHERE expires_at < $1 RETURNING id`;
+    const result = await this.query(query, [new Date()]);
+    return result.length;
+  }
+}
+
+module.exports = new UserSession();
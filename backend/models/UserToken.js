@@ -0,0 +1,124 @@
+/**
+ * UserToken Model
+ * 
+ * Single-use, time-limited tokens delivered to users out of band (email links).
+ * Only a SHA-256 hash is stored; redeeming a token marks it used atomically,
+ * so the same link can never be used twice.
+ * 
+ * Purposes: password_reset, email_verification, account_unlock
+ * Not audited by BaseModel (credential material).
+ */
+
+const crypto = require('crypto');
+const BaseModel = require('./BaseModel');
+
+const PURPOSES = ['password_reset', 'email_verification', 'account_unlock'];
+
+class UserToken extends BaseModel {
+  constructor() {
+    super('user_tokens', [
+      'id', 'user_id', 'purpose', 'token_hash', 'expires_at',
+      'used_at', 'ip_address', 'created_at'
+    ], {
+      user_id: {
+        required: true,
+        type: 'string'
+      },
+      purpose: {
+        required: true,
+        type: 'string',
+        enum: PURPOSES
+      },
+      token_hash: {
+        required: true,
+        type: 'string',
+        maxLength: 255
+      },
+      expires_at: {
+        required: true
+      }
+    }, { audit: false });
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} - Hex-encoded SHA-256 digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a new token, invalidating earlier unused tokens for the same purpose
+   * @param {string} userId - User ID
+   * @param {string} purpose - Token purpose
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @param {Object} meta - { ipAddress }
+   * @returns {Promise<string>} - Raw token (only ever sent to the user)
+   */
+  async issue(userId, purpose, ttlMs, meta = {}) {
+    await this.invalidate(userId, purpose);
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await this.create({
+      user_id: userId,
+      purpose,
+      token_hash: this.hashToken(token),
+      expires_at: new Date(Date.now() + ttlMs),
+      ip_address: this.normalizeIp(meta.ipAddress)
+    });
+
+    return token;
+  }
+
+  /**
+   * Redeem a token: marks it used if it is valid, unused and unexpired
+   * @param {string} token - Raw token
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object|null>} - Token record (with user_id) or null
+   */
+  async consume(token, purpose) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+
+    const now = new Date();
+    const query = `
+      UPDATE ${this.tableName}
+      SET used_at = $1
+      WHERE token_hash = $2 AND purpose = $3 AND used_at IS NULL AND expires_at > $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [now, this.hashToken(token), purpose]);
+    return result[0] || null;
+  }
+
+  /**
+   * Invalidate all unused tokens of a user for a purpose
+   * @param {string} userId - User ID
+   * @param {string} purpose - Token purpose
+   * @returns {Promise<number>} - Number of tokens invalidated
+   */
+  async invalidate(userId, purpose) {
+    const query = `
+      UPDATE ${this.tableName}
+      SET used_at = $1
+      WHERE user_id = $2 AND purpose = $3 AND used_at IS NULL
+      RETURNING id
+    `;
+    const result = await this.query(query, [new Date(), userId, purpose]);
+    return result.length;
+  }
+
+  /**
+   * Delete expired tokens
+   * @returns {Promise<number>} - Number of rows deleted
+   */
+  async purgeExpired() {
+    const query = `DELETE FROM ${this.tableName} WHERE expires_at < $1 RETURNING id`;
+    const result = await this.query(query, [new Date()]);
+    return result.length;
+  }
+}
+
+module.exports = new UserToken();
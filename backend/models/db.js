@@ -3,46 +3,158 @@
  * 
  * PostgreSQL connection pool configuration for the restaurant management system.
  * Uses environment variables for configuration.
+ * 
+ * Every query through the pool (and through clients checked out for
+ * transactions) is timed. Queries slower than DB_SLOW_QUERY_MS (default 500,
+ * read on every query) are logged as warnings with the SQL text; parameter values are never logged,
+ * only their types and lengths, since they hold passwords, token hashes and
+ * personal data.
+ * 
+ * An error on an idle client (database restart, failover, dropped connection)
+ * does not stop the process: pg discards the broken client and connects new
+ * ones on demand. The pool is reported unhealthy (GET /readyz returns 503)
+ * until a probe query succeeds; probes are retried with exponential backoff
+ * starting at DB_RECONNECT_INTERVAL_MS (default 1000, read on every failure)
+ * and capped at 30 seconds.
  */
 
 const { Pool } = require('pg');
+const logger = require('../services/logger');
+const config = require('../services/config');
+
 
-// Database configuration from environment variables
-const config = {
-  host: process.env.DB_HOST || 'localhost',
-  port: parseInt(process.env.DB_PORT || '5432'),
-  database: process.env.DB_NAME || 'restaurant_db',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || '',
+// Database configuration (services/config.js: environment, .env or DB_PASSWORD_FILE)
+const poolConfig = {
+  host: config.get('DB_HOST'),
+  port: config.get('DB_PORT'),
+  database: config.get('DB_NAME'),
+  user: config.get('DB_USER'),
+  password: config.get('DB_PASSWORD'),
   
   // Connection pool settings
-  max: parseInt(process.env.DB_POOL_MAX || '20'), // Maximum number of clients in the pool
-  min: parseInt(process.env.DB_POOL_MIN || '5'), // Minimum number of clients
-  idleTimeoutMillis: parseInt(process.env.DB_IDLE_TIMEOUT || '30000'), // Close idle clients after 30 seconds
-  connectionTimeoutMillis: parseInt(process.env.DB_CONNECTION_TIMEOUT || '2000'), // Return error after 2 seconds if unable to connect
+  max: config.get('DB_POOL_MAX'), // Maximum number of clients in the pool
+  min: config.get('DB_POOL_MIN'), // Minimum number of clients
+  idleTimeoutMillis: config.get('DB_IDLE_TIMEOUT'), // Close idle clients after 30 seconds
+  connectionTimeoutMillis: config.get('DB_CONNECTION_TIMEOUT'), // Return error after 2 seconds if unable to connect
   
-  // SSL configuration for production
-  ssl: process.env.NODE_ENV === 'production' ? {
+  // SSL (DB_SSL, on by default in production)
+  ssl: config.get('DB_SSL') ? {
     rejectUnauthorized: false // Set to true in production with proper certificates
   } : false
 };
 
+/**
+ * SQL text of a query on one line
+ * @param {string|Object} queryArg - Query text or config object ({ text })
+ * @returns {string} - Normalized SQL
+ */
+function sqlText(queryArg) {
+  const text = typeof queryArg === 'string' ? queryArg : (queryArg && queryArg.text) || '';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe query parameters without their values
+ * @param {Array} params - Query parameters
+ * @returns {Array<string>} - e.g. ['string(64)', 'number', 'null']
+ */
+function redactParams(params) {
+  if (!Array.isArray(params)) return [];
+  return params.map(value => {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Date) return 'date';
+    if (Buffer.isBuffer(value)) return `bytes(${value.length})`;
+    if (typeof value === 'string') return `string(${value.length})`;
+    if (Array.isArray(value)) return `array(${value.length})`;
+    return typeof value;
+  });
+}
+
+/**
+ * Time every promise-style query of a pool or client
+ * Slow queries are logged as warnings, failures at debug level (callers
+ * handle and log the errors they care about, e.g. unique violations).
+ * @param {Object} target - Pool or client
+ */
+function instrument(target) {
+  if (target.queryInstrumented) return;
+  const original = target.query;
+
+  target.query = function (...args) {
+    // Callback style is passed through untouched
+    if (typeof args[args.length - 1] === 'function') return original.apply(this, args);
+
+    const start = process.hrtime.bigint();
+    const elapsedMs = () => Number(process.hrtime.bigint() - start) / 1e6;
+    const params = Array.isArray(args[1]) ? args[1] : (args[0] && args[0].values);
+
+    return original.apply(this, args).then(result => {
+      const durationMs = elapsedMs();
+      if (durationMs >= config.get('DB_SLOW_QUERY_MS')) {
+        logger.warn('Slow query', { durationMs, sql: sqlText(args[0]), params: redactParams(params), rows: result.rowCount });
+      }
+      return result;
+    }, error => {
+      logger.debug('Query failed', { durationMs: elapsedMs(), sql: sqlText(args[0]), params: redactParams(params), error: error.message });
+      throw error;
+    });
+  };
+  target.queryInstrumented = true;
+}
+
+// Longest wait between two reconnection probes
+const MAX_RECONNECT_INTERVAL_MS = 30000;
+
 // Create connection pool
-const pool = new Pool(config);
+const pool = new Pool(poolConfig);
+instrument(pool);
+
+// Pool health, as reported by poolHealth()
+const health = { healthy: true, lastError: null, since: null };
+let reconnectTimer = null;
+let closed = false;
+
+/**
+ * Probe the database until a query succeeds, then mark the pool healthy again
+ * The timer is unref'd and cleared by closePool(), so it never delays shutdown.
+ * @param {number} attempt - Probe number (the delay doubles with each one)
+ */
+function scheduleReconnect(attempt = 1) {
+  if (closed || reconnectTimer) return;
+  const interval = config.get('DB_RECONNECT_INTERVAL_MS');
+  const delay = Math.min(interval * 2 ** (attempt - 1), MAX_RECONNECT_INTERVAL_MS);
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    try {
+      await pool.query('SELECT 1');
+      Object.assign(health, { healthy: true, lastError: null, since: null });
+      logger.info('Database connection restored', { attempts: attempt });
+    } catch (error) {
+      logger.warn('Database reconnection attempt failed', { attempt, error: error.message });
+      scheduleReconnect(attempt + 1);
+    }
+  }, delay);
+  reconnectTimer.unref();
+}
 
-// Handle pool errors
+// Handle pool errors: mark the pool unhealthy and reconnect instead of exiting
 pool.on('error', (err, client) => {
-  console.error('Unexpected error on idle client', err);
-  process.exit(-1);
+  logger.error('Unexpected error on idle client', { error: err.message });
+  if (health.healthy) {
+    Object.assign(health, { healthy: false, lastError: err.message, since: new Date() });
+  }
+  scheduleReconnect();
 });
 
-// Handle pool connection events
+// Handle pool connection events (clients are reused: instrumented once)
 pool.on('connect', (client) => {
-  console.log('New client connected to database pool');
+  instrument(client);
+  logger.debug('New client connected to database pool');
 });
 
 pool.on('remove', (client) => {
-  console.log('Client removed from database pool');
+  logger.debug('Client removed from database pool');
 });
 
 /**
@@ -52,33 +164,23 @@ async function testConnection() {
   try {
     const client = await pool.connect();
     const result = await client.query('SELECT NOW()');
-    console.log('✅ Database connection successful');
-    console.log('   Server time:', result.rows[0].now);
+    logger.info('Database connection successful', { serverTime: result.rows[0].now });
     client.release();
     return true;
   } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
+    logger.error('Database connection failed', { error: error.message });
     return false;
   }
 }
 
 /**
- * Execute a query with automatic connection handling
+ * Execute a query with automatic connection handling (timed like every pool query)
  * @param {string} text - SQL query text
  * @param {Array} params - Query parameters
  * @returns {Promise<Object>} - Query result
  */
 async function query(text, params) {
-  const start = Date.now();
-  try {
-    const result = await pool.query(text, params);
-    const duration = Date.now() - start;
-    console.log('Executed query', { text, duration, rows: result.rowCount });
-    return result;
-  } catch (error) {
-    console.error('Query error:', error.message);
-    throw error;
-  }
+  return await pool.query(text, params);
 }
 
 /**
@@ -90,10 +192,11 @@ async function getClient() {
   const query = client.query;
   const release = client.release;
 
-  // Set a timeout of 5 seconds, after which we will log this client's last query
+  // Set a timeout of 5 seconds, after which we will log this client's last query (SQL only)
   const timeout = setTimeout(() => {
-    console.error('A client has been checked out for more than 5 seconds!');
-    console.error(`The last executed query on this client was: ${client.lastQuery}`);
+    logger.warn('A client has been checked out for more than 5 seconds', {
+      lastQuery: client.lastQuery ? sqlText(client.lastQuery[0]) : null
+    });
   }, 5000);
 
   // Monkey patch the query method to keep track of the last query executed
@@ -115,14 +218,26 @@ async function getClient() {
 }
 
 /**
- * Close the database pool
+ * Health of the pool
+ * @returns {Object} - { healthy, lastError, since } (since: when it became unhealthy)
+ */
+function poolHealth() {
+  return { ...health };
+}
+
+/**
+ * Close the database pool (safe to call more than once)
  */
 async function closePool() {
+  if (closed) return;
+  closed = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
   try {
     await pool.end();
-    console.log('Database pool closed');
+    logger.info('Database pool closed');
   } catch (error) {
-    console.error('Error closing database pool:', error.message);
+    logger.error('Error closing database pool', { error: error.message });
   }
 }
 
@@ -131,5 +246,7 @@ module.exports = {
   query,
   getClient,
   testConnection,
-  closePool
+  closePool,
+  poolHealth,
+  redactParams
 };
@@ -11,17 +11,33 @@
  */
 
 const User = require('./User');
+const UserSession = require('./UserSession');
+const UserToken = require('./UserToken');
+const UserRecoveryCode = require('./UserRecoveryCode');
+const UserInvitation = require('./UserInvitation');
+const UserPasswordHistory = require('./UserPasswordHistory');
+const UserIdentity = require('./UserIdentity');
+const ApiKey = require('./ApiKey');
+const AuditLog = require('./AuditLog');
 const Restaurant = require('./Restaurant');
 const MenuItem = require('./MenuItem');
 const Order = require('./Order');
 const Table = require('./Table');
 const Customer = require('./Customer');
 const InventoryItem = require('./InventoryItem');
-const { pool, query, getClient, testConnection, closePool } = require('./db');
+const { pool, query, getClient, testConnection, closePool, poolHealth } = require('./db');
 
 module.exports = {
   // Models
   User,
+  UserSession,
+  UserToken,
+  UserRecoveryCode,
+  UserInvitation,
+  UserPasswordHistory,
+  UserIdentity,
+  ApiKey,
+  AuditLog,
   Restaurant,
   MenuItem,
   Order,
@@ -35,6 +51,7 @@ module.exports = {
     query,
     getClient,
     testConnection,
-    closePool
+    closePool,
+    poolHealth
   }
 };
@@ -5,7 +5,8 @@
  * 
  * Key Security Features:
  * - Bcryptjs password hashing (10 salt rounds)
- * - JWT-based session tokens (2-hour expiry)
+ * - PostgreSQL persistence through the User/Restaurant models (models/)
+ * - Short-lived JWT access tokens (15 minutes) with rotating refresh tokens
  * - HttpOnly, Secure, SameSite cookies for session persistence
  * - Express rate limiting for brute-force protection
  * - Input validation and sanitization on all endpoints
@@ -17,26 +18,49 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { User, UserSession, UserToken, UserRecoveryCode, UserInvitation, UserIdentity, ApiKey, AuditLog, Restaurant, db } = require('./models');
+const { unappliedMigrations } = require('./database/migrate');
+const mailer = require('./services/mailer');
+const totp = require('./services/totp');
+const permissions = require('./services/permissions');
+const userAgent = require('./services/userAgent');
+const oidc = require('./services/oidc');
+const jwtKeys = require('./services/jwtKeys');
+const requestContext = require('./services/requestContext');
+const logger = require('./services/logger');
+const metrics = require('./services/metrics');
+const config = require('./services/config');
+const openapi = require('./services/openapi');
+const schemaValidator = require('./services/schemaValidator');
+const apiDocs = require('./services/apiDocs');
 
 const app = express();
 
 // ==================== Configuration ====================
-// Load environment variables - NEVER use hardcoded secrets
-const PORT = process.env.PORT || 5000;
-const NODE_ENV = process.env.NODE_ENV || 'development';
-const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.json');
+// Every setting is declared in services/config.js (types, per-environment
+// defaults, .env and *_FILE secrets) - NEVER use hardcoded secrets.
+// `npm run config:print` shows the effective values with secrets redacted.
+const PORT = config.get('PORT');
+const NODE_ENV = config.get('NODE_ENV');
 
-// ==================== JWT Secret Management ====================
+// Public URL of the frontend, used to build links in emails
+const APP_URL = config.get('APP_URL');
+
+// ==================== JWT Signing Keys ====================
 /**
+ * Tokens are signed through services/jwtKeys.js:
+ * - JWT_KEYRING_PATH set: RS256/ES256 keyring with key IDs, rotation and a
+ *   public JWKS (GET /.well-known/jwks.json). JWT_SECRET becomes optional and,
+ *   while set, only verifies HS256 tokens issued before the switch.
+ * - Otherwise: HS256 with JWT_SECRET (required).
+ * 
  * JWT_SECRET SECURITY REQUIREMENTS
  * 
- * Validation Checks:
- * 1. Must be set in environment variables (NEVER hardcoded)
+ * Validation Checks (services/config.js):
+ * 1. Must be set in the environment or JWT_SECRET_FILE (NEVER hardcoded)
  * 2. Minimum 32 characters (256 bits for HS256)
  * 3. Must be cryptographically random (check entropy)
  * 4. Must not contain common weak patterns
@@ -47,67 +71,116 @@ const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'db.json');
  * - Rotate quarterly in production
  * - Never log or expose the secret
  * - Use strong PRNG: crypto.randomBytes()
- * - For RS256: Use separate public/private keys
+ * - To rotate without signing everyone out, use the keyring (npm run keys)
  */
 
-function validateJWTSecret(secret) {
-  const errors = [];
-  
-  if(!secret) {
-    errors.push('JWT_SECRET environment variable is REQUIRED');
-  } else {
-    // Check minimum length (32 chars = 256 bits)
-    if(secret.length < 32) {
-      errors.push(`JWT_SECRET must be at least 32 characters (got ${secret.length})`);
-    }
-    
-    // Check if it looks like a hex string (good entropy indicator)
-    if(!/^[a-f0-9]{32,}$/.test(secret)) {
-      console.warn('WARNING: JWT_SECRET does not appear to be hex-encoded. Consider using: crypto.randomBytes(32).toString("hex")');
-    }
-    
-    // Check for weak patterns
-    if(/^(password|secret|123|admin|test|default)/i.test(secret)) {
-      errors.push('JWT_SECRET appears to use a weak pattern. Use: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
-    }
-    
-    // Check for sequential or repeated characters (weak entropy)
-    if(/(.)\1{3,}/.test(secret)) {
-      errors.push('JWT_SECRET contains repeated characters (weak entropy)');
-    }
+/**
+ * Fail fast: validate every setting and load the keyring, then report all
+ * problems at once, so a deploy does not fail on them one restart at a time
+ */
+const configCheck = config.validate();
+configCheck.warnings.forEach(warning => logger.warn(warning));
+
+// Load the keyring now so a broken file stops the server at startup
+let signingKeys = null;
+if(!configCheck.problems.some(problem => problem.name.startsWith('JWT_'))) {
+  try {
+    signingKeys = jwtKeys.load();
+  } catch(e) {
+    configCheck.problems.push({name: 'JWT_KEYRING_PATH', message: `could not be loaded: ${e.message}`});
   }
-  
-  return {
-    valid: errors.length === 0,
-    errors: errors
-  };
 }
 
-// Validate JWT_SECRET
-const secretValidation = validateJWTSecret(process.env.JWT_SECRET);
-
-if(!secretValidation.valid) {
-  console.error('FATAL ERROR: JWT_SECRET validation failed');
-  secretValidation.errors.forEach(err => console.error(`  - ${err}`));
-  console.error('\nTo generate a secure JWT_SECRET:');
-  console.error('  node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
-  console.error('\nThen set in .env file:');
-  console.error('  JWT_SECRET=<generated-secret>');
-  console.error('\nOr set as environment variable:');
-  console.error('  export JWT_SECRET=<generated-secret>  # Linux/Mac');
-  console.error('  set JWT_SECRET=<generated-secret>     # Windows CMD');
-  console.error('  $env:JWT_SECRET="<generated-secret>"  # Windows PowerShell');
+if(configCheck.problems.length > 0) {
+  const problemNames = configCheck.problems.map(problem => problem.name);
+  console.error(`FATAL ERROR: Invalid configuration (${configCheck.problems.length} problem${configCheck.problems.length === 1 ? '' : 's'})`);
+  configCheck.problems.forEach(({name, message}) => console.error(`  - ${name} ${message}`));
+  if(problemNames.includes('JWT_SECRET')) {
+    console.error('\nTo generate a secure JWT_SECRET:');
+    console.error('  node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
+    console.error('Then set it in .env, the environment or a file named by JWT_SECRET_FILE');
+  }
+  if(problemNames.includes('JWT_KEYRING_PATH')) {
+    console.error('\nTo create a keyring:');
+    console.error('  JWT_KEYRING_PATH=keys/jwt-keyring.json npm run keys -- generate');
+  }
+  console.error('\nCheck the effective configuration with: npm run config:print');
   process.exit(1);
 }
 
-const JWT_SECRET = process.env.JWT_SECRET;
-
-// Log JWT_SECRET status (length only, never log the actual secret)
+// Log signing status (never log secrets or private keys)
 if(NODE_ENV === 'development') {
-  console.log('[STARTUP] JWT_SECRET configured: ' + JWT_SECRET.length + ' characters');
+  if(signingKeys.mode === 'keyring') {
+    logger.info('JWT keyring loaded', {keys: signingKeys.keys, alg: signingKeys.alg, kid: signingKeys.kid});
+  } else {
+    logger.info('JWT_SECRET configured', {length: config.get('JWT_SECRET').length});
+  }
 }
 
 // ==================== Middleware Configuration ====================
+// Request context: models read who is acting (user, restaurant, request ID, IP)
+// from here instead of taking it as parameters; requireAuth fills in the user.
+// The request ID is echoed in the X-Request-Id response header.
+app.use(requestContext.middleware());
+
+const httpRequestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'HTTP request latency by route',
+  ['method', 'route', 'status_code']
+);
+
+/**
+ * Access log: one JSON entry per request once the response has been sent,
+ * and its latency in the per-route histogram
+ * 
+ * Security consideration: only the path is logged. Query strings carry tokens
+ * (verification, unlock and invitation links), so they are dropped, and
+ * headers, cookies and bodies are never logged.
+ * 
+ * The histogram is labelled with the route pattern (/api/sessions/:id), never
+ * the raw path, so IDs do not create new series; requests that match no
+ * route (static files, 404s) share the route label "unmatched".
+ */
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  const context = requestContext.get();
+  res.on('finish', () => {
+    const fields = {
+      requestId: context.requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      ip: context.ipAddress,
+      userAgent: context.userAgent,
+      userId: context.userId,
+      apiKeyId: context.apiKeyId,
+      bytes: Number(res.get('content-length')) || 0
+    };
+    if(res.statusCode >= 500) logger.warn('Request failed', fields);
+    else logger.info('Request completed', fields);
+    
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestDuration.observe({method: req.method, route, status_code: res.statusCode}, fields.durationMs / 1000);
+  });
+  next();
+});
+
+/**
+ * In-flight requests, drained by shutdown()
+ * 
+ * While shutting down, responses carry "Connection: close" so keep-alive
+ * clients reconnect to another instance instead of reusing this one.
+ */
+let inFlightRequests = 0;
+app.locals.shuttingDown = false;
+app.use((req, res, next) => {
+  inFlightRequests++;
+  res.on('close', () => { inFlightRequests--; });
+  if(app.locals.shuttingDown) res.set('Connection', 'close');
+  next();
+});
+
 // Body parser: Limit payload to 10KB to prevent DoS attacks
 app.use(bodyParser.json({limit:'10kb'}));
 app.use(bodyParser.urlencoded({limit:'10kb'}));
@@ -115,6 +188,111 @@ app.use(bodyParser.urlencoded({limit:'10kb'}));
 // Cookie parser: Enable cookie parsing for session management
 app.use(cookieParser());
 
+// ==================== API Contract (OpenAPI) ====================
+/**
+ * services/openapi.js describes every route. Requests are checked against it
+ * by validateRequest; responses can be checked too (OPENAPI_VALIDATE_RESPONSES,
+ * on in the test suite) so the document cannot drift from the handlers.
+ */
+
+/**
+ * Middleware: validate path parameters, query string and body against the
+ * route's OpenAPI operation
+ *
+ * Use it last, right before the handler, so authentication and permission
+ * checks answer first. Query values (and form bodies) are strings: they are
+ * converted to the documented type on a copy, req is never modified.
+ *
+ * @returns {400} {error, code: 'VALIDATION_ERROR', details: [{in, path, message}]}
+ *                error is the schema's x-message (the handler's own message) when it has one
+ */
+function validateRequest(req, res, next) {
+  const operation = openapi.findOperation(req.method, req.route.path);
+  if(!operation) return next();
+
+  const root = openapi.document;
+  const problems = [];
+
+  // Step 1: Path and query parameters
+  for(const parameter of operation.parameters || []) {
+    const value = (parameter.in === 'path' ? req.params : req.query)[parameter.name];
+    if(value === undefined) {
+      if(parameter.required) problems.push({in: parameter.in, path: parameter.name, message: 'is required', hint: null});
+      continue;
+    }
+    const converted = schemaValidator.coerceQueryValue(parameter.schema, value, root);
+    for(const problem of schemaValidator.validate(parameter.schema, converted, {root, path: parameter.name})) {
+      problems.push({in: parameter.in, ...problem});
+    }
+  }
+
+  // Step 2: Body
+  if(operation.requestBody) {
+    const schema = operation.requestBody.content['application/json'].schema;
+    let body = req.body;
+    if(req.is('application/x-www-form-urlencoded')) {
+      const properties = schemaValidator.resolveRef(schema, root).properties || {};
+      body = Object.fromEntries(Object.entries(body).map(([name, value]) =>
+        [name, properties[name] ? schemaValidator.coerceQueryValue(properties[name], value, root) : value]
+      ));
+    }
+    for(const problem of schemaValidator.validate(schema, body, {root})) {
+      problems.push({in: 'body', ...problem});
+    }
+  }
+
+  if(problems.length === 0) return next();
+  const [first] = problems;
+  res.status(400).json({
+    error: first.hint || `${first.path || first.in} ${first.message}`,
+    code: 'VALIDATION_ERROR',
+    details: problems.map(problem => ({in: problem.in, path: problem.path, message: problem.message}))
+  });
+}
+
+/**
+ * Check a JSON response against the route's OpenAPI operation
+ * Mismatches are logged and collected in app.locals.responseValidationProblems
+ * (the test suite fails on any).
+ * @param {Object} req - Express request
+ * @param {number} status - Response status
+ * @param {*} body - Value passed to res.json()
+ */
+function checkResponse(req, status, body) {
+  // 404s and static files match no route
+  if(!req.route) return;
+
+  const root = openapi.document;
+  const where = `${req.method} ${req.route.path} ${status}`;
+  const report = problem => {
+    app.locals.responseValidationProblems.push(`${where}: ${problem}`);
+    logger.warn('Response does not match the OpenAPI document', {route: where, problem});
+  };
+
+  const operation = openapi.findOperation(req.method, req.route.path);
+  const response = operation && operation.responses[status];
+  if(!response) return report(operation ? 'status is not documented' : 'route is not documented');
+  const media = (schemaValidator.resolveRef(response, root).content || {})['application/json'];
+  if(!media) return report('JSON body is not documented');
+
+  // Compare what the client receives (Dates become strings, undefined disappears)
+  for(const problem of schemaValidator.validate(media.schema, JSON.parse(JSON.stringify(body)), {root})) {
+    report(`${problem.path || 'body'} ${problem.message}`);
+  }
+}
+
+app.locals.responseValidationProblems = [];
+if(config.get('OPENAPI_VALIDATE_RESPONSES')) {
+  app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      checkResponse(req, res.statusCode, body);
+      return json(body);
+    };
+    next();
+  });
+}
+
 // ==================== Security Headers & CORS Configuration ====================
 /**
  * CORS Configuration - Strict origin control for production
@@ -127,34 +305,16 @@ app.use(cookieParser());
  * This prevents accidentally allowing all origins in production.
  */
 
-// CORS_ORIGIN configuration with production safety checks
-let corsOrigin = process.env.CORS_ORIGIN;
-
-if(NODE_ENV === 'production') {
-  if(!corsOrigin) {
-    console.error('FATAL ERROR: CORS_ORIGIN environment variable is REQUIRED in production');
-    console.error('Set CORS_ORIGIN to your frontend domain (e.g., https://yourdomain.com)');
-    process.exit(1);
-  }
-  // Production: Validate CORS_ORIGIN is a valid URL
-  try {
-    new URL(corsOrigin);
-  } catch(e) {
-    console.error('FATAL ERROR: CORS_ORIGIN must be a valid URL in production');
-    console.error('Example: CORS_ORIGIN=https://yourdomain.com');
-    process.exit(1);
-  }
-} else {
-  // Development: Default to localhost
-  corsOrigin = corsOrigin || 'http://localhost:3000';
-}
+// CORS_ORIGIN: required (and a valid URL) in production, validated at startup
+const corsOrigin = config.get('CORS_ORIGIN');
 
 // Apply CORS middleware with strict configuration
 app.use(cors({
   origin: corsOrigin,
   credentials: true, // Allow cookies
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', requestContext.REQUEST_ID_HEADER],
+  exposedHeaders: [requestContext.REQUEST_ID_HEADER],
   optionsSuccessStatus: 200
 }));
 
@@ -219,6 +379,168 @@ app.use((req, res, next) => {
   next();
 });
 
+// ==================== API Key Identification ====================
+/**
+ * Integrations authenticate with "Authorization: Bearer rmk_..." instead of
+ * the rm_auth cookie (see the API Keys section for management endpoints).
+ * 
+ * The key is looked up once, before rate limiting, so the global limiter can
+ * count each key separately from the IP address it is called from. Unknown,
+ * revoked and expired keys leave req.apiKey unset and are counted per IP.
+ */
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null when there is no bearer header
+ */
+function bearerToken(req) {
+  const header = req.get('authorization');
+  if(!header) return null;
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Middleware: set req.apiKey (api_keys row) for a valid key
+ * Never rejects - requireAuthOrApiKey decides whether the route accepts keys
+ */
+async function identifyApiKey(req, res, next) {
+  const token = bearerToken(req);
+  if(!token) return next();
+  
+  try {
+    const apiKey = await ApiKey.findActiveByKey(token);
+    if(apiKey) req.apiKey = apiKey;
+  } catch(e) {
+    logger.error('API key lookup error', {error: e.message});
+  }
+  next();
+}
+
+app.use(identifyApiKey);
+
+// ==================== Health, Readiness & Metrics ====================
+// Registered before the rate limiters: load balancers and Prometheus poll
+// these every few seconds from the same addresses
+
+const dbPoolClients = metrics.gauge('db_pool_clients', 'Database pool clients by state', ['state']);
+const activeSessions = metrics.gauge('active_sessions', 'Active (not revoked, not expired) login sessions');
+const processUptime = metrics.gauge('process_uptime_seconds', 'Seconds since the process started');
+const processMemory = metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+
+metrics.collect(() => {
+  dbPoolClients.set({state: 'total'}, db.pool.totalCount || 0);
+  dbPoolClients.set({state: 'idle'}, db.pool.idleCount || 0);
+  dbPoolClients.set({state: 'waiting'}, db.pool.waitingCount || 0);
+  processUptime.set({}, process.uptime());
+  processMemory.set({}, process.memoryUsage().rss);
+});
+metrics.collect(async () => activeSessions.set({}, await UserSession.countActive()));
+
+/**
+ * GET /healthz - Liveness
+ * 
+ * The process is up and serving requests. No dependency is checked, so a
+ * database outage does not get every instance restarted.
+ * 
+ * @returns {200} {status: 'ok', uptime}
+ */
+app.get('/healthz', (req, res) => {
+  res.json({status:'ok', uptime:Math.round(process.uptime())});
+});
+
+/**
+ * GET /readyz - Readiness
+ * 
+ * Checks:
+ * 1. database: the pool can run a query ('reconnecting' after an idle
+ *    client error, until a reconnection probe succeeds)
+ * 2. migrations: every file in database/migrations/ has been applied
+ * 
+ * Fails as soon as shutdown starts, so the load balancer stops routing here
+ * while in-flight requests drain.
+ * 
+ * @returns {200} {status: 'ready', checks: {database: 'ok', migrations: 'ok'}}
+ * @returns {503} {status: 'not_ready', checks: {...}, pendingMigrations?: [...]}
+ * @returns {503} {status: 'shutting_down'}
+ */
+app.get('/readyz', async (req, res) => {
+  if(app.locals.shuttingDown) {
+    return res.status(503).json({status:'shutting_down'});
+  }
+  
+  const checks = {database:'ok', migrations:'ok'};
+  let pending = [];
+  
+  if(!db.poolHealth().healthy) {
+    checks.database = 'reconnecting';
+  } else {
+    try {
+      await db.pool.query('SELECT 1');
+    } catch(e) {
+      logger.error('Readiness database check failed', {error: e.message});
+      checks.database = 'error';
+    }
+  }
+  
+  if(checks.database === 'ok') {
+    try {
+      pending = await unappliedMigrations();
+      if(pending.length > 0) checks.migrations = 'pending';
+    } catch(e) {
+      logger.error('Readiness migrations check failed', {error: e.message});
+      checks.migrations = 'error';
+    }
+  } else {
+    checks.migrations = 'unknown';
+  }
+  
+  const ready = checks.database === 'ok' && checks.migrations === 'ok';
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    ...(pending.length > 0 ? {pendingMigrations: pending} : {})
+  });
+});
+
+/**
+ * GET /metrics - Prometheus Metrics
+ * 
+ * - http_request_duration_seconds{method, route, status_code}: latency histogram
+ * - rate_limit_rejections_total{limiter}: 429s per rate limiter
+ * - db_pool_clients{state}: total, idle and waiting pool clients
+ * - active_sessions: sessions that are neither revoked nor expired
+ * - process_uptime_seconds, process_resident_memory_bytes
+ * 
+ * Security Measures:
+ * 1. With METRICS_TOKEN set, requires "Authorization: Bearer <METRICS_TOKEN>"
+ *    (compared in constant time); the token is required in production
+ * 
+ * @returns {200} Prometheus text format (version 0.0.4)
+ * @returns {401} When METRICS_TOKEN is set and the token is missing or wrong: {error}
+ */
+app.get('/metrics', async (req, res) => {
+  // Bearer token (route labels and session counts are internal), read per request;
+  // config validation requires it in production, so only development/test run open
+  const metricsToken = config.get('METRICS_TOKEN');
+  if(metricsToken) {
+    // Hashed first: timingSafeEqual needs equal lengths
+    const expected = crypto.createHash('sha256').update(metricsToken).digest();
+    const actual = crypto.createHash('sha256').update(bearerToken(req) || '').digest();
+    if(!crypto.timingSafeEqual(expected, actual)) {
+      return res.status(401).json({error:'Not authenticated'});
+    }
+  }
+  
+  try {
+    res.type(metrics.CONTENT_TYPE).send(await metrics.render());
+  } catch(e) {
+    logger.error('Metrics error', {error: e.message});
+    res.status(500).json({error:'Failed to render metrics'});
+  }
+});
+
 // ==================== Rate Limiting Middleware ====================
 /**
  * Rate limiting is crucial for preventing brute-force attacks against:
@@ -233,6 +555,26 @@ app.use((req, res, next) => {
 // Flag to disable rate limiting in test environment
 const skipRateLimit = NODE_ENV === 'test';
 
+const rateLimitRejections = metrics.counter(
+  'rate_limit_rejections_total',
+  'Requests rejected by a rate limiter',
+  ['limiter']
+);
+
+/**
+ * Rate limit response (same as the default: 429 with the limiter's message),
+ * counted per limiter in rate_limit_rejections_total
+ * @param {string} limiter - Limiter name for the metric label
+ * @returns {Function} express-rate-limit handler
+ */
+function rejectRateLimited(limiter) {
+  return (req, res, next, options) => {
+    rateLimitRejections.inc({limiter});
+    logger.warn('Rate limit exceeded', {limiter, method: req.method, path: req.originalUrl.split('?')[0], ip: req.ip});
+    res.status(options.statusCode).send(options.message);
+  };
+}
+
 /**
  * Registration Rate Limiter
  * Limits: 5 attempts per IP per 15 minutes
@@ -245,6 +587,7 @@ const registerLimiter = rateLimit({
   standardHeaders: false, // Don't send RateLimit-* headers
   legacyHeaders: false,
   skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('register'),
 });
 
 /**
@@ -261,125 +604,698 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
   skipSuccessfulRequests: true, // Only count failed login attempts
   skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('login'),
+});
+
+/**
+ * Password Reset Rate Limiter
+ * Limits: 5 requests per IP per 15 minutes (forgot + reset)
+ * Purpose: Prevent reset-email flooding and reset token guessing
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 password reset requests per IP
+  message: 'Too many password reset attempts, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('password_reset'),
+});
+
+/**
+ * Email Verification Rate Limiter
+ * Limits: 5 resend requests per IP per 15 minutes
+ * Purpose: Prevent verification-email flooding
+ */
+const verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 verification emails per IP
+  message: 'Too many verification requests, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('verification'),
+});
+
+/**
+ * Invitation Rate Limiter
+ * Limits: 10 requests per IP per 15 minutes (view + accept invitation)
+ * Purpose: Slow down token probing on the public accept endpoints
+ */
+const invitationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 invitation lookups per IP
+  message: 'Too many invitation requests, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('invitation'),
+});
+
+/**
+ * Single Sign-On Rate Limiter
+ * Limits: 20 requests per IP per 15 minutes (SSO login start + callback)
+ * Purpose: Stop a client from hammering the identity provider through us
+ */
+const ssoLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 SSO requests per IP
+  message: 'Too many sign-in attempts, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('sso'),
+});
+
+/**
+ * Two-Factor Rate Limiter
+ * Limits: 10 failed code attempts per IP per 15 minutes
+ * Purpose: Prevent guessing 6-digit codes during the 5-minute "mfa pending" window
+ */
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 failed code attempts per IP
+  message: 'Too many verification attempts, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true, // Only count wrong codes
+  skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('mfa'),
+});
+
+/**
+ * Password Change Rate Limiter
+ * Limits: 10 failed attempts per account per 15 minutes
+ * Purpose: Slow down password guessing from a signed-in session (keyed by
+ * user, so changing IP does not reset it; runs after requireAuth)
+ */
+const passwordChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 failed attempts per account
+  keyGenerator: (req) => `user:${req.auth.userId}`,
+  message: 'Too many password change attempts, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true, // Only count failed attempts
+  skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('password_change'),
 });
 
 /**
  * Global Rate Limiter
- * Limits: 100 requests per IP per 15 minutes
+ * Limits: 100 requests per IP per 15 minutes; 1000 per API key per 15 minutes
+ * Special: requests with a valid API key are counted per key, not per IP, so
+ *          integrations sharing an address do not starve each other
  * Purpose: General DoS protection for all endpoints
  */
+const API_KEY_RATE_LIMIT = 1000;
+
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // 100 requests per IP
+  max: (req) => req.apiKey ? API_KEY_RATE_LIMIT : 100, // 100 requests per IP
+  keyGenerator: (req) => req.apiKey ? `api-key:${req.apiKey.id}` : req.ip,
   standardHeaders: false,
   legacyHeaders: false,
   skip: () => skipRateLimit, // Disable in test mode
+  handler: rejectRateLimited('global'),
 });
 
 // Apply global rate limiter to all routes
 app.use(globalLimiter);
 
-// ==================== JWT Token Blacklist System ====================
+// ==================== Session Store (user_sessions) ====================
 /**
- * Token Blacklist for Enhanced Logout Security
+ * Persistent Sessions with Access + Refresh Tokens
+ * 
+ * Every login creates a user_sessions row, which is a refresh-token family:
+ * - Access token: short-lived JWT (15 minutes) in the rm_auth cookie, carries the session id (sid)
+ * - Refresh token: opaque, single-use, rotated on every POST /api/refresh (rm_refresh cookie)
+ * - Only SHA-256 hashes of refresh tokens are stored (user_sessions.token_hash)
+ * 
+ * "Remember me" makes the refresh cookie persistent (30 days); otherwise it is a
+ * browser-session cookie backed by a 12-hour server-side expiry.
  * 
- * Purpose: Allow immediate logout by blacklisting JWT tokens
- * Without blacklist: User token remains valid until expiry (2 hours)
- * With blacklist: User token is immediately revoked on logout
+ * Reuse detection: presenting a refresh token that has already been rotated means
+ * it was copied, so the whole family (session) is revoked and both holders are logged out.
  * 
- * In production, use Redis for:
- * - Distributed token blacklist across multiple servers
- * - Automatic expiry of blacklist entries
- * - Persistent storage
+ * Session lifecycle:
+ * - POST /api/login:   row inserted with ip_address, user_agent, expires_at
+ * - Protected routes:  access token's session must exist, not be revoked and not be expired
+ * - POST /api/refresh: refresh token rotated, new access token issued
+ * - POST /api/logout:  revoked_at set
+ * - Cleanup job:       rows past expires_at are deleted on a schedule
  * 
- * For development, use in-memory storage (cleared on server restart)
+ * Impersonation sessions (POST /api/impersonation) belong to the impersonated
+ * user, record the admin in impersonator_id and carry both identities in the
+ * access token (id + imp). They expire after IMPERSONATION_TTL_MS at most.
+ * 
+ * CSRF (synchronizer token): each session gets a random token at login, kept
+ * as a hash in user_sessions.csrf_token_hash and given to the browser in the
+ * readable rm_csrf cookie. Every cookie-authenticated POST/PUT/PATCH/DELETE
+ * must send it back in the X-CSRF-Token header (requireAuth, refresh, logout);
+ * another site can make the browser send our cookies but cannot read them.
+ * API key requests carry no cookies and are not checked.
  */
 
-// Store blacklisted tokens: {token: expiryTimestamp}
-// In production: Replace with Redis.set(token, true, 'EX', remainingTime)
-const tokenBlacklist = new Map();
+// Access token (JWT) lifetime - short so revocation and role changes apply quickly
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Refresh token lifetime without / with "Remember me"
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const REMEMBER_ME_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// A refresh token rotated this recently by the same client (IP and user agent)
+// is not treated as reuse: two tabs refreshing at once share the new cookie
+const REFRESH_REUSE_GRACE_MS = 5 * 1000; // 5 seconds
+
+// How often expired session rows are purged
+const SESSION_CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Refresh cookie is only sent to the API, never to static pages
+const REFRESH_COOKIE_PATH = '/api';
+
+// Hard limit of an impersonation session (never extended by refreshing)
+const IMPERSONATION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+// While impersonating, the admin's own refresh token waits in this cookie
+// (same path as rm_refresh) to resume their session afterwards
+const IMPERSONATION_RETURN_COOKIE = 'rm_imp_return';
+const IMPERSONATION_PATH = '/api/impersonation';
+
+// CSRF token: readable cookie (so the frontend can copy it) and request header
+const CSRF_COOKIE = 'rm_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Methods that never change state and so need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
- * Add token to blacklist
- * @param {string} token - JWT token to blacklist
- * @param {number} expiresIn - Token expiry time in milliseconds
+ * Base options shared by all auth cookies
+ * @returns {Object} Cookie options
  */
-function blacklistToken(token, expiresIn) {
-  const expiryTime = Date.now() + expiresIn;
-  tokenBlacklist.set(token, expiryTime);
-  
-  // Cleanup: Remove expired tokens from blacklist after expiry
-  setTimeout(() => {
-    tokenBlacklist.delete(token);
-  }, expiresIn);
+function authCookieOptions() {
+  return {
+    httpOnly: true,                    // Prevent JavaScript access (XSS protection)
+    secure: NODE_ENV === 'production', // Enforce HTTPS in production
+    sameSite: 'Strict'                 // Prevent CSRF attacks, stricter than 'Lax'
+  };
 }
 
 /**
- * Check if token is blacklisted
- * @param {string} token - JWT token to check
- * @returns {boolean} True if token is blacklisted, false otherwise
+ * Issue a signed access token for a session
+ * @param {Object} user - {id, email}
+ * @param {string} sessionId - user_sessions.id
+ * @param {string} impersonatorId - Admin impersonating the user (imp claim, optional)
+ * @returns {string} JWT
  */
-function isTokenBlacklisted(token) {
-  return tokenBlacklist.has(token);
+function signAccessToken(user, sessionId, impersonatorId = null) {
+  const payload = {id:user.id, email:user.email, sid:sessionId};
+  if(impersonatorId) {
+    payload.imp = impersonatorId;
+  }
+  // jwtid makes every token unique, even two refreshes in the same second
+  return jwtKeys.sign(payload, {
+    expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
+    jwtid: crypto.randomUUID()
+  });
 }
 
 /**
- * Get blacklist statistics (for monitoring)
- * @returns {Object} Blacklist size and memory usage info
+ * Set the access and refresh cookies, and the CSRF cookie when a token is given
+ * @param {Object} res - Express response
+ * @param {string} accessToken - JWT
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} session - user_sessions row (expires_at, is_persistent)
+ * @param {string} csrfToken - Raw CSRF token (only when the session's token is new)
  */
-function getBlacklistStats() {
-  return {
-    blacklistedTokens: tokenBlacklist.size,
-    timestamp: new Date().toISOString()
-  };
+function setAuthCookies(res, accessToken, refreshToken, session, csrfToken = null) {
+  setAccessCookie(res, accessToken);
+  
+  const refreshOptions = {...authCookieOptions(), path: REFRESH_COOKIE_PATH};
+  if(session.is_persistent) {
+    // Persistent cookie lives until the session's absolute expiry
+    refreshOptions.maxAge = Math.max(new Date(session.expires_at).getTime() - Date.now(), 0);
+  }
+  res.cookie('rm_refresh', refreshToken, refreshOptions);
+  
+  if(csrfToken) {
+    // Readable by the frontend (it echoes the value in X-CSRF-Token); same lifetime as rm_refresh
+    const { path, ...lifetime } = refreshOptions;
+    res.cookie(CSRF_COOKIE, csrfToken, {...lifetime, httpOnly: false, path: '/'});
+  }
 }
 
-// ==================== Input Validation & Sanitization ====================
 /**
- * Security Layer 1: Input Validation
- * These functions validate user input format before processing
- * Prevents: SQL Injection, NoSQL Injection, XSS, Command Injection
+ * Set the access token cookie only
+ * @param {Object} res - Express response
+ * @param {string} accessToken - JWT access token
  */
+function setAccessCookie(res, accessToken) {
+  res.cookie('rm_auth', accessToken, {
+    ...authCookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL_MS // 15 minutes in milliseconds
+  });
+}
 
 /**
- * Validate email format with strict rules
- * @param {string} email - Email to validate
- * @returns {boolean} True if email format is valid
- * 
- * Pattern breakdown:
- * ^[^\s@]+ - Local part: no spaces/@ symbols
- * @[^\s@]+ - At symbol followed by domain without spaces/@
- * \.[^\s@]+ - TLD: dot followed by domain extension
- * 
- * Prevents:
- * - Space injection attacks
- * - Double @ symbols (allows XSS)
- * - Missing TLD (prevents invalid domains)
- * 
- * Edge cases handled:
- * - Empty string: returns false
- * - Non-string type: returns false
- * - Exceeds RFC 5321 limit (254 chars): returns false
- * - Missing @: returns false
- * - Missing TLD: returns false
- * - Multiple @: returns false
+ * Clear the access, refresh and CSRF cookies
+ * @param {Object} res - Express response
  */
-const validateEmail = (email) => {
-  // Type check: must be string and non-empty
-  if (!email || typeof email !== 'string') return false;
-  
-  // RFC 5321 compliance: email addresses can't exceed 254 characters
-  if (email.length > 254) return false;
-  
-  // Regex pattern: ensures valid email structure
-  // Rejects: invalid formats, missing parts, spaces, multiple @
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-};
+function clearAuthCookies(res) {
+  res.clearCookie('rm_auth', authCookieOptions());
+  res.clearCookie('rm_refresh', {...authCookieOptions(), path: REFRESH_COOKIE_PATH});
+  res.clearCookie(CSRF_COOKIE, {...authCookieOptions(), httpOnly: false, path: '/'});
+}
 
 /**
- * Validate phone number format
- * @param {string} phone - Phone number to validate
- * @returns {boolean} True if phone format is valid (or empty)
+ * Whether a request carries its session's CSRF token (X-CSRF-Token header)
+ * @param {Object} req - Express request
+ * @param {Object} session - user_sessions row
+ * @returns {boolean}
+ */
+function hasValidCsrfToken(req, session) {
+  return UserSession.isValidCsrfToken(session, req.get(CSRF_HEADER));
+}
+
+/**
+ * Refuse a cookie-authenticated write without the CSRF token
+ * @param {Object} res - Express response
+ * @returns {403} {error, code: 'CSRF_TOKEN_INVALID'}
+ */
+function rejectCsrf(res) {
+  return res.status(403).json({error:'Invalid or missing CSRF token', code:'CSRF_TOKEN_INVALID'});
+}
+
+/**
+ * Clear the cookie holding an impersonating admin's own refresh token
+ * @param {Object} res - Express response
+ */
+function clearImpersonationReturnCookie(res) {
+  res.clearCookie(IMPERSONATION_RETURN_COOKIE, {...authCookieOptions(), path: REFRESH_COOKIE_PATH});
+}
+
+/**
+ * Start a session for an authenticated user and set the auth cookies
+ * Used by password login, the second (2FA) login step and SSO. Records
+ * last_login and resets the lockout counters only here, once sign-in is complete
+ * @param {Object} req - Express request (IP and user agent are recorded)
+ * @param {Object} res - Express response
+ * @param {Object} user - users row
+ * @param {boolean} rememberMe - Longer session with a persistent refresh cookie
+ * @returns {Promise<Object>} user_sessions row
+ */
+async function startLoginSession(req, res, user, rememberMe) {
+  await User.recordLogin(user.id);
+  const { session, refreshToken, csrfToken } = await UserSession.start(user.id, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + (rememberMe ? REMEMBER_ME_TTL_MS : SESSION_TTL_MS)),
+    isPersistent: rememberMe
+  });
+  setAuthCookies(res, signAccessToken(user, session.id), refreshToken, session, csrfToken);
+  return session;
+}
+
+/**
+ * Purge expired rows from user_sessions
+ * Errors are logged, never thrown (runs from a timer)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function purgeExpiredSessions() {
+  try {
+    return await UserSession.purgeExpired();
+  } catch(e) {
+    logger.error('Session cleanup error', {error: e.message});
+    return 0;
+  }
+}
+
+/**
+ * Purge expired single-use tokens (password reset, email verification, unlock) from user_tokens
+ * Errors are logged, never thrown (runs from a timer)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function purgeExpiredUserTokens() {
+  try {
+    return await UserToken.purgeExpired();
+  } catch(e) {
+    logger.error('Token cleanup error', {error: e.message});
+    return 0;
+  }
+}
+
+// Cleanup run in progress, awaited by stopSessionCleanup()
+let sessionCleanupRun = null;
+
+/**
+ * Start the periodic session/token cleanup job
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * A run still in progress when the next one is due is not overlapped.
+ * @returns {Object} Interval handle
+ */
+function startSessionCleanup() {
+  const timer = setInterval(() => {
+    if(sessionCleanupRun) return;
+    sessionCleanupRun = Promise.all([purgeExpiredSessions(), purgeExpiredUserTokens()])
+      .finally(() => { sessionCleanupRun = null; });
+  }, SESSION_CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Stop the cleanup job, letting a run in progress finish
+ * @param {Object} timer - Interval handle from startSessionCleanup()
+ * @returns {Promise<void>}
+ */
+async function stopSessionCleanup(timer) {
+  clearInterval(timer);
+  if(sessionCleanupRun) await sessionCleanupRun;
+}
+
+/**
+ * Authentication middleware for protected routes
+ * 
+ * Checks, in order:
+ * 1. rm_auth cookie present
+ * 2. JWT signature and expiry
+ * 3. Session (sid) exists in user_sessions, is not revoked and not expired
+ * 4. User and their restaurant are still active (checked on every request,
+ *    so deactivation applies to tokens that were already issued)
+ * 5. Impersonation: the admin is still active and may still impersonate
+ * 6. POST/PUT/PATCH/DELETE: X-CSRF-Token header matches the session's token
+ * Writes while impersonating are then recorded in audit_log before they run.
+ * 
+ * On success sets req.auth = {userId, email, sessionId, impersonatorId},
+ * req.user (users row) and req.restaurant (restaurants row or null)
+ * 
+ * @returns {401} {error} when any check fails (client should try POST /api/refresh)
+ * @returns {403} {error, code: 'CSRF_TOKEN_INVALID'} when a write lacks the CSRF token
+ * @returns {500} {error} when the checks themselves fail (e.g. database unavailable)
+ */
+async function requireAuth(req, res, next) {
+  try {
+    // Step 1: Extract JWT token from cookie
+    const token = req.cookies.rm_auth;
+    if(!token) {
+      if(bearerToken(req)) {
+        return res.status(401).json({error:'API keys are not accepted for this endpoint'});
+      }
+      return res.status(401).json({error:'Not authenticated'});
+    }
+    
+    // Step 2: Verify JWT signature and expiry
+    const data = jwtKeys.verify(token);
+    
+    // Step 3: Check the server-side session (revoked on logout or token reuse)
+    const session = data.sid ? await UserSession.findById(data.sid) : null;
+    if(!session || session.revoked_at || session.user_id !== data.id || (session.impersonator_id || null) !== (data.imp || null)) {
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Session has been revoked'});
+    }
+    if(!UserSession.isActive(session)) {
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Session expired'});
+    }
+    
+    // Step 4: Refuse deleted or deactivated accounts and deactivated restaurants
+    const user = await User.findById(data.id);
+    const restaurant = user && user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+    const refusal = !user ? 'User not found'
+      : !user.is_active ? 'Account is deactivated'
+      : (restaurant && !restaurant.is_active) ? 'Restaurant is deactivated'
+      : null;
+    if(refusal) {
+      // The session cannot be used again, even if the account is reactivated
+      await UserSession.revoke(session.id);
+      clearAuthCookies(res);
+      return res.status(401).json({error:refusal});
+    }
+    
+    // Step 5: Impersonation ends as soon as the admin loses the right to it
+    const impersonatorId = session.impersonator_id || null;
+    if(impersonatorId) {
+      const admin = await User.findById(impersonatorId);
+      if(!admin || !admin.is_active || !permissions.hasPermission(admin.role, 'users:impersonate')) {
+        await UserSession.revoke(session.id);
+        clearAuthCookies(res);
+        return res.status(401).json({error:'Impersonation has ended'});
+      }
+    }
+    
+    // Step 6: Writes must carry the session's CSRF token
+    if(!SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req, session)) {
+      return rejectCsrf(res);
+    }
+    
+    req.auth = {userId: data.id, email: data.email, sessionId: session.id, impersonatorId};
+    req.user = user;
+    req.restaurant = restaurant;
+    requestContext.set({userId: user.id, impersonatorId: impersonatorId || null, restaurantId: user.restaurant_id || null});
+    
+    if(impersonatorId && !SAFE_METHODS.includes(req.method)) {
+      // Recorded before the handler runs: no write goes unaudited
+      try {
+        await recordImpersonatedRequest(req);
+      } catch(auditErr) {
+        logger.error('Impersonation audit error', {error: auditErr.message});
+        return res.status(500).json({error:'Request could not be audited'});
+      }
+    }
+    next();
+  } catch(e) {
+    // Handle specific error types
+    if(e.name === 'TokenExpiredError') {
+      // Access token expired - refresh cookie (if any) is kept for POST /api/refresh
+      res.clearCookie('rm_auth', authCookieOptions());
+      return res.status(401).json({error:'Session expired'});
+    }
+    if(e.name === 'JsonWebTokenError' || e.name === 'NotBeforeError') {
+      return res.status(401).json({error:'Invalid token'});
+    }
+    // Anything else (e.g. the database is down) is our failure, not a bad token:
+    // a 401 would send the client to POST /api/refresh and then to the login page
+    logger.error('Auth error', {error: e.message});
+    res.status(500).json({error:'Authentication failed'});
+  }
+}
+
+/**
+ * Authentication middleware for routes that integrations may call
+ * 
+ * With an Authorization: Bearer header the request is authenticated by API
+ * key only (the cookie is ignored); without it this is requireAuth.
+ * Must be followed by requirePermission(), which checks the key's scopes.
+ * Only for routes whose permission is in permissions.API_KEY_SCOPES; routes
+ * that keys can never pass, or whose handler needs req.user, use requireAuth.
+ * 
+ * On success with a key sets req.auth = {apiKeyId, restaurantId, scopes}
+ * and records the key's last use
+ * 
+ * @returns {401} {error} when the key is unknown, revoked or expired
+ */
+async function requireAuthOrApiKey(req, res, next) {
+  if(!bearerToken(req)) {
+    return requireAuth(req, res, next);
+  }
+  
+  // Looked up by identifyApiKey before rate limiting
+  const apiKey = req.apiKey;
+  if(!apiKey) {
+    return res.status(401).json({error:'Invalid API key'});
+  }
+  
+  try {
+    await ApiKey.touch(apiKey.id, req.ip);
+  } catch(e) {
+    logger.error('API key touch error', {error: e.message});
+  }
+  
+  req.auth = {
+    apiKeyId: apiKey.id,
+    restaurantId: apiKey.restaurant_id,
+    scopes: Array.isArray(apiKey.scopes) ? apiKey.scopes : []
+  };
+  requestContext.set({apiKeyId: apiKey.id, restaurantId: apiKey.restaurant_id});
+  next();
+}
+
+/**
+ * Record a write made while impersonating (audit_log event impersonated_request)
+ * Only the method, path and body field names are kept - never the values,
+ * which may hold passwords or other secrets.
+ * @param {Object} req - Express request (after requireAuth)
+ * @returns {Promise<Object>} audit_log row
+ */
+async function recordImpersonatedRequest(req) {
+  const actions = {POST: 'INSERT', DELETE: 'DELETE'};
+  return await AuditLog.record({
+    tableName: 'user_sessions',
+    recordId: req.auth.sessionId,
+    action: actions[req.method] || 'UPDATE',
+    event: 'impersonated_request',
+    newValues: {
+      userId: req.auth.userId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      fields: req.body && typeof req.body === 'object' ? Object.keys(req.body) : []
+    },
+    performedBy: req.auth.impersonatorId,
+    restaurantId: req.user.restaurant_id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+}
+
+/**
+ * Refuse sensitive account actions in an impersonation session (use after requireAuth)
+ * e.g. password change, two-factor settings, signing out devices
+ * @returns {403} {error, code: 'IMPERSONATION_BLOCKED'} while impersonating
+ */
+function blockWhileImpersonating(req, res, next) {
+  if(req.auth && req.auth.impersonatorId) {
+    return res.status(403).json({error:'Not allowed while impersonating', code:'IMPERSONATION_BLOCKED'});
+  }
+  next();
+}
+
+// ==================== Authorization (Roles & Permissions) ====================
+/**
+ * Role-Based Authorization
+ * 
+ * Every route that reads or changes restaurant data is guarded by
+ *   app.post('/api/...', requireAuthOrApiKey, requirePermission('orders:refund'), handler)
+ * 
+ * - Signed-in users: the permissions of their role
+ * - API keys: their scopes (a subset of the same permission names)
+ * 
+ * - Role -> permission defaults: services/permissions.js (declarative matrix)
+ * - Owners can override manager/staff permissions for their restaurant
+ *   (restaurants.permission_overrides, PUT /api/restaurant/permissions)
+ * - Permissions are resolved from the database on every request, so role
+ *   changes and overrides apply immediately
+ */
+
+/**
+ * Effective permissions of a user
+ * @param {Object} user - users row
+ * @param {Object} restaurant - restaurants row (or null)
+ * @param {boolean} impersonating - An admin is using the user's session (drops IMPERSONATION_EXCLUDED)
+ * @returns {Array<string>} Permission list
+ */
+function permissionsFor(user, restaurant, impersonating = false) {
+  const granted = permissions.resolvePermissions(user.role, restaurant ? restaurant.permission_overrides : {});
+  return impersonating
+    ? granted.filter(permission => !permissions.IMPERSONATION_EXCLUDED.includes(permission))
+    : granted;
+}
+
+/**
+ * Authorization middleware factory (use after requireAuth or requireAuthOrApiKey)
+ * 
+ * On success sets req.user (users row, null for API keys) and
+ * req.restaurant (restaurants row or null); for signed-in users both were
+ * loaded and checked by requireAuth
+ * 
+ * @param {string} permission - Required permission, e.g. 'orders:refund'
+ * @returns {Function} Express middleware
+ * @returns {401} When the key's restaurant no longer exists or is deactivated: {error}
+ * @returns {403} When the role or key scopes lack the permission: {error, permission}
+ * @returns {403} For IMPERSONATION_EXCLUDED permissions while impersonating: {error, code, permission}
+ */
+function requirePermission(permission) {
+  // Typos in route definitions fail at startup, not with a silent 403
+  if(!permissions.PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  
+  return async (req, res, next) => {
+    try {
+      if(!req.auth) {
+        return res.status(401).json({error:'Not authenticated'});
+      }
+      
+      // API key: scopes only, never the account and security permissions
+      if(req.auth.apiKeyId) {
+        const restaurant = await Restaurant.findById(req.auth.restaurantId);
+        if(!restaurant || !restaurant.is_active) {
+          return res.status(401).json({error:'Invalid API key'});
+        }
+        if(!permissions.API_KEY_SCOPES.includes(permission) || !req.auth.scopes.includes(permission)) {
+          return res.status(403).json({error:'Insufficient scope', permission});
+        }
+        req.user = null;
+        req.restaurant = restaurant;
+        return next();
+      }
+      
+      const { user, restaurant } = req;
+      if(!user) {
+        return res.status(401).json({error:'Not authenticated'});
+      }
+      
+      // Impersonating admins never get the sensitive permissions of the user
+      if(req.auth.impersonatorId && permissions.IMPERSONATION_EXCLUDED.includes(permission)) {
+        return res.status(403).json({error:'Not allowed while impersonating', code:'IMPERSONATION_BLOCKED', permission});
+      }
+      
+      if(!permissionsFor(user, restaurant, Boolean(req.auth.impersonatorId)).includes(permission)) {
+        return res.status(403).json({error:'Insufficient permissions', permission});
+      }
+      next();
+    } catch(e) {
+      logger.error('Authorization error', {error: e.message});
+      res.status(500).json({error:'Authorization failed'});
+    }
+  };
+}
+
+// ==================== Input Validation & Sanitization ====================
+/**
+ * Security Layer 1: Input Validation
+ * These functions validate user input format before processing
+ * Prevents: SQL Injection, NoSQL Injection, XSS, Command Injection
+ */
+
+/**
+ * Validate email format with strict rules
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if email format is valid
+ * 
+ * Pattern breakdown:
+ * ^[^\s@]+ - Local part: no spaces/@ symbols
+ * @[^\s@]+ - At symbol followed by domain without spaces/@
+ * \.[^\s@]+ - TLD: dot followed by domain extension
+ * 
+ * Prevents:
+ * - Space injection attacks
+ * - Double @ symbols (allows XSS)
+ * - Missing TLD (prevents invalid domains)
+ * 
+ * Edge cases handled:
+ * - Empty string: returns false
+ * - Non-string type: returns false
+ * - Exceeds RFC 5321 limit (254 chars): returns false
+ * - Missing @: returns false
+ * - Missing TLD: returns false
+ * - Multiple @: returns false
+ */
+const validateEmail = (email) => {
+  // Type check: must be string and non-empty
+  if (!email || typeof email !== 'string') return false;
+  
+  // RFC 5321 compliance: email addresses can't exceed 254 characters
+  if (email.length > 254) return false;
+  
+  // Regex pattern: ensures valid email structure
+  // Rejects: invalid formats, missing parts, spaces, multiple @
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+};
+
+/**
+ * Validate phone number format
+ * @param {string} phone - Phone number to validate
+ * @returns {boolean} True if phone format is valid (or empty)
  * 
  * Pattern: Optional international format
  * - Allows digits, +, -, (), spaces only
@@ -456,6 +1372,42 @@ const validateName = (name) => {
   return /^[a-zA-Z\s\-']*$/.test(name);
 };
 
+/**
+ * Validate an IANA time zone name (restaurants.timezone)
+ * @param {string} timezone - Time zone to validate, e.g. "Europe/Paris"
+ * @returns {boolean} True if the runtime knows the zone
+ * 
+ * Pattern: Area/Location names as in the IANA database (max 50 chars, VARCHAR(50))
+ * - The format check runs first so arbitrary strings never reach Intl
+ * - Intl.DateTimeFormat throws a RangeError for unknown zones
+ * 
+ * Edge cases handled:
+ * - Non-string type: returns false
+ * - Unknown zone ("Mars/Olympus"): returns false
+ * - "UTC": returns true
+ */
+const validateTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length > 50) return false;
+  if (!/^[A-Za-z][A-Za-z0-9_+\-]*(\/[A-Za-z0-9_+\-]+)*$/.test(timezone)) return false;
+  
+  try {
+    new Intl.DateTimeFormat('en-US', {timeZone: timezone});
+    return true;
+  } catch(e) {
+    return false;
+  }
+};
+
+/**
+ * Validate an ISO 4217 currency code (restaurants.currency)
+ * @param {string} currency - Three-letter code, e.g. "EUR"
+ * @returns {boolean} True if it is a currency known to the runtime
+ */
+const validateCurrency = (currency) => {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return false;
+  return Intl.supportedValuesOf('currency').includes(currency);
+};
+
 /**
  * Validate password strength
  * Enhanced requirements for stronger security:
@@ -608,49 +1560,32 @@ const sanitizeString = (str) => {
   return result;
 };
 
-// ==================== Database Functions ====================
-/**
- * Read database from JSON file with error handling
- * 
- * Security consideration: File I/O errors are caught and logged (not exposed to client)
- * 
- * @returns {Object} Database object with users array, or empty object on error
- */
-function readDB(){
-  try{
-    const data = fs.readFileSync(DB_FILE,'utf8');
-    return JSON.parse(data || '{}');
-  }catch(e){
-    console.error('Error reading DB:', e.message);
-    return {users:[]};
-  }
-}
-
+// ==================== Response Shaping ====================
 /**
- * Write database to JSON file with error handling
+ * Convert a users row into the public API shape
  * 
- * Security consideration: Write errors are caught, logged, and propagated as generic error
+ * Security consideration: Only whitelisted columns are copied, so password_hash
+ * (and any column added later) is never exposed by accident.
  * 
- * @param {Object} db - Database object to write
- * @throws {Error} Generic error on write failure (doesn't expose file path)
- */
-function writeDB(db){
-  try{
-    fs.writeFileSync(DB_FILE, JSON.stringify(db,null,2));
-  }catch(e){
-    console.error('Error writing DB:', e.message);
-    throw new Error('Database write failed');
-  }
-}
-
-/**
- * Initialize database file if it doesn't exist
- * Creates empty users array on first run
+ * @param {Object} user - Row from the users table
+ * @param {Object|null} restaurant - Linked restaurants row, if any
+ * @returns {Object} camelCase user object safe to return to the client
  */
-try{
-  if(!fs.existsSync(DB_FILE)) writeDB({users:[]});
-}catch(e){
-  console.error('Failed to initialize database:', e.message);
+function toPublicUser(user, restaurant = null) {
+  return {
+    id: user.id,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    email: user.email,
+    phone: user.phone || null,
+    role: user.role,
+    restaurantId: user.restaurant_id || null,
+    restaurantName: restaurant ? restaurant.name : null,
+    emailVerified: Boolean(user.email_verified_at),
+    mfaEnabled: Boolean(user.totp_enabled_at),
+    lastLogin: user.last_login || null,
+    createdAt: user.created_at
+  };
 }
 
 // ==================== API ENDPOINTS ====================
@@ -667,22 +1602,28 @@ try{
  * 4. Password strength requirement (8+ chars) ensures minimum security
  * 5. Bcryptjs hashing with 10 salt rounds protects password storage
  * 6. Duplicate email check prevents account takeover
+ * 7. Only owners self-register: managers and staff join an existing restaurant by invitation
+ * 8. Creates the restaurants row and the user in one transaction (users.restaurant_id)
+ * 9. Emails a verification link; the account cannot sign in until it is used
  * 
  * @param {string} firstName - User's first name (2+ chars)
  * @param {string} lastName - User's last name (2+ chars)
  * @param {string} email - User's email (valid format, unique)
  * @param {string} password - User's password (8+ chars)
- * @param {string} restaurantName - Restaurant name (2+ chars)
- * @param {string} role - User role (owner, manager, or staff)
+ * @param {string} restaurantName - Restaurant name (2-100 chars)
+ * @param {string} timezone - Restaurant time zone, IANA name (optional, default America/New_York)
+ * @param {string} currency - Restaurant currency, ISO 4217 code (optional, default USD)
+ * @param {string} role - User role (optional, only "owner" is accepted)
  * 
- * @returns {201} On success: {id, email, message}
+ * @returns {201} On success: {id, email, restaurantId, message}
  * @returns {400} On validation failure: {error}
+ * @returns {403} When registering as manager/staff: {error, code: 'INVITATION_REQUIRED'}
  * @returns {409} On duplicate email: {error}
  * @returns {500} On server error: {error}
  */
-app.post('/api/register', registerLimiter, async (req, res) => {
+app.post('/api/register', registerLimiter, validateRequest, async (req, res) => {
   try {
-    const { firstName, lastName, email, password, restaurantName, role, phone } = req.body;
+    const { firstName, lastName, email, password, restaurantName, timezone, currency, role = 'owner', phone } = req.body;
     
     // Step 1: Validate phone number FIRST (before sanitizing - to catch injection attempts)
     if(phone && !validatePhone(phone)) {
@@ -717,46 +1658,60 @@ app.post('/api/register', registerLimiter, async (req, res) => {
       return res.status(400).json({error: passwordValidation.reason});
     }
     
-    // Step 7: Validate restaurant name
-    if(!cleanRestaurant || cleanRestaurant.length < 2 || cleanRestaurant.length > 255) {
-      return res.status(400).json({error:'Restaurant name must be 2-255 characters'});
+    // Step 7: Validate restaurant name (restaurants.name is VARCHAR(100))
+    if(!cleanRestaurant || cleanRestaurant.length < 2 || cleanRestaurant.length > 100) {
+      return res.status(400).json({error:'Restaurant name must be 2-100 characters'});
+    }
+    
+    // Step 8: Validate restaurant settings (optional, database defaults otherwise)
+    if(timezone !== undefined && !validateTimezone(timezone)) {
+      return res.status(400).json({error:'Time zone must be a valid IANA time zone (e.g. Europe/Paris)'});
+    }
+    if(currency !== undefined && !validateCurrency(currency)) {
+      return res.status(400).json({error:'Currency must be a 3-letter ISO 4217 code (e.g. EUR)'});
     }
     
-    // Step 8: Validate role (whitelist approach - only allow specific roles)
-    if(!role || !['owner','manager','staff'].includes(role)) {
+    // Step 9: Validate role - owner is the only self-service role
+    // Managers and staff are invited to an existing restaurant instead of naming one
+    if(['manager','staff'].includes(role)) {
+      return res.status(403).json({error:'Managers and staff join a restaurant by invitation from its owner', code:'INVITATION_REQUIRED'});
+    }
+    if(role !== 'owner') {
       return res.status(400).json({error:'Invalid role'});
     }
     
-    // Step 9: Check for duplicate email (prevent account hijacking)
-    const db = readDB();
-    if(db.users.find(u=>u.email === cleanEmail)){
+    // Step 10: Check for duplicate email (prevent account hijacking)
+    if(await User.findByEmail(cleanEmail)){
       return res.status(409).json({error:'User already exists'});
     }
     
-    // Step 10: Hash password with bcryptjs (10 salt rounds provides strong security)
-    const hash = await bcrypt.hash(password, 10);
+    // Step 11: Create the restaurant and its owner atomically
+    // (User.create hashes the password with bcryptjs, 10 salt rounds)
+    const restaurantData = {name: cleanRestaurant};
+    if(timezone !== undefined) restaurantData.timezone = timezone;
+    if(currency !== undefined) restaurantData.currency = currency;
     
-    // Step 11: Create user object with sanitized data
-    const user = {
-      id: Date.now(),
-      firstName: cleanFirst,
-      lastName: cleanLast,
+    const { user, restaurant } = await User.createWithRestaurant({
       email: cleanEmail,
-      passwordHash: hash, // Never store plain password
+      password,
+      first_name: cleanFirst,
+      last_name: cleanLast,
       phone: cleanPhone || null,
-      restaurantName: cleanRestaurant,
-      role,
-      createdAt: new Date().toISOString()
-    };
+      role: 'owner'
+    }, restaurantData);
     
-    // Step 12: Save to database and return success
-    db.users.push(user);
-    writeDB(db);
+    // Step 12: Email the verification link (a failed send is recoverable via resend)
+    try {
+      await sendVerificationEmail(user, req.ip);
+    } catch(mailErr) {
+      logger.error('Verification email error', {error: mailErr.message});
+    }
     
-    res.status(201).json({id:user.id, email:user.email, message:'User created successfully'});
+    // Step 13: Return success (id is the users.id UUID)
+    res.status(201).json({id:user.id, email:user.email, restaurantId:restaurant.id, message:'User created successfully'});
   }catch(e){
     // Error handling: Log internally, return generic message to client
-    console.error('Register error:', e.message);
+    logger.error('Register error', {error: e.message});
     res.status(500).json({error:'Registration failed'});
   }
 });
@@ -771,22 +1726,30 @@ app.post('/api/register', registerLimiter, async (req, res) => {
  * 1. Rate limiting prevents brute-force password attacks
  * 2. Bcryptjs password comparison is timing-safe (resistant to timing attacks)
  * 3. Unified error messages prevent user enumeration
- * 4. JWT token expires in 2 hours (forces re-authentication)
- * 5. HttpOnly cookies prevent XSS token theft
- * 6. Secure flag prevents HTTP transmission in production
- * 7. SameSite=Strict prevents CSRF attacks
+ * 4. Access token (JWT) expires in 15 minutes; refresh token rotates on every use
+ * 5. Session recorded in user_sessions so it can be revoked server-side
+ * 6. HttpOnly cookies prevent XSS token theft
+ * 7. Secure flag prevents HTTP transmission in production
+ * 8. SameSite=Strict prevents CSRF attacks
+ * 9. Accounts with an unverified email are refused (only after the password matched)
+ * 10. Accounts with 2FA get an "mfa pending" token instead of cookies (see POST /api/login/mfa)
+ * 11. Per-account lockout after repeated failures, from any IP (see Account Lockout)
  * 
  * @param {string} email - User's email
  * @param {string} password - User's password
+ * @param {boolean} remember - "Keep me signed in": 30-day persistent refresh cookie (optional)
  * 
  * @returns {200} On success: {ok: true, message}
+ * @returns {200} When 2FA is needed: {ok: true, mfaRequired | mfaSetupRequired: true, mfaToken}
  * @returns {400} On validation failure: {error}
  * @returns {401} On invalid credentials: {error} (same message for missing email/wrong password)
+ * @returns {403} On unverified email: {error, code: 'EMAIL_NOT_VERIFIED'}
+ * @returns {403} On locked account: {error: 'Account is locked', code: 'ACCOUNT_LOCKED'}
  * @returns {500} On server error: {error}
  */
-app.post('/api/login', loginLimiter, async (req, res) => {
+app.post('/api/login', loginLimiter, validateRequest, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, remember } = req.body;
     
     // Step 1: Sanitize and validate email
     const cleanEmail = sanitizeString(email).toLowerCase();
@@ -800,80 +1763,224 @@ app.post('/api/login', loginLimiter, async (req, res) => {
       return res.status(400).json({error:'Password is required'});
     }
     
-    // Step 3: Lookup user by email
-    const db = readDB();
-    const user = db.users.find(u=>u.email === cleanEmail);
+    // Step 3: Verify credentials (User.authenticate uses bcryptjs; last_login is recorded when the session starts)
+    let user;
+    try {
+      user = await User.authenticate(cleanEmail, password);
+    } catch(authErr) {
+      if(authErr.code === 'ACCOUNT_LOCKED') {
+        return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+      }
+      if(authErr.code !== 'ACCOUNT_DEACTIVATED') throw authErr;
+      user = null;
+    }
     
     // Security: Unified error message prevents user enumeration attacks
-    // Attacker cannot distinguish between "email not found" and "wrong password"
+    // Attacker cannot distinguish between "email not found", "wrong password" or "deactivated"
     if(!user) {
+      // Per-account failure counter: the threshold locks the account (any IP)
+      const account = await User.findByEmail(cleanEmail);
+      if(account && await registerLoginFailure(account, req)) {
+        return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+      }
       return res.status(401).json({error:'Invalid credentials'});
     }
     
-    // Step 4: Compare password with bcryptjs (timing-safe comparison)
-    const match = await bcrypt.compare(password, user.passwordHash);
-    if(!match) {
-      // Same error message as "user not found" - prevents user enumeration
-      return res.status(401).json({error:'Invalid credentials'});
+    // Step 4: Require a verified email address
+    // Safe to reveal: the caller has already proven they know the password
+    if(!user.email_verified_at) {
+      return res.status(403).json({error:'Email address not verified', code:'EMAIL_NOT_VERIFIED'});
     }
     
-    // Step 5: Create JWT token with 2-hour expiry
-    const token = jwt.sign({id:user.id, email:user.email}, JWT_SECRET, {expiresIn:'2h'});
+    // "Remember me" extends the session and makes the refresh cookie persistent
+    const rememberMe = remember === true || remember === 'true';
     
-    // Step 6: Set secure cookie with appropriate flags
-    // Note: Cookie maxAge is 2 hours, matching JWT expiry
-    const secure = NODE_ENV === 'production'; // Only allow HTTPS in production
-    res.cookie('rm_auth', token, {
-      httpOnly: true,       // Prevent JavaScript access (XSS protection)
-      secure: secure,       // Enforce HTTPS in production
-      sameSite: 'Strict',   // Prevent CSRF attacks, stricter than 'Lax'
-      maxAge: 2 * 60 * 60 * 1000 // 2 hours in milliseconds
-    });
+    // Step 5: Two-factor step - no cookies yet, only a short-lived "mfa pending" token
+    if(user.totp_enabled_at) {
+      return res.json({ok:true, mfaRequired:true, mfaToken:signMfaToken(user, 'verify', rememberMe)});
+    }
+    const restaurant = user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+    if(restaurant && restaurant.require_mfa) {
+      // Restaurant requires 2FA but this user has not enrolled yet
+      return res.json({ok:true, mfaSetupRequired:true, mfaToken:signMfaToken(user, 'setup', rememberMe)});
+    }
+    
+    // Step 6: Start a server-side session (refresh-token family) and set secure cookies
+    await startLoginSession(req, res, user, rememberMe);
     
     res.json({ok:true, message:'Login successful'});
   }catch(e){
-    console.error('Login error:', e.message);
+    logger.error('Login error', {error: e.message});
     res.status(500).json({error:'Login failed'});
   }
 });
 
+/**
+ * POST /api/refresh - Rotate Refresh Token Endpoint
+ * 
+ * Exchanges the rm_refresh cookie for a new access token and a new refresh token.
+ * Each refresh token is single-use: once rotated, presenting it again is treated
+ * as theft and the whole token family (session) is revoked.
+ * 
+ * Security Measures:
+ * 1. Refresh token only accepted from HttpOnly cookie (path /api)
+ * 2. Stored as SHA-256 hash, compared in constant time
+ * 3. Conditional rotation - concurrent reuse cannot yield two valid tokens
+ * 4. Reuse detection revokes the session for every holder, except for the
+ *    client that rotated the token in the last REFRESH_REUSE_GRACE_MS (another
+ *    tab): it gets a new access token and keeps the already-rotated refresh cookie
+ * 5. Absolute session expiry is never extended by refreshing
+ * 6. Deactivated users (or restaurants) get no new tokens; their session is revoked
+ * 7. Requires the session's CSRF token (X-CSRF-Token); sessions created before
+ *    CSRF tokens existed are let through once and given one (rm_csrf cookie)
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {401} On missing/invalid/expired/revoked/reused token: {error}
+ * @returns {403} When the CSRF token is missing or wrong: {error, code}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/refresh', async (req, res) => {
+  try {
+    // Step 1: Extract refresh token from cookie
+    const refreshToken = req.cookies.rm_refresh;
+    if(!refreshToken) {
+      return res.status(401).json({error:'Not authenticated'});
+    }
+    
+    // Step 2: Find the token family (session) the token belongs to
+    const sessionId = UserSession.parseRefreshToken(refreshToken);
+    const session = sessionId ? await UserSession.findById(sessionId) : null;
+    if(!session) {
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Invalid refresh token'});
+    }
+    
+    if(session.revoked_at) {
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Session has been revoked'});
+    }
+    
+    if(!UserSession.isActive(session)) {
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Session expired'});
+    }
+    
+    // Step 3: CSRF token (checked before the refresh token is spent)
+    if(session.csrf_token_hash && !hasValidCsrfToken(req, session)) {
+      return rejectCsrf(res);
+    }
+    
+    // Step 4: Reuse detection - an already-rotated token revokes the whole family
+    const client = {ipAddress: req.ip, userAgent: req.get('user-agent')};
+    const newRefreshToken = UserSession.isCurrentToken(session, refreshToken)
+      ? await UserSession.rotate(session.id, refreshToken, client)
+      : null;
+    
+    // Unless the same client rotated it a moment ago (two tabs refreshing together):
+    // the other response already set the new refresh cookie in this browser
+    const rotated = newRefreshToken ? null : await UserSession.findById(session.id);
+    const concurrent = Boolean(rotated) &&
+      UserSession.isRecentlyRotatedToken(rotated, refreshToken, client, REFRESH_REUSE_GRACE_MS);
+    
+    if(!newRefreshToken && !concurrent) {
+      await UserSession.revoke(session.id);
+      logger.warn('Refresh token reuse detected, session revoked', {sessionId: session.id, userId: session.user_id});
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Session has been revoked'});
+    }
+    
+    // Step 5: Issue new access token and rotated refresh token
+    const user = await User.findById(session.user_id);
+    if(!user) {
+      await UserSession.revoke(session.id);
+      clearAuthCookies(res);
+      return res.status(401).json({error:'User not found'});
+    }
+    if(!user.is_active || !(await User.isRestaurantActive(user))) {
+      await UserSession.revoke(session.id);
+      clearAuthCookies(res);
+      return res.status(401).json({error:'Account is deactivated'});
+    }
+    
+    const accessToken = signAccessToken(user, session.id, session.impersonator_id);
+    if(concurrent) {
+      setAccessCookie(res, accessToken);
+      return res.json({ok:true, message:'Session refreshed'});
+    }
+    const csrfToken = session.csrf_token_hash ? null : await UserSession.issueCsrfToken(session.id);
+    setAuthCookies(res, accessToken, newRefreshToken, session, csrfToken);
+    res.json({ok:true, message:'Session refreshed'});
+  } catch(e) {
+    logger.error('Refresh error', {error: e.message});
+    res.status(500).json({error:'Refresh failed'});
+  }
+});
+
 /**
  * POST /api/logout - User Logout Endpoint
  * 
  * Security Features:
- * 1. Clears the authentication cookie
- * 2. Blacklists the JWT token for immediate revocation
+ * 1. Clears the access and refresh cookies
+ * 2. Revokes the session row in user_sessions (whole refresh-token family)
  * 3. Prevents unauthorized access even if token is compromised
+ * 4. In an impersonation session, also signs out the admin's own session
+ * 5. Needs the session's CSRF token (X-CSRF-Token) while the session is live
  * 
- * Token Blacklist:
- * - Token added to blacklist immediately
- * - Remains blacklisted for original expiry duration (2 hours)
- * - Protected endpoints check against blacklist
- * - Automatic cleanup when token naturally expires
+ * Session Revocation:
+ * - revoked_at is set immediately, shared by all server instances
+ * - Works with either cookie, so an expired access token still logs out
+ * - Revoked rows are purged by the cleanup job once the session expires
  * 
  * @returns {200} {ok: true, message}
+ * @returns {403} When a live session's CSRF token is missing or wrong: {error, code}
  */
-app.post('/api/logout', (req, res)=>{
+app.post('/api/logout', async (req, res)=>{
   try {
-    const token = req.cookies.rm_auth;
+    const { rm_auth: accessToken, rm_refresh: refreshToken } = req.cookies;
     
-    // Step 1: Clear cookie
-    res.clearCookie('rm_auth', {
-      httpOnly: true,
-      secure: NODE_ENV === 'production',
-      sameSite: 'Strict'
-    });
+    // Step 1: Work out which session to revoke (only from a token we can verify)
+    let sessionId = null;
+    if(accessToken) {
+      try {
+        // Expired access tokens may still log out; signature must be valid
+        sessionId = jwtKeys.verify(accessToken, {ignoreExpiration: true}).sid || null;
+      } catch(verifyErr) {
+        sessionId = null;
+      }
+    }
+    const refreshSessionId = UserSession.parseRefreshToken(refreshToken);
+    if(!sessionId && refreshSessionId) {
+      const session = await UserSession.findById(refreshSessionId);
+      if(session && UserSession.isCurrentToken(session, refreshToken)) {
+        sessionId = session.id;
+      }
+    }
+    const session = sessionId ? await UserSession.findById(sessionId) : null;
     
-    // Step 2: Blacklist token for immediate revocation
-    if (token) {
-      // Token remains valid for 2 hours, so blacklist for 2 hours
-      const TWO_HOURS_MS = 2 * 60 * 60 * 1000;
-      blacklistToken(token, TWO_HOURS_MS);
+    // Step 2: A live session is only ended with its CSRF token
+    if(UserSession.isActive(session) && session.csrf_token_hash && !hasValidCsrfToken(req, session)) {
+      return rejectCsrf(res);
+    }
+    
+    // Step 3: Clear cookies
+    clearAuthCookies(res);
+    clearImpersonationReturnCookie(res);
+    
+    // Step 4: Revoke the server-side session (no-op if already revoked)
+    if(session && await UserSession.revoke(session.id)) {
+      // Signing out while impersonating ends the impersonation and the admin's session
+      if(session.impersonator_id) {
+        await endImpersonation(req, session, 'logout');
+        const adminSession = await findImpersonatorSession(req, session.impersonator_id);
+        if(adminSession) {
+          await UserSession.revoke(adminSession.id);
+        }
+      }
     }
     
     res.json({ok:true, message:'Logged out successfully'});
   } catch(e) {
-    console.error('Logout error:', e.message);
+    logger.error('Logout error', {error: e.message});
     res.status(500).json({error:'Logout failed'});
   }
 });
@@ -881,68 +1988,2620 @@ app.post('/api/logout', (req, res)=>{
 /**
  * GET /api/me - Get Current User Endpoint
  * 
- * Protected endpoint - requires valid authentication cookie
+ * Protected endpoint - requires valid authentication cookie and active session
  * 
  * Security Measures:
- * 1. Token blacklist check prevents access after logout
+ * 1. requireAuth rejects revoked/expired sessions (user_sessions)
  * 2. JWT token validation prevents unauthorized access
- * 3. Token expiry enforcement (2 hours) limits session window
- * 4. Expired tokens trigger automatic cookie cleanup
+ * 3. Access token expiry (15 minutes) limits the window of a stolen token
+ * 4. Expired tokens trigger automatic cookie cleanup (client then calls /api/refresh)
  * 5. User existence verification prevents returning deleted users
  * 6. Password hash is stripped from response (never expose hashes)
  * 
- * @returns {200} {user: {id, firstName, lastName, email, ...}} (passwordHash excluded)
- * @returns {401} On missing/invalid/expired/blacklisted token: {error}
+ * @returns {200} {user: {id, firstName, lastName, email, phone, role, restaurantId, restaurantName, ..., permissions},
+ *                impersonation: {impersonator: {id, email, firstName, lastName}, expiresAt} | null}
+ * @returns {401} On missing/invalid/expired/revoked token: {error}
  * @returns {500} On server error: {error}
  */
-app.get('/api/me', (req, res)=>{
+app.get('/api/me', requireAuth, async (req, res)=>{
   try {
-    // Step 1: Extract JWT token from cookie
-    const token = req.cookies.rm_auth;
-    if(!token) {
-      return res.status(401).json({error:'Not authenticated'});
+    // Lookup user in database
+    const user = await User.findById(req.auth.userId);
+    
+    if(!user) {
+      return res.status(401).json({error:'User not found'});
+    }
+    
+    // Return whitelisted fields only (password_hash is never exposed)
+    const restaurant = user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+    const impersonatorId = req.auth.impersonatorId;
+    let impersonation = null;
+    if(impersonatorId) {
+      // Who is really signed in, for the banner
+      const admin = await User.findById(impersonatorId);
+      const session = await UserSession.findById(req.auth.sessionId);
+      impersonation = {
+        impersonator: {id: admin.id, email: admin.email, firstName: admin.first_name, lastName: admin.last_name},
+        expiresAt: session.expires_at
+      };
+    }
+    res.json({
+      user: {...toPublicUser(user, restaurant), permissions:permissionsFor(user, restaurant, Boolean(impersonatorId))},
+      impersonation
+    });
+  }catch(e){
+    logger.error('Get user error', {error: e.message});
+    res.status(500).json({error:'Failed to load user'});
+  }
+});
+
+/**
+ * PUT /api/me - Update Profile Endpoint
+ * 
+ * Protected endpoint - requires valid authentication cookie and active session
+ * 
+ * Security Measures:
+ * 1. Only name and phone can be changed here (email, role and restaurant cannot)
+ * 2. Same validation and sanitization as registration
+ * 3. Fields that are not sent are left unchanged
+ * 
+ * @param {string} firstName - 2-50 letters (optional)
+ * @param {string} lastName - 2-50 letters (optional)
+ * @param {string|null} phone - Phone number, or "" / null to remove it (optional)
+ * 
+ * @returns {200} {user} (same shape as GET /api/me)
+ * @returns {400} On validation failure or empty update: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {500} On server error: {error}
+ */
+app.put('/api/me', requireAuth, validateRequest, async (req, res) => {
+  try {
+    const { firstName, lastName, phone } = req.body;
+    const changes = {};
+    
+    // Step 1: Validate phone FIRST (before sanitizing - to catch injection attempts)
+    if(phone !== undefined) {
+      if(phone && !validatePhone(phone)) {
+        return res.status(400).json({error:'Phone number format is invalid'});
+      }
+      changes.phone = sanitizeString(phone || '') || null;
+    }
+    
+    // Step 2: Sanitize and validate names
+    if(firstName !== undefined) {
+      const cleanFirst = sanitizeString(firstName);
+      if(!cleanFirst || !validateName(cleanFirst)) {
+        return res.status(400).json({error:'First name must be 2-50 characters, letters only'});
+      }
+      changes.first_name = cleanFirst;
+    }
+    if(lastName !== undefined) {
+      const cleanLast = sanitizeString(lastName);
+      if(!cleanLast || !validateName(cleanLast)) {
+        return res.status(400).json({error:'Last name must be 2-50 characters, letters only'});
+      }
+      changes.last_name = cleanLast;
+    }
+    
+    if(Object.keys(changes).length === 0) {
+      return res.status(400).json({error:'Nothing to update'});
+    }
+    
+    // Step 3: Save and return the updated profile
+    const user = await User.update(req.auth.userId, changes);
+    const restaurant = user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+    res.json({user:{...toPublicUser(user, restaurant), permissions:permissionsFor(user, restaurant, Boolean(req.auth.impersonatorId))}});
+  } catch(e) {
+    logger.error('Update profile error', {error: e.message});
+    res.status(500).json({error:'Failed to update profile'});
+  }
+});
+
+/**
+ * POST /api/me/password - Change Password Endpoint
+ * 
+ * Protected endpoint - requires valid authentication cookie and active session
+ * Rate Limited: 10 failed attempts per account per 15 minutes
+ * 
+ * Security Measures:
+ * 1. Current password required (a hijacked session alone cannot change it);
+ *    wrong ones count toward the account lockout like failed logins
+ * 2. New password must meet the registration strength rules
+ * 3. Password history: the current and 5 previous passwords are refused
+ * 4. Every other session is signed out; the current one stays signed in
+ * 
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {400} On wrong current password, weak or reused new password: {error, code?}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the account is (or just became) locked: {error, code}
+ * @returns {429} Too many failed attempts
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/me/password', requireAuth, blockWhileImpersonating, passwordChangeLimiter, validateRequest, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    // Step 1: Validate input
+    if(!currentPassword || typeof currentPassword !== 'string') {
+      return res.status(400).json({error:'Current password is required'});
+    }
+    const passwordValidation = validatePassword(newPassword);
+    if(passwordValidation !== true) {
+      return res.status(400).json({error: passwordValidation.reason});
+    }
+    
+    // Step 2: A locked account cannot keep guessing from a session it still holds
+    const account = await User.findById(req.auth.userId);
+    if(User.isLocked(account)) {
+      return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+    }
+    
+    // Step 3: Verify, check history, store and sign out the other sessions
+    try {
+      await User.changePassword(req.auth.userId, currentPassword, newPassword, req.auth.sessionId);
+    } catch(changeErr) {
+      if(changeErr.code === 'INVALID_PASSWORD' && await registerLoginFailure(account, req)) {
+        return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+      }
+      if(changeErr.code === 'INVALID_PASSWORD' || changeErr.code === 'PASSWORD_REUSED') {
+        return res.status(400).json({error: changeErr.message, code: changeErr.code});
+      }
+      throw changeErr;
+    }
+    
+    res.json({ok:true, message:'Password changed. Other sessions have been signed out.'});
+  } catch(e) {
+    logger.error('Change password error', {error: e.message});
+    res.status(500).json({error:'Failed to change password'});
+  }
+});
+
+// ==================== Password Reset ====================
+/**
+ * Forgot / Reset Password Flow
+ * 
+ * 1. POST /api/password/forgot emails a single-use link: reset-password.html?token=...
+ * 2. POST /api/password/reset redeems the token and sets the new password
+ * 
+ * - Tokens: 32 random bytes, stored as SHA-256 hash in user_tokens (purpose password_reset)
+ * - Lifetime: 1 hour; requesting a new link invalidates older ones
+ * - Single use: redemption marks the token used atomically
+ * - Responses never reveal whether an email is registered: the link is issued
+ *   and sent after the response (queueEmail), so neither timing nor mail
+ *   transport failures differ between known and unknown addresses
+ * - A successful reset revokes every session of the account
+ */
+
+// Reset link lifetime
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Email jobs still running after their response was sent (drained on shutdown)
+const pendingEmails = new Set();
+
+/**
+ * Run an email job after the response has been sent
+ * Errors are logged, never thrown. The job keeps the request context, so its
+ * audit entries carry the request ID.
+ * @param {string} label - Job name for the error log
+ * @param {Function} job - async () => void
+ */
+function queueEmail(label, job) {
+  const pending = new Promise(resolve => setImmediate(resolve))
+    .then(job)
+    .catch(e => logger.error(`${label} error`, {error: e.message}))
+    .finally(() => pendingEmails.delete(pending));
+  pendingEmails.add(pending);
+}
+
+/**
+ * Wait until every queued email job has finished
+ * @returns {Promise<void>}
+ */
+async function flushEmails() {
+  while(pendingEmails.size > 0) {
+    await Promise.all([...pendingEmails]);
+  }
+}
+
+/**
+ * Email a password reset link
+ * @param {Object} user - users row
+ * @param {string} token - Raw reset token
+ */
+async function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      'We received a request to reset the password for your Restaurant Management account.',
+      `Use this link within ${PASSWORD_RESET_TTL_MS / 60000} minutes to choose a new password:`,
+      '',
+      link,
+      '',
+      'If you did not request this, you can ignore this email - your password will not change.'
+    ].join('\n')
+  });
+}
+
+/**
+ * POST /api/password/forgot - Request Password Reset Email
+ * 
+ * Rate Limited: 5 requests per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. Unified response whether or not the email exists (prevents user enumeration)
+ * 2. Deactivated accounts silently receive nothing
+ * 3. Only the hash of the reset token is stored
+ * 4. Token and email are handled after the response, so response time and
+ *    mail transport errors are the same for every address
+ * 
+ * @param {string} email - Account email
+ * 
+ * @returns {200} {ok: true, message} (always, for any well-formed email)
+ * @returns {400} On invalid email format: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/password/forgot', passwordResetLimiter, validateRequest, async (req, res) => {
+  try {
+    // Step 1: Sanitize and validate email
+    const cleanEmail = sanitizeString(req.body.email).toLowerCase();
+    if(!cleanEmail || !validateEmail(cleanEmail)) {
+      return res.status(400).json({error:'Valid email is required'});
+    }
+    
+    // Step 2: Issue and send a reset link only for active accounts, after the response
+    const user = await User.findByEmail(cleanEmail);
+    if(user && user.is_active) {
+      queueEmail('Password reset email', async () => {
+        const token = await UserToken.issue(user.id, 'password_reset', PASSWORD_RESET_TTL_MS, {ipAddress: req.ip});
+        await sendPasswordResetEmail(user, token);
+      });
+    }
+    
+    // Step 3: Same response in every case
+    res.json({ok:true, message:'If an account exists for that email, a password reset link has been sent'});
+  } catch(e) {
+    logger.error('Forgot password error', {error: e.message});
+    res.status(500).json({error:'Password reset request failed'});
+  }
+});
+
+/**
+ * POST /api/password/reset - Set New Password With Reset Token
+ * 
+ * Rate Limited: 5 requests per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. Password strength validated BEFORE the token is consumed
+ * 2. Token is single-use and expires after 1 hour
+ * 3. Same error for unknown, used and expired tokens
+ * 4. All existing sessions are revoked after the reset
+ * 
+ * @param {string} token - Token from the emailed link
+ * @param {string} password - New password (validatePassword rules)
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {400} On weak password or invalid/expired token: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/password/reset', passwordResetLimiter, validateRequest, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    // Step 1: Validate new password strength
+    const passwordValidation = validatePassword(password);
+    if(passwordValidation !== true) {
+      return res.status(400).json({error: passwordValidation.reason});
+    }
+    
+    // Step 2: Redeem the token (atomic, single use)
+    const record = await UserToken.consume(token, 'password_reset');
+    const user = record ? await User.findById(record.user_id) : null;
+    if(!user || !user.is_active) {
+      return res.status(400).json({error:'Invalid or expired reset token'});
+    }
+    
+    // Step 3: Set the new password and sign out everywhere
+    await User.resetPassword(user.id, password);
+    await UserSession.revokeAllForUser(user.id);
+    
+    res.json({ok:true, message:'Password has been reset. Please sign in.'});
+  } catch(e) {
+    logger.error('Reset password error', {error: e.message});
+    res.status(500).json({error:'Password reset failed'});
+  }
+});
+
+// ==================== Email Verification ====================
+/**
+ * Email Verification Flow
+ * 
+ * 1. POST /api/register emails a link: /api/verify-email?token=...
+ * 2. GET /api/verify-email (link click) or POST /api/verify-email (API clients)
+ *    redeems the token and sets users.email_verified_at
+ * 3. POST /api/verify-email/resend sends a fresh link
+ * 
+ * - Tokens: single-use user_tokens rows (purpose email_verification), valid 24 hours
+ * - POST /api/login refuses unverified accounts with code EMAIL_NOT_VERIFIED
+ */
+
+// Verification link lifetime
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Email an address verification link
+ * @param {Object} user - users row
+ * @param {string} ipAddress - Requesting IP (stored with the token)
+ */
+async function sendVerificationEmail(user, ipAddress) {
+  const token = await UserToken.issue(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MS, {ipAddress});
+  const link = `${APP_URL}/api/verify-email?token=${encodeURIComponent(token)}`;
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      'Please confirm the email address for your Restaurant Management account:',
+      '',
+      link,
+      '',
+      `The link expires in ${EMAIL_VERIFICATION_TTL_MS / 3600000} hours. If you did not sign up, you can ignore this email.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Redeem a verification token
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<boolean>} True if the account is now verified
+ */
+async function verifyEmailToken(token) {
+  const record = await UserToken.consume(token, 'email_verification');
+  if(!record) return false;
+  
+  const user = await User.findById(record.user_id);
+  if(!user) return false;
+  if(!user.email_verified_at) {
+    await User.markEmailVerified(user.id);
+  }
+  return true;
+}
+
+/**
+ * GET /api/verify-email - Verify Email From Link
+ * 
+ * Target of the emailed link; redirects to the sign-in page with the outcome.
+ * 
+ * @param {string} token - Query parameter from the emailed link
+ * 
+ * @returns {302} Redirect to /login.html?verified=1 (success) or ?verified=0 (invalid/expired)
+ * @returns {400} When token is not a single string: {error, code: 'VALIDATION_ERROR'}
+ */
+app.get('/api/verify-email', validateRequest, async (req, res) => {
+  try {
+    const verified = await verifyEmailToken(req.query.token);
+    res.redirect(`/login.html?verified=${verified ? 1 : 0}`);
+  } catch(e) {
+    logger.error('Verify email error', {error: e.message});
+    res.redirect('/login.html?verified=0');
+  }
+});
+
+/**
+ * POST /api/verify-email - Verify Email (JSON)
+ * 
+ * @param {string} token - Token from the emailed link
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {400} On unknown, used or expired token: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/verify-email', validateRequest, async (req, res) => {
+  try {
+    if(!await verifyEmailToken(req.body.token)) {
+      return res.status(400).json({error:'Invalid or expired verification token'});
+    }
+    res.json({ok:true, message:'Email address verified'});
+  } catch(e) {
+    logger.error('Verify email error', {error: e.message});
+    res.status(500).json({error:'Email verification failed'});
+  }
+});
+
+/**
+ * POST /api/verify-email/resend - Resend Verification Email
+ * 
+ * Rate Limited: 5 requests per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. Unified response whether the email is unknown, unverified or already verified
+ * 2. A new link invalidates earlier ones
+ * 
+ * @param {string} email - Account email
+ * 
+ * @returns {200} {ok: true, message} (always, for any well-formed email)
+ * @returns {400} On invalid email format: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/verify-email/resend', verificationLimiter, validateRequest, async (req, res) => {
+  try {
+    // Step 1: Sanitize and validate email
+    const cleanEmail = sanitizeString(req.body.email).toLowerCase();
+    if(!cleanEmail || !validateEmail(cleanEmail)) {
+      return res.status(400).json({error:'Valid email is required'});
+    }
+    
+    // Step 2: Only active, still-unverified accounts get a new link
+    const user = await User.findByEmail(cleanEmail);
+    if(user && user.is_active && !user.email_verified_at) {
+      await sendVerificationEmail(user, req.ip);
+    }
+    
+    // Step 3: Same response in every case
+    res.json({ok:true, message:'If that account needs verification, a new link has been sent'});
+  } catch(e) {
+    logger.error('Resend verification error', {error: e.message});
+    res.status(500).json({error:'Could not resend verification email'});
+  }
+});
+
+// ==================== Two-Factor Authentication (TOTP) ====================
+/**
+ * TOTP Two-Factor Authentication (RFC 6238)
+ * 
+ * Login with 2FA enabled:
+ * 1. POST /api/login (password OK) -> {mfaRequired: true, mfaToken}
+ * 2. POST /api/login/mfa {mfaToken, code | recoveryCode} -> session cookies
+ * 
+ * Restaurant requires 2FA but the user has not enrolled:
+ * 1. POST /api/login -> {mfaSetupRequired: true, mfaToken}
+ * 2. POST /api/login/mfa/setup {mfaToken} -> {secret, otpauthUrl}
+ * 3. POST /api/login/mfa {mfaToken, code} -> session cookies + recovery codes
+ * 
+ * Signed-in management: GET /api/mfa, POST /api/mfa/setup|enable|disable|recovery-codes
+ * Restaurant policy: PUT /api/restaurant/mfa-policy (owners and admins)
+ * 
+ * - mfaToken: JWT (audience "mfa"), 5 minutes, never accepted as an access token
+ * - Each code works once (users.totp_last_step), +-30 seconds clock drift allowed
+ * - 10 single-use recovery codes, stored hashed (user_recovery_codes)
+ */
+
+// "mfa pending" token lifetime and audience
+const MFA_TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const MFA_TOKEN_AUDIENCE = 'mfa';
+
+// Issuer shown in authenticator apps
+const TOTP_ISSUER = 'Restaurant Management';
+
+/**
+ * Issue an "mfa pending" token after a correct password
+ * @param {Object} user - users row
+ * @param {string} purpose - 'verify' (enter a code) or 'setup' (enroll first)
+ * @param {boolean} rememberMe - Carried over to the session started after the code
+ * @returns {string} JWT
+ */
+function signMfaToken(user, purpose, rememberMe) {
+  return jwtKeys.sign({id:user.id, purpose, remember:rememberMe}, {
+    expiresIn: MFA_TOKEN_TTL_MS / 1000,
+    audience: MFA_TOKEN_AUDIENCE,
+    jwtid: crypto.randomUUID()
+  });
+}
+
+/**
+ * Verify an "mfa pending" token
+ * @param {string} token - JWT from POST /api/login
+ * @returns {Object|null} Payload {id, purpose, remember}, or null if invalid/expired
+ */
+function verifyMfaToken(token) {
+  if(typeof token !== 'string') return null;
+  try {
+    return jwtKeys.verify(token, {audience: MFA_TOKEN_AUDIENCE});
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Check a TOTP code against the user's secret and burn its time step
+ * @param {Object} user - users row (totp_secret)
+ * @param {string} code - 6-digit code
+ * @returns {Promise<number|null>} Accepted step, or null if wrong or already used
+ */
+async function checkTotpCode(user, code) {
+  if(!user.totp_secret) return null;
+  const step = totp.verify(user.totp_secret, code);
+  if(step === null) return null;
+  return await User.recordTotpStep(user.id, step) ? step : null;
+}
+
+/**
+ * Start TOTP enrollment: new secret plus provisioning URI for the QR code
+ * @param {Object} user - users row
+ * @returns {Promise<Object>} {secret, otpauthUrl}
+ */
+async function beginTotpEnrollment(user) {
+  const secret = totp.generateSecret();
+  await User.startTotpEnrollment(user.id, secret);
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({secret, account:user.email, issuer:TOTP_ISSUER})
+  };
+}
+
+/**
+ * Confirm enrollment with a first code; enables 2FA and issues recovery codes
+ * @param {Object} user - users row with a pending totp_secret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is wrong
+ */
+async function completeTotpEnrollment(user, code) {
+  if(!user.totp_secret) return null;
+  const step = totp.verify(user.totp_secret, code);
+  if(step === null) return null;
+  
+  await User.enableTotp(user.id, step);
+  return await UserRecoveryCode.replaceForUser(user.id);
+}
+
+/**
+ * POST /api/login/mfa - Second Login Step
+ * 
+ * Rate Limited: 10 failed attempts per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. Requires the 5-minute "mfa pending" token from POST /api/login (password already checked)
+ * 2. TOTP codes are single-use (replay of the same code is refused)
+ * 3. Recovery codes are single-use and stored hashed
+ * 4. For setup tokens, the first code confirms enrollment and recovery codes are returned once
+ * 5. Wrong codes count toward the per-account lockout
+ * 
+ * @param {string} mfaToken - Token from POST /api/login
+ * @param {string} code - 6-digit TOTP code
+ * @param {string} recoveryCode - Alternative to code (enrolled users only)
+ * 
+ * @returns {200} {ok: true, message[, recoveryCodes][, recoveryCodesRemaining]} and session cookies
+ * @returns {400} On missing code: {error}
+ * @returns {401} On expired token or wrong code: {error}
+ * @returns {403} On locked account: {error, code: 'ACCOUNT_LOCKED'}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/login/mfa', mfaLimiter, validateRequest, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    
+    // Step 1: Validate the "mfa pending" token
+    const pending = verifyMfaToken(mfaToken);
+    if(!pending) {
+      return res.status(401).json({error:'Verification expired, please sign in again'});
+    }
+    if(!code && !recoveryCode) {
+      return res.status(400).json({error:'Verification code is required'});
+    }
+    
+    // Step 2: Re-check the account (may have been deactivated or locked meanwhile)
+    const user = await User.findById(pending.id);
+    if(!user || !user.is_active || !(await User.isRestaurantActive(user))) {
+      return res.status(401).json({error:'Verification expired, please sign in again'});
+    }
+    if(User.isLocked(user)) {
+      return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+    }
+    
+    // Step 3a: Forced enrollment - first code enables 2FA
+    if(pending.purpose === 'setup' && !user.totp_enabled_at) {
+      const recoveryCodes = await completeTotpEnrollment(user, code);
+      if(!recoveryCodes) {
+        return res.status(401).json({error:'Invalid verification code'});
+      }
+      await startLoginSession(req, res, user, pending.remember);
+      return res.json({ok:true, message:'Login successful', recoveryCodes});
+    }
+    if(!user.totp_enabled_at) {
+      return res.status(401).json({error:'Verification expired, please sign in again'});
+    }
+    
+    // Step 3b: TOTP code or recovery code
+    // Wrong codes count toward the account lockout like wrong passwords
+    const response = {ok:true, message:'Login successful'};
+    if(code) {
+      if(await checkTotpCode(user, code) === null) {
+        if(await registerLoginFailure(user, req)) return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+        return res.status(401).json({error:'Invalid verification code'});
+      }
+    } else {
+      if(!await UserRecoveryCode.consume(user.id, recoveryCode)) {
+        if(await registerLoginFailure(user, req)) return res.status(403).json(ACCOUNT_LOCKED_RESPONSE);
+        return res.status(401).json({error:'Invalid recovery code'});
+      }
+      response.recoveryCodesRemaining = await UserRecoveryCode.countRemaining(user.id);
+    }
+    
+    // Step 4: Start the session
+    await startLoginSession(req, res, user, pending.remember);
+    res.json(response);
+  } catch(e) {
+    logger.error('MFA login error', {error: e.message});
+    res.status(500).json({error:'Login failed'});
+  }
+});
+
+/**
+ * POST /api/login/mfa/setup - Start Forced Enrollment During Login
+ * 
+ * Only for "mfa pending" tokens issued because the restaurant requires 2FA.
+ * 
+ * @param {string} mfaToken - Setup token from POST /api/login
+ * 
+ * @returns {200} {secret, otpauthUrl}
+ * @returns {400} When mfaToken is not a string: {error, code: 'VALIDATION_ERROR'}
+ * @returns {401} On invalid/expired token: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/login/mfa/setup', mfaLimiter, validateRequest, async (req, res) => {
+  try {
+    const pending = verifyMfaToken(req.body.mfaToken);
+    const user = pending && pending.purpose === 'setup' ? await User.findById(pending.id) : null;
+    if(!user || !user.is_active || user.totp_enabled_at) {
+      return res.status(401).json({error:'Verification expired, please sign in again'});
+    }
+    
+    res.json(await beginTotpEnrollment(user));
+  } catch(e) {
+    logger.error('MFA setup error', {error: e.message});
+    res.status(500).json({error:'Two-factor setup failed'});
+  }
+});
+
+/**
+ * GET /api/mfa - Two-Factor Status
+ * 
+ * @returns {200} {enabled, required, recoveryCodesRemaining}
+ * @returns {401} When not authenticated: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/mfa', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if(!user) {
+      return res.status(401).json({error:'User not found'});
+    }
+    const restaurant = user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+    
+    res.json({
+      enabled: Boolean(user.totp_enabled_at),
+      required: Boolean(restaurant && restaurant.require_mfa),
+      recoveryCodesRemaining: user.totp_enabled_at ? await UserRecoveryCode.countRemaining(user.id) : 0
+    });
+  } catch(e) {
+    logger.error('MFA status error', {error: e.message});
+    res.status(500).json({error:'Failed to load two-factor status'});
+  }
+});
+
+/**
+ * POST /api/mfa/setup - Start Enrollment
+ * 
+ * Generates a new secret; 2FA is not enforced until POST /api/mfa/enable confirms a code.
+ * 
+ * @returns {200} {secret, otpauthUrl} (otpauthUrl is the content of the QR code)
+ * @returns {401} When not authenticated: {error}
+ * @returns {409} When 2FA is already enabled: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/mfa/setup', requireAuth, blockWhileImpersonating, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if(!user) {
+      return res.status(401).json({error:'User not found'});
+    }
+    if(user.totp_enabled_at) {
+      return res.status(409).json({error:'Two-factor authentication is already enabled'});
+    }
+    
+    res.json(await beginTotpEnrollment(user));
+  } catch(e) {
+    logger.error('MFA setup error', {error: e.message});
+    res.status(500).json({error:'Two-factor setup failed'});
+  }
+});
+
+/**
+ * POST /api/mfa/enable - Confirm Enrollment
+ * 
+ * @param {string} code - First 6-digit code from the authenticator app
+ * 
+ * @returns {200} {ok: true, recoveryCodes} (codes are shown only once)
+ * @returns {400} On missing setup or wrong code: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {409} When 2FA is already enabled: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/mfa/enable', requireAuth, blockWhileImpersonating, mfaLimiter, validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if(!user) {
+      return res.status(401).json({error:'User not found'});
+    }
+    if(user.totp_enabled_at) {
+      return res.status(409).json({error:'Two-factor authentication is already enabled'});
+    }
+    if(!user.totp_secret) {
+      return res.status(400).json({error:'Start two-factor setup first'});
+    }
+    
+    const recoveryCodes = await completeTotpEnrollment(user, req.body.code);
+    if(!recoveryCodes) {
+      return res.status(400).json({error:'Invalid verification code'});
+    }
+    
+    res.json({ok:true, message:'Two-factor authentication enabled', recoveryCodes});
+  } catch(e) {
+    logger.error('MFA enable error', {error: e.message});
+    res.status(500).json({error:'Failed to enable two-factor authentication'});
+  }
+});
+
+/**
+ * POST /api/mfa/disable - Turn Off Two-Factor Authentication
+ * 
+ * Security Measures:
+ * 1. Requires the account password AND a current code
+ * 2. Refused while the restaurant requires 2FA
+ * 
+ * @param {string} password - Account password
+ * @param {string} code - Current 6-digit code
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {400} When 2FA is not enabled: {error}
+ * @returns {401} On wrong password/code or not authenticated: {error}
+ * @returns {403} When the restaurant requires 2FA: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/mfa/disable', requireAuth, blockWhileImpersonating, mfaLimiter, validateRequest, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.auth.userId);
+    if(!user) {
+      return res.status(401).json({error:'User not found'});
+    }
+    if(!user.totp_enabled_at) {
+      return res.status(400).json({error:'Two-factor authentication is not enabled'});
+    }
+    
+    const restaurant = user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+    if(restaurant && restaurant.require_mfa) {
+      return res.status(403).json({error:'Your restaurant requires two-factor authentication'});
+    }
+    
+    if(!password || !await User.comparePassword(String(password), user.password_hash)) {
+      return res.status(401).json({error:'Invalid credentials'});
+    }
+    if(await checkTotpCode(user, code) === null) {
+      return res.status(401).json({error:'Invalid verification code'});
+    }
+    
+    await User.disableTotp(user.id);
+    await UserRecoveryCode.deleteForUser(user.id);
+    res.json({ok:true, message:'Two-factor authentication disabled'});
+  } catch(e) {
+    logger.error('MFA disable error', {error: e.message});
+    res.status(500).json({error:'Failed to disable two-factor authentication'});
+  }
+});
+
+/**
+ * POST /api/mfa/recovery-codes - Replace Recovery Codes
+ * 
+ * @param {string} code - Current 6-digit code
+ * 
+ * @returns {200} {ok: true, recoveryCodes} (previous codes stop working)
+ * @returns {400} When 2FA is not enabled: {error}
+ * @returns {401} On wrong code or not authenticated: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/mfa/recovery-codes', requireAuth, blockWhileImpersonating, mfaLimiter, validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.userId);
+    if(!user) {
+      return res.status(401).json({error:'User not found'});
+    }
+    if(!user.totp_enabled_at) {
+      return res.status(400).json({error:'Two-factor authentication is not enabled'});
+    }
+    if(await checkTotpCode(user, req.body.code) === null) {
+      return res.status(401).json({error:'Invalid verification code'});
+    }
+    
+    const recoveryCodes = await UserRecoveryCode.replaceForUser(user.id);
+    res.json({ok:true, recoveryCodes});
+  } catch(e) {
+    logger.error('Recovery codes error', {error: e.message});
+    res.status(500).json({error:'Failed to generate recovery codes'});
+  }
+});
+
+/**
+ * PUT /api/restaurant/mfa-policy - Require 2FA For The Whole Restaurant
+ * 
+ * Permission: restaurant:security (owners and admins by default)
+ * 
+ * Security Measures:
+ * 1. Only roles with restaurant:security can change the policy
+ * 2. The caller must have 2FA enabled before requiring it for others
+ * 3. Users without 2FA must enroll at their next sign-in
+ * 
+ * @param {boolean} required - Policy value
+ * 
+ * @returns {200} {ok: true, required}
+ * @returns {400} On non-boolean value: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks restaurant:security or has no restaurant: {error}
+ * @returns {409} When requiring 2FA without having it enabled: {error}
+ * @returns {500} On server error: {error}
+ */
+app.put('/api/restaurant/mfa-policy', requireAuth, requirePermission('restaurant:security'), validateRequest, async (req, res) => {
+  try {
+    const { required } = req.body;
+    if(typeof required !== 'boolean') {
+      return res.status(400).json({error:'required must be true or false'});
+    }
+    
+    const user = req.user;
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    if(required && !user.totp_enabled_at) {
+      return res.status(409).json({error:'Enable two-factor authentication on your own account first'});
+    }
+    
+    const restaurant = await Restaurant.setRequireMfa(user.restaurant_id, required);
+    res.json({ok:true, required:Boolean(restaurant.require_mfa)});
+  } catch(e) {
+    logger.error('MFA policy error', {error: e.message});
+    res.status(500).json({error:'Failed to update two-factor policy'});
+  }
+});
+
+// ==================== Account Lockout ====================
+/**
+ * Per-Account Lockout
+ * 
+ * The IP-based loginLimiter cannot slow a distributed attack on one account,
+ * so failures are also counted per account (users.failed_login_count):
+ * 
+ * - 5 consecutive failures (wrong password or 2FA code) lock the account
+ * - Lock windows double with each lockout: 15 min, 30 min, 1 h... capped at 24 h
+ * - A successful login resets both counters
+ * - The owner is emailed a single-use unlock link (user_tokens, purpose account_unlock)
+ * - Restaurant owners/admins can unlock their users: POST /api/users/:id/unlock
+ * - Lock and unlock events are written to audit_log (event account_locked / account_unlocked)
+ */
+
+// Lockout policy
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_BASE_MS = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000; // 24 hours
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Response for any request refused because the account is locked
+const ACCOUNT_LOCKED_RESPONSE = {error:'Account is locked', code:'ACCOUNT_LOCKED'};
+
+/**
+ * Length of the next lock window
+ * @param {number} lockoutCount - Lockouts so far (users.lockout_count)
+ * @returns {number} Milliseconds
+ */
+function lockoutWindowMs(lockoutCount) {
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (lockoutCount || 0), LOCKOUT_MAX_MS);
+}
+
+/**
+ * Count a failed login for an account and lock it at the threshold
+ * Errors in the notification email are logged, never thrown
+ * @param {Object} account - users row
+ * @param {Object} req - Express request (IP / user agent for the audit entry)
+ * @returns {Promise<boolean>} True if this failure locked the account
+ */
+async function registerLoginFailure(account, req) {
+  if(!account.is_active) return false;
+  
+  const counters = await User.recordFailedLogin(account.id);
+  if(!counters || counters.failed_login_count < MAX_FAILED_LOGINS) return false;
+  
+  const windowMs = lockoutWindowMs(counters.lockout_count);
+  const lockedUntil = new Date(Date.now() + windowMs);
+  await User.lock(account.id, lockedUntil);
+  
+  await AuditLog.record({
+    tableName: 'users',
+    recordId: account.id,
+    event: 'account_locked',
+    newValues: {locked_until: lockedUntil.toISOString(), failed_logins: counters.failed_login_count},
+    restaurantId: account.restaurant_id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  
+  try {
+    await sendUnlockEmail(account, lockedUntil, req.ip);
+  } catch(mailErr) {
+    logger.error('Unlock email error', {error: mailErr.message});
+  }
+  return true;
+}
+
+/**
+ * Email a single-use unlock link to a locked account
+ * @param {Object} account - users row
+ * @param {Date} lockedUntil - Lock expiry
+ * @param {string} ipAddress - IP that triggered the lock (stored with the token)
+ */
+async function sendUnlockEmail(account, lockedUntil, ipAddress) {
+  const token = await UserToken.issue(account.id, 'account_unlock', UNLOCK_TOKEN_TTL_MS, {ipAddress});
+  const link = `${APP_URL}/api/unlock-account?token=${encodeURIComponent(token)}`;
+  await mailer.sendMail({
+    to: account.email,
+    subject: 'Your account has been locked',
+    text: [
+      `Hi ${account.first_name},`,
+      '',
+      `Your Restaurant Management account was locked after ${MAX_FAILED_LOGINS} failed sign-in attempts.`,
+      `It unlocks automatically at ${lockedUntil.toISOString()}.`,
+      '',
+      'If this was you, unlock it now with this link:',
+      '',
+      link,
+      '',
+      'If this was not you, someone may be guessing your password: unlock the account and consider resetting your password.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Unlock an account and record the audit entry
+ * @param {Object} account - users row
+ * @param {Object} req - Express request
+ * @param {Object} details - {method: 'email' | 'admin', performedBy}
+ */
+async function unlockAccount(account, req, details) {
+  await User.unlock(account.id);
+  await UserToken.invalidate(account.id, 'account_unlock');
+  await AuditLog.record({
+    tableName: 'users',
+    recordId: account.id,
+    event: 'account_unlocked',
+    oldValues: {locked_until: account.locked_until},
+    newValues: {method: details.method},
+    performedBy: details.performedBy,
+    restaurantId: account.restaurant_id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+}
+
+/**
+ * Redeem an unlock token
+ * @param {string} token - Token from the emailed link
+ * @param {Object} req - Express request
+ * @returns {Promise<boolean>} True if the account is now unlocked
+ */
+async function unlockWithToken(token, req) {
+  const record = await UserToken.consume(token, 'account_unlock');
+  const account = record ? await User.findById(record.user_id) : null;
+  if(!account) return false;
+  
+  await unlockAccount(account, req, {method:'email', performedBy:account.id});
+  return true;
+}
+
+/**
+ * GET /api/unlock-account - Unlock From Email Link
+ * 
+ * @param {string} token - Query parameter from the emailed link
+ * 
+ * @returns {302} Redirect to /login.html?unlocked=1 (success) or ?unlocked=0 (invalid/expired)
+ * @returns {400} When token is not a single string: {error, code: 'VALIDATION_ERROR'}
+ */
+app.get('/api/unlock-account', validateRequest, async (req, res) => {
+  try {
+    const unlocked = await unlockWithToken(req.query.token, req);
+    res.redirect(`/login.html?unlocked=${unlocked ? 1 : 0}`);
+  } catch(e) {
+    logger.error('Unlock account error', {error: e.message});
+    res.redirect('/login.html?unlocked=0');
+  }
+});
+
+/**
+ * POST /api/unlock-account - Unlock From Email Token (JSON)
+ * 
+ * @param {string} token - Token from the emailed link
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {400} On unknown, used or expired token: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/unlock-account', validateRequest, async (req, res) => {
+  try {
+    if(!await unlockWithToken(req.body.token, req)) {
+      return res.status(400).json({error:'Invalid or expired unlock token'});
+    }
+    res.json({ok:true, message:'Account unlocked'});
+  } catch(e) {
+    logger.error('Unlock account error', {error: e.message});
+    res.status(500).json({error:'Account unlock failed'});
+  }
+});
+
+/**
+ * POST /api/users/:id/unlock - Admin Unlock
+ * 
+ * Permission: users:unlock (owners and admins by default)
+ * 
+ * Security Measures:
+ * 1. Only roles with users:unlock can unlock, and only users of their own restaurant
+ * 2. Users of other restaurants get 404 (no cross-tenant existence leak)
+ * 3. Audit entry records who unlocked the account
+ * 
+ * @param {string} id - User ID (URL parameter)
+ * 
+ * @returns {200} {ok: true, message}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks users:unlock: {error}
+ * @returns {404} When the user is not in the caller's restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/users/:id/unlock', requireAuth, requirePermission('users:unlock'), validateRequest, async (req, res) => {
+  try {
+    const caller = req.user;
+    
+    // Step 1: Target must belong to the caller's restaurant
+    const target = /^[0-9a-f-]{36}$/i.test(req.params.id) ? await User.findById(req.params.id) : null;
+    if(!target || !caller.restaurant_id || target.restaurant_id !== caller.restaurant_id) {
+      return res.status(404).json({error:'User not found'});
+    }
+    
+    // Step 2: Unlock and audit
+    await unlockAccount(target, req, {method:'admin', performedBy:caller.id});
+    res.json({ok:true, message:'Account unlocked'});
+  } catch(e) {
+    logger.error('Admin unlock error', {error: e.message});
+    res.status(500).json({error:'Account unlock failed'});
+  }
+});
+
+// ==================== Restaurant ====================
+
+/**
+ * Convert a restaurants row into the public API shape
+ * @param {Object} restaurant - restaurants row
+ * @returns {Object} camelCase restaurant
+ */
+function toPublicRestaurant(restaurant) {
+  return {
+    id: restaurant.id,
+    name: restaurant.name,
+    phone: restaurant.phone || null,
+    email: restaurant.email || null,
+    timezone: restaurant.timezone,
+    currency: restaurant.currency,
+    mfaRequired: Boolean(restaurant.require_mfa),
+    createdAt: restaurant.created_at
+  };
+}
+
+/**
+ * GET /api/restaurant - The Caller's Restaurant
+ * 
+ * Permission: restaurant:read (cookie or API key)
+ * 
+ * @returns {200} {restaurant: {id, name, phone, email, timezone, currency, mfaRequired, createdAt}}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks restaurant:read or has no restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/restaurant', requireAuthOrApiKey, requirePermission('restaurant:read'), async (req, res) => {
+  try {
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    res.json({restaurant: toPublicRestaurant(req.restaurant)});
+  } catch(e) {
+    logger.error('Restaurant error', {error: e.message});
+    res.status(500).json({error:'Failed to load restaurant'});
+  }
+});
+
+// ==================== Permission Overrides ====================
+
+/**
+ * Describe the permission matrix of a restaurant
+ * @param {Object} restaurant - restaurants row
+ * @returns {Object} {permissions, roles: {manager|staff: {defaults, overrides, effective}}}
+ */
+function describePermissionMatrix(restaurant) {
+  const overrides = restaurant.permission_overrides || {};
+  const roles = {};
+  for(const role of permissions.OVERRIDABLE_ROLES) {
+    roles[role] = {
+      defaults: permissions.ROLE_PERMISSIONS[role],
+      overrides: overrides[role] || {},
+      effective: permissions.resolvePermissions(role, overrides)
+    };
+  }
+  return {permissions: permissions.PERMISSIONS, roles};
+}
+
+/**
+ * GET /api/restaurant/permissions - Permission Matrix Of The Caller's Restaurant
+ * 
+ * Permission: permissions:manage (owners and admins)
+ * 
+ * @returns {200} {permissions, roles: {manager, staff}} with defaults, overrides and effective lists
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks permissions:manage or has no restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/restaurant/permissions', requireAuth, requirePermission('permissions:manage'), async (req, res) => {
+  try {
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    res.json(describePermissionMatrix(req.restaurant));
+  } catch(e) {
+    logger.error('Permissions error', {error: e.message});
+    res.status(500).json({error:'Failed to load permissions'});
+  }
+});
+
+/**
+ * PUT /api/restaurant/permissions - Override A Role Permission
+ * 
+ * Permission: permissions:manage (owners and admins)
+ * 
+ * Security Measures:
+ * 1. Only manager and staff permissions can be overridden
+ * 2. permissions:manage itself can never be granted (no self-escalation)
+ * 3. Overrides only affect the caller's restaurant
+ * 
+ * @param {string} role - manager or staff
+ * @param {string} permission - e.g. 'orders:refund'
+ * @param {boolean|null} allowed - Grant, revoke, or null to restore the default
+ * 
+ * @returns {200} {ok: true, role, permissions} (effective permissions of the role)
+ * @returns {400} On unknown role/permission or invalid value: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks permissions:manage or has no restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.put('/api/restaurant/permissions', requireAuth, requirePermission('permissions:manage'), validateRequest, async (req, res) => {
+  try {
+    const { role, permission, allowed } = req.body;
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    
+    // Step 1: Validate the override
+    const overrideError = permissions.validateOverride(role, permission);
+    if(overrideError) {
+      return res.status(400).json({error: overrideError});
+    }
+    if(allowed !== null && typeof allowed !== 'boolean') {
+      return res.status(400).json({error:'allowed must be true, false or null'});
+    }
+    
+    // Step 2: Store it and return the role's effective permissions
+    const restaurant = await Restaurant.setPermissionOverride(req.restaurant.id, role, permission, allowed);
+    res.json({ok:true, role, permissions:permissions.resolvePermissions(role, restaurant.permission_overrides)});
+  } catch(e) {
+    logger.error('Permissions error', {error: e.message});
+    res.status(500).json({error:'Failed to update permissions'});
+  }
+});
+
+// ==================== Staff Invitations ====================
+/**
+ * Staff Invitation Flow
+ * 
+ * Owner registration is the only self-service sign-up. Everyone else joins a
+ * restaurant through an invitation:
+ * 1. POST /api/invitations {email, role} emails a link: /accept-invite.html?token=...
+ * 2. GET /api/invitations/accept?token=... shows who is invited to what
+ * 3. POST /api/invitations/accept {token, firstName, lastName, password} creates the
+ *    account with the invited role and restaurant (email counts as verified)
+ * 
+ * - Tokens: SHA-256 hashed in user_invitations, valid 7 days; resending replaces the token
+ * - users:invite lets a role invite staff; inviting managers also needs users:manage
+ */
+
+// Invitation link lifetime
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Convert a user_invitations row into the public API shape (token hash never exposed)
+ * @param {Object} invitation - user_invitations row
+ * @returns {Object} camelCase invitation
+ */
+function toPublicInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    status: UserInvitation.statusOf(invitation),
+    invitedBy: invitation.invited_by || null,
+    expiresAt: invitation.expires_at,
+    acceptedAt: invitation.accepted_at || null,
+    revokedAt: invitation.revoked_at || null,
+    createdAt: invitation.created_at
+  };
+}
+
+/**
+ * Whether the caller may invite (or resend/revoke an invitation for) a role
+ * @param {Object} req - Request that passed requirePermission('users:invite')
+ * @param {string} role - manager | staff
+ * @returns {boolean}
+ */
+function canInviteRole(req, role) {
+  return role === 'staff' || permissionsFor(req.user, req.restaurant).includes('users:manage');
+}
+
+/**
+ * Restaurant of an invitation that may still be accepted
+ * The restaurant must be active, and the inviter still active, still on its
+ * team and still allowed to invite the role: an invitation never outlives
+ * the access of whoever sent it.
+ * @param {Object} invitation - Pending user_invitations row
+ * @returns {Promise<Object|null>} restaurants row, or null when the invitation is no longer valid
+ */
+async function invitationRestaurant(invitation) {
+  const restaurant = await Restaurant.findById(invitation.restaurant_id);
+  if(!restaurant || !restaurant.is_active) return null;
+  
+  const inviter = invitation.invited_by ? await User.findById(invitation.invited_by) : null;
+  if(!inviter || !inviter.is_active || inviter.restaurant_id !== restaurant.id) return null;
+  const granted = permissionsFor(inviter, restaurant);
+  if(!granted.includes('users:invite')) return null;
+  if(invitation.role !== 'staff' && !granted.includes('users:manage')) return null;
+  return restaurant;
+}
+
+/**
+ * Email an invitation link
+ * @param {Object} invitation - user_invitations row
+ * @param {string} token - Raw invitation token
+ * @param {Object} inviter - users row of the person inviting
+ * @param {Object} restaurant - restaurants row
+ */
+async function sendInvitationEmail(invitation, token, inviter, restaurant) {
+  const link = `${APP_URL}/accept-invite.html?token=${encodeURIComponent(token)}`;
+  await mailer.sendMail({
+    to: invitation.email,
+    subject: `You're invited to join ${restaurant.name}`,
+    text: [
+      'Hi,',
+      '',
+      `${inviter.first_name} ${inviter.last_name} invited you to join ${restaurant.name} on Restaurant Management as ${invitation.role}.`,
+      '',
+      'Accept the invitation and choose your password here:',
+      '',
+      link,
+      '',
+      `The link expires in ${INVITATION_TTL_MS / 86400000} days. If you were not expecting this invitation, you can ignore this email.`
+    ].join('\n')
+  });
+}
+
+/**
+ * Load an invitation of the caller's restaurant
+ * @param {Object} req - Request that passed requirePermission()
+ * @returns {Promise<Object|null>} user_invitations row or null
+ */
+async function findRestaurantInvitation(req) {
+  if(!/^[0-9a-f-]{36}$/i.test(req.params.id)) return null;
+  const invitation = await UserInvitation.findById(req.params.id);
+  if(!invitation || !req.restaurant || invitation.restaurant_id !== req.restaurant.id) return null;
+  return invitation;
+}
+
+/**
+ * POST /api/invitations - Invite A Team Member
+ * 
+ * Permission: users:invite (inviting a manager also needs users:manage)
+ * 
+ * Security Measures:
+ * 1. Role and restaurant are fixed by the inviter, never chosen by the invitee
+ * 2. Only manager and staff can be invited (owners register, admins are provisioned)
+ * 3. Token stored as a SHA-256 hash; the raw token only travels by email
+ * 
+ * @param {string} email - Invitee email
+ * @param {string} role - manager or staff
+ * 
+ * @returns {201} {invitation: {id, email, role, status, expiresAt, ...}}
+ * @returns {400} On invalid email or role: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller may not invite this role: {error}
+ * @returns {409} When the email already has an account or a pending invitation: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/invitations', requireAuth, requirePermission('users:invite'), validateRequest, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const cleanEmail = sanitizeString(email).toLowerCase();
+    
+    // Step 1: Validate the request
+    if(!cleanEmail || !validateEmail(cleanEmail)) {
+      return res.status(400).json({error:'Valid email is required'});
+    }
+    if(!['manager','staff'].includes(role)) {
+      return res.status(400).json({error:'Role must be manager or staff'});
+    }
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    if(!canInviteRole(req, role)) {
+      return res.status(403).json({error:'Insufficient permissions', permission:'users:manage'});
+    }
+    
+    // Step 2: One account per email, one pending invitation per email and restaurant
+    if(await User.findByEmail(cleanEmail)) {
+      return res.status(409).json({error:'A user with this email already exists'});
+    }
+    if(await UserInvitation.findPending(req.restaurant.id, cleanEmail)) {
+      return res.status(409).json({error:'An invitation is already pending for this email'});
+    }
+    
+    // Step 3: Create and send the invitation
+    const { invitation, token } = await UserInvitation.issue({
+      restaurantId: req.restaurant.id,
+      email: cleanEmail,
+      role,
+      invitedBy: req.user.id
+    }, INVITATION_TTL_MS);
+    
+    try {
+      await sendInvitationEmail(invitation, token, req.user, req.restaurant);
+    } catch(mailErr) {
+      logger.error('Invitation email error', {error: mailErr.message});
+    }
+    
+    res.status(201).json({invitation: toPublicInvitation(invitation)});
+  } catch(e) {
+    logger.error('Invitation error', {error: e.message});
+    res.status(500).json({error:'Failed to create invitation'});
+  }
+});
+
+/**
+ * GET /api/invitations - List The Restaurant's Invitations
+ * 
+ * Permission: users:invite
+ * 
+ * @returns {200} {invitations: [{id, email, role, status, expiresAt, ...}]} newest first
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks users:invite: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/invitations', requireAuth, requirePermission('users:invite'), async (req, res) => {
+  try {
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    const invitations = await UserInvitation.findByRestaurant(req.restaurant.id);
+    res.json({invitations: invitations.map(toPublicInvitation)});
+  } catch(e) {
+    logger.error('Invitation error', {error: e.message});
+    res.status(500).json({error:'Failed to load invitations'});
+  }
+});
+
+/**
+ * POST /api/invitations/:id/resend - Resend An Invitation
+ * 
+ * Permission: users:invite (users:manage for manager invitations)
+ * Issues a new link (the previous one stops working) and restarts the 7-day lifetime.
+ * Expired invitations can be resent; accepted and revoked ones cannot.
+ * 
+ * @returns {200} {invitation}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller may not manage this invitation: {error}
+ * @returns {404} When the invitation is not in the caller's restaurant: {error}
+ * @returns {409} When the invitation was accepted or revoked: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/invitations/:id/resend', requireAuth, requirePermission('users:invite'), validateRequest, async (req, res) => {
+  try {
+    const existing = await findRestaurantInvitation(req);
+    if(!existing) {
+      return res.status(404).json({error:'Invitation not found'});
+    }
+    if(!canInviteRole(req, existing.role)) {
+      return res.status(403).json({error:'Insufficient permissions', permission:'users:manage'});
+    }
+    
+    const renewed = await UserInvitation.renew(existing.id, INVITATION_TTL_MS);
+    if(!renewed) {
+      return res.status(409).json({error:`Invitation is already ${UserInvitation.statusOf(existing)}`});
+    }
+    
+    try {
+      await sendInvitationEmail(renewed.invitation, renewed.token, req.user, req.restaurant);
+    } catch(mailErr) {
+      logger.error('Invitation email error', {error: mailErr.message});
+    }
+    
+    res.json({invitation: toPublicInvitation(renewed.invitation)});
+  } catch(e) {
+    logger.error('Invitation error', {error: e.message});
+    res.status(500).json({error:'Failed to resend invitation'});
+  }
+});
+
+/**
+ * DELETE /api/invitations/:id - Revoke An Invitation
+ * 
+ * Permission: users:invite (users:manage for manager invitations)
+ * The emailed link stops working immediately.
+ * 
+ * @returns {200} {invitation}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller may not manage this invitation: {error}
+ * @returns {404} When the invitation is not in the caller's restaurant: {error}
+ * @returns {409} When the invitation was already accepted or revoked: {error}
+ * @returns {500} On server error: {error}
+ */
+app.delete('/api/invitations/:id', requireAuth, requirePermission('users:invite'), validateRequest, async (req, res) => {
+  try {
+    const existing = await findRestaurantInvitation(req);
+    if(!existing) {
+      return res.status(404).json({error:'Invitation not found'});
+    }
+    if(!canInviteRole(req, existing.role)) {
+      return res.status(403).json({error:'Insufficient permissions', permission:'users:manage'});
+    }
+    
+    const revoked = await UserInvitation.revoke(existing.id);
+    if(!revoked) {
+      return res.status(409).json({error:`Invitation is already ${UserInvitation.statusOf(existing)}`});
+    }
+    res.json({invitation: toPublicInvitation(revoked)});
+  } catch(e) {
+    logger.error('Invitation error', {error: e.message});
+    res.status(500).json({error:'Failed to revoke invitation'});
+  }
+});
+
+/**
+ * GET /api/invitations/accept - Invitation Details For The Accept Page
+ * 
+ * Rate Limited: 10 requests per IP per 15 minutes
+ * 
+ * @param {string} token - Query parameter from the emailed link
+ * 
+ * @returns {200} {email, role, restaurantName, expiresAt}
+ * @returns {400} When token is not a single string: {error, code: 'VALIDATION_ERROR'}
+ * @returns {404} On unknown, accepted, revoked or expired token, or when the
+ *   restaurant or the inviter has lost access since (see invitationRestaurant): {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/invitations/accept', invitationLimiter, validateRequest, async (req, res) => {
+  try {
+    const invitation = await UserInvitation.findByToken(req.query.token);
+    const restaurant = invitation ? await invitationRestaurant(invitation) : null;
+    if(!restaurant) {
+      return res.status(404).json({error:'Invalid or expired invitation'});
+    }
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      restaurantName: restaurant.name,
+      expiresAt: invitation.expires_at
+    });
+  } catch(e) {
+    logger.error('Invitation error', {error: e.message});
+    res.status(500).json({error:'Failed to load invitation'});
+  }
+});
+
+/**
+ * POST /api/invitations/accept - Accept An Invitation
+ * 
+ * Rate Limited: 10 requests per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. Email, role and restaurant come from the invitation, not the request body
+ * 2. Same name/phone/password validation as registration
+ * 3. Token is single-use: claiming it and creating the user happen in one transaction
+ * 4. The email is marked verified (the invitee proved access by following the link)
+ * 5. Refused once the restaurant is deactivated or the inviter has lost the
+ *    right to invite the role
+ * 
+ * @param {string} token - Token from the emailed link
+ * @param {string} firstName - 2-50 letters
+ * @param {string} lastName - 2-50 letters
+ * @param {string} password - Strong password (same rules as registration)
+ * @param {string} phone - Optional phone number
+ * 
+ * @returns {201} {id, email, role, restaurantId, message}
+ * @returns {400} On validation failure, invalid/expired token, or an invitation that is no longer valid: {error}
+ * @returns {409} When an account already exists for the invited email: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/invitations/accept', invitationLimiter, validateRequest, async (req, res) => {
+  try {
+    const { token, firstName, lastName, password, phone } = req.body;
+    
+    // Step 1: Validate the profile and password
+    if(phone && !validatePhone(phone)) {
+      return res.status(400).json({error:'Phone number format is invalid'});
+    }
+    const cleanFirst = sanitizeString(firstName);
+    const cleanLast = sanitizeString(lastName);
+    const cleanPhone = sanitizeString(phone || '');
+    if(!cleanFirst || !validateName(cleanFirst)) {
+      return res.status(400).json({error:'First name must be 2-50 characters, letters only'});
+    }
+    if(!cleanLast || !validateName(cleanLast)) {
+      return res.status(400).json({error:'Last name must be 2-50 characters, letters only'});
+    }
+    const passwordValidation = validatePassword(password);
+    if(passwordValidation !== true) {
+      return res.status(400).json({error: passwordValidation.reason});
+    }
+    
+    // Step 2: The invitation must still be pending and valid, and its email unused
+    const invitation = await UserInvitation.findByToken(token);
+    if(!invitation || !await invitationRestaurant(invitation)) {
+      return res.status(400).json({error:'Invalid or expired invitation'});
+    }
+    if(await User.findByEmail(invitation.email)) {
+      return res.status(409).json({error:'An account already exists for this email'});
+    }
+    
+    // Step 3: Claim the invitation and create the account atomically
+    const accepted = await UserInvitation.accept(token, {
+      password,
+      first_name: cleanFirst,
+      last_name: cleanLast,
+      phone: cleanPhone || null
+    });
+    if(!accepted) {
+      return res.status(400).json({error:'Invalid or expired invitation'});
+    }
+    
+    const { user } = accepted;
+    res.status(201).json({id:user.id, email:user.email, role:user.role, restaurantId:user.restaurant_id, message:'Invitation accepted'});
+  } catch(e) {
+    logger.error('Accept invitation error', {error: e.message});
+    res.status(500).json({error:'Failed to accept invitation'});
+  }
+});
+
+// ==================== Active Sessions ====================
+/**
+ * Active Session Management
+ * 
+ * Lets users see where they are signed in and sign out other devices.
+ * A session is one user_sessions row (one login); "last seen" is its last
+ * refresh, so it is accurate to the access token lifetime (15 minutes).
+ * 
+ * Revoking a session cuts off its access token on the next request and its
+ * refresh token immediately (see requireAuth and POST /api/refresh).
+ */
+
+/**
+ * Convert a user_sessions row into the public API shape (token hash never exposed)
+ * @param {Object} session - user_sessions row
+ * @param {string} currentSessionId - Session of the request
+ * @returns {Object} camelCase session
+ */
+function toPublicSession(session, currentSessionId) {
+  const device = userAgent.describe(session.user_agent);
+  return {
+    id: session.id,
+    device: device.label,
+    browser: device.browser,
+    os: device.os,
+    ipAddress: session.ip_address || null,
+    userAgent: session.user_agent || null,
+    createdAt: session.created_at,
+    lastSeenAt: UserSession.lastSeen(session),
+    expiresAt: session.expires_at,
+    persistent: Boolean(session.is_persistent),
+    impersonated: Boolean(session.impersonator_id),
+    current: session.id === currentSessionId
+  };
+}
+
+/**
+ * GET /api/sessions - List Active Sessions
+ * 
+ * @returns {200} {sessions: [{id, device, browser, os, ipAddress, userAgent, createdAt, lastSeenAt, expiresAt, persistent, impersonated, current}]}
+ *                most recently used first
+ * @returns {401} When not authenticated: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await UserSession.findActiveForUser(req.auth.userId);
+    res.json({sessions: sessions.map(session => toPublicSession(session, req.auth.sessionId))});
+  } catch(e) {
+    logger.error('Sessions error', {error: e.message});
+    res.status(500).json({error:'Failed to load sessions'});
+  }
+});
+
+/**
+ * POST /api/sessions/revoke-others - Sign Out Everywhere Else
+ * 
+ * Revokes every session of the user except the one making the request.
+ * 
+ * @returns {200} {ok: true, revoked} (number of sessions signed out)
+ * @returns {401} When not authenticated: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/sessions/revoke-others', requireAuth, blockWhileImpersonating, async (req, res) => {
+  try {
+    const revoked = await UserSession.revokeAllForUser(req.auth.userId, req.auth.sessionId);
+    res.json({ok:true, revoked});
+  } catch(e) {
+    logger.error('Sessions error', {error: e.message});
+    res.status(500).json({error:'Failed to sign out other sessions'});
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id - Sign Out One Session
+ * 
+ * Revoking the current session is the same as logging out (cookies are cleared).
+ * 
+ * @returns {200} {ok: true, current} (current: the caller signed themselves out)
+ * @returns {401} When not authenticated: {error}
+ * @returns {404} When the session is not an active session of the caller: {error}
+ * @returns {500} On server error: {error}
+ */
+app.delete('/api/sessions/:id', requireAuth, blockWhileImpersonating, validateRequest, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    if(!/^[0-9a-f-]{36}$/i.test(sessionId) || !await UserSession.revokeForUser(sessionId, req.auth.userId)) {
+      return res.status(404).json({error:'Session not found'});
+    }
+    
+    const current = sessionId === req.auth.sessionId;
+    if(current) {
+      clearAuthCookies(res);
+    }
+    res.json({ok:true, current});
+  } catch(e) {
+    logger.error('Sessions error', {error: e.message});
+    res.status(500).json({error:'Failed to sign out session'});
+  }
+});
+
+// ==================== Admin Impersonation ====================
+/**
+ * Support admins (users:impersonate - the admin role only) can sign in as
+ * another user to see exactly what they see.
+ * 
+ * - POST /api/impersonation starts a separate session of the target user with
+ *   impersonator_id = the admin. The admin's own refresh token waits in the
+ *   rm_imp_return cookie so they can resume it (on stop or logout).
+ * - DELETE /api/impersonation ends it and resumes the admin's session
+ * - Hard time limit: IMPERSONATION_TTL_MS from the start, never extended
+ * - Blocked: IMPERSONATION_EXCLUDED permissions (services/permissions.js) and
+ *   account security routes (blockWhileImpersonating)
+ * - audit_log (performed_by = the admin, record = the user_sessions row):
+ *   impersonation_started, impersonation_stopped and impersonated_request
+ *   for every write in between
+ */
+
+const IMPERSONATION_REASON_MAX_LENGTH = 200;
+
+/**
+ * The impersonating admin's own session, from the refresh token kept aside
+ * @param {Object} req - Express request (rm_imp_return cookie)
+ * @param {string} adminId - Admin the session must belong to
+ * @returns {Promise<Object|null>} Active user_sessions row, or null
+ */
+async function findImpersonatorSession(req, adminId) {
+  const token = req.cookies[IMPERSONATION_RETURN_COOKIE];
+  const sessionId = UserSession.parseRefreshToken(token);
+  const session = sessionId ? await UserSession.findById(sessionId) : null;
+  if(!session || session.user_id !== adminId || !UserSession.isActive(session) || !UserSession.isCurrentToken(session, token)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Record the end of an impersonation session
+ * @param {Object} req - Express request (IP and user agent are recorded)
+ * @param {Object} session - user_sessions row with impersonator_id
+ * @param {string} reason - 'stopped' or 'logout'
+ * @returns {Promise<Object>} audit_log row
+ */
+async function endImpersonation(req, session, reason) {
+  const target = await User.findById(session.user_id);
+  return await AuditLog.record({
+    tableName: 'user_sessions',
+    recordId: session.id,
+    action: 'UPDATE',
+    event: 'impersonation_stopped',
+    newValues: {userId: session.user_id, reason},
+    performedBy: session.impersonator_id,
+    restaurantId: target ? target.restaurant_id : null,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+}
+
+/**
+ * POST /api/impersonation - Start Impersonating A User
+ * 
+ * Permission: users:impersonate (admins only; not available to owners or by override)
+ * 
+ * Security Measures:
+ * 1. Admins linked to a restaurant only reach its users; group support admins
+ *    (no restaurant) reach every restaurant. Other users get 404.
+ * 2. Admins, deactivated accounts and the caller themselves cannot be impersonated
+ * 3. No nesting: an impersonation session cannot start another one
+ * 4. The session expires after 30 minutes whatever happens
+ * 5. Start is recorded in audit_log, with the optional reason (e.g. ticket number)
+ * 
+ * @param {string} userId - Target user ID (or email)
+ * @param {string} email - Target user email (or userId)
+ * @param {string} reason - Why (optional, up to 200 characters)
+ * 
+ * @returns {201} {ok: true, impersonation: {user, expiresAt}} and the target's session cookies
+ * @returns {400} On a missing target, invalid reason or self-impersonation: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller may not impersonate, or the target is an admin: {error}
+ * @returns {404} When the user is not found or out of reach: {error}
+ * @returns {409} When the target's account or restaurant is deactivated: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post(IMPERSONATION_PATH, requireAuth, blockWhileImpersonating, requirePermission('users:impersonate'), validateRequest, async (req, res) => {
+  try {
+    const admin = req.user;
+    const { userId, email, reason } = req.body || {};
+    
+    // Step 1: Find the target by ID or email
+    let target;
+    if(typeof userId === 'string' && /^[0-9a-f-]{36}$/i.test(userId)) {
+      target = await User.findById(userId);
+    } else if(typeof email === 'string' && validateEmail(sanitizeString(email).toLowerCase())) {
+      target = await User.findByEmail(sanitizeString(email).toLowerCase());
+    } else {
+      return res.status(400).json({error:'userId or email is required'});
+    }
+    if(!target || (admin.restaurant_id && target.restaurant_id !== admin.restaurant_id)) {
+      return res.status(404).json({error:'User not found'});
     }
     
-    // Step 2: Check if token is blacklisted (logged out)
-    if(isTokenBlacklisted(token)) {
-      res.clearCookie('rm_auth');
-      return res.status(401).json({error:'Session has been revoked'});
+    // Step 2: Who can be impersonated
+    if(target.id === admin.id) {
+      return res.status(400).json({error:'You cannot impersonate yourself'});
+    }
+    if(target.role === 'admin') {
+      return res.status(403).json({error:'Admins cannot be impersonated'});
+    }
+    if(!target.is_active || !(await User.isRestaurantActive(target))) {
+      return res.status(409).json({error:'This account is deactivated'});
+    }
+    
+    let cleanReason = null;
+    if(reason !== undefined && reason !== null && reason !== '') {
+      cleanReason = typeof reason === 'string' ? sanitizeString(reason) : '';
+      if(!cleanReason || cleanReason.length > IMPERSONATION_REASON_MAX_LENGTH) {
+        return res.status(400).json({error:`Reason must be 1-${IMPERSONATION_REASON_MAX_LENGTH} characters`});
+      }
+    }
+    
+    // Step 3: Start the target's session on behalf of the admin and audit it
+    const { session, refreshToken, csrfToken } = await UserSession.start(target.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MS),
+      isPersistent: false,
+      impersonatorId: admin.id
+    });
+    await AuditLog.record({
+      tableName: 'user_sessions',
+      recordId: session.id,
+      action: 'INSERT',
+      event: 'impersonation_started',
+      newValues: {userId: target.id, email: target.email, reason: cleanReason, expiresAt: session.expires_at},
+      performedBy: admin.id,
+      restaurantId: target.restaurant_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    // Step 4: Keep the admin's session aside and switch the cookies
+    if(req.cookies.rm_refresh) {
+      res.cookie(IMPERSONATION_RETURN_COOKIE, req.cookies.rm_refresh, {
+        ...authCookieOptions(),
+        path: REFRESH_COOKIE_PATH,
+        maxAge: IMPERSONATION_TTL_MS
+      });
+    }
+    setAuthCookies(res, signAccessToken(target, session.id, admin.id), refreshToken, session, csrfToken);
+    
+    const restaurant = target.restaurant_id ? await Restaurant.findById(target.restaurant_id) : null;
+    res.status(201).json({ok:true, impersonation:{user: toPublicUser(target, restaurant), expiresAt: session.expires_at}});
+  } catch(e) {
+    logger.error('Impersonation error', {error: e.message});
+    res.status(500).json({error:'Failed to start impersonation'});
+  }
+});
+
+/**
+ * DELETE /api/impersonation - Stop Impersonating
+ * 
+ * Ends the impersonation session and, when the admin's own session is still
+ * active, signs them back into it (restored: true). Otherwise all cookies are
+ * cleared and the admin signs in again.
+ * 
+ * @returns {200} {ok: true, restored}
+ * @returns {400} When the session is not an impersonation: {error}
+ * @returns {401} When not authenticated (or the 30 minutes are over): {error}
+ * @returns {500} On server error: {error}
+ */
+app.delete(IMPERSONATION_PATH, requireAuth, async (req, res) => {
+  try {
+    if(!req.auth.impersonatorId) {
+      return res.status(400).json({error:'You are not impersonating anyone'});
+    }
+    
+    // Step 1: End the impersonation session
+    const session = await UserSession.findById(req.auth.sessionId);
+    await UserSession.revoke(session.id);
+    await endImpersonation(req, session, 'stopped');
+    
+    // Step 2: Resume the admin's own session (its refresh token is rotated)
+    const returnToken = req.cookies[IMPERSONATION_RETURN_COOKIE];
+    const adminSession = await findImpersonatorSession(req, req.auth.impersonatorId);
+    const newRefreshToken = adminSession ? await UserSession.rotate(adminSession.id, returnToken, {ipAddress: req.ip, userAgent: req.get('user-agent')}) : null;
+    const admin = newRefreshToken ? await User.findById(adminSession.user_id) : null;
+    
+    clearImpersonationReturnCookie(res);
+    if(admin) {
+      // The admin's CSRF cookie was replaced at the start: issue a new token
+      const csrfToken = await UserSession.issueCsrfToken(adminSession.id);
+      setAuthCookies(res, signAccessToken(admin, adminSession.id), newRefreshToken, adminSession, csrfToken);
+    } else {
+      clearAuthCookies(res);
+    }
+    res.json({ok:true, restored: Boolean(admin)});
+  } catch(e) {
+    logger.error('Impersonation error', {error: e.message});
+    res.status(500).json({error:'Failed to stop impersonation'});
+  }
+});
+
+// ==================== Single Sign-On (OpenID Connect) ====================
+/**
+ * OIDC Login Flow (authorization code + PKCE), alongside POST /api/login
+ * 
+ * 1. GET /api/auth/oidc/login stores state, nonce and the PKCE verifier in a
+ *    short-lived signed cookie and redirects to the identity provider
+ * 2. The provider redirects back to GET /api/auth/oidc/callback?code&state
+ * 3. The code is exchanged (with the verifier), the ID token is verified and
+ *    its claims are mapped onto a user (services/oidc.js):
+ *    a. a linked identity (issuer + subject) signs in its user
+ *    b. else a user with the same, provider-verified email is linked
+ *    c. else a manager/staff account is provisioned just in time in the
+ *       restaurant named by the restaurant claim, with the mapped role
+ * 4. A normal session starts (same cookies as a password login)
+ * 
+ * Local two-factor authentication still applies unless the provider reports
+ * multi-factor authentication in the "amr" claim: the browser is sent to the
+ * sign-in page's code step with the "mfa pending" token in the URL fragment.
+ * 
+ * Failures redirect to /login.html?sso_error=<code>.
+ */
+
+// State cookie lifetime: the user has this long to sign in at the provider
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OIDC_STATE_AUDIENCE = 'oidc';
+const OIDC_COOKIE = 'rm_oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+// Roles single sign-on may create (owners register, admins are provisioned)
+const OIDC_JIT_ROLES = ['manager', 'staff'];
+
+/**
+ * Redirect URI registered at the provider
+ * @returns {string} Absolute callback URL
+ */
+function oidcRedirectUri() {
+  return config.get('OIDC_REDIRECT_URI') || `${APP_URL}/api/auth/oidc/callback`;
+}
+
+/**
+ * Options for the state cookie
+ * SameSite=Lax: it must come back on the provider's top-level redirect
+ * @returns {Object} cookie options
+ */
+function oidcCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: NODE_ENV === 'production',
+    sameSite: 'Lax',
+    path: OIDC_COOKIE_PATH
+  };
+}
+
+/**
+ * End a failed SSO attempt on the sign-in page
+ * @param {Object} res - Express response
+ * @param {string} code - Error code shown by login.js
+ */
+function ssoFailure(res, code) {
+  res.redirect(`/login.html?sso_error=${encodeURIComponent(code)}`);
+}
+
+/**
+ * Find, link or provision the user for verified provider claims
+ * @param {Object} profile - oidc.mapClaims() result
+ * @param {Object} req - Express request (for the audit entries)
+ * @returns {Promise<Object|null>} users row, or null when there is no matching account
+ */
+async function resolveSsoUser(profile, req) {
+  // a. Known identity
+  const identity = await UserIdentity.findByProvider(profile.issuer, profile.subject);
+  if(identity) {
+    await UserIdentity.touch(identity.id, profile.email);
+    return await User.findById(identity.user_id);
+  }
+  
+  // Linking and provisioning rely on the provider vouching for the email
+  if(!profile.email || !profile.emailVerified || !validateEmail(profile.email)) return null;
+  const identityData = {issuer: profile.issuer, subject: profile.subject, email: profile.email};
+  
+  // b. Existing account with the same email
+  const existing = await User.findByEmail(profile.email);
+  if(existing) {
+    await UserIdentity.link(existing.id, identityData);
+    if(!existing.email_verified_at) {
+      await User.markEmailVerified(existing.id);
+    }
+    await AuditLog.record({
+      tableName: 'users',
+      recordId: existing.id,
+      event: 'sso_account_linked',
+      newValues: {issuer: profile.issuer, subject: profile.subject},
+      restaurantId: existing.restaurant_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    return await User.findById(existing.id);
+  }
+  
+  // c. Just-in-time provisioning
+  if(!oidc.getConfig().jitProvisioning || !OIDC_JIT_ROLES.includes(profile.role)) return null;
+  if(!profile.restaurantId || !/^[0-9a-f-]{36}$/i.test(profile.restaurantId)) return null;
+  const restaurant = await Restaurant.findById(profile.restaurantId);
+  if(!restaurant || restaurant.is_active === false) return null;
+  
+  const user = await UserIdentity.provision({
+    email: profile.email,
+    // Random password: SSO users sign in at the provider (or reset to set one)
+    password: `${crypto.randomBytes(24).toString('base64url')}Aa1!`,
+    first_name: sanitizeString(profile.firstName || '').slice(0, 50) || 'SSO',
+    last_name: sanitizeString(profile.lastName || '').slice(0, 50) || 'User',
+    role: profile.role,
+    restaurant_id: restaurant.id
+  }, identityData);
+  
+  await AuditLog.record({
+    tableName: 'users',
+    recordId: user.id,
+    action: 'INSERT',
+    event: 'sso_user_provisioned',
+    newValues: {issuer: profile.issuer, subject: profile.subject, role: profile.role, restaurant_id: restaurant.id},
+    restaurantId: restaurant.id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  return await User.findById(user.id);
+}
+
+/**
+ * GET /api/auth/oidc - Single Sign-On Availability
+ * 
+ * Used by the sign-in page to show (and label) the SSO button.
+ * 
+ * @returns {200} {enabled, name}
+ */
+app.get('/api/auth/oidc', (req, res) => {
+  const enabled = oidc.isEnabled();
+  res.json({enabled, name: enabled ? oidc.getConfig().providerName : null});
+});
+
+/**
+ * GET /api/auth/oidc/login - Start Single Sign-On
+ * Rate Limited: 20 requests per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. PKCE (S256): the code is useless without the verifier kept in our cookie
+ * 2. state: binds the callback to this browser (CSRF protection)
+ * 3. nonce: binds the ID token to this login (replay protection)
+ * 4. state, nonce and verifier live in a signed, HttpOnly, 10-minute cookie
+ * 
+ * @param {string} remember - "1" for a persistent session (query parameter)
+ * 
+ * @returns {302} Redirect to the identity provider
+ * @returns {400} When remember is not a single string: {error, code: 'VALIDATION_ERROR'}
+ * @returns {404} When SSO is not configured: {error}
+ * @returns {502} When the provider cannot be reached: {error}
+ */
+app.get('/api/auth/oidc/login', ssoLimiter, validateRequest, async (req, res) => {
+  if(!oidc.isEnabled()) {
+    return res.status(404).json({error:'Single sign-on is not configured'});
+  }
+  
+  try {
+    const state = oidc.randomToken();
+    const nonce = oidc.randomToken();
+    const pkce = oidc.createPkce();
+    const url = await oidc.authorizationUrl({
+      redirectUri: oidcRedirectUri(),
+      state,
+      nonce,
+      codeChallenge: pkce.challenge
+    });
+    
+    const stateToken = jwtKeys.sign(
+      {state, nonce, verifier: pkce.verifier, remember: req.query.remember === '1'},
+      {expiresIn: OIDC_STATE_TTL_MS / 1000, audience: OIDC_STATE_AUDIENCE}
+    );
+    res.cookie(OIDC_COOKIE, stateToken, {...oidcCookieOptions(), maxAge: OIDC_STATE_TTL_MS});
+    res.redirect(url);
+  } catch(e) {
+    logger.error('SSO login error', {error: e.message});
+    res.status(502).json({error:'Single sign-on is unavailable'});
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback - Single Sign-On Return From The Provider
+ * Rate Limited: 20 requests per IP per 15 minutes
+ * 
+ * Security Measures:
+ * 1. state must match the signed cookie of this browser (then the cookie is cleared)
+ * 2. ID token signature (provider JWKS), issuer, audience, expiry and nonce verified
+ * 3. Accounts are only linked or created for provider-verified emails
+ * 4. Provisioning is limited to manager/staff in an existing restaurant
+ * 5. Deactivated and locked accounts are refused as on /api/login
+ * 
+ * @param {string} code - Authorization code (query parameter)
+ * @param {string} state - State echoed by the provider (query parameter)
+ * 
+ * @returns {302} /dashboard.html on success
+ * @returns {302} /login.html#mfa=verify|setup&mfaToken=... when local 2FA is needed
+ * @returns {302} /login.html?sso_error=sso_failed|sso_state|sso_denied|sso_no_account|account_disabled|account_locked
+ * @returns {400} When a query parameter is repeated: {error, code: 'VALIDATION_ERROR'}
+ */
+app.get('/api/auth/oidc/callback', ssoLimiter, validateRequest, async (req, res) => {
+  const stateCookie = req.cookies[OIDC_COOKIE];
+  res.clearCookie(OIDC_COOKIE, oidcCookieOptions());
+  
+  try {
+    if(!oidc.isEnabled()) {
+      return ssoFailure(res, 'sso_failed');
     }
     
-    // Step 3: Verify JWT signature and expiry
-    const data = jwt.verify(token, JWT_SECRET);
+    // Step 1: Check state against this browser's cookie
+    let pending;
+    try {
+      pending = jwtKeys.verify(stateCookie || '', {audience: OIDC_STATE_AUDIENCE});
+    } catch(stateErr) {
+      return ssoFailure(res, 'sso_state');
+    }
+    const expected = Buffer.from(pending.state);
+    const actual = Buffer.from(String(req.query.state || ''));
+    if(expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return ssoFailure(res, 'sso_state');
+    }
+    if(req.query.error) {
+      return ssoFailure(res, 'sso_denied');
+    }
+    if(typeof req.query.code !== 'string' || !req.query.code) {
+      return ssoFailure(res, 'sso_failed');
+    }
     
-    // Step 4: Lookup user in database
-    const db = readDB();
-    const user = db.users.find(u=>u.id === data.id);
+    // Step 2: Exchange the code (PKCE) and verify the ID token
+    const tokens = await oidc.exchangeCode({
+      code: req.query.code,
+      codeVerifier: pending.verifier,
+      redirectUri: oidcRedirectUri()
+    });
+    const profile = oidc.mapClaims(await oidc.verifyIdToken(tokens.id_token, pending.nonce));
     
+    // Step 3: Find, link or provision the user
+    const user = await resolveSsoUser(profile, req);
     if(!user) {
-      return res.status(401).json({error:'User not found'});
+      return ssoFailure(res, 'sso_no_account');
+    }
+    if(!user.is_active || !(await User.isRestaurantActive(user))) {
+      return ssoFailure(res, 'account_disabled');
+    }
+    if(User.isLocked(user)) {
+      return ssoFailure(res, 'account_locked');
     }
     
-    // Step 5: Remove sensitive data before returning
-    const {passwordHash, ...safe} = user;
-    res.json({user:safe});
-  }catch(e){
-    // Handle specific error types
-    if(e.name === 'TokenExpiredError') {
-      // Clean up expired token cookie
-      res.clearCookie('rm_auth');
-      return res.status(401).json({error:'Session expired'});
+    // Step 4: Local two-factor step unless the provider already did MFA
+    const rememberMe = pending.remember === true;
+    if(!profile.mfa) {
+      const restaurant = user.restaurant_id ? await Restaurant.findById(user.restaurant_id) : null;
+      const purpose = user.totp_enabled_at ? 'verify' : (restaurant && restaurant.require_mfa ? 'setup' : null);
+      if(purpose) {
+        const fragment = new URLSearchParams({mfa: purpose, mfaToken: signMfaToken(user, purpose, rememberMe)});
+        return res.redirect(`/login.html#${fragment.toString()}`);
+      }
+    }
+    
+    // Step 5: Start the session
+    await startLoginSession(req, res, user, rememberMe);
+    res.redirect('/dashboard.html');
+  } catch(e) {
+    logger.error('SSO callback error', {error: e.message});
+    ssoFailure(res, 'sso_failed');
+  }
+});
+
+// ==================== API Keys ====================
+/**
+ * API Key Management
+ * 
+ * Owners (api_keys:manage) create keys for integrations such as delivery
+ * aggregators and accounting scripts:
+ * 1. POST /api/api-keys {name, scopes, expiresInDays?} returns the full key ONCE
+ * 2. The integration sends "Authorization: Bearer rmk_..." to any route guarded
+ *    by requireAuthOrApiKey + requirePermission(); the key's scopes are checked
+ *    instead of a role
+ * 3. DELETE /api/api-keys/:id revokes the key immediately
+ * 
+ * - Keys belong to the restaurant, not to the person who created them
+ * - Stored as SHA-256 hashes; listings show only the prefix (rmk_xxxxxxxx)
+ * - Scopes: services/permissions.js API_KEY_SCOPES, and never more than the creator holds
+ * - Managing keys needs a signed-in person: keys cannot create or revoke keys
+ */
+
+// Longest allowed lifetime (keys without expiresInDays never expire)
+const API_KEY_MAX_TTL_DAYS = 365;
+
+/**
+ * Convert an api_keys row into the public API shape (key hash never exposed)
+ * @param {Object} apiKey - api_keys row
+ * @returns {Object} camelCase key
+ */
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.key_prefix,
+    scopes: Array.isArray(apiKey.scopes) ? apiKey.scopes : [],
+    status: ApiKey.statusOf(apiKey),
+    createdBy: apiKey.created_by || null,
+    createdAt: apiKey.created_at,
+    expiresAt: apiKey.expires_at || null,
+    lastUsedAt: apiKey.last_used_at || null,
+    lastUsedIp: apiKey.last_used_ip || null,
+    revokedAt: apiKey.revoked_at || null
+  };
+}
+
+/**
+ * POST /api/api-keys - Create An API Key
+ * 
+ * Permission: api_keys:manage (owners and admins, signed in - not by API key)
+ * 
+ * Security Measures:
+ * 1. The full key is returned once and only its SHA-256 hash is stored
+ * 2. Scopes limited to API_KEY_SCOPES and to the creator's own permissions
+ * 3. Optional expiry, at most 365 days
+ * 
+ * @param {string} name - Label, e.g. "Delivery aggregator"
+ * @param {Array<string>} scopes - Permissions, e.g. ['menu:read', 'orders:create']
+ * @param {number} expiresInDays - Lifetime in days (optional, 1-365)
+ * 
+ * @returns {201} {apiKey: {id, name, prefix, scopes, status, expiresAt, ...}, key}
+ * @returns {400} On invalid name, scopes or expiry: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks api_keys:manage or has no restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.post('/api/api-keys', requireAuth, requirePermission('api_keys:manage'), validateRequest, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const cleanName = sanitizeString(name);
+    
+    // Step 1: Validate the request
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    if(!cleanName || cleanName.length > 100) {
+      return res.status(400).json({error:'Name is required (max 100 characters)'});
+    }
+    const scopeError = permissions.validateScopes(scopes, permissionsFor(req.user, req.restaurant));
+    if(scopeError) {
+      return res.status(400).json({error:scopeError});
+    }
+    let expiresAt = null;
+    if(expiresInDays !== undefined && expiresInDays !== null) {
+      if(!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > API_KEY_MAX_TTL_DAYS) {
+        return res.status(400).json({error:`expiresInDays must be a whole number from 1 to ${API_KEY_MAX_TTL_DAYS}`});
+      }
+      expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    }
+    
+    // Step 2: Create the key (raw key only in this response)
+    const { apiKey, key } = await ApiKey.issue({
+      restaurantId: req.restaurant.id,
+      name: cleanName,
+      scopes: [...new Set(scopes)],
+      createdBy: req.user.id,
+      expiresAt
+    });
+    
+    // Step 3: Audit trail
+    await AuditLog.record({
+      tableName: 'api_keys',
+      recordId: apiKey.id,
+      action: 'INSERT',
+      event: 'api_key_created',
+      newValues: {name: apiKey.name, prefix: apiKey.key_prefix, scopes: toPublicApiKey(apiKey).scopes},
+      performedBy: req.user.id,
+      restaurantId: apiKey.restaurant_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(201).json({apiKey: toPublicApiKey(apiKey), key});
+  } catch(e) {
+    logger.error('API key error', {error: e.message});
+    res.status(500).json({error:'Failed to create API key'});
+  }
+});
+
+/**
+ * GET /api/api-keys - List The Restaurant's API Keys
+ * 
+ * Permission: api_keys:manage
+ * 
+ * @returns {200} {apiKeys: [...] newest first, scopes: [...] scopes the caller may grant}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks api_keys:manage or has no restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/api-keys', requireAuth, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    if(!req.restaurant) {
+      return res.status(403).json({error:'Your account is not linked to a restaurant'});
+    }
+    const apiKeys = await ApiKey.findByRestaurant(req.restaurant.id);
+    const granted = permissionsFor(req.user, req.restaurant);
+    res.json({
+      apiKeys: apiKeys.map(toPublicApiKey),
+      scopes: permissions.API_KEY_SCOPES.filter(scope => granted.includes(scope))
+    });
+  } catch(e) {
+    logger.error('API key error', {error: e.message});
+    res.status(500).json({error:'Failed to load API keys'});
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id - Revoke An API Key
+ * 
+ * Permission: api_keys:manage
+ * The key stops working on its next request.
+ * 
+ * @returns {200} {ok: true, apiKey}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks api_keys:manage: {error}
+ * @returns {404} When the key is not an active key of the caller's restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.delete('/api/api-keys/:id', requireAuth, requirePermission('api_keys:manage'), validateRequest, async (req, res) => {
+  try {
+    const apiKey = /^[0-9a-f-]{36}$/i.test(req.params.id) && req.restaurant
+      ? await ApiKey.revoke(req.params.id, req.restaurant.id)
+      : null;
+    if(!apiKey) {
+      return res.status(404).json({error:'API key not found'});
+    }
+    
+    await AuditLog.record({
+      tableName: 'api_keys',
+      recordId: apiKey.id,
+      event: 'api_key_revoked',
+      newValues: {name: apiKey.name, prefix: apiKey.key_prefix},
+      performedBy: req.user.id,
+      restaurantId: apiKey.restaurant_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ok:true, apiKey: toPublicApiKey(apiKey)});
+  } catch(e) {
+    logger.error('API key error', {error: e.message});
+    res.status(500).json({error:'Failed to revoke API key'});
+  }
+});
+
+// ==================== Audit Log ====================
+// BaseModel records every create/update/delete (credential columns redacted);
+// security events are recorded explicitly by the routes above
+
+const AUDIT_ACTIONS = ['INSERT', 'UPDATE', 'DELETE'];
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Convert an audit_log row into the public API shape
+ * @param {Object} entry - audit_log row
+ * @returns {Object} camelCase entry
+ */
+function toPublicAuditEntry(entry) {
+  return {
+    id: entry.id,
+    table: entry.table_name,
+    recordId: entry.record_id,
+    action: entry.action,
+    event: entry.event || null,
+    oldValues: entry.old_values || null,
+    newValues: entry.new_values || null,
+    performedBy: entry.performed_by || null,
+    restaurantId: entry.restaurant_id || null,
+    requestId: entry.request_id || null,
+    ipAddress: entry.ip_address || null,
+    userAgent: entry.user_agent || null,
+    createdAt: entry.created_at
+  };
+}
+
+/**
+ * GET /api/audit - Search The Audit Trail
+ * 
+ * Permission: audit:read (owners and admins; not available to API keys)
+ * 
+ * Query: table, recordId, action, event, performedBy, requestId, from, to (ISO dates),
+ * limit (1-200, default 50), offset
+ * 
+ * Security Measures:
+ * 1. Entries are limited to the caller's restaurant; only group admins
+ *    (no restaurant) see every restaurant, optionally filtered by restaurantId
+ * 2. Password, token and secret columns were redacted when the entry was written
+ * 
+ * @returns {200} {entries: [...] newest first, total, limit, offset}
+ * @returns {400} On an invalid filter: {error}
+ * @returns {401} When not authenticated: {error}
+ * @returns {403} When the caller lacks audit:read or has no restaurant: {error}
+ * @returns {500} On server error: {error}
+ */
+app.get('/api/audit', requireAuth, requirePermission('audit:read'), validateRequest, async (req, res) => {
+  try {
+    // Repeated query parameters arrive as arrays; read every filter as a string
+    const query = {};
+    for(const [name, value] of Object.entries(req.query)) {
+      query[name] = String(value);
+    }
+    const { table, recordId, action, event, performedBy, requestId, from, to, limit, offset, restaurantId } = query;
+    
+    // Step 1: Restaurant scope
+    let scope = req.restaurant ? req.restaurant.id : null;
+    if(!scope) {
+      if(req.user.role !== 'admin') {
+        return res.status(403).json({error:'Your account is not linked to a restaurant'});
+      }
+      if(restaurantId !== undefined) {
+        if(!UUID_PATTERN.test(restaurantId)) {
+          return res.status(400).json({error:'restaurantId must be a UUID'});
+        }
+        scope = restaurantId;
+      }
+    }
+    
+    // Step 2: Validate the filters
+    if(table !== undefined && !/^[a-z_]{1,50}$/.test(table)) {
+      return res.status(400).json({error:'Invalid table'});
     }
-    console.error('Auth error:', e.message);
-    res.status(401).json({error:'Invalid token'});
+    for(const [name, value] of [['recordId', recordId], ['performedBy', performedBy]]) {
+      if(value !== undefined && !UUID_PATTERN.test(value)) {
+        return res.status(400).json({error:`${name} must be a UUID`});
+      }
+    }
+    if(requestId !== undefined && !requestContext.REQUEST_ID_PATTERN.test(requestId)) {
+      return res.status(400).json({error:'Invalid requestId'});
+    }
+    if(action !== undefined && !AUDIT_ACTIONS.includes(action.toUpperCase())) {
+      return res.status(400).json({error:`action must be one of ${AUDIT_ACTIONS.join(', ')}`});
+    }
+    if(event !== undefined && !/^[a-z_]{1,50}$/.test(event)) {
+      return res.status(400).json({error:'Invalid event'});
+    }
+    const dates = {};
+    for(const [name, value] of [['from', from], ['to', to]]) {
+      if(value === undefined) continue;
+      dates[name] = new Date(value);
+      if(Number.isNaN(dates[name].getTime())) {
+        return res.status(400).json({error:`${name} must be an ISO date`});
+      }
+    }
+    for(const [name, value] of [['limit', limit], ['offset', offset]]) {
+      if(value !== undefined && !/^\d{1,6}$/.test(value)) {
+        return res.status(400).json({error:`${name} must be a non-negative integer`});
+      }
+    }
+    
+    // Step 3: Search
+    const result = await AuditLog.search({
+      restaurantId: scope,
+      tableName: table,
+      recordId,
+      action: action ? action.toUpperCase() : undefined,
+      event,
+      performedBy,
+      requestId,
+      from: dates.from,
+      to: dates.to,
+      limit,
+      offset
+    });
+    res.json({...result, entries: result.entries.map(toPublicAuditEntry)});
+  } catch(e) {
+    logger.error('Audit log error', {error: e.message});
+    res.status(500).json({error:'Failed to load audit log'});
+  }
+});
+
+// ==================== Signing Keys (JWKS) ====================
+// Other services cache the key set; rotated keys stay listed for the grace period
+const JWKS_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * GET /.well-known/jwks.json - Public Keys That Verify Our Tokens
+ * 
+ * Lists the active keyring key and retired keys still in their grace period,
+ * so other services can verify access tokens by their "kid" header.
+ * Empty when the server signs with the shared JWT_SECRET (HS256).
+ * 
+ * Security Measures:
+ * 1. Public keys only (private key fields are never exported)
+ * 2. Keys past their grace period are no longer listed (or accepted)
+ * 
+ * @returns {200} {keys: [{kty, kid, alg, use, n, e} | {kty, kid, alg, use, crv, x, y}]}
+ * @returns {500} On server error: {error}
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+    res.json(jwtKeys.jwks());
+  } catch(e) {
+    logger.error('JWKS error', {error: e.message});
+    res.status(500).json({error:'Failed to load signing keys'});
   }
 });
 
+// ==================== API Documentation ====================
+// Built once: the document only changes with the code
+const API_DOCS_HTML = apiDocs.render(openapi.document);
+
+/**
+ * GET /api/openapi.json - OpenAPI 3.1 Document
+ *
+ * Every route of this server, with request and response schemas
+ * (services/openapi.js). Import it into API clients or code generators.
+ *
+ * @returns {200} OpenAPI document
+ */
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapi.document);
+});
+
+/**
+ * GET /api/docs - API Reference Page
+ *
+ * The OpenAPI document rendered as one self-contained HTML page
+ * (no scripts or external assets).
+ *
+ * @returns {200} HTML
+ */
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(API_DOCS_HTML);
+});
+
 // ==================== Static File Serving & Server Startup ====================
 // Serve frontend files from /frontend directory
 app.use(express.static(path.join(__dirname,'..','frontend')));
 
+/**
+ * Graceful shutdown
+ * 
+ * Step 1: Fail /readyz and stop accepting connections
+ * Step 2: Drain in-flight requests, for SHUTDOWN_TIMEOUT_MS at most (default
+ *         10000); connections still open after that are destroyed
+ * Step 3: Stop the cleanup job, letting a run in progress finish
+ * Step 4: Close the database pool
+ * 
+ * Calling it again returns the shutdown already in progress.
+ * 
+ * @param {Object} server - HTTP server returned by app.listen()
+ * @param {Object} options - { cleanupTimer, timeoutMs }
+ * @returns {Promise<boolean>} True if every request finished before the timeout
+ */
+function shutdown(server, {cleanupTimer = null, timeoutMs = config.get('SHUTDOWN_TIMEOUT_MS')} = {}) {
+  if(server.shutdownPromise) return server.shutdownPromise;
+  
+  server.shutdownPromise = (async () => {
+    // Step 1: Fail readiness and stop accepting connections
+    app.locals.shuttingDown = true;
+    logger.info('Shutting down', {inFlightRequests, timeoutMs});
+    
+    // Step 2: Drain in-flight requests (idle keep-alive connections close right away)
+    const drained = await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        logger.warn('Shutdown timeout, closing open connections', {inFlightRequests});
+        server.closeAllConnections();
+        resolve(false);
+      }, timeoutMs);
+      timer.unref();
+      
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+      server.closeIdleConnections();
+    });
+    
+    // Step 3: Finish background jobs and queued emails
+    if(cleanupTimer) await stopSessionCleanup(cleanupTimer);
+    await flushEmails();
+    
+    // Step 4: Close the database pool
+    await db.closePool();
+    
+    logger.info('Shutdown complete', {drained});
+    return drained;
+  })();
+  
+  return server.shutdownPromise;
+}
+
 // Start server (only if this file is run directly, not imported by tests)
 if(require.main === module){
-  app.listen(PORT, ()=>console.log(`Backend running on http://localhost:${PORT} (${NODE_ENV})`));
+  const server = app.listen(PORT, ()=>logger.info('Backend running', {url: `http://localhost:${PORT}`, env: NODE_ENV}));
+  const cleanupTimer = startSessionCleanup();
+  
+  // SIGTERM from the orchestrator on deploys, SIGINT from Ctrl+C
+  for(const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      logger.info('Shutdown signal received', {signal});
+      shutdown(server, {cleanupTimer})
+        .then(drained => process.exit(drained ? 0 : 1))
+        .catch(error => {
+          logger.error('Shutdown failed', {error: error.message});
+          process.exit(1);
+        });
+    });
+  }
 }
 
 // Export app for testing with Jest/Supertest
 module.exports = app;
+module.exports.flushEmails = flushEmails;
+module.exports.purgeExpiredSessions = purgeExpiredSessions;
+module.exports.requirePermission = requirePermission;
+module.exports.rejectRateLimited = rejectRateLimited;
+module.exports.shutdown = shutdown;
+module.exports.validateRequest = validateRequest;
@@ -1,20 +1,50 @@
 // server.test.js - Unit tests for authentication endpoints
 const request = require('supertest');
-const fs = require('fs');
-const path = require('path');
 
-// Create a temporary database for testing
-const testDbFile = path.join(__dirname, 'db.test.json');
-process.env.DB_FILE = testDbFile;
+// Run the models against an in-memory PostgreSQL built from database/schema.sql
+jest.mock('pg', () => require('./test/memoryDb').createPgAdapter());
+
 process.env.NODE_ENV = 'test';
-process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_SECRET = '9f1c2ab47e3d5c8a0b6e4f2d7a9c1e3b5d8f0a2c4e6b8d0f2a4c6e8b0d2f4a6c';
 process.env.CORS_ORIGIN = 'http://localhost:3000'; // Required for test environment
+process.env.OPENAPI_VALIDATE_RESPONSES = 'true'; // Every JSON response is checked against services/openapi.js
 
 // Load server after env is set
 delete require.cache[require.resolve('./server')];
 const app = require('./server');
+const { db } = require('./models');
+const mailer = require('./services/mailer');
+
+// Follow the verification link emailed at registration (login requires it)
+async function verifyEmail(email) {
+  const message = mailer.getTransport().lastTo(email);
+  const link = message.text.match(/\/api\/verify-email\?token=[0-9a-f]{64}/)[0];
+  return await request(app).get(link);
+}
+
+// X-CSRF-Token header matching the rm_csrf cookie among these cookies, as
+// frontend/api.js sends it on writes ({} when there is no such cookie)
+function csrfHeader(cookies) {
+  const csrf = /(?:^|[;,]\s*)rm_csrf=([0-9a-f]{64})/.exec([].concat(cookies || []).join('; '));
+  return csrf ? { 'X-CSRF-Token': csrf[1] } : {};
+}
+
+// Sign in through POST /api/login; the response carries the auth cookies and,
+// in response.csrf, the X-CSRF-Token header that cookie-authenticated writes need
+async function login(email, password, { remember, userAgent } = {}) {
+  const pending = request(app).post('/api/login');
+  if (userAgent) pending.set('User-Agent', userAgent);
+  const response = await pending.send({ email, password, remember });
+  response.csrf = csrfHeader(response.headers['set-cookie']);
+  return response;
+}
 
 describe('Authentication Endpoints', () => {
+  // A response that does not match the OpenAPI document fails the test that caused it
+  afterEach(() => {
+    expect(app.locals.responseValidationProblems.splice(0)).toEqual([]);
+  });
+
   const testUser = {
     firstName: 'Test',
     lastName: 'User',
@@ -33,13 +63,6 @@ describe('Authentication Endpoints', () => {
     role: 'invalid'
   };
 
-  afterAll(() => {
-    // Cleanup test database
-    if(fs.existsSync(testDbFile)) {
-      fs.unlinkSync(testDbFile);
-    }
-  });
-
   describe('POST /api/register', () => {
     test('should register a new user successfully', async () => {
       const response = await request(app)
@@ -48,6 +71,7 @@ describe('Authentication Endpoints', () => {
 
       expect(response.status).toBe(201);
       expect(response.body).toHaveProperty('id');
+      expect(response.body.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
       expect(response.body).toHaveProperty('email', testUser.email);
       expect(response.body).toHaveProperty('message', 'User created successfully');
       expect(response.body).not.toHaveProperty('passwordHash');
@@ -97,9 +121,65 @@ describe('Authentication Endpoints', () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('role');
     });
+
+    test('should create the restaurant with its settings and link the owner', async () => {
+      const email = `owner-${Date.now()}@test.com`;
+      const response = await request(app)
+        .post('/api/register')
+        .send({ ...testUser, email, restaurantName: 'Le Petit Zinc', timezone: 'Europe/Paris', currency: 'EUR' });
+
+      expect(response.status).toBe(201);
+      const restaurant = await db.query('SELECT * FROM restaurants WHERE id = $1', [response.body.restaurantId]);
+      expect(restaurant.rows[0]).toMatchObject({ name: 'Le Petit Zinc', timezone: 'Europe/Paris', currency: 'EUR' });
+      const user = await db.query('SELECT role, restaurant_id FROM users WHERE id = $1', [response.body.id]);
+      expect(user.rows[0]).toEqual({ role: 'owner', restaurant_id: response.body.restaurantId });
+    });
+
+    test('should default the role to owner and the restaurant settings to the schema defaults', async () => {
+      const { role, ...withoutRole } = testUser;
+      const response = await request(app)
+        .post('/api/register')
+        .send({ ...withoutRole, email: `default-owner-${Date.now()}@test.com` });
+
+      expect(response.status).toBe(201);
+      const restaurant = await db.query('SELECT timezone, currency FROM restaurants WHERE id = $1', [response.body.restaurantId]);
+      expect(restaurant.rows[0]).toEqual({ timezone: 'America/New_York', currency: 'USD' });
+    });
+
+    test('should reject unknown time zones and currencies', async () => {
+      const badZone = await request(app)
+        .post('/api/register')
+        .send({ ...testUser, email: 'zone@test.com', timezone: 'Mars/Olympus_Mons' });
+      expect(badZone.status).toBe(400);
+      expect(badZone.body.error).toContain('Time zone');
+
+      const badCurrency = await request(app)
+        .post('/api/register')
+        .send({ ...testUser, email: 'currency@test.com', currency: 'XYZ' });
+      expect(badCurrency.status).toBe(400);
+      expect(badCurrency.body.error).toContain('Currency');
+    });
+
+    test.each(['manager', 'staff'])('should require an invitation to register as %s', async (role) => {
+      const email = `self-${role}-${Date.now()}@test.com`;
+      const before = await db.query('SELECT COUNT(*) AS count FROM restaurants');
+      const response = await request(app)
+        .post('/api/register')
+        .send({ ...testUser, email, role });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INVITATION_REQUIRED');
+      const after = await db.query('SELECT COUNT(*) AS count FROM restaurants');
+      expect(Number(after.rows[0].count)).toBe(Number(before.rows[0].count));
+      expect((await db.query('SELECT id FROM users WHERE email = $1', [email])).rows).toHaveLength(0);
+    });
   });
 
   describe('POST /api/login', () => {
+    beforeAll(async () => {
+      await verifyEmail(testUser.email);
+    });
+
     test('should login successfully with valid credentials', async () => {
       const response = await request(app)
         .post('/api/login')
@@ -166,8 +246,9 @@ describe('Authentication Endpoints', () => {
       expect(response.body).toHaveProperty('user');
       expect(response.body.user).toHaveProperty('email', testUser.email);
       expect(response.body.user).toHaveProperty('firstName');
-      expect(response.body.user).toHaveProperty('restaurantName');
+      expect(response.body.user).toHaveProperty('restaurantName', testUser.restaurantName);
       expect(response.body.user).not.toHaveProperty('passwordHash');
+      expect(response.body.user).not.toHaveProperty('password_hash');
     });
 
     test('should reject request without session', async () => {
@@ -176,6 +257,23 @@ describe('Authentication Endpoints', () => {
       expect(response.status).toBe(401);
       expect(response.body.error).toContain('authenticated');
     });
+
+    test('should answer 401 for a bad token but 500 when the checks cannot run', async () => {
+      const forged = await request(app).get('/api/me').set('Cookie', 'rm_auth=not-a-jwt');
+      expect(forged.status).toBe(401);
+      expect(forged.body).toEqual({ error: 'Invalid token' });
+
+      const { UserSession } = require('./models');
+      const spy = jest.spyOn(UserSession, 'findById').mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+      try {
+        const response = await request(app).get('/api/me').set('Cookie', authCookie);
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ error: 'Authentication failed' });
+      } finally {
+        spy.mockRestore();
+      }
+      expect((await request(app).get('/api/me').set('Cookie', authCookie)).status).toBe(200);
+    });
   });
 
   describe('POST /api/logout', () => {
@@ -185,13 +283,14 @@ describe('Authentication Endpoints', () => {
       const response = await request(app)
         .post('/api/login')
         .send({ email: testUser.email, password: testUser.password });
-      authCookie = response.headers['set-cookie'][0];
+      authCookie = response.headers['set-cookie'];
     });
 
     test('should logout successfully', async () => {
       const response = await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
 
       expect(response.status).toBe(200);
       expect(response.body).toHaveProperty('ok', true);
@@ -307,10 +406,11 @@ describe('Authentication Endpoints', () => {
         .post('/api/login')
         .send({ email: testUser.email, password: testUser.password });
 
-      const authCookie = loginResponse.headers['set-cookie'][0];
+      const authCookie = loginResponse.headers['set-cookie'];
       const logoutResponse = await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
 
       expect(logoutResponse.headers['set-cookie']).toBeDefined();
       const clearCookieHeader = logoutResponse.headers['set-cookie'][0];
@@ -327,7 +427,7 @@ describe('Authentication Endpoints', () => {
         email: `integration${Date.now()}@test.com`,
         password: 'IntegrationPass123!',
         restaurantName: 'Integration Restaurant',
-        role: 'manager',
+        role: 'owner',
       };
 
       // 1. Register
@@ -338,6 +438,7 @@ describe('Authentication Endpoints', () => {
       expect(registerResponse.status).toBe(201);
       expect(registerResponse.body).toHaveProperty('id');
       const userId = registerResponse.body.id;
+      await verifyEmail(integrationUser.email);
 
       // 2. Login
       const loginResponse = await request(app)
@@ -345,7 +446,7 @@ describe('Authentication Endpoints', () => {
         .send({ email: integrationUser.email, password: integrationUser.password });
 
       expect(loginResponse.status).toBe(200);
-      const authCookie = loginResponse.headers['set-cookie'][0];
+      const authCookie = loginResponse.headers['set-cookie'];
 
       // 3. Fetch user info
       const meResponse = await request(app)
@@ -361,7 +462,8 @@ describe('Authentication Endpoints', () => {
       // 4. Logout
       const logoutResponse = await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
 
       expect(logoutResponse.status).toBe(200);
 
@@ -381,14 +483,15 @@ describe('Authentication Endpoints', () => {
           email,
           password: 'TestPass123!',
           restaurantName: 'Test',
-          role: 'staff'
+          role: 'owner'
         });
+      await verifyEmail(email);
 
       const loginResponse = await request(app)
         .post('/api/login')
         .send({ email, password: 'TestPass123!' });
 
-      const authCookie = loginResponse.headers['set-cookie'][0];
+      const authCookie = loginResponse.headers['set-cookie'];
 
       // Access /api/me (should work)
       const meBefore = await request(app)
@@ -399,7 +502,8 @@ describe('Authentication Endpoints', () => {
       // Logout
       await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
 
       // Try to use old token (should fail - token is blacklisted)
       const meAfter = await request(app)
@@ -422,20 +526,22 @@ describe('Authentication Endpoints', () => {
           email,
           password: 'TestPass123!',
           restaurantName: 'Test',
-          role: 'manager'
+          role: 'owner'
         });
+      await verifyEmail(email);
 
       const loginResponse = await request(app)
         .post('/api/login')
         .send({ email, password: 'TestPass123!' });
 
       expect(loginResponse.status).toBe(200);
-      const authCookie = loginResponse.headers['set-cookie'][0];
+      const authCookie = loginResponse.headers['set-cookie'];
 
       // Logout (blacklist token)
       const logoutResponse = await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
 
       expect(logoutResponse.status).toBe(200);
 
@@ -459,25 +565,28 @@ describe('Authentication Endpoints', () => {
           email,
           password: 'TestPass123!',
           restaurantName: 'Test',
-          role: 'staff'
+          role: 'owner'
         });
+      await verifyEmail(email);
 
       const loginResponse = await request(app)
         .post('/api/login')
         .send({ email, password: 'TestPass123!' });
 
-      const authCookie = loginResponse.headers['set-cookie'][0];
+      const authCookie = loginResponse.headers['set-cookie'];
 
       // First logout
       const logout1 = await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
       expect(logout1.status).toBe(200);
 
       // Second logout with same cookie (should still succeed, but token already blacklisted)
       const logout2 = await request(app)
         .post('/api/logout')
-        .set('Cookie', authCookie);
+        .set('Cookie', authCookie)
+        .set(csrfHeader(authCookie));
       expect(logout2.status).toBe(200);
 
       // Token remains blacklisted
@@ -742,4 +851,2990 @@ describe('Authentication Endpoints', () => {
       expect(response.status).toBe(400);
     });
   });
+
+  describe('Security: Persistent Sessions (user_sessions)', () => {
+    const sessionUser = {
+      firstName: 'Session',
+      lastName: 'Test',
+      email: `session-${Date.now()}@test.com`,
+      password: 'SessionPass123!',
+      restaurantName: 'Session Bistro',
+      role: 'owner'
+    };
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(sessionUser);
+      await verifyEmail(sessionUser.email);
+    });
+
+    async function sessionRows() {
+      const result = await db.pool.query(
+        `SELECT s.* FROM user_sessions s JOIN users u ON u.id = s.user_id WHERE u.email = $1 ORDER BY s.created_at`,
+        [sessionUser.email]
+      );
+      return result.rows;
+    }
+
+    test('should record a hashed session row on login', async () => {
+      const cookie = (await login(sessionUser.email, sessionUser.password, { userAgent: 'jest-session-test' })).headers['set-cookie'];
+      const token = cookie[0].split(';')[0].split('=')[1];
+      const rows = await sessionRows();
+
+      expect(rows.length).toBeGreaterThan(0);
+      const row = rows[rows.length - 1];
+      expect(row.token_hash).toHaveLength(64);
+      expect(row.token_hash).not.toBe(token);
+      expect(row.user_agent).toBe('jest-session-test');
+      expect(row.revoked_at).toBeNull();
+      expect(new Date(row.expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should mark the session revoked in the database on logout', async () => {
+      const session = await login(sessionUser.email, sessionUser.password);
+      const cookie = session.headers['set-cookie'];
+      await request(app).post('/api/logout').set('Cookie', cookie).set(session.csrf);
+
+      const rows = await sessionRows();
+      expect(rows[rows.length - 1].revoked_at).not.toBeNull();
+
+      const meResponse = await request(app).get('/api/me').set('Cookie', cookie);
+      expect(meResponse.status).toBe(401);
+      expect(meResponse.body.error).toContain('revoked');
+    });
+
+    test('should reject a token whose session row has expired', async () => {
+      const cookie = (await login(sessionUser.email, sessionUser.password)).headers['set-cookie'];
+      const rows = await sessionRows();
+      await db.pool.query(
+        'UPDATE user_sessions SET expires_at = $1 WHERE id = $2',
+        [new Date(Date.now() - 1000), rows[rows.length - 1].id]
+      );
+
+      const meResponse = await request(app).get('/api/me').set('Cookie', cookie);
+      expect(meResponse.status).toBe(401);
+      expect(meResponse.body.error).toBe('Session expired');
+    });
+
+    test('should reject a valid JWT that has no session row', async () => {
+      const cookie = (await login(sessionUser.email, sessionUser.password)).headers['set-cookie'];
+      await db.pool.query('DELETE FROM user_sessions');
+
+      const meResponse = await request(app).get('/api/me').set('Cookie', cookie);
+      expect(meResponse.status).toBe(401);
+      expect(meResponse.body.error).toContain('revoked');
+    });
+
+    test('should purge expired session rows', async () => {
+      await login(sessionUser.email, sessionUser.password);
+      const rows = await sessionRows();
+      await db.pool.query(
+        'UPDATE user_sessions SET expires_at = $1 WHERE id = $2',
+        [new Date(Date.now() - 1000), rows[0].id]
+      );
+
+      const deleted = await app.purgeExpiredSessions();
+
+      expect(deleted).toBeGreaterThanOrEqual(1);
+      const remaining = await sessionRows();
+      expect(remaining.find(r => r.id === rows[0].id)).toBeUndefined();
+    });
+  });
+
+  describe('Refresh Tokens & Remember Me', () => {
+    const refreshUser = {
+      firstName: 'Refresh',
+      lastName: 'Test',
+      email: `refresh-${Date.now()}@test.com`,
+      password: 'RefreshPass123!',
+      restaurantName: 'Refresh Diner',
+      role: 'owner'
+    };
+
+    // Find a cookie by name in a response's Set-Cookie headers
+    function findCookie(response, name) {
+      return (response.headers['set-cookie'] || []).find(c => c.startsWith(`${name}=`));
+    }
+
+    // "name=value" part of a Set-Cookie header, for sending back
+    function cookiePair(setCookie) {
+      return setCookie.split(';')[0];
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(refreshUser);
+      await verifyEmail(refreshUser.email);
+    });
+
+    test('should issue a short-lived access cookie and an HttpOnly refresh cookie', async () => {
+      const response = await login(refreshUser.email, refreshUser.password);
+
+      const access = findCookie(response, 'rm_auth');
+      const refresh = findCookie(response, 'rm_refresh');
+      expect(access).toContain('Max-Age=900');
+      expect(refresh).toBeDefined();
+      expect(refresh).toContain('HttpOnly');
+      expect(refresh).toContain('SameSite=Strict');
+      expect(refresh).toContain('Path=/api');
+      // Without "remember me" the refresh cookie ends with the browser session
+      expect(refresh).not.toContain('Max-Age');
+    });
+
+    test('should make the refresh cookie persistent when remember me is ticked', async () => {
+      const response = await login(refreshUser.email, refreshUser.password, { remember: true });
+
+      const refresh = findCookie(response, 'rm_refresh');
+      const maxAge = parseInt(/Max-Age=(\d+)/.exec(refresh)[1], 10);
+      expect(maxAge).toBeGreaterThan(29 * 24 * 60 * 60);
+      expect(maxAge).toBeLessThanOrEqual(30 * 24 * 60 * 60);
+    });
+
+    test('should rotate the refresh token and issue a working access token', async () => {
+      const loginResponse = await login(refreshUser.email, refreshUser.password);
+      const oldRefresh = cookiePair(findCookie(loginResponse, 'rm_refresh'));
+      const csrf = cookiePair(findCookie(loginResponse, 'rm_csrf'));
+
+      const refreshResponse = await request(app)
+        .post('/api/refresh')
+        .set('Cookie', [oldRefresh, csrf])
+        .set(loginResponse.csrf);
+
+      expect(refreshResponse.status).toBe(200);
+      expect(refreshResponse.body).toHaveProperty('ok', true);
+      const newRefresh = cookiePair(findCookie(refreshResponse, 'rm_refresh'));
+      const newAccess = cookiePair(findCookie(refreshResponse, 'rm_auth'));
+      expect(newRefresh).not.toBe(oldRefresh);
+
+      const meResponse = await request(app).get('/api/me').set('Cookie', newAccess);
+      expect(meResponse.status).toBe(200);
+      expect(meResponse.body.user.email).toBe(refreshUser.email);
+    });
+
+    test('should revoke the whole token family when a refresh token is reused', async () => {
+      const loginResponse = await login(refreshUser.email, refreshUser.password);
+      const firstRefresh = cookiePair(findCookie(loginResponse, 'rm_refresh'));
+      const csrf = cookiePair(findCookie(loginResponse, 'rm_csrf'));
+
+      const rotated = await request(app).post('/api/refresh').set('Cookie', [firstRefresh, csrf]).set(loginResponse.csrf);
+      const secondRefresh = cookiePair(findCookie(rotated, 'rm_refresh'));
+      const secondAccess = cookiePair(findCookie(rotated, 'rm_auth'));
+
+      // Replaying the already-used token from another client is treated as theft
+      const replay = await request(app)
+        .post('/api/refresh')
+        .set('User-Agent', 'stolen-cookie-client')
+        .set('Cookie', [firstRefresh, csrf])
+        .set(loginResponse.csrf);
+      expect(replay.status).toBe(401);
+      expect(replay.body.error).toContain('revoked');
+
+      // The legitimate holder's newer tokens are revoked too
+      const legit = await request(app).post('/api/refresh').set('Cookie', [secondRefresh, csrf]).set(loginResponse.csrf);
+      expect(legit.status).toBe(401);
+      const meResponse = await request(app).get('/api/me').set('Cookie', secondAccess);
+      expect(meResponse.status).toBe(401);
+    });
+
+    test('should keep the session when two tabs refresh with the same token at once', async () => {
+      const loginResponse = await login(refreshUser.email, refreshUser.password);
+      const refresh = cookiePair(findCookie(loginResponse, 'rm_refresh'));
+      const csrf = cookiePair(findCookie(loginResponse, 'rm_csrf'));
+
+      const responses = await Promise.all([1, 2].map(() => request(app).post('/api/refresh').set('Cookie', [refresh, csrf]).set(loginResponse.csrf)));
+      expect(responses.map(response => response.status)).toEqual([200, 200]);
+
+      // One response rotated the refresh token; the other only renewed the access token
+      const rotated = responses.map(response => findCookie(response, 'rm_refresh')).filter(Boolean);
+      expect(rotated).toHaveLength(1);
+      for (const response of responses) {
+        const me = await request(app).get('/api/me').set('Cookie', cookiePair(findCookie(response, 'rm_auth')));
+        expect(me.status).toBe(200);
+      }
+      const next = await request(app).post('/api/refresh').set('Cookie', [cookiePair(rotated[0]), csrf]).set(loginResponse.csrf);
+      expect(next.status).toBe(200);
+    });
+
+    test('should treat the old token as reuse once the grace window has passed', async () => {
+      const loginResponse = await login(refreshUser.email, refreshUser.password);
+      const refresh = cookiePair(findCookie(loginResponse, 'rm_refresh'));
+      const csrf = cookiePair(findCookie(loginResponse, 'rm_csrf'));
+      const first = await request(app).post('/api/refresh').set('Cookie', [refresh, csrf]).set(loginResponse.csrf);
+      expect(first.status).toBe(200);
+
+      const sessionId = refresh.slice('rm_refresh='.length).split('.')[0];
+      await db.query("UPDATE user_sessions SET rotated_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [sessionId]);
+      const late = await request(app).post('/api/refresh').set('Cookie', [refresh, csrf]).set(loginResponse.csrf);
+      expect(late.status).toBe(401);
+      expect(late.body.error).toContain('revoked');
+    });
+
+    test('should reject refresh without a cookie or with a malformed token', async () => {
+      const missing = await request(app).post('/api/refresh');
+      expect(missing.status).toBe(401);
+      expect(missing.body.error).toContain('authenticated');
+
+      const malformed = await request(app).post('/api/refresh').set('Cookie', 'rm_refresh=not-a-token');
+      expect(malformed.status).toBe(401);
+    });
+
+    test('should revoke the session on logout using only the refresh cookie', async () => {
+      const loginResponse = await login(refreshUser.email, refreshUser.password, { remember: true });
+      const refresh = cookiePair(findCookie(loginResponse, 'rm_refresh'));
+      const csrf = cookiePair(findCookie(loginResponse, 'rm_csrf'));
+
+      const logoutResponse = await request(app).post('/api/logout').set('Cookie', [refresh, csrf]).set(loginResponse.csrf);
+      expect(logoutResponse.status).toBe(200);
+      expect(findCookie(logoutResponse, 'rm_refresh')).toMatch(/Expires=Thu, 01 Jan 1970/);
+
+      const refreshResponse = await request(app).post('/api/refresh').set('Cookie', refresh);
+      expect(refreshResponse.status).toBe(401);
+      expect(refreshResponse.body.error).toContain('revoked');
+    });
+  });
+
+  describe('Forgot & Reset Password', () => {
+    const { flushEmails } = require('./server');
+    const logger = require('./services/logger');
+    const resetUser = {
+      firstName: 'Reset',
+      lastName: 'Test',
+      email: `reset-${Date.now()}@test.com`,
+      password: 'ResetPass123!',
+      restaurantName: 'Reset Bistro',
+      role: 'owner'
+    };
+    const newPassword = 'BrandNewPass456!';
+
+    // Request a reset email and pull the token out of the link
+    async function requestResetToken(email = resetUser.email) {
+      await request(app).post('/api/password/forgot').send({ email });
+      await flushEmails();
+      const message = mailer.getTransport().lastTo(email);
+      const match = message && message.text.match(/reset-password\.html\?token=([0-9a-f]{64})/);
+      return match ? match[1] : null;
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(resetUser);
+      await verifyEmail(resetUser.email);
+    });
+
+    beforeEach(() => {
+      mailer.getTransport().clear();
+    });
+
+    test('should give the same response for known and unknown emails', async () => {
+      const known = await request(app).post('/api/password/forgot').send({ email: resetUser.email });
+      const unknown = await request(app).post('/api/password/forgot').send({ email: 'nobody-here@test.com' });
+      await flushEmails();
+
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+      expect(mailer.getTransport().outbox).toHaveLength(1);
+      expect(mailer.getTransport().lastTo(resetUser.email)).toBeDefined();
+    });
+
+    test('should give the same response when the mail transport fails', async () => {
+      const memory = mailer.getTransport();
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      mailer.setTransport({ send: async () => { throw new Error('SMTP connection refused'); } });
+      let known;
+      let unknown;
+      let logged;
+      try {
+        known = await request(app).post('/api/password/forgot').send({ email: resetUser.email });
+        unknown = await request(app).post('/api/password/forgot').send({ email: 'nobody-here@test.com' });
+        await flushEmails();
+        logged = error.mock.calls.map(call => call[0]);
+      } finally {
+        mailer.setTransport(memory);
+        error.mockRestore();
+      }
+
+      expect(known.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+      expect(logged).toEqual(['Password reset email error']);
+    });
+
+    test('should reject an invalid email format', async () => {
+      const response = await request(app).post('/api/password/forgot').send({ email: 'not-an-email' });
+      expect(response.status).toBe(400);
+    });
+
+    test('should reset the password with the emailed token exactly once', async () => {
+      const token = await requestResetToken();
+      expect(token).toBeTruthy();
+
+      const reset = await request(app).post('/api/password/reset').send({ token, password: newPassword });
+      expect(reset.status).toBe(200);
+      expect(reset.body).toHaveProperty('ok', true);
+
+      const reuse = await request(app).post('/api/password/reset').send({ token, password: 'AnotherPass789!' });
+      expect(reuse.status).toBe(400);
+      expect(reuse.body.error).toBe('Invalid or expired reset token');
+
+      const oldLogin = await login(resetUser.email, resetUser.password);
+      expect(oldLogin.status).toBe(401);
+      const newLogin = await login(resetUser.email, newPassword);
+      expect(newLogin.status).toBe(200);
+      resetUser.password = newPassword;
+    });
+
+    test('should invalidate older links when a new one is requested', async () => {
+      const first = await requestResetToken();
+      const second = await requestResetToken();
+
+      const stale = await request(app).post('/api/password/reset').send({ token: first, password: 'StalePass123!' });
+      expect(stale.status).toBe(400);
+      const fresh = await request(app).post('/api/password/reset').send({ token: second, password: 'FreshPass123!' });
+      expect(fresh.status).toBe(200);
+      resetUser.password = 'FreshPass123!';
+    });
+
+    test('should reject an expired token', async () => {
+      const token = await requestResetToken();
+      await db.query(`UPDATE user_tokens SET expires_at = $1 WHERE purpose = 'password_reset' AND used_at IS NULL`, [new Date(Date.now() - 1000)]);
+
+      const response = await request(app).post('/api/password/reset').send({ token, password: 'ExpiredPass123!' });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid or expired reset token');
+    });
+
+    test('should validate the new password without consuming the token', async () => {
+      const token = await requestResetToken();
+
+      const weak = await request(app).post('/api/password/reset').send({ token, password: 'weak' });
+      expect(weak.status).toBe(400);
+
+      const strong = await request(app).post('/api/password/reset').send({ token, password: 'StrongPass123!' });
+      expect(strong.status).toBe(200);
+      resetUser.password = 'StrongPass123!';
+    });
+
+    test('should revoke existing sessions after a reset', async () => {
+      const loginResponse = await login(resetUser.email, resetUser.password);
+      const cookies = loginResponse.headers['set-cookie'];
+
+      const token = await requestResetToken();
+      await request(app).post('/api/password/reset').send({ token, password: 'AfterResetPass123!' });
+
+      const meResponse = await request(app).get('/api/me').set('Cookie', cookies);
+      expect(meResponse.status).toBe(401);
+    });
+  });
+
+  describe('Email Verification', () => {
+    const verifyUser = {
+      firstName: 'Verify',
+      lastName: 'Test',
+      email: `verify-${Date.now()}@test.com`,
+      password: 'VerifyPass123!',
+      restaurantName: 'Verify Cafe',
+      role: 'owner'
+    };
+
+    // Token from the most recent verification email sent to an address
+    function latestToken(email = verifyUser.email) {
+      const message = mailer.getTransport().lastTo(email);
+      return message.text.match(/verify-email\?token=([0-9a-f]{64})/)[1];
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(verifyUser);
+    });
+
+    test('should email a verification link at registration', async () => {
+      const message = mailer.getTransport().lastTo(verifyUser.email);
+      expect(message).toBeDefined();
+      expect(message.subject).toMatch(/verify/i);
+    });
+
+    test('should refuse login until the email is verified', async () => {
+      const response = await login(verifyUser.email, verifyUser.password);
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('code', 'EMAIL_NOT_VERIFIED');
+      expect(response.headers['set-cookie']).toBeUndefined();
+    });
+
+    test('should not reveal verification state for a wrong password', async () => {
+      const response = await login(verifyUser.email, 'WrongPass123!');
+      expect(response.status).toBe(401);
+      expect(response.body).not.toHaveProperty('code');
+    });
+
+    test('should resend with a unified response and invalidate the old link', async () => {
+      const oldToken = latestToken();
+
+      const known = await request(app).post('/api/verify-email/resend').send({ email: verifyUser.email });
+      const unknown = await request(app).post('/api/verify-email/resend').send({ email: 'ghost-user@test.com' });
+      expect(known.status).toBe(200);
+      expect(known.body).toEqual(unknown.body);
+
+      const newToken = latestToken();
+      expect(newToken).not.toBe(oldToken);
+
+      const stale = await request(app).post('/api/verify-email').send({ token: oldToken });
+      expect(stale.status).toBe(400);
+    });
+
+    test('should verify via POST and then allow login', async () => {
+      const response = await request(app).post('/api/verify-email').send({ token: latestToken() });
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('ok', true);
+
+      const loginResponse = await login(verifyUser.email, verifyUser.password);
+      expect(loginResponse.status).toBe(200);
+
+      const meResponse = await request(app).get('/api/me').set('Cookie', loginResponse.headers['set-cookie']);
+      expect(meResponse.body.user.emailVerified).toBe(true);
+    });
+
+    test('should redirect link clicks with the outcome', async () => {
+      const email = `verify-link-${Date.now()}@test.com`;
+      await request(app).post('/api/register').send({ ...verifyUser, email });
+
+      const first = await verifyEmail(email);
+      expect(first.status).toBe(302);
+      expect(first.headers.location).toBe('/login.html?verified=1');
+
+      const second = await verifyEmail(email);
+      expect(second.headers.location).toBe('/login.html?verified=0');
+    });
+
+    test('should not send new links to verified accounts', async () => {
+      mailer.getTransport().clear();
+      const response = await request(app).post('/api/verify-email/resend').send({ email: verifyUser.email });
+      expect(response.status).toBe(200);
+      expect(mailer.getTransport().outbox).toHaveLength(0);
+    });
+  });
+
+  describe('Two-Factor Authentication (TOTP)', () => {
+    const totp = require('./services/totp');
+    const { User } = require('./models');
+    const mfaUser = {
+      firstName: 'Mfa',
+      lastName: 'Owner',
+      email: `mfa-${Date.now()}@test.com`,
+      password: 'MfaOwnerPass123!',
+      restaurantName: 'Mfa Grill',
+      role: 'owner'
+    };
+    let secret;
+    let ownerCookies;
+    let ownerCsrf;
+
+    // Each code is single-use per 30s step: forget the last used step so tests can reuse the current one
+    async function currentCode(email, userSecret) {
+      await db.query('UPDATE users SET totp_last_step = NULL WHERE email = $1', [email]);
+      return totp.generateCode(userSecret);
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(mfaUser);
+      await verifyEmail(mfaUser.email);
+      const loginResponse = await login(mfaUser.email, mfaUser.password);
+      ownerCookies = loginResponse.headers['set-cookie'];
+      ownerCsrf = loginResponse.csrf;
+    });
+
+    test('should generate RFC 6238 reference codes', () => {
+      const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+      expect(totp.generateCode(rfcSecret, totp.timeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(rfcSecret, totp.timeStep(1111111109 * 1000))).toBe('081804');
+    });
+
+    test('should not allow requiring 2FA before the owner has enrolled', async () => {
+      const response = await request(app)
+        .put('/api/restaurant/mfa-policy')
+        .set('Cookie', ownerCookies)
+        .set(ownerCsrf)
+        .send({ required: true });
+      expect(response.status).toBe(409);
+    });
+
+    test('should enroll with a provisioning URI and return recovery codes', async () => {
+      const setup = await request(app).post('/api/mfa/setup').set('Cookie', ownerCookies).set(ownerCsrf);
+      expect(setup.status).toBe(200);
+      secret = setup.body.secret;
+      expect(setup.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+      expect(setup.body.otpauthUrl).toContain(`secret=${secret}`);
+
+      const wrong = await request(app).post('/api/mfa/enable').set('Cookie', ownerCookies).set(ownerCsrf).send({ code: '000000' });
+      expect(wrong.status).toBe(400);
+
+      const enable = await request(app)
+        .post('/api/mfa/enable')
+        .set('Cookie', ownerCookies)
+        .set(ownerCsrf)
+        .send({ code: totp.generateCode(secret) });
+      expect(enable.status).toBe(200);
+      expect(enable.body.recoveryCodes).toHaveLength(10);
+      mfaUser.recoveryCodes = enable.body.recoveryCodes;
+
+      const status = await request(app).get('/api/mfa').set('Cookie', ownerCookies);
+      expect(status.body).toEqual({ enabled: true, required: false, recoveryCodesRemaining: 10 });
+    });
+
+    test('should return an mfa pending token instead of cookies after the password', async () => {
+      const response = await login(mfaUser.email, mfaUser.password);
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('mfaRequired', true);
+      expect(response.body.mfaToken).toBeDefined();
+      expect(response.headers['set-cookie']).toBeUndefined();
+
+      // The pending token is not an access token
+      const meResponse = await request(app).get('/api/me').set('Cookie', `rm_auth=${response.body.mfaToken}`);
+      expect(meResponse.status).toBe(401);
+    });
+
+    test('should complete login with a valid code and refuse a replayed one', async () => {
+      const { body } = await login(mfaUser.email, mfaUser.password);
+      const code = await currentCode(mfaUser.email, secret);
+
+      const wrong = await request(app).post('/api/login/mfa').send({ mfaToken: body.mfaToken, code: code === '123456' ? '654321' : '123456' });
+      expect(wrong.status).toBe(401);
+
+      const response = await request(app).post('/api/login/mfa').send({ mfaToken: body.mfaToken, code });
+      expect(response.status).toBe(200);
+      const meResponse = await request(app).get('/api/me').set('Cookie', response.headers['set-cookie']);
+      expect(meResponse.status).toBe(200);
+      expect(meResponse.body.user.mfaEnabled).toBe(true);
+
+      const replay = await request(app).post('/api/login/mfa').send({ mfaToken: body.mfaToken, code });
+      expect(replay.status).toBe(401);
+    });
+
+    test('should accept each recovery code once', async () => {
+      const { body } = await login(mfaUser.email, mfaUser.password);
+      const recoveryCode = mfaUser.recoveryCodes[0];
+
+      const first = await request(app).post('/api/login/mfa').send({ mfaToken: body.mfaToken, recoveryCode });
+      expect(first.status).toBe(200);
+      expect(first.body.recoveryCodesRemaining).toBe(9);
+
+      const second = await request(app).post('/api/login/mfa').send({ mfaToken: body.mfaToken, recoveryCode });
+      expect(second.status).toBe(401);
+    });
+
+    test('should reject an invalid or missing mfa token', async () => {
+      const response = await request(app).post('/api/login/mfa').send({ mfaToken: 'garbage', code: '123456' });
+      expect(response.status).toBe(401);
+    });
+
+    test('should let only owners and admins require 2FA, then force enrollment at login', async () => {
+      const owner = await User.findByEmail(mfaUser.email);
+      const managerEmail = `mfa-manager-${Date.now()}@test.com`;
+      await User.create({
+        email: managerEmail,
+        password: 'ManagerPass123!',
+        first_name: 'Mfa',
+        last_name: 'Manager',
+        role: 'manager',
+        restaurant_id: owner.restaurant_id
+      });
+      await db.query('UPDATE users SET email_verified_at = NOW() WHERE email = $1', [managerEmail]);
+
+      // Managers cannot change the policy
+      const managerLogin = await login(managerEmail, 'ManagerPass123!');
+      const forbidden = await request(app)
+        .put('/api/restaurant/mfa-policy')
+        .set('Cookie', managerLogin.headers['set-cookie'])
+        .set(managerLogin.csrf)
+        .send({ required: true });
+      expect(forbidden.status).toBe(403);
+
+      const policy = await request(app)
+        .put('/api/restaurant/mfa-policy')
+        .set('Cookie', ownerCookies)
+        .set(ownerCsrf)
+        .send({ required: true });
+      expect(policy.status).toBe(200);
+      expect(policy.body).toHaveProperty('required', true);
+
+      // The manager must now enroll before getting a session
+      const signIn = await login(managerEmail, 'ManagerPass123!');
+      expect(signIn.body).toHaveProperty('mfaSetupRequired', true);
+      expect(signIn.headers['set-cookie']).toBeUndefined();
+
+      const setup = await request(app).post('/api/login/mfa/setup').send({ mfaToken: signIn.body.mfaToken });
+      expect(setup.status).toBe(200);
+
+      const done = await request(app)
+        .post('/api/login/mfa')
+        .send({ mfaToken: signIn.body.mfaToken, code: totp.generateCode(setup.body.secret) });
+      expect(done.status).toBe(200);
+      expect(done.body.recoveryCodes).toHaveLength(10);
+      expect(done.headers['set-cookie']).toBeDefined();
+    });
+
+    test('should refuse disabling 2FA while the restaurant requires it', async () => {
+      const response = await request(app)
+        .post('/api/mfa/disable')
+        .set('Cookie', ownerCookies)
+        .set(ownerCsrf)
+        .send({ password: mfaUser.password, code: await currentCode(mfaUser.email, secret) });
+      expect(response.status).toBe(403);
+    });
+
+    test('should disable 2FA with password and code once the policy is lifted', async () => {
+      await request(app).put('/api/restaurant/mfa-policy').set('Cookie', ownerCookies).set(ownerCsrf).send({ required: false });
+
+      const wrongPassword = await request(app)
+        .post('/api/mfa/disable')
+        .set('Cookie', ownerCookies)
+        .set(ownerCsrf)
+        .send({ password: 'WrongPass123!', code: await currentCode(mfaUser.email, secret) });
+      expect(wrongPassword.status).toBe(401);
+
+      const response = await request(app)
+        .post('/api/mfa/disable')
+        .set('Cookie', ownerCookies)
+        .set(ownerCsrf)
+        .send({ password: mfaUser.password, code: await currentCode(mfaUser.email, secret) });
+      expect(response.status).toBe(200);
+
+      const signIn = await login(mfaUser.email, mfaUser.password);
+      expect(signIn.body).not.toHaveProperty('mfaRequired');
+      expect(signIn.headers['set-cookie']).toBeDefined();
+    });
+  });
+
+  describe('Account Lockout', () => {
+    const { User } = require('./models');
+    const lockUser = {
+      firstName: 'Lock',
+      lastName: 'Owner',
+      email: `lock-${Date.now()}@test.com`,
+      password: 'LockOwnerPass123!',
+      restaurantName: 'Lockout Diner',
+      role: 'owner'
+    };
+
+    // Fail until the account locks; returns the locking response
+    async function failUntilLocked(email) {
+      let response;
+      for (let i = 0; i < 5; i++) {
+        response = await login(email, 'WrongPass123!');
+      }
+      return response;
+    }
+
+    async function auditEvents(userId) {
+      // Filtered in JS: pg-mem intermittently drops rows for "record_id = $1 AND event IS NOT NULL"
+      const result = await db.query('SELECT event, performed_by FROM audit_log WHERE record_id = $1 ORDER BY created_at', [userId]);
+      return { rows: result.rows.filter(row => row.event !== null) };
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(lockUser);
+      await verifyEmail(lockUser.email);
+    });
+
+    test('should lock the account after 5 failures and refuse even the right password', async () => {
+      const failures = [];
+      for (let i = 0; i < 4; i++) {
+        failures.push((await login(lockUser.email, 'WrongPass123!')).status);
+      }
+      expect(failures).toEqual([401, 401, 401, 401]);
+
+      const locking = await login(lockUser.email, 'WrongPass123!');
+      expect(locking.status).toBe(403);
+      expect(locking.body).toEqual({ error: 'Account is locked', code: 'ACCOUNT_LOCKED' });
+
+      const correct = await login(lockUser.email, lockUser.password);
+      expect(correct.status).toBe(403);
+      expect(correct.headers['set-cookie']).toBeUndefined();
+
+      const user = await User.findByEmail(lockUser.email);
+      const events = await auditEvents(user.id);
+      expect(events.rows.map(e => e.event)).toEqual(['account_locked']);
+    });
+
+    test('should unlock with the emailed link', async () => {
+      const message = mailer.getTransport().lastTo(lockUser.email);
+      expect(message.subject).toMatch(/locked/i);
+      const link = message.text.match(/\/api\/unlock-account\?token=[0-9a-f]{64}/)[0];
+
+      const unlock = await request(app).get(link);
+      expect(unlock.status).toBe(302);
+      expect(unlock.headers.location).toBe('/login.html?unlocked=1');
+
+      const again = await request(app).get(link);
+      expect(again.headers.location).toBe('/login.html?unlocked=0');
+
+      const response = await login(lockUser.email, lockUser.password);
+      expect(response.status).toBe(200);
+
+      const user = await User.findByEmail(lockUser.email);
+      const events = await auditEvents(user.id);
+      expect(events.rows.map(e => e.event)).toEqual(['account_locked', 'account_unlocked']);
+    });
+
+    test('should double the lock window with each lockout', async () => {
+      const user = await User.findByEmail(lockUser.email);
+      await db.query('UPDATE users SET lockout_count = 2 WHERE id = $1', [user.id]);
+
+      const before = Date.now();
+      await failUntilLocked(lockUser.email);
+
+      const locked = await User.findById(user.id);
+      const windowMs = new Date(locked.locked_until).getTime() - before;
+      // Third lockout: 15 min * 2^2 = 1 hour
+      expect(windowMs).toBeGreaterThan(59 * 60 * 1000);
+      expect(windowMs).toBeLessThanOrEqual(61 * 60 * 1000);
+      expect(locked.lockout_count).toBe(3);
+    });
+
+    test('should let the restaurant owner unlock a user, but not other restaurants', async () => {
+      const owner = await User.findByEmail(lockUser.email);
+      const staffEmail = `lock-staff-${Date.now()}@test.com`;
+      const staff = await User.create({
+        email: staffEmail,
+        password: 'StaffPass123!',
+        first_name: 'Lock',
+        last_name: 'Staff',
+        role: 'staff',
+        restaurant_id: owner.restaurant_id
+      });
+      await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [staff.id]);
+      await failUntilLocked(staffEmail);
+
+      // Owner of another restaurant cannot see the user
+      const otherEmail = `lock-other-${Date.now()}@test.com`;
+      await request(app).post('/api/register').send({ ...lockUser, email: otherEmail, restaurantName: 'Other Place' });
+      await verifyEmail(otherEmail);
+      const otherLogin = await login(otherEmail, lockUser.password);
+      const foreign = await request(app)
+        .post(`/api/users/${staff.id}/unlock`)
+        .set('Cookie', otherLogin.headers['set-cookie'])
+        .set(otherLogin.csrf);
+      expect(foreign.status).toBe(404);
+
+      // Unlock the owner (locked by the previous test) and let them unlock their staff member
+      await User.unlock(owner.id);
+      const ownerLogin = await login(lockUser.email, lockUser.password);
+      const unlock = await request(app)
+        .post(`/api/users/${staff.id}/unlock`)
+        .set('Cookie', ownerLogin.headers['set-cookie'])
+        .set(ownerLogin.csrf);
+      expect(unlock.status).toBe(200);
+
+      expect((await login(staffEmail, 'StaffPass123!')).status).toBe(200);
+      const events = await auditEvents(staff.id);
+      expect(events.rows.map(e => e.event)).toEqual(['account_locked', 'account_unlocked']);
+      expect(events.rows[1].performed_by).toBe(owner.id);
+    });
+
+    test('should reset the failure counter after a successful login', async () => {
+      for (let i = 0; i < 4; i++) {
+        await login(lockUser.email, 'WrongPass123!');
+      }
+      expect((await login(lockUser.email, lockUser.password)).status).toBe(200);
+      expect((await login(lockUser.email, 'WrongPass123!')).status).toBe(401);
+
+      const user = await User.findByEmail(lockUser.email);
+      expect(user.failed_login_count).toBe(1);
+      expect(user.locked_until).toBeNull();
+    });
+
+    test('should lock on wrong 2FA codes even when the password is re-entered in between', async () => {
+      const totp = require('./services/totp');
+      const mfaEmail = `lock-mfa-${Date.now()}@test.com`;
+      await request(app).post('/api/register').send({ ...lockUser, email: mfaEmail, restaurantName: 'Lockout Mfa Diner' });
+      await verifyEmail(mfaEmail);
+      const session = await login(mfaEmail, lockUser.password);
+      const cookies = session.headers['set-cookie'];
+      const setup = await request(app).post('/api/mfa/setup').set('Cookie', cookies).set(session.csrf);
+      await request(app).post('/api/mfa/enable').set('Cookie', cookies).set(session.csrf).send({ code: totp.generateCode(setup.body.secret) });
+
+      // A code outside the accepted window around the current step
+      const step = totp.timeStep();
+      const accepted = [-1, 0, 1].map(offset => totp.generateCode(setup.body.secret, step + offset));
+      const wrongCode = ['123456', '654321', '111111', '222222'].find(code => !accepted.includes(code));
+
+      const statuses = [];
+      for (let i = 0; i < 5; i++) {
+        const passwordStep = await login(mfaEmail, lockUser.password);
+        expect(passwordStep.body).toHaveProperty('mfaRequired', true);
+        statuses.push((await request(app).post('/api/login/mfa').send({ mfaToken: passwordStep.body.mfaToken, code: wrongCode })).status);
+      }
+      expect(statuses).toEqual([401, 401, 401, 401, 403]);
+      expect((await login(mfaEmail, lockUser.password)).status).toBe(403);
+      expect((await User.findByEmail(mfaEmail)).lockout_count).toBe(1);
+    });
+  });
+
+  describe('Role-Based Authorization', () => {
+    const { User } = require('./models');
+    const permissions = require('./services/permissions');
+    const ownerUser = {
+      firstName: 'Perm',
+      lastName: 'Owner',
+      email: `perm-owner-${Date.now()}@test.com`,
+      password: 'PermOwnerPass123!',
+      restaurantName: 'Permission Bistro',
+      role: 'owner'
+    };
+    const cookies = {};
+    const csrf = {};
+    let restaurantId;
+
+    // Keep each role's cookies and the CSRF header for its writes
+    async function signInAs(role, email, password) {
+      const response = await login(email, password);
+      cookies[role] = response.headers['set-cookie'];
+      csrf[role] = response.csrf;
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(ownerUser);
+      await verifyEmail(ownerUser.email);
+      await signInAs('owner', ownerUser.email, ownerUser.password);
+      restaurantId = (await User.findByEmail(ownerUser.email)).restaurant_id;
+
+      for (const role of ['admin', 'manager', 'staff']) {
+        const email = `perm-${role}-${Date.now()}@test.com`;
+        const user = await User.create({
+          email,
+          password: 'RolePass123!',
+          first_name: 'Perm',
+          last_name: role,
+          role,
+          restaurant_id: restaurantId
+        });
+        await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [user.id]);
+        await signInAs(role, email, 'RolePass123!');
+      }
+    });
+
+    test.each([
+      ['owner', 200],
+      ['admin', 200],
+      ['manager', 403],
+      ['staff', 403]
+    ])('%s -> GET /api/restaurant/permissions responds %i', async (role, status) => {
+      const response = await request(app)
+        .get('/api/restaurant/permissions')
+        .set('Cookie', cookies[role]);
+      expect(response.status).toBe(status);
+      if (status === 403) {
+        expect(response.body).toEqual({ error: 'Insufficient permissions', permission: 'permissions:manage' });
+      }
+    });
+
+    test.each([
+      ['owner', 200],
+      ['admin', 200],
+      ['manager', 403],
+      ['staff', 403]
+    ])('%s -> PUT /api/restaurant/mfa-policy responds %i', async (role, status) => {
+      const response = await request(app)
+        .put('/api/restaurant/mfa-policy')
+        .set('Cookie', cookies[role])
+        .set(csrf[role])
+        .send({ required: false });
+      expect(response.status).toBe(status);
+    });
+
+    test('should reject unauthenticated requests before checking permissions', async () => {
+      const response = await request(app).get('/api/restaurant/permissions');
+      expect(response.status).toBe(401);
+    });
+
+    test('should expose the effective permissions of each role on /api/me', async () => {
+      for (const role of ['owner', 'admin', 'manager', 'staff']) {
+        const response = await request(app).get('/api/me').set('Cookie', cookies[role]);
+        expect(response.body.user.permissions.sort()).toEqual([...permissions.ROLE_PERMISSIONS[role]].sort());
+      }
+    });
+
+    test('should let the owner override staff and manager permissions per restaurant', async () => {
+      const grant = await request(app)
+        .put('/api/restaurant/permissions')
+        .set('Cookie', cookies.owner)
+        .set(csrf.owner)
+        .send({ role: 'staff', permission: 'users:invite', allowed: true });
+      expect(grant.status).toBe(200);
+      expect(grant.body.permissions).toContain('users:invite');
+
+      const revoke = await request(app)
+        .put('/api/restaurant/permissions')
+        .set('Cookie', cookies.owner)
+        .set(csrf.owner)
+        .send({ role: 'manager', permission: 'orders:refund', allowed: false });
+      expect(revoke.body.permissions).not.toContain('orders:refund');
+
+      const matrix = await request(app)
+        .get('/api/restaurant/permissions')
+        .set('Cookie', cookies.owner);
+      expect(matrix.body.roles.staff.overrides).toEqual({ 'users:invite': true });
+      expect(matrix.body.roles.manager.overrides).toEqual({ 'orders:refund': false });
+
+      // The override takes effect immediately for staff of this restaurant
+      const invitations = await request(app)
+        .get('/api/invitations')
+        .set('Cookie', cookies.staff);
+      expect(invitations.status).toBe(200);
+
+      // Other restaurants keep the defaults
+      const otherEmail = `perm-other-${Date.now()}@test.com`;
+      await request(app).post('/api/register').send({ ...ownerUser, email: otherEmail, restaurantName: 'Default Diner' });
+      await verifyEmail(otherEmail);
+      const otherMatrix = await request(app)
+        .get('/api/restaurant/permissions')
+        .set('Cookie', (await login(otherEmail, ownerUser.password)).headers['set-cookie']);
+      expect(otherMatrix.body.roles.staff.overrides).toEqual({});
+      expect(otherMatrix.body.roles.staff.effective).not.toContain('users:invite');
+
+      // null restores the default
+      const reset = await request(app)
+        .put('/api/restaurant/permissions')
+        .set('Cookie', cookies.owner)
+        .set(csrf.owner)
+        .send({ role: 'staff', permission: 'users:invite', allowed: null });
+      expect(reset.body.permissions).not.toContain('users:invite');
+    });
+
+    test('should refuse overrides that could escalate privileges', async () => {
+      const cases = [
+        { role: 'staff', permission: 'permissions:manage', allowed: true },
+        { role: 'manager', permission: 'users:unlock', allowed: true },
+        { role: 'owner', permission: 'orders:refund', allowed: false },
+        { role: 'staff', permission: 'orders:teleport', allowed: true },
+        { role: 'staff', permission: 'orders:refund', allowed: 'yes' }
+      ];
+      for (const body of cases) {
+        const response = await request(app)
+          .put('/api/restaurant/permissions')
+          .set('Cookie', cookies.owner)
+          .set(csrf.owner)
+          .send(body);
+        expect(response.status).toBe(400);
+      }
+
+      const manager = await request(app)
+        .put('/api/restaurant/permissions')
+        .set('Cookie', cookies.manager)
+        .set(csrf.manager)
+        .send({ role: 'manager', permission: 'permissions:manage', allowed: true });
+      expect(manager.status).toBe(403);
+    });
+
+    test('should keep account and security permissions out of overrides', () => {
+      const locked = ['restaurant:security', 'permissions:manage', 'users:manage', 'users:unlock', 'audit:read', 'api_keys:manage', 'users:impersonate'];
+      for (const permission of locked) {
+        expect(permissions.validateOverride('staff', permission)).toBe(`${permission} cannot be overridden`);
+        expect(permissions.validateOverride('manager', permission)).toBe(`${permission} cannot be overridden`);
+      }
+      expect(permissions.validateOverride('staff', 'users:invite')).toBeNull();
+
+      // Overrides stored before a permission was locked no longer apply
+      const stored = { manager: { 'users:unlock': true, 'audit:read': true, 'reports:sales': false } };
+      const effective = permissions.resolvePermissions('manager', stored);
+      expect(effective).not.toContain('users:unlock');
+      expect(effective).not.toContain('audit:read');
+      expect(effective).not.toContain('reports:sales');
+    });
+
+    test('should fail fast on unknown permission names', () => {
+      const { requirePermission } = require('./server');
+      expect(() => requirePermission('orders:teleport')).toThrow('Unknown permission');
+    });
+  });
+
+  describe('Staff Invitations', () => {
+    const { User } = require('./models');
+    const ownerUser = {
+      firstName: 'Invite',
+      lastName: 'Owner',
+      email: `invite-owner-${Date.now()}@test.com`,
+      password: 'InviteOwnerPass123!',
+      restaurantName: 'Invitation Inn',
+      role: 'owner'
+    };
+    const profile = { firstName: 'New', lastName: 'Member', password: 'MemberPass123!' };
+    let ownerCookie;
+    let ownerCsrf;
+
+    async function invite(cookie, email, role) {
+      return await request(app).post('/api/invitations').set('Cookie', cookie).set(csrfHeader(cookie)).send({ email, role });
+    }
+
+    // Token from the most recent invitation email to an address
+    function invitationToken(email) {
+      const message = mailer.getTransport().lastTo(email);
+      return message.text.match(/accept-invite\.html\?token=([0-9a-f]{64})/)[1];
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(ownerUser);
+      await verifyEmail(ownerUser.email);
+      const ownerLogin = await login(ownerUser.email, ownerUser.password);
+      ownerCookie = ownerLogin.headers['set-cookie'];
+      ownerCsrf = ownerLogin.csrf;
+    });
+
+    test('should invite a staff member who accepts, sets a password and signs in', async () => {
+      const email = `invitee-${Date.now()}@test.com`;
+      const created = await invite(ownerCookie, email, 'staff');
+      expect(created.status).toBe(201);
+      expect(created.body.invitation).toMatchObject({ email, role: 'staff', status: 'pending' });
+      expect(created.body.invitation).not.toHaveProperty('tokenHash');
+
+      const message = mailer.getTransport().lastTo(email);
+      expect(message.subject).toContain('Invitation Inn');
+      const token = invitationToken(email);
+
+      const details = await request(app).get(`/api/invitations/accept?token=${token}`);
+      expect(details.status).toBe(200);
+      expect(details.body).toMatchObject({ email, role: 'staff', restaurantName: 'Invitation Inn' });
+
+      const accepted = await request(app).post('/api/invitations/accept').send({ token, ...profile });
+      expect(accepted.status).toBe(201);
+      const owner = await User.findByEmail(ownerUser.email);
+      expect(accepted.body).toMatchObject({ email, role: 'staff', restaurantId: owner.restaurant_id });
+
+      // No separate email verification step: the link proved the address
+      const signIn = await login(email, profile.password);
+      expect(signIn.status).toBe(200);
+
+      // The link is single-use
+      const again = await request(app).post('/api/invitations/accept').send({ token, ...profile });
+      expect(again.status).toBe(400);
+
+      const list = await request(app).get('/api/invitations').set('Cookie', ownerCookie);
+      expect(list.body.invitations.find(i => i.email === email).status).toBe('accepted');
+    });
+
+    test('should validate the invitee profile with the registration rules', async () => {
+      const email = `weak-${Date.now()}@test.com`;
+      await invite(ownerCookie, email, 'staff');
+      const token = invitationToken(email);
+
+      const weak = await request(app).post('/api/invitations/accept').send({ token, ...profile, password: 'weak' });
+      expect(weak.status).toBe(400);
+      const badName = await request(app).post('/api/invitations/accept').send({ token, ...profile, firstName: 'X1' });
+      expect(badName.status).toBe(400);
+
+      // The invitation is still usable after rejected attempts
+      const details = await request(app).get(`/api/invitations/accept?token=${token}`);
+      expect(details.status).toBe(200);
+    });
+
+    test('should refuse duplicate invitations and existing accounts', async () => {
+      const email = `dup-${Date.now()}@test.com`;
+      expect((await invite(ownerCookie, email, 'staff')).status).toBe(201);
+      expect((await invite(ownerCookie, email, 'manager')).status).toBe(409);
+      expect((await invite(ownerCookie, ownerUser.email, 'staff')).status).toBe(409);
+      expect((await invite(ownerCookie, 'not-an-email', 'staff')).status).toBe(400);
+      expect((await invite(ownerCookie, `owner-${email}`, 'owner')).status).toBe(400);
+    });
+
+    test('should invalidate the previous link on resend and the link on revoke', async () => {
+      const email = `resend-${Date.now()}@test.com`;
+      const created = await invite(ownerCookie, email, 'staff');
+      const id = created.body.invitation.id;
+      const firstToken = invitationToken(email);
+
+      const resent = await request(app).post(`/api/invitations/${id}/resend`).set('Cookie', ownerCookie).set(ownerCsrf);
+      expect(resent.status).toBe(200);
+      const secondToken = invitationToken(email);
+      expect(secondToken).not.toBe(firstToken);
+      expect((await request(app).get(`/api/invitations/accept?token=${firstToken}`)).status).toBe(404);
+      expect((await request(app).get(`/api/invitations/accept?token=${secondToken}`)).status).toBe(200);
+
+      const revoked = await request(app).delete(`/api/invitations/${id}`).set('Cookie', ownerCookie).set(ownerCsrf);
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.invitation.status).toBe('revoked');
+      expect((await request(app).get(`/api/invitations/accept?token=${secondToken}`)).status).toBe(404);
+
+      const accept = await request(app).post('/api/invitations/accept').send({ token: secondToken, ...profile });
+      expect(accept.status).toBe(400);
+      expect((await request(app).delete(`/api/invitations/${id}`).set('Cookie', ownerCookie).set(ownerCsrf)).status).toBe(409);
+      expect((await request(app).post(`/api/invitations/${id}/resend`).set('Cookie', ownerCookie).set(ownerCsrf)).status).toBe(409);
+    });
+
+    test('should let managers invite staff but not managers, and staff invite no one', async () => {
+      const managerEmail = `inv-manager-${Date.now()}@test.com`;
+      await invite(ownerCookie, managerEmail, 'manager');
+      await request(app).post('/api/invitations/accept').send({ token: invitationToken(managerEmail), ...profile });
+      const managerCookie = (await login(managerEmail, profile.password)).headers['set-cookie'];
+
+      expect((await invite(managerCookie, `by-manager-${Date.now()}@test.com`, 'staff')).status).toBe(201);
+      const promote = await invite(managerCookie, `by-manager-mgr-${Date.now()}@test.com`, 'manager');
+      expect(promote.status).toBe(403);
+      expect(promote.body.permission).toBe('users:manage');
+
+      const staffEmail = `inv-staff-${Date.now()}@test.com`;
+      await invite(ownerCookie, staffEmail, 'staff');
+      await request(app).post('/api/invitations/accept').send({ token: invitationToken(staffEmail), ...profile });
+      const staffCookie = (await login(staffEmail, profile.password)).headers['set-cookie'];
+
+      expect((await invite(staffCookie, `by-staff-${Date.now()}@test.com`, 'staff')).status).toBe(403);
+      expect((await request(app).get('/api/invitations').set('Cookie', staffCookie)).status).toBe(403);
+    });
+
+    test('should hide invitations of other restaurants', async () => {
+      const email = `private-${Date.now()}@test.com`;
+      const created = await invite(ownerCookie, email, 'staff');
+
+      const otherEmail = `invite-other-${Date.now()}@test.com`;
+      await request(app).post('/api/register').send({ ...ownerUser, email: otherEmail, restaurantName: 'Rival Grill' });
+      await verifyEmail(otherEmail);
+      const otherLogin = await login(otherEmail, ownerUser.password);
+      const otherCookie = otherLogin.headers['set-cookie'];
+
+      const revoke = await request(app).delete(`/api/invitations/${created.body.invitation.id}`).set('Cookie', otherCookie).set(otherLogin.csrf);
+      expect(revoke.status).toBe(404);
+      const list = await request(app).get('/api/invitations').set('Cookie', otherCookie);
+      expect(list.body.invitations).toEqual([]);
+    });
+
+    test('should refuse links once the inviter or the restaurant has lost access', async () => {
+      const { Restaurant } = require('./models');
+      const managerEmail = `inv-leaver-${Date.now()}@test.com`;
+      await invite(ownerCookie, managerEmail, 'manager');
+      await request(app).post('/api/invitations/accept').send({ token: invitationToken(managerEmail), ...profile });
+      const manager = await User.findByEmail(managerEmail);
+      const email = `by-leaver-${Date.now()}@test.com`;
+      await invite((await login(managerEmail, profile.password)).headers['set-cookie'], email, 'staff');
+      const token = invitationToken(email);
+
+      await User.deactivate(manager.id);
+      expect((await request(app).get(`/api/invitations/accept?token=${token}`)).status).toBe(404);
+      const byLeaver = await request(app).post('/api/invitations/accept').send({ token, ...profile });
+      expect(byLeaver.status).toBe(400);
+      expect(byLeaver.body).toEqual({ error: 'Invalid or expired invitation' });
+      expect(await User.findByEmail(email)).toBeNull();
+
+      await User.activate(manager.id);
+      expect((await request(app).get(`/api/invitations/accept?token=${token}`)).status).toBe(200);
+
+      // Last in this block: deactivating the restaurant signs everyone out
+      await Restaurant.deactivate(manager.restaurant_id);
+      try {
+        expect((await request(app).get(`/api/invitations/accept?token=${token}`)).status).toBe(404);
+        expect((await request(app).post('/api/invitations/accept').send({ token, ...profile })).status).toBe(400);
+        expect(await User.findByEmail(email)).toBeNull();
+      } finally {
+        await Restaurant.activate(manager.restaurant_id);
+      }
+    });
+  });
+
+  describe('Active Sessions', () => {
+    const { User } = require('./models');
+    const userAgent = require('./services/userAgent');
+    const sessionUser = {
+      firstName: 'Session',
+      lastName: 'Owner',
+      email: `sessions-${Date.now()}@test.com`,
+      password: 'SessionPass123!',
+      restaurantName: 'Session Steakhouse',
+      role: 'owner'
+    };
+    const FIREFOX_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:124.0) Gecko/20100101 Firefox/124.0';
+    const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+    async function listSessions(cookies) {
+      return await request(app).get('/api/sessions').set('Cookie', cookies);
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(sessionUser);
+      await verifyEmail(sessionUser.email);
+    });
+
+    beforeEach(async () => {
+      const user = await User.findByEmail(sessionUser.email);
+      await db.query('UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1', [user.id]);
+    });
+
+    test('should list active sessions with device details and flag the current one', async () => {
+      const laptop = (await login(sessionUser.email, sessionUser.password, { userAgent: FIREFOX_WINDOWS })).headers['set-cookie'];
+      await login(sessionUser.email, sessionUser.password, { userAgent: SAFARI_IPHONE });
+
+      const response = await listSessions(laptop);
+      expect(response.status).toBe(200);
+      expect(response.body.sessions).toHaveLength(2);
+
+      const current = response.body.sessions.find(s => s.current);
+      expect(current).toMatchObject({ device: 'Firefox on Windows', browser: 'Firefox', os: 'Windows', userAgent: FIREFOX_WINDOWS });
+      expect(current.lastSeenAt).toBeTruthy();
+      expect(current).not.toHaveProperty('tokenHash');
+      expect(response.body.sessions.find(s => !s.current).device).toBe('Safari on iOS');
+    });
+
+    test('should sign out another session, but not sessions of other users', async () => {
+      const laptop = (await login(sessionUser.email, sessionUser.password, { userAgent: FIREFOX_WINDOWS })).headers['set-cookie'];
+      const phone = (await login(sessionUser.email, sessionUser.password, { userAgent: SAFARI_IPHONE })).headers['set-cookie'];
+      const phoneSession = (await listSessions(laptop)).body.sessions.find(s => !s.current);
+
+      const revoked = await request(app).delete(`/api/sessions/${phoneSession.id}`).set('Cookie', laptop).set(csrfHeader(laptop));
+      expect(revoked.status).toBe(200);
+      expect(revoked.body).toEqual({ ok: true, current: false });
+
+      expect((await request(app).get('/api/me').set('Cookie', phone)).status).toBe(401);
+      expect((await request(app).post('/api/refresh').set('Cookie', phone).set(csrfHeader(phone))).status).toBe(401);
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(200);
+      expect((await request(app).delete(`/api/sessions/${phoneSession.id}`).set('Cookie', laptop).set(csrfHeader(laptop))).status).toBe(404);
+
+      // Another account cannot revoke this user's session
+      const otherEmail = `sessions-other-${Date.now()}@test.com`;
+      await request(app).post('/api/register').send({ ...sessionUser, email: otherEmail });
+      await verifyEmail(otherEmail);
+      const other = (await login(otherEmail, sessionUser.password)).headers['set-cookie'];
+      const laptopSession = (await listSessions(laptop)).body.sessions[0];
+      expect((await request(app).delete(`/api/sessions/${laptopSession.id}`).set('Cookie', other).set(csrfHeader(other))).status).toBe(404);
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(200);
+    });
+
+    test('should sign out everywhere else and keep the current session', async () => {
+      const laptop = (await login(sessionUser.email, sessionUser.password, { userAgent: FIREFOX_WINDOWS })).headers['set-cookie'];
+      const phone = (await login(sessionUser.email, sessionUser.password, { userAgent: SAFARI_IPHONE })).headers['set-cookie'];
+      const tablet = (await login(sessionUser.email, sessionUser.password, { userAgent: SAFARI_IPHONE })).headers['set-cookie'];
+
+      const response = await request(app).post('/api/sessions/revoke-others').set('Cookie', laptop).set(csrfHeader(laptop));
+      expect(response.body).toEqual({ ok: true, revoked: 2 });
+
+      expect((await request(app).get('/api/me').set('Cookie', phone)).status).toBe(401);
+      expect((await request(app).get('/api/me').set('Cookie', tablet)).status).toBe(401);
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(200);
+      expect((await listSessions(laptop)).body.sessions).toHaveLength(1);
+    });
+
+    test('should treat signing out the current session as a logout', async () => {
+      const laptop = (await login(sessionUser.email, sessionUser.password, { userAgent: FIREFOX_WINDOWS })).headers['set-cookie'];
+      const own = (await listSessions(laptop)).body.sessions[0];
+
+      const response = await request(app).delete(`/api/sessions/${own.id}`).set('Cookie', laptop).set(csrfHeader(laptop));
+      expect(response.body).toEqual({ ok: true, current: true });
+      expect(response.headers['set-cookie'].join(';')).toMatch(/rm_auth=;/);
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(401);
+    });
+
+    test('should revoke the other sessions when the password is changed', async () => {
+      const laptop = (await login(sessionUser.email, sessionUser.password, { userAgent: FIREFOX_WINDOWS })).headers['set-cookie'];
+      const phone = (await login(sessionUser.email, sessionUser.password, { userAgent: SAFARI_IPHONE })).headers['set-cookie'];
+      const laptopSession = (await listSessions(laptop)).body.sessions.find(s => s.current);
+      const user = await User.findByEmail(sessionUser.email);
+
+      await User.changePassword(user.id, sessionUser.password, 'ChangedPass123!', laptopSession.id);
+
+      expect((await request(app).get('/api/me').set('Cookie', phone)).status).toBe(401);
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(200);
+
+      await User.changePassword(user.id, 'ChangedPass123!', 'ChangedAgain123!');
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(401);
+    });
+
+    test('should describe common user agents', () => {
+      expect(userAgent.describe('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36').label).toBe('Chrome on macOS');
+      expect(userAgent.describe('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36 Edg/123.0.0.0').label).toBe('Edge on Windows');
+      expect(userAgent.describe('Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Mobile Safari/537.36').label).toBe('Chrome on Android');
+      expect(userAgent.describe('curl/8.4.0').label).toBe('curl');
+      expect(userAgent.describe(null).label).toBe('Unknown device');
+    });
+  });
+
+  describe('Profile & Password Change', () => {
+    const profileUser = {
+      firstName: 'Profile',
+      lastName: 'Owner',
+      email: `profile-${Date.now()}@test.com`,
+      password: 'ProfilePass123!',
+      restaurantName: 'Profile Pantry',
+      role: 'owner'
+    };
+    let cookie;
+    let csrf;
+
+    async function changePassword(currentPassword, newPassword) {
+      return await request(app).post('/api/me/password').set('Cookie', cookie).set(csrf).send({ currentPassword, newPassword });
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(profileUser);
+      await verifyEmail(profileUser.email);
+      const session = await login(profileUser.email, profileUser.password);
+      cookie = session.headers['set-cookie'];
+      csrf = session.csrf;
+    });
+
+    test('should update name and phone', async () => {
+      const response = await request(app)
+        .put('/api/me')
+        .set('Cookie', cookie)
+        .set(csrf)
+        .send({ firstName: 'Renamed', lastName: 'Ownerton', phone: '+1 555 123 4567' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toMatchObject({ firstName: 'Renamed', lastName: 'Ownerton', phone: '+1 555 123 4567', email: profileUser.email });
+
+      const cleared = await request(app).put('/api/me').set('Cookie', cookie).set(csrf).send({ phone: '' });
+      expect(cleared.body.user).toMatchObject({ firstName: 'Renamed', phone: null });
+    });
+
+    test('should validate profile fields and ignore fields it does not own', async () => {
+      const badName = await request(app).put('/api/me').set('Cookie', cookie).set(csrf).send({ firstName: '<script>' });
+      expect(badName.status).toBe(400);
+      const badPhone = await request(app).put('/api/me').set('Cookie', cookie).set(csrf).send({ phone: 'call me maybe' });
+      expect(badPhone.status).toBe(400);
+
+      const escalate = await request(app).put('/api/me').set('Cookie', cookie).set(csrf).send({ role: 'admin', email: 'x@test.com' });
+      expect(escalate.status).toBe(400);
+      const me = await request(app).get('/api/me').set('Cookie', cookie);
+      expect(me.body.user).toMatchObject({ role: 'owner', email: profileUser.email });
+
+      expect((await request(app).put('/api/me').send({ firstName: 'Anon' })).status).toBe(401);
+    });
+
+    test('should change the password and sign out the other sessions', async () => {
+      const otherDevice = (await login(profileUser.email, profileUser.password)).headers['set-cookie'];
+
+      const wrong = await changePassword('WrongPass123!', 'BrandNewPass123!');
+      expect(wrong.status).toBe(400);
+      expect(wrong.body.code).toBe('INVALID_PASSWORD');
+      const weak = await changePassword(profileUser.password, 'weak');
+      expect(weak.status).toBe(400);
+
+      const changed = await changePassword(profileUser.password, 'BrandNewPass123!');
+      expect(changed.status).toBe(200);
+
+      expect((await request(app).get('/api/me').set('Cookie', cookie)).status).toBe(200);
+      expect((await request(app).get('/api/me').set('Cookie', otherDevice)).status).toBe(401);
+      expect((await login(profileUser.email, profileUser.password)).status).toBe(401);
+      expect((await login(profileUser.email, 'BrandNewPass123!')).status).toBe(200);
+    });
+
+    test('should refuse the current and recently used passwords', async () => {
+      const same = await changePassword('BrandNewPass123!', 'BrandNewPass123!');
+      expect(same.status).toBe(400);
+      expect(same.body.code).toBe('PASSWORD_REUSED');
+
+      const previous = await changePassword('BrandNewPass123!', profileUser.password);
+      expect(previous.body.code).toBe('PASSWORD_REUSED');
+
+      // After 6 newer passwords, the original one may be used again
+      let current = 'BrandNewPass123!';
+      for (let i = 1; i <= 5; i++) {
+        const next = `Rotation${i}Pass123!`;
+        expect((await changePassword(current, next)).status).toBe(200);
+        current = next;
+      }
+      expect((await changePassword(current, 'BrandNewPass123!')).body.code).toBe('PASSWORD_REUSED');
+      expect((await changePassword(current, profileUser.password)).status).toBe(200);
+
+      const { User } = require('./models');
+      const user = await User.findByEmail(profileUser.email);
+      const history = await db.query('SELECT id FROM user_password_history WHERE user_id = $1', [user.id]);
+      expect(history.rows).toHaveLength(5);
+    }, 30000);
+
+    test('should count wrong current passwords toward the account lockout', async () => {
+      for (let i = 1; i < 5; i++) {
+        expect((await changePassword(`Guess${i}Pass123!`, 'LockedOutPass123!')).status).toBe(400);
+      }
+      const locked = await changePassword('Guess5Pass123!', 'LockedOutPass123!');
+      expect(locked.status).toBe(403);
+      expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+
+      // Locked: the right password is refused too, here and at login
+      expect((await changePassword(profileUser.password, 'LockedOutPass123!')).status).toBe(403);
+      expect((await login(profileUser.email, profileUser.password)).status).toBe(403);
+
+      const { User } = require('./models');
+      const user = await User.findByEmail(profileUser.email);
+      const events = await db.query('SELECT event FROM audit_log WHERE record_id = $1', [user.id]);
+      expect(events.rows.filter(row => row.event === 'account_locked')).toHaveLength(1);
+    });
+  });
+
+  describe('API Keys', () => {
+    const { ApiKey, AuditLog } = require('./models');
+    const keyOwner = {
+      firstName: 'Key',
+      lastName: 'Owner',
+      email: `key-owner-${Date.now()}@test.com`,
+      password: 'KeyOwnerPass123!',
+      restaurantName: 'Keyed Kitchen',
+      role: 'owner'
+    };
+    let ownerCookie;
+    let ownerCsrf;
+
+    async function createKey(body) {
+      return await request(app).post('/api/api-keys').set('Cookie', ownerCookie).set(ownerCsrf).send(body);
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(keyOwner);
+      await verifyEmail(keyOwner.email);
+      const response = await login(keyOwner.email, keyOwner.password);
+      ownerCookie = response.headers['set-cookie'];
+      ownerCsrf = response.csrf;
+    });
+
+    test('should create a key shown once and stored only as a hash', async () => {
+      const response = await createKey({ name: 'Delivery aggregator', scopes: ['restaurant:read', 'orders:create'], expiresInDays: 30 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.key).toMatch(/^rmk_[0-9a-f]{8}_[0-9a-f]{64}$/);
+      expect(response.body.apiKey).toMatchObject({
+        name: 'Delivery aggregator',
+        prefix: response.body.key.slice(0, 12),
+        scopes: ['restaurant:read', 'orders:create'],
+        status: 'active',
+        lastUsedAt: null
+      });
+      expect(response.body.apiKey).not.toHaveProperty('keyHash');
+
+      const stored = await ApiKey.findById(response.body.apiKey.id);
+      expect(stored.key_hash).toBe(ApiKey.hashKey(response.body.key));
+      expect(JSON.stringify(stored)).not.toContain(response.body.key);
+
+      const listed = await request(app).get('/api/api-keys').set('Cookie', ownerCookie);
+      expect(listed.body.apiKeys[0]).toMatchObject({ id: response.body.apiKey.id, prefix: response.body.apiKey.prefix });
+      expect(JSON.stringify(listed.body)).not.toContain(response.body.key);
+      expect(listed.body.scopes).toContain('orders:refund');
+      expect(listed.body.scopes).not.toContain('permissions:manage');
+
+      const audit = await AuditLog.findByRecord('api_keys', response.body.apiKey.id);
+      expect(audit.map(entry => entry.event)).toContain('api_key_created');
+    });
+
+    test('should reject invalid names, scopes and expiry', async () => {
+      expect((await createKey({ name: '', scopes: ['menu:read'] })).status).toBe(400);
+      expect((await createKey({ name: 'No scopes', scopes: [] })).status).toBe(400);
+      expect((await createKey({ name: 'Bad scope', scopes: ['menu:eat'] })).status).toBe(400);
+      expect((await createKey({ name: 'Too powerful', scopes: ['permissions:manage'] })).body.error).toBe('Invalid scope: permissions:manage');
+      expect((await createKey({ name: 'Forever and a day', scopes: ['menu:read'], expiresInDays: 366 })).status).toBe(400);
+    });
+
+    test('should authenticate with the Authorization header within its scopes', async () => {
+      const { body } = await createKey({ name: 'Accounting', scopes: ['restaurant:read'] });
+      const auth = `Bearer ${body.key}`;
+
+      const restaurant = await request(app).get('/api/restaurant').set('Authorization', auth);
+      expect(restaurant.status).toBe(200);
+      expect(restaurant.body.restaurant.name).toBe('Keyed Kitchen');
+
+      const { body: menuKey } = await createKey({ name: 'Menu board', scopes: ['menu:read'] });
+      const outOfScope = await request(app).get('/api/restaurant').set('Authorization', `Bearer ${menuKey.key}`);
+      expect(outOfScope.status).toBe(403);
+      expect(outOfScope.body).toMatchObject({ error: 'Insufficient scope', permission: 'restaurant:read' });
+
+      // Account and team routes need a signed-in person, and keys cannot manage keys
+      expect((await request(app).get('/api/me').set('Authorization', auth)).status).toBe(401);
+      expect((await request(app).get('/api/invitations').set('Authorization', auth)).status).toBe(401);
+      expect((await request(app).get('/api/api-keys').set('Authorization', auth)).status).toBe(401);
+
+      const stored = await ApiKey.findById(body.apiKey.id);
+      expect(stored.last_used_at).not.toBeNull();
+      const listed = await request(app).get('/api/api-keys').set('Cookie', ownerCookie);
+      expect(listed.body.apiKeys.find(key => key.id === body.apiKey.id).lastUsedAt).not.toBeNull();
+    });
+
+    test('should reject unknown, revoked and expired keys', async () => {
+      const { body } = await createKey({ name: 'Short-lived', scopes: ['restaurant:read'] });
+      const auth = `Bearer ${body.key}`;
+      expect((await request(app).get('/api/restaurant').set('Authorization', auth)).status).toBe(200);
+
+      const forged = `${body.key.slice(0, -1)}${body.key.endsWith('0') ? '1' : '0'}`;
+      const unknown = await request(app).get('/api/restaurant').set('Authorization', `Bearer ${forged}`);
+      expect(unknown.status).toBe(401);
+      expect(unknown.body.error).toBe('Invalid API key');
+
+      const revoked = await request(app).delete(`/api/api-keys/${body.apiKey.id}`).set('Cookie', ownerCookie).set(ownerCsrf);
+      expect(revoked.status).toBe(200);
+      expect(revoked.body.apiKey.status).toBe('revoked');
+      expect((await request(app).get('/api/restaurant').set('Authorization', auth)).status).toBe(401);
+      expect((await request(app).delete(`/api/api-keys/${body.apiKey.id}`).set('Cookie', ownerCookie).set(ownerCsrf)).status).toBe(404);
+
+      const expiring = await createKey({ name: 'Expired', scopes: ['restaurant:read'], expiresInDays: 1 });
+      await db.query('UPDATE api_keys SET expires_at = $1 WHERE id = $2', [new Date(Date.now() - 1000), expiring.body.apiKey.id]);
+      expect((await request(app).get('/api/restaurant').set('Authorization', `Bearer ${expiring.body.key}`)).status).toBe(401);
+    });
+
+    test('should not let another restaurant revoke or see a key', async () => {
+      const { body } = await createKey({ name: 'Private', scopes: ['menu:read'] });
+      const other = {
+        ...keyOwner,
+        email: `other-key-owner-${Date.now()}@test.com`,
+        restaurantName: 'Other Oven'
+      };
+      await request(app).post('/api/register').send(other);
+      await verifyEmail(other.email);
+      const otherLogin = await login(other.email, other.password);
+      const otherCookie = otherLogin.headers['set-cookie'];
+
+      expect((await request(app).delete(`/api/api-keys/${body.apiKey.id}`).set('Cookie', otherCookie).set(otherLogin.csrf)).status).toBe(404);
+      const listed = await request(app).get('/api/api-keys').set('Cookie', otherCookie);
+      expect(listed.body.apiKeys).toHaveLength(0);
+    });
+  });
+
+  describe('Single Sign-On (OpenID Connect)', () => {
+    const crypto = require('crypto');
+    const { startMockOidcProvider } = require('./test/mockOidcProvider');
+    const oidc = require('./services/oidc');
+    const { User, UserIdentity, AuditLog } = require('./models');
+    const ssoOwner = {
+      firstName: 'Sso',
+      lastName: 'Owner',
+      email: `sso-owner-${Date.now()}@test.com`,
+      password: 'SsoOwnerPass123!',
+      restaurantName: 'Federated Foods',
+      role: 'owner'
+    };
+    let provider;
+    let restaurantId;
+
+    // Start at our login endpoint, sign in at the provider, come back to the callback
+    async function ssoLogin(claims, query = '') {
+      provider.setClaims(claims);
+      const start = await request(app).get(`/api/auth/oidc/login${query}`);
+      expect(start.status).toBe(302);
+      const stateCookie = start.headers['set-cookie'];
+
+      const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+      const callback = new URL(authorize.headers.get('location'));
+      const response = await request(app).get(callback.pathname + callback.search).set('Cookie', stateCookie);
+      return Object.assign(response, { callbackUrl: callback.pathname + callback.search, stateCookie });
+    }
+
+    function staffClaims(overrides = {}) {
+      const id = crypto.randomUUID();
+      return {
+        sub: `idp-${id}`,
+        email: `sso-${id}@test.com`,
+        email_verified: true,
+        given_name: 'Jamie',
+        family_name: 'Rivera',
+        roles: ['staff'],
+        restaurant_id: restaurantId,
+        ...overrides
+      };
+    }
+
+    beforeAll(async () => {
+      provider = await startMockOidcProvider({ clientId: 'rm-test', clientSecret: 'rm-test-secret' });
+      process.env.OIDC_ISSUER = provider.issuer;
+      process.env.OIDC_CLIENT_ID = 'rm-test';
+      process.env.OIDC_CLIENT_SECRET = 'rm-test-secret';
+      process.env.OIDC_PROVIDER_NAME = 'Group Login';
+
+      await request(app).post('/api/register').send(ssoOwner);
+      await verifyEmail(ssoOwner.email);
+      restaurantId = (await User.findByEmail(ssoOwner.email)).restaurant_id;
+    });
+
+    afterAll(async () => {
+      for (const name of ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_CLIENT_SECRET', 'OIDC_PROVIDER_NAME']) {
+        delete process.env[name];
+      }
+      oidc.clearCache();
+      await provider.close();
+    });
+
+    test('should advertise single sign-on only when configured', async () => {
+      const enabled = await request(app).get('/api/auth/oidc');
+      expect(enabled.body).toEqual({ enabled: true, name: 'Group Login' });
+
+      const issuer = process.env.OIDC_ISSUER;
+      delete process.env.OIDC_ISSUER;
+      expect((await request(app).get('/api/auth/oidc')).body.enabled).toBe(false);
+      expect((await request(app).get('/api/auth/oidc/login')).status).toBe(404);
+      process.env.OIDC_ISSUER = issuer;
+    });
+
+    test('should send an authorization request with PKCE, state and nonce', async () => {
+      const start = await request(app).get('/api/auth/oidc/login');
+      const url = new URL(start.headers.location);
+
+      expect(url.origin).toBe(provider.issuer);
+      expect(url.searchParams.get('client_id')).toBe('rm-test');
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(url.searchParams.get('state')).toBeTruthy();
+      expect(url.searchParams.get('nonce')).toBeTruthy();
+      expect(url.searchParams.get('redirect_uri')).toMatch(/\/api\/auth\/oidc\/callback$/);
+
+      const cookie = start.headers['set-cookie'][0];
+      expect(cookie).toMatch(/^rm_oidc=/);
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('SameSite=Lax');
+    });
+
+    test('should provision a staff member just in time and sign them in', async () => {
+      const claims = staffClaims();
+      const response = await ssoLogin(claims);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/dashboard.html');
+      const cookies = response.headers['set-cookie'];
+      expect(cookies.some(c => c.startsWith('rm_auth='))).toBe(true);
+
+      const me = await request(app).get('/api/me').set('Cookie', cookies);
+      expect(me.body.user).toMatchObject({ email: claims.email, firstName: 'Jamie', lastName: 'Rivera', role: 'staff', restaurantId, emailVerified: true });
+
+      const audit = await AuditLog.findByRecord('users', me.body.user.id);
+      expect(audit.map(entry => entry.event)).toContain('sso_user_provisioned');
+
+      // Next sign-in finds the identity by subject, even after an email change at the provider
+      const again = await ssoLogin({ ...claims, email: `renamed-${claims.email}`, roles: ['manager'] });
+      expect(again.headers.location).toBe('/dashboard.html');
+      const identities = await UserIdentity.findByUser(me.body.user.id);
+      expect(identities).toHaveLength(1);
+      expect(identities[0].email).toBe(`renamed-${claims.email}`);
+      expect((await User.findById(me.body.user.id)).role).toBe('staff');
+    });
+
+    test('should map provider roles through OIDC_ROLE_MAP and never provision owners', async () => {
+      process.env.OIDC_ROLE_MAP = JSON.stringify({ 'kitchen-leads': 'manager', 'group-admins': 'owner' });
+      try {
+        const lead = staffClaims({ roles: ['cooks', 'kitchen-leads'] });
+        expect((await ssoLogin(lead)).headers.location).toBe('/dashboard.html');
+        expect((await User.findByEmail(lead.email)).role).toBe('manager');
+
+        const admin = staffClaims({ roles: ['group-admins'] });
+        expect((await ssoLogin(admin)).headers.location).toBe('/login.html?sso_error=sso_no_account');
+        expect(await User.findByEmail(admin.email)).toBeNull();
+      } finally {
+        delete process.env.OIDC_ROLE_MAP;
+      }
+    });
+
+    test('should link an existing account with the same verified email', async () => {
+      const claims = staffClaims({ email: ssoOwner.email, roles: [] });
+
+      const unverified = await ssoLogin({ ...claims, email_verified: false });
+      expect(unverified.headers.location).toBe('/login.html?sso_error=sso_no_account');
+
+      const response = await ssoLogin(claims);
+      expect(response.headers.location).toBe('/dashboard.html');
+      const me = await request(app).get('/api/me').set('Cookie', response.headers['set-cookie']);
+      expect(me.body.user).toMatchObject({ email: ssoOwner.email, role: 'owner' });
+
+      const owner = await User.findByEmail(ssoOwner.email);
+      const audit = await AuditLog.findByRecord('users', owner.id);
+      expect(audit.map(entry => entry.event)).toContain('sso_account_linked');
+      expect(await UserIdentity.findByProvider(provider.issuer, claims.sub)).toMatchObject({ user_id: owner.id });
+    });
+
+    test('should refuse people without an account or restaurant', async () => {
+      const noRestaurant = await ssoLogin(staffClaims({ restaurant_id: undefined }));
+      expect(noRestaurant.headers.location).toBe('/login.html?sso_error=sso_no_account');
+
+      const unknownRestaurant = await ssoLogin(staffClaims({ restaurant_id: crypto.randomUUID() }));
+      expect(unknownRestaurant.headers.location).toBe('/login.html?sso_error=sso_no_account');
+
+      process.env.OIDC_JIT_PROVISIONING = 'false';
+      try {
+        expect((await ssoLogin(staffClaims())).headers.location).toBe('/login.html?sso_error=sso_no_account');
+      } finally {
+        delete process.env.OIDC_JIT_PROVISIONING;
+      }
+    });
+
+    test('should reject forged state, replayed codes, denials and untrusted tokens', async () => {
+      const claims = staffClaims();
+      const first = await ssoLogin(claims);
+      expect(first.headers.location).toBe('/dashboard.html');
+
+      // Replaying the callback: the code is single-use, and the browser no longer has the state cookie
+      const replay = await request(app).get(first.callbackUrl).set('Cookie', first.stateCookie);
+      expect(replay.headers.location).toBe('/login.html?sso_error=sso_failed');
+      const noCookie = await request(app).get(first.callbackUrl);
+      expect(noCookie.headers.location).toBe('/login.html?sso_error=sso_state');
+
+      // State from another browser
+      const start = await request(app).get('/api/auth/oidc/login');
+      const forged = await request(app)
+        .get('/api/auth/oidc/callback?code=abc&state=not-the-state')
+        .set('Cookie', start.headers['set-cookie']);
+      expect(forged.headers.location).toBe('/login.html?sso_error=sso_state');
+
+      provider.denyNext();
+      expect((await ssoLogin(claims)).headers.location).toBe('/login.html?sso_error=sso_denied');
+
+      provider.signWithUnknownKey(true);
+      try {
+        const untrusted = await ssoLogin(claims);
+        expect(untrusted.headers.location).toBe('/login.html?sso_error=sso_failed');
+        expect(untrusted.headers['set-cookie'].some(c => c.startsWith('rm_auth='))).toBe(false);
+      } finally {
+        provider.signWithUnknownKey(false);
+      }
+    });
+
+    test('should keep local two-factor rules unless the provider did MFA', async () => {
+      await db.query('UPDATE restaurants SET require_mfa = true WHERE id = $1', [restaurantId]);
+      try {
+        const claims = staffClaims();
+        const setup = await ssoLogin(claims);
+        expect(setup.headers.location).toMatch(/^\/login\.html#mfa=setup&mfaToken=/);
+        expect(setup.headers['set-cookie'].some(c => c.startsWith('rm_auth='))).toBe(false);
+
+        const withMfa = await ssoLogin({ ...claims, amr: ['pwd', 'mfa'] });
+        expect(withMfa.headers.location).toBe('/dashboard.html');
+      } finally {
+        await db.query('UPDATE restaurants SET require_mfa = false WHERE id = $1', [restaurantId]);
+      }
+    });
+
+    test('should refuse deactivated accounts', async () => {
+      const claims = staffClaims();
+      await ssoLogin(claims);
+      const user = await User.findByEmail(claims.email);
+      await User.deactivate(user.id);
+
+      expect((await ssoLogin(claims)).headers.location).toBe('/login.html?sso_error=account_disabled');
+    });
+  });
+
+  describe('Account Deactivation', () => {
+    const { User, Restaurant, UserSession } = require('./models');
+    const deactivationOwner = {
+      firstName: 'Closing',
+      lastName: 'Owner',
+      email: 'closing-owner@example.com',
+      password: 'ClosingPass123!',
+      restaurantName: 'Closing Time Diner',
+      role: 'owner'
+    };
+    let restaurantId;
+
+    async function createStaff(email) {
+      const user = await User.create({
+        email,
+        password: 'StaffPass123!',
+        first_name: 'Shift',
+        last_name: 'Worker',
+        role: 'staff',
+        restaurant_id: restaurantId
+      });
+      await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [user.id]);
+      return user;
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(deactivationOwner);
+      await verifyEmail(deactivationOwner.email);
+      restaurantId = (await User.findByEmail(deactivationOwner.email)).restaurant_id;
+    });
+
+    test('should revoke every session of a deactivated user at once', async () => {
+      const user = await createStaff('deactivated-staff@example.com');
+      const laptop = (await login(user.email, 'StaffPass123!')).headers['set-cookie'];
+      const phone = (await login(user.email, 'StaffPass123!')).headers['set-cookie'];
+      expect((await request(app).get('/api/me').set('Cookie', laptop)).status).toBe(200);
+
+      await User.deactivate(user.id);
+
+      expect(await UserSession.findActiveForUser(user.id)).toHaveLength(0);
+      for (const cookies of [laptop, phone]) {
+        expect((await request(app).get('/api/me').set('Cookie', cookies)).status).toBe(401);
+        expect((await request(app).post('/api/refresh').set('Cookie', cookies).set(csrfHeader(cookies))).status).toBe(401);
+      }
+      expect((await login(user.email, 'StaffPass123!')).status).toBe(401);
+    });
+
+    test('should reject a live token once the account is inactive, however it was deactivated', async () => {
+      const user = await createStaff('flagged-staff@example.com');
+      const cookies = (await login(user.email, 'StaffPass123!')).headers['set-cookie'];
+
+      // e.g. an operator flipping the flag in the database
+      await db.query('UPDATE users SET is_active = false WHERE id = $1', [user.id]);
+
+      const response = await request(app).get('/api/restaurant').set('Cookie', cookies);
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Account is deactivated' });
+      expect(await UserSession.findActiveForUser(user.id)).toHaveLength(0);
+
+      // Reactivation does not bring the old session back
+      await User.activate(user.id);
+      expect((await request(app).get('/api/me').set('Cookie', cookies)).status).toBe(401);
+      expect((await request(app).get('/api/me').set('Cookie', (await login(user.email, 'StaffPass123!')).headers['set-cookie'])).status).toBe(200);
+    });
+
+    test('should shut out the users and API keys of a deactivated restaurant', async () => {
+      const ownerLogin = await login(deactivationOwner.email, deactivationOwner.password);
+      const ownerCookies = ownerLogin.headers['set-cookie'];
+      const staff = await createStaff('closing-staff@example.com');
+      const staffCookies = (await login(staff.email, 'StaffPass123!')).headers['set-cookie'];
+      const { body: created } = await request(app)
+        .post('/api/api-keys')
+        .set('Cookie', ownerCookies)
+        .set(ownerLogin.csrf)
+        .send({ name: 'Till export', scopes: ['restaurant:read'] });
+      const auth = `Bearer ${created.key}`;
+      expect((await request(app).get('/api/restaurant').set('Authorization', auth)).status).toBe(200);
+
+      await Restaurant.deactivate(restaurantId);
+      try {
+        expect(await UserSession.findActiveForUser(staff.id)).toHaveLength(0);
+        for (const cookies of [ownerCookies, staffCookies]) {
+          expect((await request(app).get('/api/me').set('Cookie', cookies)).status).toBe(401);
+        }
+        expect((await request(app).get('/api/restaurant').set('Authorization', auth)).status).toBe(401);
+        expect((await login(deactivationOwner.email, deactivationOwner.password)).body)
+          .toEqual({ error: 'Invalid credentials' });
+
+        // Sessions that slipped through (e.g. the flag set directly) are refused per request
+        await Restaurant.activate(restaurantId);
+        const again = (await login(staff.email, 'StaffPass123!')).headers['set-cookie'];
+        await db.query('UPDATE restaurants SET is_active = false WHERE id = $1', [restaurantId]);
+        const response = await request(app).get('/api/me').set('Cookie', again);
+        expect(response.status).toBe(401);
+        expect(response.body).toEqual({ error: 'Restaurant is deactivated' });
+      } finally {
+        await Restaurant.activate(restaurantId);
+      }
+
+      expect((await request(app).get('/api/restaurant').set('Authorization', auth)).status).toBe(200);
+    });
+  });
+
+  describe('Signing Keys (JWKS)', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const jwt = require('jsonwebtoken');
+    const crypto = require('crypto');
+    const jwtKeys = require('./services/jwtKeys');
+
+    const keyUser = {
+      firstName: 'Keyring',
+      lastName: 'Owner',
+      email: 'keyring@example.com',
+      password: 'KeyringPass123!',
+      restaurantName: 'Rotating Grill',
+      role: 'owner'
+    };
+    let dir;
+    let file;
+
+    function accessToken(cookies) {
+      return cookies.find(c => c.startsWith('rm_auth=')).split(';')[0].slice('rm_auth='.length);
+    }
+
+    function useKeyring(keyring) {
+      jwtKeys.writeKeyring(file, keyring);
+      jwtKeys.reload();
+    }
+
+    beforeAll(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rm-keys-'));
+      file = path.join(dir, 'jwt-keyring.json');
+      await request(app).post('/api/register').send(keyUser);
+      await verifyEmail(keyUser.email);
+    });
+
+    afterEach(() => {
+      delete process.env.JWT_KEYRING_PATH;
+      delete process.env.JWT_KEY_GRACE_HOURS;
+      jwtKeys.reload();
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should sign with JWT_SECRET and publish no keys without a keyring', async () => {
+      const cookies = (await login(keyUser.email, keyUser.password)).headers['set-cookie'];
+      expect(jwt.decode(accessToken(cookies), { complete: true }).header).toMatchObject({ alg: 'HS256' });
+      expect(jwt.decode(accessToken(cookies), { complete: true }).header).not.toHaveProperty('kid');
+
+      const response = await request(app).get('/.well-known/jwks.json');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ keys: [] });
+    });
+
+    test('should sign with the active key and publish it for other services', async () => {
+      const legacy = (await login(keyUser.email, keyUser.password)).headers['set-cookie'];
+      const key = jwtKeys.generateKey('RS256');
+      process.env.JWT_KEYRING_PATH = file;
+      useKeyring({ keys: [key] });
+
+      const cookies = (await login(keyUser.email, keyUser.password)).headers['set-cookie'];
+      const token = accessToken(cookies);
+      expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'RS256', kid: key.kid });
+
+      const response = await request(app).get('/.well-known/jwks.json');
+      expect(response.headers['cache-control']).toMatch(/public, max-age=\d+/);
+      expect(response.body.keys).toHaveLength(1);
+      expect(response.body.keys[0]).toMatchObject({ kty: 'RSA', kid: key.kid, alg: 'RS256', use: 'sig' });
+      expect(response.body.keys[0]).not.toHaveProperty('d');
+
+      // What another service does with the JWKS
+      const publicKey = crypto.createPublicKey({ key: response.body.keys[0], format: 'jwk' });
+      expect(jwt.verify(token, publicKey, { algorithms: ['RS256'] }).email).toBe(keyUser.email);
+
+      expect((await request(app).get('/api/me').set('Cookie', cookies)).status).toBe(200);
+      // HS256 sessions from before the switch keep working while JWT_SECRET is set
+      expect((await request(app).get('/api/me').set('Cookie', legacy)).status).toBe(200);
+    });
+
+    test('should keep verifying retired keys during the grace period only', async () => {
+      const keyring = { keys: [jwtKeys.generateKey('RS256')] };
+      const oldKid = keyring.keys[0].kid;
+      process.env.JWT_KEYRING_PATH = file;
+      useKeyring(keyring);
+      const before = (await login(keyUser.email, keyUser.password)).headers['set-cookie'];
+
+      const newKey = jwtKeys.rotateKeyring(keyring, 'ES256');
+      useKeyring(keyring);
+      const after = (await login(keyUser.email, keyUser.password)).headers['set-cookie'];
+      expect(jwt.decode(accessToken(after), { complete: true }).header).toMatchObject({ alg: 'ES256', kid: newKey.kid });
+
+      const published = (await request(app).get('/.well-known/jwks.json')).body.keys;
+      expect(published.map(k => k.kid).sort()).toEqual([oldKid, newKey.kid].sort());
+      expect(published.find(k => k.kid === newKey.kid)).toMatchObject({ kty: 'EC', crv: 'P-256' });
+      expect((await request(app).get('/api/me').set('Cookie', before)).status).toBe(200);
+
+      // Grace period over: the old key is gone from the JWKS and its tokens are refused
+      process.env.JWT_KEY_GRACE_HOURS = '0';
+      expect((await request(app).get('/.well-known/jwks.json')).body.keys.map(k => k.kid)).toEqual([newKey.kid]);
+      expect((await request(app).get('/api/me').set('Cookie', before)).status).toBe(401);
+      expect((await request(app).get('/api/me').set('Cookie', after)).status).toBe(200);
+
+      expect(jwtKeys.pruneKeyring(keyring, 0).map(k => k.kid)).toEqual([oldKid]);
+      expect(keyring.keys.map(k => k.kid)).toEqual([newKey.kid]);
+    });
+
+    test('should refuse tokens with an unknown kid or a switched algorithm', async () => {
+      const key = jwtKeys.generateKey('RS256');
+      process.env.JWT_KEYRING_PATH = file;
+      useKeyring({ keys: [key] });
+      const token = accessToken((await login(keyUser.email, keyUser.password)).headers['set-cookie']);
+      const payload = jwt.decode(token);
+      delete payload.exp;
+      delete payload.iat;
+
+      // Signed by someone else's key under our kid
+      const foreign = jwtKeys.generateKey('RS256');
+      const forged = jwt.sign(payload, foreign.privateKey, { algorithm: 'RS256', keyid: key.kid, expiresIn: 60 });
+      expect((await request(app).get('/api/me').set('Cookie', `rm_auth=${forged}`)).status).toBe(401);
+
+      // HS256 with the public key as the secret (algorithm confusion)
+      const publicPem = crypto.createPublicKey(key.privateKey).export({ type: 'spki', format: 'pem' });
+      const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: key.kid })).toString('base64url');
+      const body = Buffer.from(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + 60 })).toString('base64url');
+      const mac = crypto.createHmac('sha256', publicPem).update(`${header}.${body}`).digest('base64url');
+      expect((await request(app).get('/api/me').set('Cookie', `rm_auth=${header}.${body}.${mac}`)).status).toBe(401);
+
+      const unknown = jwt.sign(payload, key.privateKey, { algorithm: 'RS256', keyid: 'not-a-key', expiresIn: 60 });
+      expect((await request(app).get('/api/me').set('Cookie', `rm_auth=${unknown}`)).status).toBe(401);
+    });
+
+    test('should reject unsupported algorithms and keyrings without an active key', () => {
+      expect(() => jwtKeys.generateKey('HS256')).toThrow('Unsupported key algorithm');
+
+      const retired = { ...jwtKeys.generateKey('ES256'), retiredAt: new Date().toISOString() };
+      jwtKeys.writeKeyring(file, { keys: [retired] });
+      expect(() => jwtKeys.readKeyring(file)).toThrow('no active key');
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    });
+  });
+
+  describe('Admin Impersonation', () => {
+    const { User, UserSession, AuditLog } = require('./models');
+    const impOwner = {
+      firstName: 'Helped',
+      lastName: 'Owner',
+      email: 'helped-owner@example.com',
+      password: 'HelpedPass123!',
+      restaurantName: 'Support Ticket Tavern',
+      role: 'owner'
+    };
+    let restaurantId;
+    let staff;
+    let supportAdmin;
+
+    async function createUser(email, role, restaurant) {
+      const user = await User.create({
+        email,
+        password: 'MemberPass123!',
+        first_name: 'Team',
+        last_name: role,
+        role,
+        restaurant_id: restaurant
+      });
+      await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [user.id]);
+      return user;
+    }
+
+    // Minimal cookie jar: later Set-Cookie headers replace or clear earlier ones
+    function applyCookies(jar, setCookies) {
+      const next = { ...jar };
+      for (const cookie of setCookies || []) {
+        const pair = cookie.split(';')[0];
+        const name = pair.slice(0, pair.indexOf('='));
+        const value = pair.slice(pair.indexOf('=') + 1);
+        if (!value || /expires=Thu, 01 Jan 1970/i.test(cookie)) delete next[name];
+        else next[name] = value;
+      }
+      return next;
+    }
+
+    function cookieHeader(jar) {
+      return Object.entries(jar).map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    // Cookie jar of a fresh sign-in (team members share one password)
+    async function signedIn(email, password = 'MemberPass123!') {
+      return applyCookies({}, (await login(email, password)).headers['set-cookie']);
+    }
+
+    async function impersonate(jar, body) {
+      const response = await request(app).post('/api/impersonation').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar))).send(body);
+      return { response, jar: applyCookies(jar, response.headers['set-cookie']) };
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(impOwner);
+      await verifyEmail(impOwner.email);
+      restaurantId = (await User.findByEmail(impOwner.email)).restaurant_id;
+      staff = await createUser('helped-staff@example.com', 'staff', restaurantId);
+      supportAdmin = await createUser('support-admin@example.com', 'admin', null);
+    });
+
+    test('should sign an admin in as the user, show both identities and restore the admin afterwards', async () => {
+      const adminJar = await signedIn(supportAdmin.email);
+      const { response, jar } = await impersonate(adminJar, { email: staff.email, reason: 'Ticket 4711' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.impersonation.user).toMatchObject({ id: staff.id, email: staff.email });
+      expect(jar.rm_imp_return).toBe(adminJar.rm_refresh);
+
+      const me = await request(app).get('/api/me').set('Cookie', cookieHeader(jar));
+      expect(me.status).toBe(200);
+      expect(me.body.user.id).toBe(staff.id);
+      expect(me.body.impersonation.impersonator).toMatchObject({ id: supportAdmin.id, email: supportAdmin.email });
+      const remaining = new Date(me.body.impersonation.expiresAt) - Date.now();
+      expect(remaining).toBeGreaterThan(29 * 60 * 1000);
+      expect(remaining).toBeLessThanOrEqual(30 * 60 * 1000);
+
+      const sessions = await request(app).get('/api/sessions').set('Cookie', cookieHeader(jar));
+      expect(sessions.body.sessions.find(session => session.current).impersonated).toBe(true);
+
+      // Stop: the impersonation session ends and the admin's own session resumes
+      const stop = await request(app).delete('/api/impersonation').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar)));
+      expect(stop.body).toEqual({ ok: true, restored: true });
+      const restoredJar = applyCookies(jar, stop.headers['set-cookie']);
+      expect(restoredJar.rm_imp_return).toBeUndefined();
+
+      const back = await request(app).get('/api/me').set('Cookie', cookieHeader(restoredJar));
+      expect(back.body.user.id).toBe(supportAdmin.id);
+      expect(back.body.impersonation).toBeNull();
+      expect((await request(app).get('/api/me').set('Cookie', cookieHeader(jar))).status).toBe(401);
+
+      const [session] = await UserSession.findAll({ where: { user_id: staff.id, impersonator_id: supportAdmin.id } });
+      const audit = await AuditLog.findByRecord('user_sessions', session.id);
+      expect(audit.map(entry => entry.event).sort()).toEqual(['impersonated_request', 'impersonation_started', 'impersonation_stopped']);
+      const started = audit.find(entry => entry.event === 'impersonation_started');
+      expect(started.performed_by).toBe(supportAdmin.id);
+      expect(started.new_values).toMatchObject({ userId: staff.id, reason: 'Ticket 4711' });
+    });
+
+    test('should audit every write and block password and security changes', async () => {
+      const { jar } = await impersonate(await signedIn(supportAdmin.email), { email: impOwner.email });
+      const sessionId = (await UserSession.findActiveForUser((await User.findByEmail(impOwner.email)).id))
+        .find(session => session.impersonator_id === supportAdmin.id).id;
+
+      const update = await request(app).put('/api/me').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar))).send({ firstName: 'Helpful' });
+      expect(update.status).toBe(200);
+      const [write] = (await AuditLog.findByRecord('user_sessions', sessionId)).filter(entry => entry.event === 'impersonated_request');
+      expect(write.performed_by).toBe(supportAdmin.id);
+      expect(write.new_values).toMatchObject({ method: 'PUT', path: '/api/me', fields: ['firstName'] });
+
+      const password = await request(app).post('/api/me/password').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar)))
+        .send({ currentPassword: impOwner.password, newPassword: 'Hijacked123!!' });
+      expect(password.status).toBe(403);
+      expect(password.body.code).toBe('IMPERSONATION_BLOCKED');
+
+      const policy = await request(app).put('/api/restaurant/mfa-policy').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar))).send({ required: true });
+      expect(policy.status).toBe(403);
+      expect(policy.body.code).toBe('IMPERSONATION_BLOCKED');
+      expect((await request(app).post('/api/api-keys').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar))).send({ name: 'x', scopes: ['restaurant:read'] })).status).toBe(403);
+
+      const me = await request(app).get('/api/me').set('Cookie', cookieHeader(jar));
+      expect(me.body.user.permissions).not.toContain('restaurant:security');
+      expect(me.body.user.permissions).not.toContain('api_keys:manage');
+
+      // No nesting
+      expect((await impersonate(jar, { email: staff.email })).response.status).toBe(403);
+    });
+
+    test('should end at the hard time limit and on logout', async () => {
+      const { jar } = await impersonate(await signedIn(supportAdmin.email), { userId: staff.id });
+      const [session] = (await UserSession.findActiveForUser(staff.id)).filter(s => s.impersonator_id === supportAdmin.id);
+      await db.query("UPDATE user_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [session.id]);
+
+      expect((await request(app).get('/api/me').set('Cookie', cookieHeader(jar))).status).toBe(401);
+      expect((await request(app).post('/api/refresh').set('Cookie', cookieHeader(jar)).set(csrfHeader(cookieHeader(jar)))).status).toBe(401);
+
+      // Logging out while impersonating signs the admin out too
+      const adminJar = await signedIn(supportAdmin.email);
+      const second = await impersonate(adminJar, { userId: staff.id });
+      await request(app).post('/api/logout').set('Cookie', cookieHeader(second.jar)).set(csrfHeader(cookieHeader(second.jar)));
+      expect((await request(app).post('/api/refresh').set('Cookie', cookieHeader(adminJar)).set(csrfHeader(cookieHeader(adminJar)))).status).toBe(401);
+    });
+
+    test('should only let admins impersonate, never other admins, and only within their restaurant', async () => {
+      const ownerJar = await signedIn(impOwner.email, impOwner.password);
+      expect((await impersonate(ownerJar, { email: staff.email })).response.status).toBe(403);
+      expect((await impersonate(await signedIn(staff.email), { email: impOwner.email })).response.status).toBe(403);
+
+      const supportJar = await signedIn(supportAdmin.email);
+      const otherAdmin = await createUser('other-admin@example.com', 'admin', null);
+      expect((await impersonate(supportJar, { email: otherAdmin.email })).response.status).toBe(403);
+      expect((await impersonate(supportJar, { email: supportAdmin.email })).response.status).toBe(400);
+      expect((await impersonate(supportJar, { email: 'nobody@example.com' })).response.status).toBe(404);
+
+      // An admin of another restaurant cannot reach this one
+      const other = await request(app).post('/api/register').send({
+        ...impOwner, email: 'other-imp-owner@example.com', restaurantName: 'Across The Street'
+      });
+      const otherRestaurantId = (await User.findById(other.body.id)).restaurant_id;
+      const localAdmin = await createUser('local-admin@example.com', 'admin', otherRestaurantId);
+      const response = (await impersonate(await signedIn(localAdmin.email), { email: staff.email })).response;
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'User not found' });
+    });
+  });
+
+  describe('CSRF Protection', () => {
+    const { User, UserSession } = require('./models');
+    const csrfUser = {
+      firstName: 'Token',
+      lastName: 'Keeper',
+      email: 'csrf-owner@example.com',
+      password: 'CsrfPass1234!',
+      restaurantName: 'Double Submit Deli',
+      role: 'owner'
+    };
+
+    function findCookie(response, name) {
+      return (response.headers['set-cookie'] || []).find(c => c.startsWith(`${name}=`));
+    }
+
+    // Cookies as a browser would send them, without the CSRF header
+    function sessionCookies(response) {
+      return response.headers['set-cookie'].map(c => c.split(';')[0]).filter(c => !c.startsWith('rm_csrf=')).join('; ');
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(csrfUser);
+      await verifyEmail(csrfUser.email);
+    });
+
+    test('should issue a readable CSRF cookie at login and require it on cookie-authenticated writes', async () => {
+      const response = await login(csrfUser.email, csrfUser.password);
+      const csrfCookie = findCookie(response, 'rm_csrf');
+      expect(csrfCookie).toMatch(/^rm_csrf=[0-9a-f]{64}; Path=\/; /);
+      expect(csrfCookie).not.toMatch(/HttpOnly/i);
+      expect(csrfCookie).toMatch(/SameSite=Strict/);
+      const token = /^rm_csrf=([0-9a-f]{64})/.exec(csrfCookie)[1];
+      const cookies = sessionCookies(response);
+
+      // Reads need no token
+      expect((await request(app).get('/api/me').set('Cookie', cookies)).status).toBe(200);
+
+      const missing = await request(app).put('/api/me').set('Cookie', cookies).send({ firstName: 'Forged' });
+      expect(missing.status).toBe(403);
+      expect(missing.body).toEqual({ error: 'Invalid or missing CSRF token', code: 'CSRF_TOKEN_INVALID' });
+
+      const wrong = await request(app).put('/api/me').set('Cookie', cookies).set('X-CSRF-Token', 'a'.repeat(64)).send({ firstName: 'Forged' });
+      expect(wrong.status).toBe(403);
+
+      // Another session's token is no good either
+      const otherToken = /^rm_csrf=([0-9a-f]{64})/.exec(findCookie(await login(csrfUser.email, csrfUser.password), 'rm_csrf'))[1];
+      const crossed = await request(app).put('/api/me').set('Cookie', cookies).set('X-CSRF-Token', otherToken).send({ firstName: 'Forged' });
+      expect(crossed.status).toBe(403);
+
+      const ok = await request(app).put('/api/me').set('Cookie', cookies).set('X-CSRF-Token', token).send({ firstName: 'Genuine' });
+      expect(ok.status).toBe(200);
+      expect(ok.body.user.firstName).toBe('Genuine');
+    });
+
+    test('should require the token to refresh and to log out', async () => {
+      const response = await login(csrfUser.email, csrfUser.password);
+      const cookies = sessionCookies(response);
+      const token = /^rm_csrf=([0-9a-f]{64})/.exec(findCookie(response, 'rm_csrf'))[1];
+
+      expect((await request(app).post('/api/refresh').set('Cookie', cookies)).status).toBe(403);
+      const logout = await request(app).post('/api/logout').set('Cookie', cookies);
+      expect(logout.status).toBe(403);
+      expect(findCookie(logout, 'rm_auth')).toBeUndefined();
+      expect((await request(app).get('/api/me').set('Cookie', cookies)).status).toBe(200);
+
+      // The token stays the same across refreshes
+      const refreshed = await request(app).post('/api/refresh').set('Cookie', cookies).set('X-CSRF-Token', token);
+      expect(refreshed.status).toBe(200);
+      expect(findCookie(refreshed, 'rm_csrf')).toBeUndefined();
+      const next = sessionCookies(refreshed);
+      expect((await request(app).post('/api/logout').set('Cookie', next).set('X-CSRF-Token', token)).status).toBe(200);
+      expect((await request(app).get('/api/me').set('Cookie', next)).status).toBe(401);
+    });
+
+    test('should give sessions from before CSRF tokens a token at their next refresh', async () => {
+      const response = await login(csrfUser.email, csrfUser.password);
+      const cookies = sessionCookies(response);
+      const user = await User.findByEmail(csrfUser.email);
+      const [session] = await UserSession.findActiveForUser(user.id);
+      await db.query('UPDATE user_sessions SET csrf_token_hash = NULL WHERE id = $1', [session.id]);
+
+      expect((await request(app).put('/api/me').set('Cookie', cookies).send({ firstName: 'Legacy' })).status).toBe(403);
+
+      const refreshed = await request(app).post('/api/refresh').set('Cookie', cookies);
+      expect(refreshed.status).toBe(200);
+      const token = /^rm_csrf=([0-9a-f]{64})/.exec(findCookie(refreshed, 'rm_csrf'))[1];
+      const update = await request(app).put('/api/me').set('Cookie', sessionCookies(refreshed)).set('X-CSRF-Token', token).send({ firstName: 'Legacy' });
+      expect(update.status).toBe(200);
+    });
+
+    test('should not ask API key requests for a token, nor let a bearer header borrow the cookie', async () => {
+      const response = await login(csrfUser.email, csrfUser.password);
+      const cookies = sessionCookies(response);
+      const token = /^rm_csrf=([0-9a-f]{64})/.exec(findCookie(response, 'rm_csrf'))[1];
+      const { body: created } = await request(app)
+        .post('/api/api-keys')
+        .set('Cookie', cookies)
+        .set('X-CSRF-Token', token)
+        .send({ name: 'Kitchen display', scopes: ['menu:read'] });
+
+      // Judged on its scopes only (no CSRF check, no cookies)
+      const keyRequest = await request(app).get('/api/restaurant').set('Authorization', `Bearer ${created.key}`);
+      expect(keyRequest.status).toBe(403);
+      expect(keyRequest.body.error).toBe('Insufficient scope');
+
+      // Routes keys can never pass ignore the bearer header: the cookie session still needs its token
+      const keyWrite = await request(app).post('/api/invitations').set('Authorization', `Bearer ${created.key}`).send({ email: 'x@example.com', role: 'staff' });
+      expect(keyWrite.status).toBe(401);
+
+      // With a bearer header the cookie is ignored, so a fake key does not fall back to it
+      const fake = await request(app).get('/api/restaurant').set('Cookie', cookies).set('Authorization', 'Bearer rmk_00000000_' + '0'.repeat(64));
+      expect(fake.status).toBe(401);
+    });
+  });
+
+  describe('Audit Log', () => {
+    const { User, Table, AuditLog } = require('./models');
+    const auditOwner = {
+      firstName: 'Paper',
+      lastName: 'Trail',
+      email: 'audit-owner@example.com',
+      password: 'AuditPass1234!',
+      restaurantName: 'Ledger Lounge',
+      role: 'owner'
+    };
+    let owner;
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(auditOwner);
+      await verifyEmail(auditOwner.email);
+      owner = await User.findByEmail(auditOwner.email);
+    });
+
+    test('should record creations with credentials redacted', async () => {
+      const [entry] = await AuditLog.findAll({ where: { table_name: 'users', record_id: owner.id, action: 'INSERT' } });
+      expect(entry.restaurant_id).toBe(owner.restaurant_id);
+      expect(entry.old_values).toBeNull();
+      expect(entry.new_values.email).toBe(auditOwner.email);
+      expect(entry.new_values.password_hash).toBe('[REDACTED]');
+      expect(JSON.stringify(entry)).not.toContain(owner.password_hash);
+
+      const [restaurant] = await AuditLog.findByRecord('restaurants', owner.restaurant_id);
+      expect(restaurant.action).toBe('INSERT');
+      expect(restaurant.new_values.name).toBe(auditOwner.restaurantName);
+    });
+
+    test('should record who changed what, with only the changed columns', async () => {
+      const session = await login(auditOwner.email, auditOwner.password);
+      const cookies = session.headers['set-cookie'];
+      const update = await request(app).put('/api/me').set('Cookie', cookies).set(session.csrf).set('User-Agent', 'audit-test').send({ firstName: 'Quill' });
+      expect(update.status).toBe(200);
+
+      const response = await request(app).get(`/api/audit?table=users&recordId=${owner.id}&action=update`).set('Cookie', cookies);
+      expect(response.status).toBe(200);
+      const entry = response.body.entries.find(e => e.newValues && e.newValues.first_name === 'Quill');
+      expect(entry).toMatchObject({
+        table: 'users',
+        action: 'UPDATE',
+        oldValues: { first_name: 'Paper' },
+        newValues: { first_name: 'Quill' },
+        performedBy: owner.id,
+        restaurantId: owner.restaurant_id,
+        userAgent: 'audit-test'
+      });
+      expect(entry.ipAddress).toBeTruthy();
+      expect(response.body.limit).toBe(50);
+
+      // Saving the same value again changes nothing and records nothing
+      await request(app).put('/api/me').set('Cookie', cookies).set(session.csrf).send({ firstName: 'Quill' });
+      const again = await request(app).get(`/api/audit?table=users&recordId=${owner.id}&action=UPDATE`).set('Cookie', cookies);
+      expect(again.body.entries.filter(e => e.newValues && e.newValues.first_name === 'Quill')).toHaveLength(1);
+    });
+
+    test('should keep the deleted row in the history', async () => {
+      const table = await Table.create({ restaurant_id: owner.restaurant_id, table_number: 'A1', capacity: 4 });
+      expect(await Table.delete(table.id)).toBe(true);
+
+      const cookies = (await login(auditOwner.email, auditOwner.password)).headers['set-cookie'];
+      const response = await request(app).get(`/api/audit?table=tables&recordId=${table.id}`).set('Cookie', cookies);
+      expect(response.body.total).toBe(2);
+      const [deleted, created] = response.body.entries;
+      expect(deleted.action).toBe('DELETE');
+      expect(deleted.oldValues).toMatchObject({ table_number: 'A1', capacity: 4 });
+      expect(deleted.newValues).toBeNull();
+      expect(created.action).toBe('INSERT');
+    });
+
+    test('should only show owners their own restaurant and reject bad filters', async () => {
+      const other = { ...auditOwner, email: 'audit-other@example.com', restaurantName: 'Other Ledger' };
+      await request(app).post('/api/register').send(other);
+      await verifyEmail(other.email);
+      const otherCookies = (await login(other.email, other.password)).headers['set-cookie'];
+
+      const response = await request(app).get(`/api/audit?recordId=${owner.id}`).set('Cookie', otherCookies);
+      expect(response.status).toBe(200);
+      expect(response.body.entries).toHaveLength(0);
+
+      expect((await request(app).get('/api/audit?recordId=nope').set('Cookie', otherCookies)).status).toBe(400);
+      expect((await request(app).get('/api/audit?from=yesterday').set('Cookie', otherCookies)).status).toBe(400);
+      expect((await request(app).get('/api/audit?limit=-1').set('Cookie', otherCookies)).status).toBe(400);
+
+      const staff = await User.create({
+        email: 'audit-staff@example.com',
+        password: 'StaffPass123!',
+        first_name: 'Shift',
+        last_name: 'Worker',
+        role: 'staff',
+        restaurant_id: owner.restaurant_id
+      });
+      await db.query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [staff.id]);
+      const staffCookies = (await login(staff.email, 'StaffPass123!')).headers['set-cookie'];
+      expect((await request(app).get('/api/audit').set('Cookie', staffCookies)).status).toBe(403);
+      expect((await request(app).get('/api/audit')).status).toBe(401);
+    });
+  });
+
+  describe('Request Context', () => {
+    const requestContext = require('./services/requestContext');
+    const { User, Table, AuditLog } = require('./models');
+    const contextOwner = {
+      firstName: 'Context',
+      lastName: 'Keeper',
+      email: 'context-owner@example.com',
+      password: 'ContextPass123!',
+      restaurantName: 'Thread Local Tavern',
+      role: 'owner'
+    };
+    let owner;
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(contextOwner);
+      await verifyEmail(contextOwner.email);
+      owner = await User.findByEmail(contextOwner.email);
+    });
+
+    test('should stamp updated_by and the audit entry with the signed-in user and request', async () => {
+      const session = await login(contextOwner.email, contextOwner.password);
+      const cookies = session.headers['set-cookie'];
+      expect((await request(app).put('/api/me').set('Cookie', cookies).set(session.csrf).send({ lastName: 'Stamped' })).status).toBe(200);
+
+      const user = await User.findById(owner.id);
+      expect(user.updated_by).toBe(owner.id);
+      expect(user.created_by).toBeNull();
+
+      const updates = await AuditLog.findAll({ where: { table_name: 'users', record_id: owner.id, action: 'UPDATE' } });
+      const entry = updates.find(e => e.new_values.last_name === 'Stamped');
+      expect(entry.performed_by).toBe(owner.id);
+      expect(entry.request_id).toMatch(/^[0-9a-f-]{36}$/);
+
+      const byRequest = await request(app).get(`/api/audit?requestId=${entry.request_id}`).set('Cookie', cookies);
+      expect(byRequest.body.entries.map(e => e.id)).toEqual([entry.id]);
+      expect(byRequest.body.entries[0].requestId).toBe(entry.request_id);
+    });
+
+    test('should keep concurrent contexts apart and leave system writes unattributed', async () => {
+      const seen = await Promise.all(['a', 'b'].map(id => requestContext.run({ userId: id, requestId: id }, async () => {
+        await new Promise(resolve => setTimeout(resolve, id === 'a' ? 20 : 0));
+        return [requestContext.actorId(), requestContext.get().requestId];
+      })));
+      expect(seen).toEqual([['a', 'a'], ['b', 'b']]);
+      expect(requestContext.get()).toBeNull();
+
+      const table = await Table.create({ restaurant_id: owner.restaurant_id, table_number: 'SYS', capacity: 2 });
+      const [entry] = await AuditLog.findByRecord('tables', table.id);
+      expect(entry.performed_by).toBeNull();
+      expect(entry.request_id).toBeNull();
+
+      // An explicit actor still wins over the context
+      await requestContext.run({ userId: owner.id, impersonatorId: null }, () =>
+        Table.update(table.id, { capacity: 6 }, { performedBy: null, ipAddress: '192.0.2.1' })
+      );
+      const [updated] = await AuditLog.findByRecord('tables', table.id);
+      expect(updated.performed_by).toBeNull();
+      expect(updated.ip_address).toBe('192.0.2.1');
+    });
+  });
+
+  describe('Structured Logging', () => {
+    const logger = require('./services/logger');
+    const loggingOwner = {
+      firstName: 'Log',
+      lastName: 'Reader',
+      email: 'logging-owner@example.com',
+      password: 'LoggingPass123!',
+      restaurantName: 'Line Delimited Cafe',
+      role: 'owner'
+    };
+
+    // JSON entries written to stdout and stderr while fn runs
+    async function captureLogs(level, fn) {
+      const lines = [];
+      const previous = logger.setLevel(level);
+      const spies = [process.stdout, process.stderr].map(stream =>
+        jest.spyOn(stream, 'write').mockImplementation(chunk => {
+          lines.push(String(chunk));
+          return true;
+        })
+      );
+      try {
+        await fn();
+      } finally {
+        spies.forEach(spy => spy.mockRestore());
+        logger.setLevel(previous);
+      }
+      return lines.join('').split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+    }
+
+    beforeAll(async () => {
+      await request(app).post('/api/register').send(loggingOwner);
+    });
+
+    test('should return a request ID, keeping a well-formed one from the caller', async () => {
+      const generated = await request(app).get('/api/auth/oidc');
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+      const forwarded = await request(app).get('/api/auth/oidc').set('X-Request-Id', 'lb-1234.abc');
+      expect(forwarded.headers['x-request-id']).toBe('lb-1234.abc');
+
+      const rejected = await request(app).get('/api/auth/oidc').set('X-Request-Id', 'not a valid id');
+      expect(rejected.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should write JSON access logs without cookies, passwords or tokens', async () => {
+      let signIn;
+      let verify;
+      const entries = await captureLogs('info', async () => {
+        verify = await verifyEmail(loggingOwner.email);
+        signIn = await login(loggingOwner.email, loggingOwner.password);
+        await request(app).get('/api/me').set('Cookie', signIn.headers['set-cookie']);
+      });
+
+      const access = entries.filter(entry => entry.msg === 'Request completed');
+      const loginEntry = access.find(entry => entry.path === '/api/login');
+      expect(loginEntry).toMatchObject({ level: 'info', method: 'POST', status: 200, requestId: signIn.headers['x-request-id'] });
+      expect(typeof loginEntry.durationMs).toBe('number');
+      expect(access.find(entry => entry.path === '/api/verify-email').requestId).toBe(verify.headers['x-request-id']);
+      expect(access.find(entry => entry.path === '/api/me').userId).toBeTruthy();
+
+      const output = JSON.stringify(entries);
+      expect(output).not.toContain(loggingOwner.password);
+      expect(output).not.toMatch(/token=|rm_auth|rm_refresh|rm_csrf/);
+      for (const cookie of signIn.headers['set-cookie']) {
+        expect(output).not.toContain(cookie.split(';')[0].split('=')[1]);
+      }
+    });
+
+    test('should warn about slow queries without logging parameter values', async () => {
+      process.env.DB_SLOW_QUERY_MS = '0';
+      let entries;
+      try {
+        entries = await captureLogs('warn', () => db.query('SELECT id FROM users WHERE email = $1', [loggingOwner.email]));
+      } finally {
+        delete process.env.DB_SLOW_QUERY_MS;
+      }
+
+      const [slow] = entries.filter(entry => entry.msg === 'Slow query');
+      expect(slow).toMatchObject({ level: 'warn', sql: 'SELECT id FROM users WHERE email = $1', params: [`string(${loggingOwner.email.length})`] });
+      expect(JSON.stringify(entries)).not.toContain(loggingOwner.email);
+    });
+
+    test('should redact sensitive fields however deeply nested', () => {
+      expect(logger.redact({ user: { email: 'a@b.test', password: 'x', tokens: ['y'] }, headers: { cookie: 'rm_auth=z', Authorization: 'Bearer k' } }))
+        .toEqual({ user: { email: 'a@b.test', password: '[REDACTED]', tokens: '[REDACTED]' }, headers: { cookie: '[REDACTED]', Authorization: '[REDACTED]' } });
+    });
+  });
+
+  describe('Health, Readiness & Metrics', () => {
+    const express = require('express');
+    const rateLimit = require('express-rate-limit');
+
+    test('should report liveness and readiness', async () => {
+      const health = await request(app).get('/healthz');
+      expect(health.status).toBe(200);
+      expect(health.body.status).toBe('ok');
+
+      const ready = await request(app).get('/readyz');
+      expect(ready.status).toBe(200);
+      expect(ready.body).toEqual({ status: 'ready', checks: { database: 'ok', migrations: 'ok' } });
+    });
+
+    test('should not be ready with pending migrations or an unreachable database', async () => {
+      const [latest] = (await db.query('SELECT version FROM schema_migrations ORDER BY version DESC LIMIT 1')).rows;
+      await db.query('DELETE FROM schema_migrations WHERE version = $1', [latest.version]);
+      try {
+        const pending = await request(app).get('/readyz');
+        expect(pending.status).toBe(503);
+        expect(pending.body).toMatchObject({ status: 'not_ready', checks: { database: 'ok', migrations: 'pending' }, pendingMigrations: [latest.version] });
+      } finally {
+        await db.query('INSERT INTO schema_migrations (version) VALUES ($1)', [latest.version]);
+      }
+
+      const spy = jest.spyOn(db.pool, 'query').mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+      try {
+        const down = await request(app).get('/readyz');
+        expect(down.status).toBe(503);
+        expect(down.body.checks).toEqual({ database: 'error', migrations: 'unknown' });
+      } finally {
+        spy.mockRestore();
+      }
+    });
+
+    test('should expose route latency, pool and session metrics in Prometheus format', async () => {
+      await request(app).get('/api/me');
+      await request(app).delete('/api/sessions/00000000-0000-0000-0000-000000000000');
+
+      const response = await request(app).get('/metrics');
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      const text = response.text;
+      expect(text).toContain('# TYPE http_request_duration_seconds histogram');
+      expect(text).toMatch(/http_request_duration_seconds_bucket\{method="GET",route="\/api\/me",status_code="401",le="\+Inf"\} [1-9]/);
+      // Route patterns, not raw paths
+      expect(text).toContain('route="/api/sessions/:id"');
+      expect(text).not.toContain('00000000-0000-0000-0000-000000000000');
+      expect(text).toMatch(/db_pool_clients\{state="waiting"\} \d+/);
+      expect(text).toMatch(/^active_sessions \d+$/m);
+      expect(text).toContain('# TYPE rate_limit_rejections_total counter');
+    });
+
+    test('should count rate limit rejections per limiter', async () => {
+      const { rejectRateLimited } = require('./server');
+      const limited = express();
+      limited.get('/', rateLimit({ windowMs: 60000, max: 1, message: 'Slow down', handler: rejectRateLimited('test_limiter') }), (req, res) => res.send('ok'));
+
+      expect((await request(limited).get('/')).status).toBe(200);
+      const rejected = await request(limited).get('/');
+      expect(rejected.status).toBe(429);
+      expect(rejected.text).toBe('Slow down');
+
+      const { text } = await request(app).get('/metrics');
+      expect(text).toContain('rate_limit_rejections_total{limiter="test_limiter"} 1');
+    });
+
+    test('should require METRICS_TOKEN when it is set', async () => {
+      process.env.METRICS_TOKEN = 'scrape-secret';
+      try {
+        expect((await request(app).get('/metrics')).status).toBe(401);
+        expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong')).status).toBe(401);
+        expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret')).status).toBe(200);
+      } finally {
+        delete process.env.METRICS_TOKEN;
+      }
+    });
+  });
+
+  describe('Graceful Shutdown', () => {
+    const { shutdown } = require('./server');
+    const logger = require('./services/logger');
+
+    let server;
+    let closePool;
+
+    beforeEach(() => {
+      server = app.listen(0);
+      closePool = jest.spyOn(db, 'closePool').mockResolvedValue();
+    });
+
+    afterEach(async () => {
+      closePool.mockRestore();
+      app.locals.shuttingDown = false;
+      if (server.listening) await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Start a /readyz request that hangs in its database check until released
+     * @returns {Promise<Object>} - { response, release }
+     */
+    async function startSlowRequest() {
+      let release = null;
+      const spy = jest.spyOn(db.pool, 'query').mockImplementationOnce(() => new Promise(resolve => {
+        release = () => resolve({ rows: [{ column: 1 }] });
+      }));
+      const response = request(server).get('/readyz').then(res => res, error => error);
+      while (!release) await new Promise(resolve => setTimeout(resolve, 5));
+      spy.mockRestore();
+      return { response, release };
+    }
+
+    test('should fail readiness, drain in-flight requests, then close the pool', async () => {
+      const previous = logger.setLevel('silent');
+      try {
+        const slow = await startSlowRequest();
+        const done = shutdown(server, { timeoutMs: 5000 });
+        expect(shutdown(server)).toBe(done);
+
+        const readiness = await request(app).get('/readyz');
+        expect(readiness.status).toBe(503);
+        expect(readiness.body).toEqual({ status: 'shutting_down' });
+        expect(readiness.headers.connection).toBe('close');
+        expect(closePool).not.toHaveBeenCalled();
+
+        slow.release();
+        expect((await slow.response).status).toBe(200);
+        expect(await done).toBe(true);
+        expect(server.listening).toBe(false);
+        expect(closePool).toHaveBeenCalledTimes(1);
+      } finally {
+        logger.setLevel(previous);
+      }
+    });
+
+    test('should close connections still open after the timeout', async () => {
+      const previous = logger.setLevel('silent');
+      try {
+        const slow = await startSlowRequest();
+        expect(await shutdown(server, { timeoutMs: 50 })).toBe(false);
+        expect(closePool).toHaveBeenCalledTimes(1);
+        expect((await slow.response).code).toBe('ECONNRESET');
+        slow.release();
+      } finally {
+        logger.setLevel(previous);
+      }
+    });
+
+    test('should report the pool as reconnecting after an idle client error instead of exiting', async () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const previous = logger.setLevel('silent');
+      process.env.DB_RECONNECT_INTERVAL_MS = '20';
+      try {
+        db.pool.emit('error', new Error('terminating connection due to administrator command'));
+        expect(exit).not.toHaveBeenCalled();
+        expect(db.poolHealth()).toMatchObject({ healthy: false, lastError: 'terminating connection due to administrator command' });
+
+        const down = await request(app).get('/readyz');
+        expect(down.status).toBe(503);
+        expect(down.body.checks).toEqual({ database: 'reconnecting', migrations: 'unknown' });
+
+        for (let i = 0; i < 50 && !db.poolHealth().healthy; i++) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        expect(db.poolHealth().healthy).toBe(true);
+        expect((await request(app).get('/readyz')).status).toBe(200);
+      } finally {
+        delete process.env.DB_RECONNECT_INTERVAL_MS;
+        logger.setLevel(previous);
+        exit.mockRestore();
+      }
+    });
+  });
+
+  describe('Configuration', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { spawnSync } = require('child_process');
+    const config = require('./services/config');
+
+    const SECRET = '9f1c2ab47e3d5c8a0b6e4f2d7a9c1e3b5d8f0a2c4e6b8d0f2a4c6e8b0d2f4a6c';
+    let dir;
+
+    /**
+     * Run a backend script in a clean environment (no .env file)
+     * @param {string} script - Script path relative to the backend
+     * @param {Object} env - Environment variables
+     * @returns {Object} - spawnSync result
+     */
+    function runScript(script, env) {
+      return spawnSync(process.execPath, [script], {
+        cwd: __dirname,
+        env: { PATH: process.env.PATH, ENV_FILE: path.join(dir, 'missing.env'), ...env },
+        encoding: 'utf8',
+        timeout: 20000
+      });
+    }
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rm-config-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should coerce values and apply per-environment defaults', () => {
+      expect(config.get('DB_POOL_MAX', { DB_POOL_MAX: '7' })).toBe(7);
+      expect(config.get('DB_POOL_MAX', {})).toBe(20);
+      expect(config.get('OIDC_JIT_PROVISIONING', { OIDC_JIT_PROVISIONING: 'false' })).toBe(false);
+      expect(config.get('OIDC_ROLE_MAP', { OIDC_ROLE_MAP: '{"chefs":"manager"}' })).toEqual({ chefs: 'manager' });
+      expect(config.get('APP_URL', { PORT: '8080' })).toBe('http://localhost:8080');
+      expect(config.get('OIDC_ISSUER', { OIDC_ISSUER: 'https://login.example.com/' })).toBe('https://login.example.com');
+
+      expect(config.get('LOG_LEVEL', { NODE_ENV: 'test' })).toBe('warn');
+      expect(config.get('LOG_LEVEL', { NODE_ENV: 'production' })).toBe('info');
+      expect(config.get('DB_SSL', { NODE_ENV: 'production' })).toBe(true);
+      expect(config.get('DB_SSL', { NODE_ENV: 'development' })).toBe(false);
+      expect(config.get('CORS_ORIGIN', { NODE_ENV: 'production' })).toBeNull();
+
+      // Invalid values fall back to the default at runtime
+      expect(config.get('DB_POOL_MAX', { DB_POOL_MAX: 'lots' })).toBe(20);
+    });
+
+    test('should report every problem at once', () => {
+      const { problems } = config.validate({
+        NODE_ENV: 'production',
+        JWT_SECRET: 'secret',
+        DB_PORT: '70000',
+        DB_POOL_MIN: '30',
+        LOG_LEVEL: 'verbose',
+        OIDC_ROLE_MAP: '[1, 2]'
+      });
+      expect(problems.map(problem => problem.name).sort()).toEqual(
+        ['CORS_ORIGIN', 'DB_POOL_MIN', 'DB_PORT', 'JWT_SECRET', 'LOG_LEVEL', 'MAIL_TRANSPORT', 'METRICS_TOKEN', 'OIDC_ROLE_MAP']
+      );
+      expect(problems.find(problem => problem.name === 'JWT_SECRET').message).toMatch(/at least 32 characters.*weak pattern/);
+
+      expect(config.validate({
+        NODE_ENV: 'production',
+        JWT_SECRET: SECRET,
+        CORS_ORIGIN: 'https://app.example.com',
+        METRICS_TOKEN: 'scrape-secret',
+        MAIL_TRANSPORT: 'custom'
+      }).problems).toEqual([]);
+      expect(config.validate({
+        NODE_ENV: 'production',
+        JWT_SECRET: SECRET,
+        CORS_ORIGIN: 'https://app.example.com',
+        METRICS_TOKEN: 'scrape-secret',
+        MAIL_TRANSPORT: 'console'
+      }).problems.map(problem => problem.name)).toEqual(['MAIL_TRANSPORT']);
+      expect(config.validate({ JWT_KEYRING_PATH: 'keys/jwt-keyring.json' }).problems).toEqual([]);
+    });
+
+    test('should print mail bodies (one-time links) to the console only in development', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const message = { id: 'm1', to: 'chef@example.com', subject: 'Reset your password', text: 'https://app/reset?token=secret-link' };
+      let printed;
+      try {
+        await new mailer.ConsoleTransport().send(message);
+        process.env.NODE_ENV = 'development';
+        await new mailer.ConsoleTransport().send(message);
+        printed = log.mock.calls.map(call => call[0]);
+      } finally {
+        process.env.NODE_ENV = 'test';
+        log.mockRestore();
+      }
+      expect(printed[0]).toContain('Subject: Reset your password');
+      expect(printed[0]).not.toContain('secret-link');
+      expect(printed[1]).toContain('secret-link');
+    });
+
+    test('should read secrets from *_FILE', () => {
+      const file = path.join(dir, 'db-password');
+      fs.writeFileSync(file, 'from-a-secret-file\n');
+
+      expect(config.get('DB_PASSWORD', { DB_PASSWORD_FILE: file })).toBe('from-a-secret-file');
+      expect(config.validate({ JWT_SECRET: SECRET, DB_PASSWORD_FILE: file }).problems).toEqual([]);
+
+      const both = config.validate({ JWT_SECRET: SECRET, DB_PASSWORD: 'inline', DB_PASSWORD_FILE: file }).problems;
+      expect(both).toEqual([{ name: 'DB_PASSWORD', message: 'is set together with DB_PASSWORD_FILE (use one)' }]);
+
+      const missing = config.validate({ JWT_SECRET_FILE: path.join(dir, 'nope') }).problems;
+      expect(missing).toEqual([{ name: 'JWT_SECRET', message: 'cannot be read from JWT_SECRET_FILE (ENOENT)' }]);
+
+      // Only secrets may come from files
+      expect(config.get('DB_HOST', { DB_HOST_FILE: file })).toBe('localhost');
+    });
+
+    test('should load .env files without overriding the environment', () => {
+      const file = path.join(dir, '.env');
+      fs.writeFileSync(file, [
+        '# Local settings',
+        'export DB_HOST=db.internal',
+        'DB_PORT=6543 # custom port',
+        'MAIL_FROM="Kitchen <kitchen@example.com>"',
+        "JWT_SECRET='not-from-the-file'",
+        ''
+      ].join('\n'));
+
+      const env = { JWT_SECRET: SECRET };
+      expect(config.loadEnvFile(file, env).sort()).toEqual(['DB_HOST', 'DB_PORT', 'MAIL_FROM']);
+      expect(env).toEqual({ JWT_SECRET: SECRET, DB_HOST: 'db.internal', DB_PORT: '6543', MAIL_FROM: 'Kitchen <kitchen@example.com>' });
+      expect(config.get('DB_PORT', env)).toBe(6543);
+      expect(config.loadEnvFile(path.join(dir, 'missing.env'), env)).toEqual([]);
+    });
+
+    test('should print the configuration with secrets redacted', () => {
+      const printed = runScript('services/config.js', { JWT_SECRET: SECRET, METRICS_TOKEN: 'scrape-secret', DB_HOST: 'db.internal' });
+      expect(printed.status).toBe(0);
+      expect(printed.stdout).toMatch(/^JWT_SECRET\s+\[REDACTED\]\s+\(env\)$/m);
+      expect(printed.stdout).toMatch(/^DB_HOST\s+db\.internal\s+\(env\)$/m);
+      expect(printed.stdout).toMatch(/^DB_POOL_MAX\s+20\s+\(default\)$/m);
+      expect(printed.stdout).not.toContain(SECRET);
+      expect(printed.stdout).not.toContain('scrape-secret');
+
+      const broken = runScript('services/config.js', { DB_POOL_MAX: 'lots' });
+      expect(broken.status).toBe(1);
+      expect(broken.stderr).toContain('JWT_SECRET is required (unless JWT_KEYRING_PATH is set)');
+      expect(broken.stderr).toContain('DB_POOL_MAX must be an integer (got "lots")');
+    });
+
+    test('should refuse to start with every configuration problem listed', () => {
+      const result = runScript('server.js', {
+        NODE_ENV: 'production',
+        JWT_SECRET: 'too-short',
+        DB_POOL_MAX: 'lots'
+      });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('FATAL ERROR: Invalid configuration (5 problems)');
+      expect(result.stderr).toContain('CORS_ORIGIN is required in production');
+      expect(result.stderr).toContain('METRICS_TOKEN is required in production');
+      expect(result.stderr).toContain('JWT_SECRET must be at least 32 characters (got 9)');
+      expect(result.stderr).toContain('DB_POOL_MAX must be an integer (got "lots")');
+    });
+  });
+
+  describe('OpenAPI Document & Validation', () => {
+    const { validateRequest } = require('./server');
+    const openapi = require('./services/openapi');
+    const permissions = require('./services/permissions');
+
+    // [method, Express path, route layer] of every route the app serves
+    const routes = () => app._router.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => Object.keys(layer.route.methods).map(method => [method, layer.route.path, layer.route]));
+
+    test('should serve the OpenAPI document and the docs page', async () => {
+      const response = await request(app).get('/api/openapi.json');
+      expect(response.status).toBe(200);
+      expect(response.body.openapi).toBe('3.1.0');
+      expect(response.body.paths['/api/users/{id}/unlock'].post['x-permission']).toBe('users:unlock');
+      expect(response.body.components.schemas.User.required).toContain('email');
+
+      const docs = await request(app).get('/api/docs');
+      expect(docs.status).toBe(200);
+      expect(docs.headers['content-type']).toMatch(/^text\/html/);
+      expect(docs.headers['content-security-policy']).toContain("script-src 'self'");
+      expect(docs.text).toContain('<span class="method post">POST</span> /api/login');
+      expect(docs.text).toContain('id="schema-User"');
+      expect(docs.text).not.toContain('<script');
+    });
+
+    test('should document every route, and only routes that exist', () => {
+      const served = routes().map(([method, routePath]) => `${method} ${openapi.toOpenApiPath(routePath)}`);
+      const documented = Object.entries(openapi.document.paths)
+        .flatMap(([routePath, pathItem]) => Object.keys(pathItem).map(method => `${method} ${routePath}`));
+
+      expect(served.filter(route => !documented.includes(route))).toEqual([]);
+      expect(documented.filter(route => !served.includes(route))).toEqual([]);
+    });
+
+    test('should validate every documented input, after authentication', () => {
+      const misplaced = routes().filter(([method, routePath, route]) => {
+        const operation = openapi.findOperation(method, routePath);
+        const handlers = route.stack.map(layer => layer.handle);
+        // Last middleware before the handler, so 401/403 answer before 400
+        const expected = operation.parameters || operation.requestBody ? handlers.length - 2 : -1;
+        return handlers.indexOf(validateRequest) !== expected;
+      });
+      expect(misplaced.map(([method, routePath]) => `${method} ${routePath}`)).toEqual([]);
+    });
+
+    test('should accept API keys only where the permission is a key scope, as documented', () => {
+      const mismatched = routes().filter(([method, routePath, route]) => {
+        const operation = openapi.findOperation(method, routePath);
+        const acceptsKeys = route.stack.some(layer => layer.name === 'requireAuthOrApiKey');
+        const documented = (operation.security || []).some(requirement => 'apiKey' in requirement);
+        const keyScope = permissions.API_KEY_SCOPES.includes(operation['x-permission']);
+        return acceptsKeys !== documented || acceptsKeys !== keyScope;
+      });
+      expect(mismatched.map(([method, routePath]) => `${method} ${routePath}`)).toEqual([]);
+    });
+
+    test('should reject invalid input with a consistent 400', async () => {
+      const wrongType = await request(app).post('/api/login').send({ email: 42, password: 'TestPass123!' });
+      expect(wrongType.status).toBe(400);
+      expect(wrongType.body).toEqual({
+        error: 'Valid email is required',
+        code: 'VALIDATION_ERROR',
+        details: [{ in: 'body', path: 'email', message: 'must be a string' }]
+      });
+
+      const notAnObject = await request(app).post('/api/password/forgot').send([{ email: testUser.email }]);
+      expect(notAnObject.status).toBe(400);
+      expect(notAnObject.body.details).toEqual([{ in: 'body', path: '', message: 'must be an object' }]);
+      expect(notAnObject.body.error).toBe('body must be an object');
+
+      const repeated = await request(app).get('/api/invitations/accept?token=a&token=b');
+      expect(repeated.status).toBe(400);
+      expect(repeated.body).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: [{ in: 'query', path: 'token', message: 'must be a string' }]
+      });
+
+      // Several problems are all listed; the first one gives the message
+      const missing = await request(app).post('/api/password/reset').send({});
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe('Password must be at least 8 characters');
+      expect(missing.body.details.map(detail => detail.path)).toEqual(['password', 'token']);
+    });
+
+    test('should check query strings after converting them to the documented type', async () => {
+      const owner = { ...testUser, email: 'openapi-owner@example.com', restaurantName: 'OpenAPI Bistro' };
+      await request(app).post('/api/register').send(owner);
+      await verifyEmail(owner.email);
+      const cookies = (await login(owner.email, owner.password)).headers['set-cookie'];
+
+      const paged = await request(app).get('/api/audit?limit=5&offset=0').set('Cookie', cookies);
+      expect(paged.status).toBe(200);
+      expect(paged.body).toMatchObject({ limit: 5, offset: 0 });
+
+      const invalid = await request(app).get('/api/audit?limit=-1').set('Cookie', cookies);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toMatchObject({
+        error: 'limit must be a non-negative integer',
+        code: 'VALIDATION_ERROR',
+        details: [{ in: 'query', path: 'limit', message: 'must be at least 0' }]
+      });
+
+      // Authentication still answers first
+      expect((await request(app).get('/api/audit?limit=-1')).status).toBe(401);
+    });
+
+    test('should report responses that drift from the document', async () => {
+      const logger = require('./services/logger');
+      const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      const health = openapi.document.paths['/healthz'].get.responses[200].content['application/json'];
+      const original = health.schema;
+      health.schema = { ...original, properties: { ...original.properties, version: { type: 'string' } }, required: [...original.required, 'version'] };
+      try {
+        expect((await request(app).get('/healthz')).status).toBe(200);
+        await request(app).post('/api/login').send({ email: 42 });
+      } finally {
+        health.schema = original;
+      }
+
+      const problems = app.locals.responseValidationProblems.splice(0);
+      expect(problems).toEqual(['GET /healthz 200: version is required']);
+      expect(warn).toHaveBeenCalledWith('Response does not match the OpenAPI document', { route: 'GET /healthz 200', problem: 'version is required' });
+      warn.mockRestore();
+    });
+  });
 });
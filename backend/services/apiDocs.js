@@ -0,0 +1,191 @@
+/**
+ * API Docs Page
+ *
+ * Renders the OpenAPI document (services/openapi.js) as a single HTML page
+ * for GET /api/docs. Server-rendered with an inline stylesheet and no
+ * scripts, so it works offline and under the app's Content-Security-Policy
+ * (script-src 'self'; inline styles allowed).
+ *
+ * Usage:
+ *   res.type('html').send(apiDocs.render(openapi.document));
+ */
+
+const STYLE = `
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 24px; color: #1f2933; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 1px solid #d9e2ec; padding-bottom: 4px; margin-top: 40px; }
+  nav ul { columns: 3; padding-left: 18px; }
+  .operation { border: 1px solid #d9e2ec; border-radius: 6px; margin: 16px 0; padding: 12px 16px; }
+  .operation h3 { font-family: ui-monospace, monospace; font-size: 15px; margin: 0; }
+  .method { display: inline-block; min-width: 64px; color: #fff; border-radius: 4px; padding: 0 6px; text-align: center; }
+  .get { background: #2680c2; } .post { background: #3f9142; } .put { background: #c99a2e; } .delete { background: #ba2525; }
+  .meta { color: #52606d; }
+  table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+  th, td { border-top: 1px solid #e4e7eb; padding: 4px 8px; text-align: left; vertical-align: top; }
+  code { font-family: ui-monospace, monospace; font-size: 13px; }
+  ul.schema { margin: 2px 0; padding-left: 18px; }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+}
+
+/**
+ * Anchor of a component schema
+ * @param {string} reference - "#/components/schemas/User"
+ * @returns {string} HTML link
+ */
+function schemaLink(reference) {
+  const name = reference.split('/').pop();
+  return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+}
+
+/**
+ * Short type label: "string | null", "array of User", "one of: ..."
+ * @param {Object} schema - JSON Schema
+ * @returns {string} HTML
+ */
+function typeLabel(schema) {
+  if (schema.$ref) return schemaLink(schema.$ref);
+  if (schema.oneOf || schema.anyOf) {
+    return `one of: ${(schema.oneOf || schema.anyOf).map(typeLabel).join(', ')}`;
+  }
+  if (schema.const !== undefined) return `<code>${escapeHtml(JSON.stringify(schema.const))}</code>`;
+  const types = [].concat(schema.type || 'any');
+  let label = types.map(type => (type === 'array' && schema.items ? `array of ${typeLabel(schema.items)}` : escapeHtml(type))).join(' | ');
+  if (schema.format) label += ` <span class="meta">(${escapeHtml(schema.format)})</span>`;
+  if (schema.enum) label += `: ${schema.enum.map(option => `<code>${escapeHtml(option)}</code>`).join(', ')}`;
+  return label;
+}
+
+/**
+ * Property list of an object schema (nested objects are expanded)
+ * @param {Object} schema - JSON Schema
+ * @returns {string} HTML
+ */
+function renderSchema(schema) {
+  if (!schema.properties) {
+    return `<p>${typeLabel(schema)}</p>`;
+  }
+  const required = schema.required || [];
+  const items = Object.entries(schema.properties).map(([name, property]) => {
+    const notes = [
+      required.includes(name) ? 'required' : null,
+      property.description ? escapeHtml(property.description) : null,
+      property.example !== undefined ? `e.g. <code>${escapeHtml(property.example)}</code>` : null
+    ].filter(Boolean).join(' - ');
+    const nested = property.properties ? renderSchema(property) : '';
+    return `<li><code>${escapeHtml(name)}</code>: ${typeLabel(property)}${notes ? ` <span class="meta">${notes}</span>` : ''}${nested}</li>`;
+  });
+  return `<ul class="schema">${items.join('')}</ul>`;
+}
+
+/**
+ * Security requirement of an operation in words
+ * @param {Array<Object>} security - Security requirement objects
+ * @returns {string} HTML
+ */
+function describeSecurity(security) {
+  if (!security || security.length === 0) return 'none';
+  return security
+    .map(requirement => (Object.keys(requirement).length === 0 ? 'none' : Object.keys(requirement).map(escapeHtml).join(' + ')))
+    .join(' <em>or</em> ');
+}
+
+/**
+ * One operation
+ * @param {string} method - HTTP method
+ * @param {string} path - OpenAPI path
+ * @param {Object} operation - Operation object
+ * @param {Object} document - Whole document (shared responses)
+ * @returns {string} HTML
+ */
+function renderOperation(method, path, operation, document) {
+  const parts = [
+    `<section class="operation" id="${escapeHtml(operation.operationId)}">`,
+    `<h3><span class="method ${method}">${method.toUpperCase()}</span> ${escapeHtml(path)}</h3>`,
+    `<p><strong>${escapeHtml(operation.summary)}</strong></p>`
+  ];
+  if (operation.description) parts.push(`<p>${escapeHtml(operation.description)}</p>`);
+  parts.push(`<p class="meta">Authentication: ${describeSecurity(operation.security)}` +
+    (operation['x-permission'] ? ` - permission <code>${escapeHtml(operation['x-permission'])}</code>` : '') + '</p>');
+
+  if (operation.parameters) {
+    const rows = operation.parameters.map(parameter =>
+      `<tr><td><code>${escapeHtml(parameter.name)}</code></td><td>${escapeHtml(parameter.in)}</td>` +
+      `<td>${typeLabel(parameter.schema)}</td><td>${escapeHtml(parameter.description || '')}</td></tr>`
+    );
+    parts.push(`<table><tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr>${rows.join('')}</table>`);
+  }
+  if (operation.requestBody) {
+    parts.push('<p>Request body (JSON):</p>', renderSchema(operation.requestBody.content['application/json'].schema));
+  }
+
+  const rows = Object.entries(operation.responses).map(([status, response]) => {
+    const resolved = response.$ref ? document.components.responses[response.$ref.split('/').pop()] : response;
+    const [type, media] = Object.entries(resolved.content || {})[0] || [];
+    const body = media ? `${escapeHtml(type)}: ${media.schema.properties ? renderSchema(media.schema) : typeLabel(media.schema)}` : '';
+    return `<tr><td>${escapeHtml(status)}</td><td>${escapeHtml(resolved.description)}</td><td>${body}</td></tr>`;
+  });
+  parts.push(`<table><tr><th>Status</th><th>Meaning</th><th>Body</th></tr>${rows.join('')}</table>`, '</section>');
+  return parts.join('\n');
+}
+
+/**
+ * Whole page
+ * @param {Object} document - OpenAPI document
+ * @returns {string} HTML
+ */
+function render(document) {
+  const byTag = new Map(document.tags.map(tag => [tag.name, []]));
+  for (const [path, pathItem] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(pathItem)) {
+      byTag.get(operation.tags[0]).push(renderOperation(method, path, operation, document));
+    }
+  }
+
+  const sections = [...byTag].map(([tag, operations]) =>
+    `<h2 id="tag-${escapeHtml(tag.replace(/\s+/g, '-'))}">${escapeHtml(tag)}</h2>\n${operations.join('\n')}`
+  );
+  const schemas = Object.entries(document.components.schemas).map(([name, schema]) =>
+    `<section class="operation" id="schema-${escapeHtml(name)}"><h3>${escapeHtml(name)}</h3>${renderSchema(schema)}</section>`
+  );
+  const toc = document.tags.map(tag =>
+    `<li><a href="#tag-${escapeHtml(tag.name.replace(/\s+/g, '-'))}">${escapeHtml(tag.name)}</a></li>`
+  );
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(document.info.title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(document.info.title)}</h1>`,
+    `<p class="meta">Version ${escapeHtml(document.info.version)} - OpenAPI ${escapeHtml(document.openapi)} - ` +
+      '<a href="/api/openapi.json">openapi.json</a></p>',
+    `<p>${escapeHtml(document.info.description)}</p>`,
+    `<nav><ul>${toc.join('')}<li><a href="#schemas">Schemas</a></li></ul></nav>`,
+    ...sections,
+    '<h2 id="schemas">Schemas</h2>',
+    ...schemas,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+module.exports = {
+  render
+};
@@ -0,0 +1,410 @@
+/**
+ * Configuration Service
+ *
+ * Every setting the backend reads from the environment, declared in one
+ * schema with its type, default and validation. Modules read settings with
+ * config.get('NAME'), which coerces the raw string (integers, booleans, JSON)
+ * and applies the default for the current NODE_ENV.
+ *
+ * Sources, highest priority first:
+ * 1. The environment (process.env)
+ * 2. NAME_FILE for secrets: the value is read from that file (Docker and
+ *    Kubernetes secrets), with the trailing newline removed
+ * 3. A .env file in the backend directory (or ENV_FILE), loaded once when
+ *    this module is first required; it never overrides the environment and
+ *    is skipped under NODE_ENV=test
+ * 4. The schema default, which may differ per NODE_ENV
+ *
+ * Values are read on every get() call, so tests can change process.env
+ * without a restart. An invalid value falls back to its default at runtime;
+ * validate() reports every problem at once, and the server refuses to start
+ * until they are fixed.
+ *
+ * CLI:
+ *   npm run config:print    Show the effective configuration (secrets redacted)
+ *                           and any problems; exits with 1 if there are problems
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENV_FILE = path.join(__dirname, '..', '.env');
+const REDACTED = '[REDACTED]';
+
+/**
+ * Default that depends on NODE_ENV
+ * @param {Object} values - { production, development, test, default }
+ * @returns {Function} - Default resolver
+ */
+function byEnv(values) {
+  return ({ nodeEnv }) => (nodeEnv in values ? values[nodeEnv] : values.default);
+}
+
+// ==================== Schema ====================
+/**
+ * type:     string | integer | number | boolean | enum | url | json
+ * default:  value, or function ({ nodeEnv, get }) => value
+ * required: boolean, or function ({ nodeEnv, get }) => boolean
+ * requiredMessage: problem reported when a required setting is missing
+ * secret:   redacted by config:print; may be read from NAME_FILE
+ * min/max:  bounds for integer and number
+ * values:   allowed values for enum
+ * check:    function (value, { nodeEnv, get }) => problem message or null
+ * warn:     function (value) => warning message or null (does not stop startup)
+ */
+const SCHEMA = {
+  // Server
+  NODE_ENV: { type: 'enum', values: ['development', 'test', 'production'], default: 'development' },
+  PORT: { type: 'integer', min: 1, max: 65535, default: 5000 },
+  APP_URL: { type: 'url', default: ({ get }) => `http://localhost:${get('PORT')}` },
+  CORS_ORIGIN: {
+    type: 'string',
+    default: byEnv({ production: null, default: 'http://localhost:3000' }),
+    required: ({ nodeEnv }) => nodeEnv === 'production',
+    requiredMessage: 'is required in production (your frontend domain, e.g. https://yourdomain.com)',
+    check: (value, { nodeEnv }) => (nodeEnv === 'production' && !isUrl(value)
+      ? 'must be a valid URL in production (e.g. https://yourdomain.com)'
+      : null)
+  },
+  SHUTDOWN_TIMEOUT_MS: { type: 'integer', min: 0, default: 10000 },
+
+  // JWT signing (see services/jwtKeys.js)
+  JWT_SECRET: {
+    type: 'string',
+    secret: true,
+    default: null,
+    required: ({ get }) => !get('JWT_KEYRING_PATH'),
+    requiredMessage: 'is required (unless JWT_KEYRING_PATH is set)',
+    check: checkJwtSecret,
+    warn: value => (/^[a-f0-9]{32,}$/.test(value)
+      ? null
+      : 'JWT_SECRET does not appear to be hex-encoded. Consider using: crypto.randomBytes(32).toString("hex")')
+  },
+  JWT_KEYRING_PATH: { type: 'string', default: null },
+  JWT_KEY_GRACE_HOURS: { type: 'number', min: 0, default: 24 },
+
+  // Database (see models/db.js)
+  DB_HOST: { type: 'string', default: 'localhost' },
+  DB_PORT: { type: 'integer', min: 1, max: 65535, default: 5432 },
+  DB_NAME: { type: 'string', default: 'restaurant_db' },
+  DB_USER: { type: 'string', default: 'postgres' },
+  DB_PASSWORD: { type: 'string', secret: true, default: '' },
+  DB_SSL: { type: 'boolean', default: byEnv({ production: true, default: false }) },
+  DB_POOL_MAX: { type: 'integer', min: 1, default: 20 },
+  DB_POOL_MIN: {
+    type: 'integer',
+    min: 0,
+    default: 5,
+    check: (value, { get }) => (value > get('DB_POOL_MAX') ? 'must not be greater than DB_POOL_MAX' : null)
+  },
+  DB_IDLE_TIMEOUT: { type: 'integer', min: 0, default: 30000 },
+  DB_CONNECTION_TIMEOUT: { type: 'integer', min: 0, default: 2000 },
+  DB_SLOW_QUERY_MS: { type: 'integer', min: 0, default: 500 },
+  DB_RECONNECT_INTERVAL_MS: { type: 'integer', min: 1, default: 1000 },
+
+  // Logging & metrics
+  LOG_LEVEL: {
+    type: 'enum',
+    values: ['debug', 'info', 'warn', 'error', 'silent'],
+    default: byEnv({ test: 'warn', default: 'info' })
+  },
+  METRICS_TOKEN: {
+    type: 'string',
+    secret: true,
+    default: null,
+    required: ({ nodeEnv }) => nodeEnv === 'production',
+    requiredMessage: 'is required in production (bearer token for /metrics; route labels and session counts are internal)'
+  },
+
+  // Email (see services/mailer.js)
+  MAIL_TRANSPORT: {
+    type: 'enum',
+    values: ['console', 'file', 'memory', 'custom'],
+    default: byEnv({ production: null, test: 'memory', default: 'console' }),
+    required: ({ nodeEnv }) => nodeEnv === 'production',
+    requiredMessage: 'is required in production (custom, with a provider plugged in through mailer.setTransport())',
+    check: (value, { nodeEnv }) => (nodeEnv === 'production' && value === 'console'
+      ? 'must not be console in production (it would print reset, unlock and invitation links to the logs)'
+      : null)
+  },
+  MAIL_OUTBOX_DIR: { type: 'string', default: path.join(__dirname, '..', 'outbox') },
+  MAIL_FROM: { type: 'string', default: 'Restaurant Management <no-reply@localhost>' },
+
+  // Single sign-on (see services/oidc.js)
+  OIDC_ISSUER: { type: 'url', default: null },
+  OIDC_CLIENT_ID: { type: 'string', default: null },
+  OIDC_CLIENT_SECRET: { type: 'string', secret: true, default: null },
+  OIDC_REDIRECT_URI: { type: 'url', default: null },
+  OIDC_SCOPES: { type: 'string', default: 'openid email profile' },
+  OIDC_PROVIDER_NAME: { type: 'string', default: 'Single sign-on' },
+  OIDC_ROLE_CLAIM: { type: 'string', default: 'roles' },
+  OIDC_ROLE_MAP: { type: 'json', default: () => ({ manager: 'manager', staff: 'staff' }) },
+  OIDC_RESTAURANT_CLAIM: { type: 'string', default: 'restaurant_id' },
+  OIDC_JIT_PROVISIONING: { type: 'boolean', default: true },
+
+  // API contract (see services/openapi.js)
+  OPENAPI_VALIDATE_RESPONSES: { type: 'boolean', default: false }
+};
+
+/**
+ * Whether a string is an absolute URL
+ * @param {string} value - Candidate
+ * @returns {boolean}
+ */
+function isUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Strength rules for JWT_SECRET (HS256 needs at least 256 bits)
+ * @param {string} secret - Secret
+ * @returns {string|null} - Problem or null
+ */
+function checkJwtSecret(secret) {
+  const problems = [];
+  if (secret.length < 32) {
+    problems.push(`must be at least 32 characters (got ${secret.length})`);
+  }
+  if (/^(password|secret|123|admin|test|default)/i.test(secret)) {
+    problems.push('appears to use a weak pattern');
+  }
+  if (/(.)\1{3,}/.test(secret)) {
+    problems.push('contains repeated characters (weak entropy)');
+  }
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+// ==================== .env File ====================
+
+// Names set from the .env file, for config:print
+const fromEnvFile = new Set();
+
+/**
+ * Parse the contents of a .env file
+ * Supports comments, "export NAME=...", single quotes (literal) and double
+ * quotes (\n escapes).
+ * @param {string} text - File contents
+ * @returns {Object} - NAME -> value
+ */
+function parseEnvFile(text) {
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match) continue;
+    let value = match[2];
+    if (/^"(.*)"$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"');
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    values[match[1]] = value;
+  }
+  return values;
+}
+
+/**
+ * Copy a .env file into an environment without overriding what is set
+ * @param {string} file - Path of the .env file (missing files are ignored)
+ * @param {Object} env - Target environment
+ * @returns {Array<string>} - Names that were set
+ */
+function loadEnvFile(file, env = process.env) {
+  if (!fs.existsSync(file)) return [];
+  const loaded = [];
+  for (const [name, value] of Object.entries(parseEnvFile(fs.readFileSync(file, 'utf8')))) {
+    if (env[name] === undefined) {
+      env[name] = value;
+      loaded.push(name);
+    }
+  }
+  return loaded;
+}
+
+// ==================== Reading Values ====================
+
+// Contents of NAME_FILE secrets, by path (read once)
+const secretFiles = new Map();
+
+/**
+ * Raw string of a setting and where it came from
+ * @param {string} name - Setting name
+ * @param {Object} env - Environment
+ * @returns {Object} - { raw, source, problem }
+ */
+function readRaw(name, env) {
+  const spec = SCHEMA[name];
+  const direct = env[name];
+  const file = spec.secret ? env[`${name}_FILE`] : undefined;
+
+  if (direct !== undefined && direct !== '') {
+    if (file) return { raw: direct, source: 'env', problem: `is set together with ${name}_FILE (use one)` };
+    return { raw: direct, source: fromEnvFile.has(name) ? '.env' : 'env' };
+  }
+  if (file) {
+    if (!secretFiles.has(file)) {
+      try {
+        secretFiles.set(file, fs.readFileSync(file, 'utf8').replace(/\r?\n$/, ''));
+      } catch (error) {
+        return { raw: undefined, source: `${name}_FILE`, problem: `cannot be read from ${name}_FILE (${error.code || error.message})` };
+      }
+    }
+    return { raw: secretFiles.get(file), source: `${name}_FILE` };
+  }
+  return { raw: undefined, source: 'default' };
+}
+
+/**
+ * Coerce a raw string to the type of a setting
+ * @param {Object} spec - Schema entry
+ * @param {string} raw - Raw value
+ * @returns {Object} - { value } or { problem }
+ */
+function coerce(spec, raw) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return { problem: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'} (got "${raw}")` };
+      }
+      if (spec.min !== undefined && value < spec.min) return { problem: `must be at least ${spec.min} (got ${value})` };
+      if (spec.max !== undefined && value > spec.max) return { problem: `must be at most ${spec.max} (got ${value})` };
+      return { value };
+    }
+    case 'boolean': {
+      const normalized = raw.toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(normalized)) return { value: false };
+      return { problem: `must be true or false (got "${raw}")` };
+    }
+    case 'enum':
+      return spec.values.includes(raw)
+        ? { value: raw }
+        : { problem: `must be one of ${spec.values.join(', ')} (got "${raw}")` };
+    case 'url':
+      return isUrl(raw) ? { value: raw.replace(/\/+$/, '') } : { problem: `must be a valid URL (got "${raw}")` };
+    case 'json': {
+      try {
+        const value = JSON.parse(raw);
+        if (value && typeof value === 'object' && !Array.isArray(value)) return { value };
+      } catch (error) {
+        // Reported below
+      }
+      return { problem: 'must be a JSON object' };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Resolve one setting: raw value, coercion, default and checks
+ * @param {string} name - Setting name
+ * @param {Object} env - Environment
+ * @returns {Object} - { value, source, problem, warning }
+ */
+function resolve(name, env) {
+  const spec = SCHEMA[name];
+  if (!spec) throw new Error(`Unknown configuration setting: ${name}`);
+
+  const context = {
+    nodeEnv: name === 'NODE_ENV' ? null : get('NODE_ENV', env),
+    get: other => get(other, env)
+  };
+  const fallback = typeof spec.default === 'function' ? spec.default(context) : spec.default;
+  const required = typeof spec.required === 'function' ? spec.required(context) : !!spec.required;
+
+  const { raw, source, problem: readProblem } = readRaw(name, env);
+  if (readProblem) return { value: fallback, source, problem: readProblem };
+  if (raw === undefined) {
+    const missing = required && (fallback === null || fallback === undefined);
+    return { value: fallback, source, problem: missing ? spec.requiredMessage || 'is required' : null };
+  }
+
+  const { value, problem } = coerce(spec, raw);
+  if (problem) return { value: fallback, source, problem };
+
+  const checkProblem = spec.check ? spec.check(value, context) : null;
+  if (checkProblem) return { value: fallback, source, problem: checkProblem };
+  return { value, source, problem: null, warning: spec.warn ? spec.warn(value) : null };
+}
+
+/**
+ * Typed value of a setting (the default when unset or invalid)
+ * @param {string} name - Setting name, e.g. 'DB_POOL_MAX'
+ * @param {Object} env - Environment (default process.env)
+ * @returns {*} - Value
+ */
+function get(name, env = process.env) {
+  return resolve(name, env).value;
+}
+
+/**
+ * Check every setting
+ * @param {Object} env - Environment (default process.env)
+ * @returns {Object} - { problems: [{ name, message }], warnings: [string] }
+ */
+function validate(env = process.env) {
+  const problems = [];
+  const warnings = [];
+  for (const name of Object.keys(SCHEMA)) {
+    const { problem, warning } = resolve(name, env);
+    if (problem) problems.push({ name, message: problem });
+    if (warning) warnings.push(warning);
+  }
+  return { problems, warnings };
+}
+
+/**
+ * Effective configuration for display, secrets redacted
+ * @param {Object} env - Environment (default process.env)
+ * @returns {Array<Object>} - [{ name, value, source }]
+ */
+function describe(env = process.env) {
+  return Object.keys(SCHEMA).map(name => {
+    const { value, source } = resolve(name, env);
+    const unset = value === null || value === undefined || value === '';
+    let shown = unset ? '' : value;
+    if (SCHEMA[name].secret && !unset) shown = REDACTED;
+    else if (typeof shown === 'object') shown = JSON.stringify(shown);
+    return { name, value: String(shown), source: unset && source === 'default' ? 'unset' : source };
+  });
+}
+
+// Load .env once (tests configure process.env themselves)
+if (process.env.NODE_ENV !== 'test') {
+  loadEnvFile(process.env.ENV_FILE || ENV_FILE).forEach(name => fromEnvFile.add(name));
+}
+
+// ==================== CLI ====================
+
+if (require.main === module) {
+  const width = Math.max(...Object.keys(SCHEMA).map(name => name.length));
+  for (const { name, value, source } of describe()) {
+    console.log(`${name.padEnd(width)}  ${value}${value ? '  ' : ''}(${source})`);
+  }
+
+  const { problems, warnings } = validate();
+  warnings.forEach(warning => console.log(`\nWarning: ${warning}`));
+  if (problems.length > 0) {
+    console.error(`\n${problems.length} problem${problems.length === 1 ? '' : 's'}:`);
+    problems.forEach(({ name, message }) => console.error(`  - ${name} ${message}`));
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  SCHEMA,
+  get,
+  validate,
+  describe,
+  parseEnvFile,
+  loadEnvFile
+};
@@ -0,0 +1,429 @@
+/**
+ * JWT Signing Keys Service
+ *
+ * Signs and verifies every JWT the server issues (access tokens, MFA pending
+ * tokens, SSO state). Two modes:
+ *
+ * - Keyring (JWT_KEYRING_PATH set): RS256/ES256 keys kept in a JSON file.
+ *   Tokens are signed with the active key and carry its "kid" header.
+ *   Retired keys keep verifying for a grace period (JWT_KEY_GRACE_HOURS,
+ *   default 24), and the public keys are published at /.well-known/jwks.json
+ *   so other services can verify tokens. While JWT_SECRET is still set,
+ *   HS256 tokens without a kid (issued before the switch) are accepted too.
+ * - Shared secret (no keyring): HS256 with JWT_SECRET, as before.
+ *
+ * The keyring file is re-read when it changes, so a rotation does not need a
+ * restart and does not sign anyone out.
+ *
+ * CLI (manages the file named by JWT_KEYRING_PATH or --file):
+ *   npm run keys -- generate [--alg RS256|ES256]   Create the keyring with its first key
+ *   npm run keys -- rotate [--alg RS256|ES256]     New active key; retire the current one
+ *   npm run keys -- prune                          Remove keys whose grace period is over
+ *   npm run keys -- list                           Show the keys and their status
+ *
+ * Keyring file:
+ *   { "keys": [{ "kid", "alg", "createdAt", "retiredAt", "privateKey" (PKCS#8 PEM) }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+const config = require('./config');
+
+// Algorithms a keyring key may use, with the parameters of a new key
+const KEY_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+const DEFAULT_ALGORITHM = 'RS256';
+
+// How often the keyring file is checked for changes
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+let state = null;
+
+/**
+ * Current configuration
+ * @returns {Object} - { keyringPath, graceMs, secret }
+ */
+function getConfig() {
+  const keyringPath = config.get('JWT_KEYRING_PATH');
+  return {
+    keyringPath: keyringPath ? path.resolve(keyringPath) : null,
+    graceMs: config.get('JWT_KEY_GRACE_HOURS') * 60 * 60 * 1000,
+    secret: config.get('JWT_SECRET')
+  };
+}
+
+// ==================== Keyring File ====================
+
+/**
+ * Create a new signing key
+ * @param {string} alg - RS256 or ES256
+ * @returns {Object} - Keyring entry
+ */
+function generateKey(alg = DEFAULT_ALGORITHM) {
+  const spec = KEY_ALGORITHMS[alg];
+  if (!spec) {
+    throw new Error(`Unsupported key algorithm: ${alg} (use ${Object.keys(KEY_ALGORITHMS).join(' or ')})`);
+  }
+  const { privateKey } = crypto.generateKeyPairSync(spec.type, spec.options);
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    alg,
+    createdAt: new Date().toISOString(),
+    retiredAt: null,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+}
+
+/**
+ * Read and validate a keyring file
+ * @param {string} file - Keyring path
+ * @returns {Object} - { keys }
+ */
+function readKeyring(file) {
+  let keyring;
+  try {
+    keyring = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read JWT keyring ${file}: ${error.message}`);
+  }
+  if (!keyring || !Array.isArray(keyring.keys)) {
+    throw new Error(`JWT keyring ${file} has no "keys" array`);
+  }
+
+  const kids = new Set();
+  for (const key of keyring.keys) {
+    if (!key.kid || kids.has(key.kid)) {
+      throw new Error(`JWT keyring ${file} has a missing or duplicate kid`);
+    }
+    if (!KEY_ALGORITHMS[key.alg]) {
+      throw new Error(`JWT key ${key.kid} uses unsupported algorithm ${key.alg}`);
+    }
+    kids.add(key.kid);
+  }
+  if (!activeEntry(keyring)) {
+    throw new Error(`JWT keyring ${file} has no active key (run: npm run keys -- rotate)`);
+  }
+  return keyring;
+}
+
+/**
+ * Write a keyring file atomically, readable by the owner only
+ * @param {string} file - Keyring path
+ * @param {Object} keyring - { keys }
+ */
+function writeKeyring(file, keyring) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(keyring, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+/**
+ * The key new tokens are signed with (newest key that is not retired)
+ * @param {Object} keyring - { keys }
+ * @returns {Object|undefined} - Keyring entry
+ */
+function activeEntry(keyring) {
+  return keyring.keys
+    .filter(key => !key.retiredAt)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+}
+
+/**
+ * Whether a key still verifies tokens
+ * @param {Object} key - Keyring entry
+ * @param {number} graceMs - Grace period after retirement
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isVerifying(key, graceMs, now = new Date()) {
+  return !key.retiredAt || new Date(key.retiredAt).getTime() + graceMs > now.getTime();
+}
+
+/**
+ * Add a new active key and retire the current ones
+ * @param {Object} keyring - { keys } (modified)
+ * @param {string} alg - Algorithm of the new key
+ * @returns {Object} - The new key
+ */
+function rotateKeyring(keyring, alg = DEFAULT_ALGORITHM) {
+  const key = generateKey(alg);
+  const now = new Date().toISOString();
+  for (const existing of keyring.keys) {
+    if (!existing.retiredAt) existing.retiredAt = now;
+  }
+  keyring.keys.push(key);
+  return key;
+}
+
+/**
+ * Remove retired keys whose grace period is over
+ * @param {Object} keyring - { keys } (modified)
+ * @param {number} graceMs - Grace period after retirement
+ * @returns {Array<Object>} - Removed keys
+ */
+function pruneKeyring(keyring, graceMs) {
+  const removed = keyring.keys.filter(key => !isVerifying(key, graceMs));
+  keyring.keys = keyring.keys.filter(key => isVerifying(key, graceMs));
+  return removed;
+}
+
+// ==================== Runtime Keys ====================
+
+/**
+ * Load the keyring into memory when it is configured, new or changed
+ * @param {boolean} force - Check the file now instead of every RELOAD_INTERVAL_MS
+ * @returns {Object|null} - { path, mtimeMs, checkedAt, keys } or null without a keyring
+ */
+function keyringState(force = false) {
+  const { keyringPath } = getConfig();
+  if (!keyringPath) {
+    state = null;
+    return null;
+  }
+
+  const now = Date.now();
+  const samePath = state && state.path === keyringPath;
+  if (samePath && !force && now - state.checkedAt < RELOAD_INTERVAL_MS) {
+    return state;
+  }
+
+  try {
+    const mtimeMs = fs.statSync(keyringPath).mtimeMs;
+    if (samePath && state.mtimeMs === mtimeMs) {
+      state.checkedAt = now;
+      return state;
+    }
+
+    const keyring = readKeyring(keyringPath);
+    const active = activeEntry(keyring);
+    state = {
+      path: keyringPath,
+      mtimeMs,
+      checkedAt: now,
+      keys: keyring.keys.map(entry => {
+        const privateKey = crypto.createPrivateKey(entry.privateKey);
+        return {
+          kid: entry.kid,
+          alg: entry.alg,
+          active: entry === active,
+          retiredAt: entry.retiredAt ? new Date(entry.retiredAt) : null,
+          privateKey,
+          publicKey: crypto.createPublicKey(privateKey)
+        };
+      })
+    };
+    return state;
+  } catch (error) {
+    // A broken rotation must not take the server down: keep the keys we have
+    if (samePath) {
+      logger.error('JWT keyring reload failed, keeping current keys', { error: error.message });
+      state.checkedAt = now;
+      return state;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load and validate the configured keys (call at startup to fail fast)
+ * @returns {Object} - { mode: 'keyring'|'secret', kid, alg, keys }
+ */
+function load() {
+  const current = keyringState(true);
+  if (!current) {
+    return { mode: 'secret', kid: null, alg: 'HS256', keys: 0 };
+  }
+  const active = current.keys.find(key => key.active);
+  return { mode: 'keyring', kid: active.kid, alg: active.alg, keys: current.keys.length };
+}
+
+/**
+ * Keys that verify tokens right now (active + retired within the grace period)
+ * @returns {Array<Object>} - Runtime keys
+ */
+function verificationKeys() {
+  const current = keyringState();
+  if (!current) return [];
+  const { graceMs } = getConfig();
+  return current.keys.filter(key => isVerifying(key, graceMs));
+}
+
+/**
+ * Sign a JWT with the active key (or HS256 with JWT_SECRET without a keyring)
+ * @param {Object} payload - Claims
+ * @param {Object} options - jsonwebtoken sign options (expiresIn, audience, jwtid...)
+ * @returns {string} - JWT
+ */
+function sign(payload, options = {}) {
+  const current = keyringState();
+  if (!current) {
+    return jwt.sign(payload, getConfig().secret, { ...options, algorithm: 'HS256' });
+  }
+  const active = current.keys.find(key => key.active);
+  return jwt.sign(payload, active.privateKey, { ...options, algorithm: active.alg, keyid: active.kid });
+}
+
+/**
+ * Verify a JWT signed by sign()
+ *
+ * The key is chosen by the "kid" header and only its own algorithm is
+ * accepted. Tokens without a kid are HS256 tokens and need JWT_SECRET.
+ * Errors are jsonwebtoken's (TokenExpiredError, JsonWebTokenError...).
+ *
+ * @param {string} token - JWT
+ * @param {Object} options - jsonwebtoken verify options (audience, ignoreExpiration...)
+ * @returns {Object} - Payload
+ */
+function verify(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const kid = decoded.header.kid;
+  if (!kid) {
+    const { secret } = getConfig();
+    if (!secret) {
+      throw new jwt.JsonWebTokenError('jwt has no key id');
+    }
+    return jwt.verify(token, secret, { ...options, algorithms: ['HS256'] });
+  }
+
+  let key = verificationKeys().find(candidate => candidate.kid === kid);
+  if (!key && keyringState()) {
+    // Another instance may already sign with a key we have not loaded yet
+    keyringState(true);
+    key = verificationKeys().find(candidate => candidate.kid === kid);
+  }
+  if (!key) {
+    throw new jwt.JsonWebTokenError('jwt signing key not found');
+  }
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+}
+
+/**
+ * Public keys for /.well-known/jwks.json
+ * @returns {Object} - JWK Set { keys }
+ */
+function jwks() {
+  return {
+    keys: verificationKeys().map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+}
+
+/**
+ * Forget the loaded keyring (the next call reads the file again)
+ */
+function reload() {
+  state = null;
+}
+
+// ==================== CLI ====================
+
+/**
+ * Status of a keyring entry for `list`
+ * @param {Object} key - Keyring entry
+ * @param {Object} active - Active entry
+ * @param {number} graceMs - Grace period
+ * @returns {string} - active | verifying until <date> | expired
+ */
+function describeStatus(key, active, graceMs) {
+  if (key === active) return 'active';
+  if (!key.retiredAt) return 'superseded';
+  if (!isVerifying(key, graceMs)) return 'expired (prune)';
+  return `verifying until ${new Date(new Date(key.retiredAt).getTime() + graceMs).toISOString()}`;
+}
+
+/**
+ * Run a CLI command
+ * @param {Array<string>} argv - Arguments after the script name
+ */
+function cli(argv) {
+  const command = argv[0];
+  const option = name => {
+    const index = argv.indexOf(`--${name}`);
+    return index === -1 ? null : argv[index + 1];
+  };
+  const settings = getConfig();
+  const file = option('file') ? path.resolve(option('file')) : settings.keyringPath;
+  const alg = option('alg') || DEFAULT_ALGORITHM;
+
+  if (!file) {
+    throw new Error('Set JWT_KEYRING_PATH or pass --file <path>');
+  }
+
+  switch (command) {
+    case 'generate': {
+      if (fs.existsSync(file)) {
+        throw new Error(`${file} already exists (use rotate to add a key)`);
+      }
+      const key = generateKey(alg);
+      writeKeyring(file, { keys: [key] });
+      console.log(`Created ${file} with ${key.alg} key ${key.kid}`);
+      console.log(`Start the server with JWT_KEYRING_PATH=${file}`);
+      break;
+    }
+    case 'rotate': {
+      const keyring = readKeyring(file);
+      const removed = pruneKeyring(keyring, settings.graceMs);
+      const key = rotateKeyring(keyring, alg);
+      writeKeyring(file, keyring);
+      console.log(`New active ${key.alg} key ${key.kid}; previous keys verify for ${settings.graceMs / 3600000} h`);
+      removed.forEach(old => console.log(`Removed expired key ${old.kid}`));
+      break;
+    }
+    case 'prune': {
+      const keyring = readKeyring(file);
+      const removed = pruneKeyring(keyring, settings.graceMs);
+      writeKeyring(file, keyring);
+      console.log(removed.length ? `Removed ${removed.map(old => old.kid).join(', ')}` : 'Nothing to prune');
+      break;
+    }
+    case 'list': {
+      const keyring = readKeyring(file);
+      const active = activeEntry(keyring);
+      for (const key of keyring.keys) {
+        console.log(`${key.kid}  ${key.alg}  created ${key.createdAt}  ${describeStatus(key, active, settings.graceMs)}`);
+      }
+      break;
+    }
+    default:
+      throw new Error('Usage: npm run keys -- generate|rotate|prune|list [--alg RS256|ES256] [--file <path>]');
+  }
+}
+
+// CLI: npm run keys -- <command>
+if (require.main === module) {
+  try {
+    cli(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  KEY_ALGORITHMS,
+  getConfig,
+  generateKey,
+  readKeyring,
+  writeKeyring,
+  rotateKeyring,
+  pruneKeyring,
+  load,
+  sign,
+  verify,
+  jwks,
+  reload
+};
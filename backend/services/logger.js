@@ -0,0 +1,109 @@
+/**
+ * Logger Service
+ *
+ * Structured logging: one JSON object per line, so log shippers can parse
+ * entries without regexes. Every entry written during a request carries its
+ * requestId (from services/requestContext.js), which is also returned to the
+ * client in the X-Request-Id header.
+ *
+ * Levels (lowest to highest): debug, info, warn, error. Entries below LOG_LEVEL
+ * are dropped; LOG_LEVEL=silent turns logging off. The default is "info", or
+ * "warn" under NODE_ENV=test to keep test output readable. warn and error go
+ * to stderr, the rest to stdout.
+ *
+ * Field values under sensitive keys (passwords, tokens, secrets, cookies,
+ * authorization headers) are replaced before anything is written, however
+ * deeply they are nested.
+ *
+ * Usage:
+ *   logger.info('Server started', { port: 5000 });
+ *   logger.error('Login error', { error: e.message });
+ */
+
+const requestContext = require('./requestContext');
+const config = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const SENSITIVE_KEY = /password|passwd|secret|token|cookie|authorization|api[-_]?key$|csrf|otp|^code$/i;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 5;
+
+// LOG_LEVEL, whose default depends on NODE_ENV (see services/config.js)
+let threshold = LEVELS[config.get('LOG_LEVEL')];
+
+/**
+ * Change the minimum level at runtime
+ * @param {string} level - debug | info | warn | error | silent
+ * @returns {string} - Previous level
+ */
+function setLevel(level) {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  const previous = Object.keys(LEVELS).find(name => LEVELS[name] === threshold);
+  threshold = LEVELS[level];
+  return previous;
+}
+
+/**
+ * Whether entries of a level are written
+ * @param {string} level - Level name
+ * @returns {boolean}
+ */
+function isEnabled(level) {
+  return LEVELS[level] >= threshold;
+}
+
+/**
+ * Copy of a value with sensitive keys redacted
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @returns {*} - Safe copy
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const safe = {};
+  for (const [key, item] of Object.entries(value)) {
+    safe[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+  }
+  return safe;
+}
+
+/**
+ * Write one entry
+ * @param {string} level - Level name
+ * @param {string} message - Short, constant message (details go in fields)
+ * @param {Object} fields - Extra fields
+ */
+function write(level, message, fields = {}) {
+  if (!isEnabled(level)) return;
+
+  const context = requestContext.get();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...(context ? { requestId: context.requestId } : {}),
+    ...redact(fields)
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  setLevel,
+  isEnabled,
+  redact
+};
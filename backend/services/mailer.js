@@ -0,0 +1,161 @@
+/**
+ * Mailer Service
+ * 
+ * Sends transactional email (password reset, verification...) through a
+ * pluggable transport. A transport is any object with `async send(message)`.
+ * 
+ * Built-in transports (MAIL_TRANSPORT):
+ * - console: prints the message to stdout (development default; refused in
+ *            production, and the body, which holds one-time links, is only
+ *            printed under NODE_ENV=development)
+ * - file:    writes each message as JSON into MAIL_OUTBOX_DIR (offline testing)
+ * - memory:  keeps messages in an in-process outbox array (test default)
+ * - custom:  fails every send until a provider is plugged in with setTransport()
+ * 
+ * Production deployments set MAIL_TRANSPORT=custom and plug in a real provider:
+ *   mailer.setTransport({ send: async (message) => smtpClient.sendMail(message) });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const MAIL_FROM = config.get('MAIL_FROM');
+
+/**
+ * Console transport - logs messages instead of sending them
+ */
+class ConsoleTransport {
+  async send(message) {
+    // The body carries reset, unlock and invitation links: keep it out of shared logs
+    const body = config.get('NODE_ENV') === 'development' ? message.text : '(body not printed outside development)';
+    console.log(`[MAIL] To: ${message.to} | Subject: ${message.subject}\n${body}`);
+    return { id: message.id };
+  }
+}
+
+/**
+ * File transport - writes one JSON file per message into an outbox directory
+ */
+class FileTransport {
+  /**
+   * @param {string} directory - Outbox directory (created if missing)
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${Date.now()}-${message.id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return { id: message.id, file };
+  }
+}
+
+/**
+ * Memory transport - collects messages in `outbox` for inspection
+ */
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    this.outbox.push(message);
+    return { id: message.id };
+  }
+
+  /**
+   * Most recent message sent to an address
+   * @param {string} to - Recipient email
+   * @returns {Object|undefined} - Message
+   */
+  lastTo(to) {
+    return [...this.outbox].reverse().find(message => message.to === to);
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+/**
+ * Custom transport placeholder - refuses to send until setTransport() replaces it
+ */
+class UnconfiguredTransport {
+  async send() {
+    throw new Error('MAIL_TRANSPORT is custom but no transport was plugged in with mailer.setTransport()');
+  }
+}
+
+/**
+ * Build a transport from its name
+ * @param {string} name - console | file | memory | custom
+ * @returns {Object} - Transport instance
+ */
+function createTransport(name) {
+  switch (name) {
+    case 'file':
+      return new FileTransport(config.get('MAIL_OUTBOX_DIR'));
+    case 'memory':
+      return new MemoryTransport();
+    case 'console':
+      return new ConsoleTransport();
+    case 'custom':
+      return new UnconfiguredTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected console, file, memory or custom)`);
+  }
+}
+
+// Unset only in production, where startup then stops on the config problem
+let transport = createTransport(config.get('MAIL_TRANSPORT') || 'custom');
+
+/**
+ * Replace the active transport
+ * @param {Object} newTransport - Object with async send(message)
+ */
+function setTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = newTransport;
+}
+
+/**
+ * Get the active transport
+ * @returns {Object} - Transport instance
+ */
+function getTransport() {
+  return transport;
+}
+
+/**
+ * Send an email
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendMail({ to, subject, text, html }) {
+  const message = {
+    id: crypto.randomUUID(),
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html: html || null,
+    createdAt: new Date().toISOString()
+  };
+  return await transport.send(message);
+}
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  createTransport,
+  ConsoleTransport,
+  FileTransport,
+  MemoryTransport
+};
@@ -0,0 +1,123 @@
+/**
+ * Metrics Service
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text exposition
+ * format (version 0.0.4) for GET /metrics. No external dependency: only what
+ * the server needs is implemented.
+ *
+ * Gauges whose value lives elsewhere (pool clients, active sessions) are
+ * filled by collectors that run on every scrape.
+ *
+ * Usage:
+ *   const hits = metrics.counter('cache_hits_total', 'Cache hits', ['cache']);
+ *   hits.inc({ cache: 'jwks' });
+ *   metrics.collect(async () => sessions.set({}, await UserSession.countActive()));
+ *   res.type(metrics.CONTENT_TYPE).send(await metrics.render());
+ */
+
+const logger = require('./logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers fast lookups up to slow bcrypt-heavy requests
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+const collectors = [];
+
+/**
+ * Label set as it appears in the exposition: {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Register a metric (the same name returns the existing metric)
+ * @param {string} type - counter | gauge | histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Object} extra - { buckets } for histograms
+ * @returns {Object} - Metric
+ */
+function register(type, name, help, labelNames = [], extra = {}) {
+  if (registry.has(name)) return registry.get(name);
+
+  const series = new Map();
+  const key = labels => JSON.stringify(labelNames.map(label => String(labels[label] ?? '')));
+  const pick = labels => Object.fromEntries(labelNames.map(label => [label, labels[label] ?? '']));
+
+  const metric = { type, name, help, series };
+  if (type === 'counter') {
+    metric.inc = (labels = {}, value = 1) => {
+      const entry = series.get(key(labels)) || { labels: pick(labels), value: 0 };
+      entry.value += value;
+      series.set(key(labels), entry);
+    };
+  } else if (type === 'gauge') {
+    metric.set = (labels = {}, value) => series.set(key(labels), { labels: pick(labels), value });
+    metric.reset = () => series.clear();
+  } else {
+    const buckets = extra.buckets || DEFAULT_BUCKETS;
+    metric.buckets = buckets;
+    metric.observe = (labels = {}, value) => {
+      const entry = series.get(key(labels)) || { labels: pick(labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i] += 1; });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key(labels), entry);
+    };
+  }
+
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * Lines of one metric
+ * @param {Object} metric - Registered metric
+ * @returns {Array<string>}
+ */
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+  for (const entry of metric.series.values()) {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(entry.labels)} ${entry.value}`);
+      continue;
+    }
+    metric.buckets.forEach((bound, i) => {
+      lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+    lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+  }
+  return lines;
+}
+
+/**
+ * Run the collectors and render every metric
+ * A failing collector leaves its gauges at their last value.
+ * @returns {Promise<string>} - Exposition text
+ */
+async function render() {
+  await Promise.all(collectors.map(collector => Promise.resolve().then(collector).catch(error => {
+    logger.warn('Metrics collector failed', { error: error.message });
+  })));
+  return [...registry.values()].flatMap(renderMetric).join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  counter: (name, help, labelNames) => register('counter', name, help, labelNames),
+  gauge: (name, help, labelNames) => register('gauge', name, help, labelNames),
+  histogram: (name, help, labelNames, buckets) => register('histogram', name, help, labelNames, { buckets }),
+  collect: collector => collectors.push(collector),
+  render
+};
@@ -0,0 +1,281 @@
+/**
+ * OpenID Connect Service
+ *
+ * Client side of the authorization code flow with PKCE against the group's
+ * identity provider (no external dependency: discovery, JWKS and the token
+ * request use fetch; ID tokens are verified with jsonwebtoken).
+ *
+ * Configuration (services/config.js; read on every call, so a restart is not
+ * needed in tests):
+ * - OIDC_ISSUER:            provider issuer URL (SSO is off when unset)
+ * - OIDC_CLIENT_ID:         client registered at the provider
+ * - OIDC_CLIENT_SECRET:     client secret (optional: public clients use PKCE only)
+ * - OIDC_SCOPES:            requested scopes (default "openid email profile")
+ * - OIDC_PROVIDER_NAME:     label for the login button (default "Single sign-on")
+ * - OIDC_ROLE_CLAIM:        claim holding the provider roles/groups (default "roles")
+ * - OIDC_ROLE_MAP:          JSON map of provider role -> users.role
+ *                           (default {"manager": "manager", "staff": "staff"})
+ * - OIDC_RESTAURANT_CLAIM:  claim holding the restaurant ID (default "restaurant_id")
+ * - OIDC_JIT_PROVISIONING:  "false" disables creating users on first sign-in
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const appConfig = require('./config');
+
+// Discovery documents and JWKS are cached per issuer
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+// Signature algorithms accepted for ID tokens (never "none" or HMAC)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+// "amr" values that mean the provider performed multi-factor authentication
+const MFA_AMR_VALUES = ['mfa', 'otp', 'hwk', 'swk'];
+
+const cache = new Map();
+
+/**
+ * Current configuration
+ * @returns {Object} - { issuer, clientId, clientSecret, scopes, providerName,
+ *                       roleClaim, roleMap, restaurantClaim, jitProvisioning }
+ */
+function getConfig() {
+  return {
+    issuer: appConfig.get('OIDC_ISSUER') || '',
+    clientId: appConfig.get('OIDC_CLIENT_ID') || '',
+    clientSecret: appConfig.get('OIDC_CLIENT_SECRET') || '',
+    scopes: appConfig.get('OIDC_SCOPES'),
+    providerName: appConfig.get('OIDC_PROVIDER_NAME'),
+    roleClaim: appConfig.get('OIDC_ROLE_CLAIM'),
+    roleMap: appConfig.get('OIDC_ROLE_MAP'),
+    restaurantClaim: appConfig.get('OIDC_RESTAURANT_CLAIM'),
+    jitProvisioning: appConfig.get('OIDC_JIT_PROVISIONING')
+  };
+}
+
+/**
+ * Whether single sign-on is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+  const config = getConfig();
+  return Boolean(config.issuer && config.clientId);
+}
+
+/**
+ * Base64url without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string}
+ */
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Random value for state and nonce
+ * @returns {string} - 256-bit base64url string
+ */
+function randomToken() {
+  return base64url(crypto.randomBytes(32));
+}
+
+/**
+ * PKCE verifier and its S256 challenge
+ * @returns {Object} - { verifier, challenge }
+ */
+function createPkce() {
+  const verifier = randomToken();
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+/**
+ * Fetch JSON with a timeout
+ * @param {string} url - URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed body
+ */
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with ${response.status}${body.error ? ` (${body.error})` : ''}`);
+    error.code = 'OIDC_HTTP_ERROR';
+    throw error;
+  }
+  return body;
+}
+
+/**
+ * Provider metadata (/.well-known/openid-configuration), cached
+ * @returns {Promise<Object>} - Discovery document
+ */
+async function discover() {
+  const { issuer } = getConfig();
+  const cached = cache.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== issuer) {
+    throw new Error(`OIDC issuer mismatch: expected ${issuer}, got ${metadata.issuer}`);
+  }
+  cache.set(issuer, { metadata, keys: null, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  return metadata;
+}
+
+/**
+ * Public key for a key ID, from the provider's JWKS (refetched once for unknown kids)
+ * @param {string} kid - Key ID from the ID token header
+ * @returns {Promise<KeyObject>} - Public key
+ */
+async function getSigningKey(kid) {
+  const metadata = await discover();
+  const entry = cache.get(getConfig().issuer);
+
+  const findKey = () => (entry.keys || []).find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+  let jwk = findKey();
+  if (!jwk) {
+    // Unknown kid: the provider may have rotated its keys
+    entry.keys = (await fetchJson(metadata.jwks_uri)).keys || [];
+    jwk = findKey();
+  }
+  if (!jwk) {
+    throw new Error(`OIDC signing key not found: ${kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * URL of the provider's authorization endpoint for a new login
+ * @param {Object} params - { redirectUri, state, nonce, codeChallenge }
+ * @returns {Promise<string>} - URL to redirect the browser to
+ */
+async function authorizationUrl(params) {
+  const config = getConfig();
+  const metadata = await discover();
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: params.redirectUri,
+    scope: config.scopes,
+    state: params.state,
+    nonce: params.nonce,
+    code_challenge: params.codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} params - { code, codeVerifier, redirectUri }
+ * @returns {Promise<Object>} - Token response (contains id_token)
+ */
+async function exchangeCode(params) {
+  const config = getConfig();
+  const metadata = await discover();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: params.redirectUri,
+    code_verifier: params.codeVerifier,
+    client_id: config.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.clientSecret) {
+    // client_secret_basic
+    const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: body.toString() });
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response has no id_token');
+  }
+  return tokens;
+}
+
+/**
+ * Verify an ID token: signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - Verified claims
+ */
+async function verifyIdToken(idToken, nonce) {
+  const config = getConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('OIDC ID token is malformed or uses an unsupported algorithm');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: config.issuer,
+    audience: config.clientId,
+    clockTolerance: 60
+  });
+
+  const expected = Buffer.from(String(nonce));
+  const actual = Buffer.from(String(claims.nonce || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('OIDC nonce mismatch');
+  }
+  if (!claims.sub) {
+    throw new Error('OIDC ID token has no subject');
+  }
+  return claims;
+}
+
+/**
+ * Map verified provider claims onto the user model
+ * @param {Object} claims - ID token claims
+ * @returns {Object} - { issuer, subject, email, emailVerified, firstName, lastName,
+ *                       role, restaurantId, mfa }
+ */
+function mapClaims(claims) {
+  const config = getConfig();
+
+  // Role: first provider role/group that maps onto a users.role
+  const rawRoles = claims[config.roleClaim];
+  const providerRoles = Array.isArray(rawRoles) ? rawRoles : (rawRoles ? [rawRoles] : []);
+  const mapped = providerRoles.map(role => config.roleMap[role]).find(Boolean);
+
+  // Names: given/family name, else split the display name
+  const nameParts = typeof claims.name === 'string' ? claims.name.trim().split(/\s+/) : [];
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+
+  return {
+    issuer: claims.iss,
+    subject: String(claims.sub),
+    email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || nameParts[0] || (email ? email.split('@')[0] : null),
+    lastName: claims.family_name || nameParts.slice(1).join(' ') || null,
+    role: mapped || null,
+    restaurantId: claims[config.restaurantClaim] ? String(claims[config.restaurantClaim]) : null,
+    mfa: Array.isArray(claims.amr) && claims.amr.some(value => MFA_AMR_VALUES.includes(value))
+  };
+}
+
+/**
+ * Forget cached discovery documents and keys
+ */
+function clearCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getConfig,
+  isEnabled,
+  randomToken,
+  createPkce,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapClaims,
+  clearCache
+};
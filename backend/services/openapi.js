@@ -0,0 +1,1244 @@
+/**
+ * OpenAPI Document
+ *
+ * Machine-readable description (OpenAPI 3.1) of every route in server.js,
+ * served at GET /api/openapi.json and rendered at GET /api/docs.
+ *
+ * The document is also the request contract: validateRequest (server.js)
+ * checks bodies, query strings and path parameters against it, and tests can
+ * check responses against it (OPENAPI_VALIDATE_RESPONSES). A route added to
+ * server.js without an entry here fails the coverage test.
+ *
+ * Conventions:
+ * - Request schemas only state what the handler would reject anyway (type,
+ *   presence, fixed values); content rules such as password strength stay in
+ *   the handlers. x-message carries the handler's own error message.
+ * - Response schemas are closed (additionalProperties: false) so a field
+ *   added to a response without documenting it is caught by the tests.
+ * - x-permission names the permission a route requires (services/permissions.js).
+ *
+ * Usage:
+ *   const operation = openapi.findOperation('post', '/api/users/:id/unlock');
+ */
+
+const { version } = require('../package.json');
+const permissions = require('./permissions');
+
+// ==================== Schema Helpers ====================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const arrayOf = items => ({ type: 'array', items });
+
+const uuid = { type: 'string', format: 'uuid' };
+const timestamp = { type: 'string', format: 'date-time' };
+const ok = { type: 'boolean', const: true };
+const message = { type: 'string' };
+const stringList = arrayOf({ type: 'string' });
+
+/**
+ * Response object: every property is always present unless listed as optional
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} optional - Properties that may be missing
+ * @returns {Object} JSON Schema
+ */
+function shape(properties, optional = []) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(name => !optional.includes(name)),
+    additionalProperties: false
+  };
+}
+
+/**
+ * Request body: properties in the order the handler checks them
+ * (unknown properties are ignored by the handlers, so they are allowed)
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} required - Properties the handler rejects when missing
+ * @returns {Object} JSON Schema
+ */
+function body(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+// Request fields shared by several routes, with the handlers' messages
+const fields = {
+  email: { type: 'string', format: 'email', maxLength: 254, 'x-message': 'Valid email is required' },
+  password: {
+    type: 'string',
+    format: 'password',
+    description: 'At least 8 characters with an uppercase letter, a lowercase letter, a number and a special character',
+    'x-message': 'Password must be at least 8 characters'
+  },
+  firstName: {
+    type: 'string',
+    description: '2-50 letters, spaces, hyphens or apostrophes',
+    'x-message': 'First name must be 2-50 characters, letters only'
+  },
+  lastName: {
+    type: 'string',
+    description: '2-50 letters, spaces, hyphens or apostrophes',
+    'x-message': 'Last name must be 2-50 characters, letters only'
+  },
+  phone: {
+    type: ['string', 'null'],
+    description: '7-20 digits, spaces, "+", "-" or parentheses',
+    'x-message': 'Phone number format is invalid'
+  },
+  code: { type: 'string', description: '6-digit code from the authenticator app', example: '123456' },
+  mfaToken: { type: 'string', description: 'Short-lived token from POST /api/login (5 minutes)' }
+};
+
+// ==================== Responses & Parameters ====================
+
+/**
+ * JSON response
+ * @param {string} description - When it is returned
+ * @param {Object} schema - Body schema
+ * @returns {Object} Response object
+ */
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Redirect response
+ * @param {string} description - Where it goes
+ * @returns {Object} Response object
+ */
+function redirect(description) {
+  return { description, headers: { Location: { description: 'Redirect target', schema: { type: 'string' } } } };
+}
+
+const ERROR_RESPONSES = {
+  400: 'ValidationError',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  429: 'TooManyRequests',
+  500: 'ServerError',
+  502: 'BadGateway'
+};
+
+/**
+ * References to the shared error responses
+ * @param {...number} statuses - HTTP status codes
+ * @returns {Object} Responses keyed by status
+ */
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]));
+}
+
+/**
+ * Optional query parameter
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Value schema (strings are converted to integers/booleans first)
+ * @param {string} description - Meaning
+ * @returns {Object} Parameter object
+ */
+function query(name, schema, description) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+/**
+ * The :id path parameter
+ * @param {string} description - What it identifies
+ * @returns {Object} Parameter object
+ */
+function idParam(description) {
+  return { name: 'id', in: 'path', required: true, description, schema: uuid };
+}
+
+/**
+ * JSON request body
+ * @param {Object} schema - Body schema
+ * @returns {Object} Request body object
+ */
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+// Security requirements (cookie writes also need the CSRF header)
+const PUBLIC = [];
+const SESSION = [{ cookieAuth: [] }];
+const SESSION_WRITE = [{ cookieAuth: [], csrfToken: [] }];
+const SESSION_OR_KEY = [{ cookieAuth: [] }, { apiKey: [] }];
+
+// ==================== Components ====================
+
+const schemas = {
+  Error: {
+    type: 'object',
+    description: 'Every 4xx/5xx JSON response',
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', description: 'Machine-readable reason, e.g. VALIDATION_ERROR, CSRF_TOKEN_INVALID, ACCOUNT_LOCKED' },
+      permission: { type: 'string', description: 'Missing permission (403 from requirePermission)' },
+      details: arrayOf(ref('ValidationProblem'))
+    },
+    required: ['error'],
+    additionalProperties: false
+  },
+  ValidationProblem: shape({
+    in: { type: 'string', enum: ['body', 'query', 'path'] },
+    path: { type: 'string', description: 'Field, e.g. "email" or "scopes[1]"' },
+    message: { type: 'string', example: 'must be a string' }
+  }),
+  Ok: shape({ ok, message }),
+  User: shape({
+    id: uuid,
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    phone: { type: ['string', 'null'] },
+    role: { type: 'string', enum: ['admin', 'owner', 'manager', 'staff'] },
+    restaurantId: nullable(uuid),
+    restaurantName: { type: ['string', 'null'] },
+    emailVerified: { type: 'boolean' },
+    mfaEnabled: { type: 'boolean' },
+    lastLogin: nullable(timestamp),
+    createdAt: timestamp,
+    permissions: { ...stringList, description: 'Effective permissions (GET/PUT /api/me only)' }
+  }, ['permissions']),
+  Restaurant: shape({
+    id: uuid,
+    name: { type: 'string' },
+    phone: { type: ['string', 'null'] },
+    email: { type: ['string', 'null'] },
+    timezone: { type: 'string', example: 'Europe/Paris' },
+    currency: { type: 'string', example: 'EUR' },
+    mfaRequired: { type: 'boolean' },
+    createdAt: timestamp
+  }),
+  RolePermissions: shape({
+    defaults: stringList,
+    overrides: { type: 'object', additionalProperties: { type: 'boolean' }, description: 'Permission -> granted (true) or revoked (false)' },
+    effective: stringList
+  }),
+  PermissionMatrix: shape({
+    permissions: { ...stringList, description: 'Every known permission' },
+    roles: shape(Object.fromEntries(permissions.OVERRIDABLE_ROLES.map(role => [role, ref('RolePermissions')])))
+  }),
+  Invitation: shape({
+    id: uuid,
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ['manager', 'staff'] },
+    status: { type: 'string', enum: ['pending', 'accepted', 'revoked', 'expired'] },
+    invitedBy: nullable(uuid),
+    expiresAt: timestamp,
+    acceptedAt: nullable(timestamp),
+    revokedAt: nullable(timestamp),
+    createdAt: timestamp
+  }),
+  Session: shape({
+    id: uuid,
+    device: { type: 'string', example: 'Chrome on macOS' },
+    browser: { type: ['string', 'null'] },
+    os: { type: ['string', 'null'] },
+    ipAddress: { type: ['string', 'null'] },
+    userAgent: { type: ['string', 'null'] },
+    createdAt: timestamp,
+    lastSeenAt: timestamp,
+    expiresAt: timestamp,
+    persistent: { type: 'boolean' },
+    impersonated: { type: 'boolean' },
+    current: { type: 'boolean', description: 'The session making the request' }
+  }),
+  ApiKey: shape({
+    id: uuid,
+    name: { type: 'string' },
+    prefix: { type: 'string', example: 'rmk_1a2b3c4d' },
+    scopes: stringList,
+    status: { type: 'string', enum: ['active', 'revoked', 'expired'] },
+    createdBy: nullable(uuid),
+    createdAt: timestamp,
+    expiresAt: nullable(timestamp),
+    lastUsedAt: nullable(timestamp),
+    lastUsedIp: { type: ['string', 'null'] },
+    revokedAt: nullable(timestamp)
+  }),
+  AuditEntry: shape({
+    id: uuid,
+    table: { type: 'string', example: 'users' },
+    recordId: uuid,
+    action: { type: 'string', enum: ['INSERT', 'UPDATE', 'DELETE'] },
+    event: { type: ['string', 'null'], example: 'login_locked' },
+    oldValues: { type: ['object', 'null'] },
+    newValues: { type: ['object', 'null'] },
+    performedBy: nullable(uuid),
+    restaurantId: nullable(uuid),
+    requestId: { type: ['string', 'null'] },
+    ipAddress: { type: ['string', 'null'] },
+    userAgent: { type: ['string', 'null'] },
+    createdAt: timestamp
+  }),
+  Readiness: shape({
+    status: { type: 'string', enum: ['ready', 'not_ready', 'shutting_down'] },
+    checks: shape({
+      database: { type: 'string', enum: ['ok', 'reconnecting', 'error'] },
+      migrations: { type: 'string', enum: ['ok', 'pending', 'error', 'unknown'] }
+    }),
+    pendingMigrations: { ...stringList, description: 'Migration files not applied yet' }
+  }, ['checks', 'pendingMigrations']),
+  TotpSetup: shape({
+    secret: { type: 'string', description: 'Base32 secret' },
+    otpauthUrl: { type: 'string', description: 'otpauth:// URI for the QR code' }
+  }),
+  Jwk: {
+    type: 'object',
+    properties: {
+      kty: { type: 'string', enum: ['RSA', 'EC'] },
+      kid: { type: 'string' },
+      alg: { type: 'string', example: 'RS256' },
+      use: { type: 'string', const: 'sig' },
+      n: { type: 'string' },
+      e: { type: 'string' },
+      crv: { type: 'string' },
+      x: { type: 'string' },
+      y: { type: 'string' }
+    },
+    required: ['kty', 'kid', 'alg', 'use'],
+    additionalProperties: false
+  }
+};
+
+const responses = {
+  ValidationError: json('Invalid request (schema or handler validation)', ref('Error')),
+  Unauthorized: json('Not authenticated, or the session/token is no longer valid', ref('Error')),
+  Forbidden: json('Not allowed: missing permission, CSRF token, impersonation block or account state (see code)', ref('Error')),
+  NotFound: json('Not found (or not visible to the caller)', ref('Error')),
+  Conflict: json('Conflicts with the current state', ref('Error')),
+  TooManyRequests: {
+    description: 'Rate limit exceeded',
+    content: { 'text/plain': { schema: { type: 'string' } } }
+  },
+  ServerError: json('Unexpected server error', ref('Error')),
+  BadGateway: json('The identity provider could not be reached', ref('Error'))
+};
+
+const securitySchemes = {
+  cookieAuth: {
+    type: 'apiKey',
+    in: 'cookie',
+    name: 'rm_auth',
+    description: 'Access token (15 minutes) set by POST /api/login; renew it with POST /api/refresh'
+  },
+  csrfToken: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-CSRF-Token',
+    description: 'Value of the rm_csrf cookie; required with cookie authentication on POST/PUT/PATCH/DELETE'
+  },
+  apiKey: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'rmk_...',
+    description: 'Restaurant API key (POST /api/api-keys); accepted where listed, limited to its scopes'
+  },
+  refreshCookie: {
+    type: 'apiKey',
+    in: 'cookie',
+    name: 'rm_refresh',
+    description: 'Single-use refresh token (path /api), rotated by POST /api/refresh'
+  },
+  metricsToken: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'METRICS_TOKEN'
+  }
+};
+
+// ==================== Paths ====================
+
+const paths = {
+  // Health & Metrics
+  '/healthz': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Health'],
+      summary: 'Liveness',
+      security: PUBLIC,
+      responses: {
+        200: json('The process is up', shape({ status: { type: 'string', const: 'ok' }, uptime: { type: 'integer' } }))
+      }
+    }
+  },
+  '/readyz': {
+    get: {
+      operationId: 'getReadiness',
+      tags: ['Health'],
+      summary: 'Readiness (database and migrations)',
+      security: PUBLIC,
+      responses: {
+        200: json('Ready to serve traffic', ref('Readiness')),
+        503: json('Not ready, or shutting down', ref('Readiness'))
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['Health'],
+      summary: 'Prometheus metrics',
+      description: 'Requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set.',
+      security: [{}, { metricsToken: [] }],
+      responses: {
+        200: { description: 'Prometheus text format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...errors(401, 500)
+      }
+    }
+  },
+
+  // Authentication
+  '/api/register': {
+    post: {
+      operationId: 'register',
+      tags: ['Authentication'],
+      summary: 'Register a restaurant owner',
+      description: 'Creates the restaurant and its owner, and emails a verification link. ' +
+        'Managers and staff join by invitation (403 INVITATION_REQUIRED). Rate limited: 5 per IP per 15 minutes.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        phone: fields.phone,
+        firstName: fields.firstName,
+        lastName: fields.lastName,
+        email: fields.email,
+        password: fields.password,
+        restaurantName: { type: 'string', description: '2-100 characters', 'x-message': 'Restaurant name must be 2-100 characters' },
+        timezone: {
+          type: 'string',
+          description: 'IANA time zone (default America/New_York)',
+          example: 'Europe/Paris',
+          'x-message': 'Time zone must be a valid IANA time zone (e.g. Europe/Paris)'
+        },
+        currency: {
+          type: 'string',
+          description: 'ISO 4217 code (default USD)',
+          example: 'EUR',
+          'x-message': 'Currency must be a 3-letter ISO 4217 code (e.g. EUR)'
+        },
+        role: { type: 'string', enum: ['owner', 'manager', 'staff'], default: 'owner', 'x-message': 'Invalid role' }
+      }, ['firstName', 'lastName', 'email', 'password', 'restaurantName'])),
+      responses: {
+        201: json('Account created; the email must be verified before signing in', shape({
+          id: uuid,
+          email: { type: 'string', format: 'email' },
+          restaurantId: uuid,
+          message
+        })),
+        ...errors(400, 403, 409, 429, 500)
+      }
+    }
+  },
+  '/api/login': {
+    post: {
+      operationId: 'login',
+      tags: ['Authentication'],
+      summary: 'Sign in with email and password',
+      description: 'Sets the rm_auth, rm_refresh and rm_csrf cookies, or returns an mfaToken for POST /api/login/mfa. ' +
+        'Rate limited: 10 failed attempts per IP per 15 minutes; accounts lock after 5 consecutive failures.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        email: fields.email,
+        password: { type: 'string', format: 'password', 'x-message': 'Password is required' },
+        remember: { type: ['boolean', 'string'], description: '"Keep me signed in" (30-day session); true or "true"' }
+      }, ['email', 'password'])),
+      responses: {
+        200: json('Signed in, or a second factor is needed', {
+          oneOf: [
+            ref('Ok'),
+            shape({ ok, mfaRequired: { type: 'boolean', const: true }, mfaToken: { type: 'string' } }),
+            shape({ ok, mfaSetupRequired: { type: 'boolean', const: true }, mfaToken: { type: 'string' } })
+          ]
+        }),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/refresh': {
+    post: {
+      operationId: 'refreshSession',
+      tags: ['Authentication'],
+      summary: 'Rotate the refresh token',
+      description: 'Exchanges the rm_refresh cookie (single use) for new cookies. Reusing a rotated token revokes the session.',
+      security: [{ refreshCookie: [], csrfToken: [] }],
+      responses: {
+        200: json('New cookies set', ref('Ok')),
+        ...errors(401, 403, 500)
+      }
+    }
+  },
+  '/api/logout': {
+    post: {
+      operationId: 'logout',
+      tags: ['Authentication'],
+      summary: 'Sign out and revoke the session',
+      security: [{}, { cookieAuth: [], csrfToken: [] }, { refreshCookie: [], csrfToken: [] }],
+      responses: {
+        200: json('Signed out (also when there was no session)', ref('Ok')),
+        ...errors(403, 500)
+      }
+    }
+  },
+
+  // Profile
+  '/api/me': {
+    get: {
+      operationId: 'getCurrentUser',
+      tags: ['Profile'],
+      summary: 'The signed-in user',
+      security: SESSION,
+      responses: {
+        200: json('User with effective permissions, and who is impersonating them (if anyone)', shape({
+          user: ref('User'),
+          impersonation: {
+            oneOf: [
+              { type: 'null' },
+              shape({
+                impersonator: shape({ id: uuid, email: { type: 'string', format: 'email' }, firstName: { type: 'string' }, lastName: { type: 'string' } }),
+                expiresAt: timestamp
+              })
+            ]
+          }
+        })),
+        ...errors(401, 500)
+      }
+    },
+    put: {
+      operationId: 'updateCurrentUser',
+      tags: ['Profile'],
+      summary: 'Update name and phone',
+      description: 'Fields that are not sent are left unchanged; phone "" or null removes it.',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        phone: fields.phone,
+        firstName: fields.firstName,
+        lastName: fields.lastName
+      })),
+      responses: {
+        200: json('Updated profile', shape({ user: ref('User') })),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  '/api/me/password': {
+    post: {
+      operationId: 'changePassword',
+      tags: ['Profile'],
+      summary: 'Change password',
+      description: 'Refuses the current and 5 previous passwords. Wrong current passwords count toward the account lockout. Every other session is signed out. Not available while impersonating. Rate limited: 10 failed attempts per account per 15 minutes.',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        currentPassword: { type: 'string', format: 'password', 'x-message': 'Current password is required' },
+        newPassword: fields.password
+      }, ['currentPassword', 'newPassword'])),
+      responses: {
+        200: json('Password changed', ref('Ok')),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+
+  // Password reset
+  '/api/password/forgot': {
+    post: {
+      operationId: 'requestPasswordReset',
+      tags: ['Password'],
+      summary: 'Email a password reset link',
+      description: 'Same response whether or not the account exists. Rate limited: 5 per IP per 15 minutes.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({ email: fields.email }, ['email'])),
+      responses: {
+        200: json('Link sent if the account exists', ref('Ok')),
+        ...errors(400, 429, 500)
+      }
+    }
+  },
+  '/api/password/reset': {
+    post: {
+      operationId: 'resetPassword',
+      tags: ['Password'],
+      summary: 'Set a new password with a reset token',
+      description: 'The token is single use and valid for 1 hour. Every session of the account is revoked.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        password: fields.password,
+        token: { type: 'string', description: 'Token from the emailed link', 'x-message': 'Invalid or expired reset token' }
+      }, ['password', 'token'])),
+      responses: {
+        200: json('Password reset', ref('Ok')),
+        ...errors(400, 429, 500)
+      }
+    }
+  },
+
+  // Email verification
+  '/api/verify-email': {
+    get: {
+      operationId: 'verifyEmailLink',
+      tags: ['Email verification'],
+      summary: 'Verify an email address (emailed link)',
+      security: PUBLIC,
+      parameters: [query('token', { type: 'string' }, 'Token from the emailed link')],
+      responses: {
+        302: redirect('To /login.html?verified=1, or ?verified=0 for an invalid or expired token'),
+        ...errors(400)
+      }
+    },
+    post: {
+      operationId: 'verifyEmail',
+      tags: ['Email verification'],
+      summary: 'Verify an email address',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        token: { type: 'string', description: 'Token from the emailed link', 'x-message': 'Invalid or expired verification token' }
+      }, ['token'])),
+      responses: {
+        200: json('Email verified', ref('Ok')),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/verify-email/resend': {
+    post: {
+      operationId: 'resendVerificationEmail',
+      tags: ['Email verification'],
+      summary: 'Send a new verification link',
+      description: 'Same response whatever the state of the account. Rate limited: 5 per IP per 15 minutes.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({ email: fields.email }, ['email'])),
+      responses: {
+        200: json('Link sent if the account needs one', ref('Ok')),
+        ...errors(400, 429, 500)
+      }
+    }
+  },
+
+  // Two-factor authentication
+  '/api/login/mfa': {
+    post: {
+      operationId: 'loginSecondFactor',
+      tags: ['Two-factor'],
+      summary: 'Second sign-in step (TOTP or recovery code)',
+      description: 'For setup tokens, the first code enables 2FA and the recovery codes are returned once. ' +
+        'Rate limited: 10 failed attempts per IP per 15 minutes.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        mfaToken: fields.mfaToken,
+        code: fields.code,
+        recoveryCode: { type: 'string', description: 'Instead of code (enrolled users only)' }
+      })),
+      responses: {
+        200: json('Signed in (cookies set)', shape({
+          ok,
+          message,
+          recoveryCodes: { ...stringList, description: 'After forced enrollment only' },
+          recoveryCodesRemaining: { type: 'integer', description: 'After signing in with a recovery code' }
+        }, ['recoveryCodes', 'recoveryCodesRemaining'])),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/login/mfa/setup': {
+    post: {
+      operationId: 'loginSetupSecondFactor',
+      tags: ['Two-factor'],
+      summary: 'Start forced enrollment during sign-in',
+      security: PUBLIC,
+      requestBody: jsonBody(body({ mfaToken: fields.mfaToken })),
+      responses: {
+        200: json('New secret', ref('TotpSetup')),
+        ...errors(400, 401, 429, 500)
+      }
+    }
+  },
+  '/api/mfa': {
+    get: {
+      operationId: 'getMfaStatus',
+      tags: ['Two-factor'],
+      summary: 'Two-factor status of the signed-in user',
+      security: SESSION,
+      responses: {
+        200: json('Status', shape({
+          enabled: { type: 'boolean' },
+          required: { type: 'boolean', description: 'The restaurant requires 2FA' },
+          recoveryCodesRemaining: { type: 'integer' }
+        })),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/api/mfa/setup': {
+    post: {
+      operationId: 'setupMfa',
+      tags: ['Two-factor'],
+      summary: 'Start enrollment',
+      description: '2FA is not enforced until POST /api/mfa/enable confirms a code.',
+      security: SESSION_WRITE,
+      responses: {
+        200: json('New secret', ref('TotpSetup')),
+        ...errors(401, 403, 409, 500)
+      }
+    }
+  },
+  '/api/mfa/enable': {
+    post: {
+      operationId: 'enableMfa',
+      tags: ['Two-factor'],
+      summary: 'Confirm enrollment',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({ code: fields.code })),
+      responses: {
+        200: json('2FA enabled; recovery codes are shown only once', shape({ ok, message, recoveryCodes: stringList })),
+        ...errors(400, 401, 403, 409, 429, 500)
+      }
+    }
+  },
+  '/api/mfa/disable': {
+    post: {
+      operationId: 'disableMfa',
+      tags: ['Two-factor'],
+      summary: 'Turn off 2FA',
+      description: 'Needs the password and a current code. Refused while the restaurant requires 2FA.',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        password: { type: 'string', format: 'password' },
+        code: fields.code
+      })),
+      responses: {
+        200: json('2FA disabled', ref('Ok')),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/mfa/recovery-codes': {
+    post: {
+      operationId: 'replaceRecoveryCodes',
+      tags: ['Two-factor'],
+      summary: 'Replace recovery codes',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({ code: fields.code })),
+      responses: {
+        200: json('New codes (the previous ones stop working)', shape({ ok, recoveryCodes: stringList })),
+        ...errors(400, 401, 403, 429, 500)
+      }
+    }
+  },
+  '/api/restaurant/mfa-policy': {
+    put: {
+      operationId: 'setMfaPolicy',
+      tags: ['Two-factor'],
+      summary: 'Require 2FA for the whole restaurant',
+      description: 'The caller must have 2FA enabled before requiring it (409 otherwise).',
+      'x-permission': 'restaurant:security',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        required: { type: 'boolean', 'x-message': 'required must be true or false' }
+      }, ['required'])),
+      responses: {
+        200: json('Policy saved', shape({ ok, required: { type: 'boolean' } })),
+        ...errors(400, 401, 403, 409, 500)
+      }
+    }
+  },
+
+  // Account lockout
+  '/api/unlock-account': {
+    get: {
+      operationId: 'unlockAccountLink',
+      tags: ['Account lockout'],
+      summary: 'Unlock an account (emailed link)',
+      security: PUBLIC,
+      parameters: [query('token', { type: 'string' }, 'Token from the emailed link')],
+      responses: {
+        302: redirect('To /login.html?unlocked=1, or ?unlocked=0 for an invalid or expired token'),
+        ...errors(400)
+      }
+    },
+    post: {
+      operationId: 'unlockAccount',
+      tags: ['Account lockout'],
+      summary: 'Unlock an account',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        token: { type: 'string', description: 'Token from the emailed link', 'x-message': 'Invalid or expired unlock token' }
+      }, ['token'])),
+      responses: {
+        200: json('Account unlocked', ref('Ok')),
+        ...errors(400, 500)
+      }
+    }
+  },
+  '/api/users/{id}/unlock': {
+    post: {
+      operationId: 'unlockUser',
+      tags: ['Account lockout'],
+      summary: 'Unlock a user of the caller\'s restaurant',
+      'x-permission': 'users:unlock',
+      security: SESSION_WRITE,
+      parameters: [idParam('User ID')],
+      responses: {
+        200: json('Account unlocked', ref('Ok')),
+        ...errors(401, 403, 404, 500)
+      }
+    }
+  },
+
+  // Restaurant
+  '/api/restaurant': {
+    get: {
+      operationId: 'getRestaurant',
+      tags: ['Restaurant'],
+      summary: 'The caller\'s restaurant',
+      'x-permission': 'restaurant:read',
+      security: SESSION_OR_KEY,
+      responses: {
+        200: json('Restaurant', shape({ restaurant: ref('Restaurant') })),
+        ...errors(401, 403, 500)
+      }
+    }
+  },
+  '/api/restaurant/permissions': {
+    get: {
+      operationId: 'getPermissionMatrix',
+      tags: ['Restaurant'],
+      summary: 'Role permissions of the caller\'s restaurant',
+      'x-permission': 'permissions:manage',
+      security: SESSION,
+      responses: {
+        200: json('Defaults, overrides and effective permissions of each overridable role', ref('PermissionMatrix')),
+        ...errors(401, 403, 500)
+      }
+    },
+    put: {
+      operationId: 'setPermissionOverride',
+      tags: ['Restaurant'],
+      summary: 'Grant or revoke a permission for a role',
+      description: `Locked permissions (${permissions.LOCKED_PERMISSIONS.join(', ')}) cannot be overridden.`,
+      'x-permission': 'permissions:manage',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        role: {
+          type: 'string',
+          enum: permissions.OVERRIDABLE_ROLES,
+          'x-message': `Only ${permissions.OVERRIDABLE_ROLES.join(' and ')} permissions can be overridden`
+        },
+        permission: { type: 'string', enum: permissions.PERMISSIONS, 'x-message': 'Unknown permission' },
+        allowed: {
+          type: ['boolean', 'null'],
+          description: 'Grant (true), revoke (false) or restore the default (null)',
+          'x-message': 'allowed must be true, false or null'
+        }
+      }, ['role', 'permission', 'allowed'])),
+      responses: {
+        200: json('Effective permissions of the role', shape({ ok, role: { type: 'string' }, permissions: stringList })),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+
+  // Invitations
+  '/api/invitations': {
+    post: {
+      operationId: 'createInvitation',
+      tags: ['Invitations'],
+      summary: 'Invite a team member',
+      description: 'Inviting a manager also needs users:manage. The link is valid for 7 days.',
+      'x-permission': 'users:invite',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        email: fields.email,
+        role: { type: 'string', enum: ['manager', 'staff'], 'x-message': 'Role must be manager or staff' }
+      }, ['email', 'role'])),
+      responses: {
+        201: json('Invitation created and emailed', shape({ invitation: ref('Invitation') })),
+        ...errors(400, 401, 403, 409, 500)
+      }
+    },
+    get: {
+      operationId: 'listInvitations',
+      tags: ['Invitations'],
+      summary: 'Invitations of the caller\'s restaurant, newest first',
+      'x-permission': 'users:invite',
+      security: SESSION,
+      responses: {
+        200: json('Invitations', shape({ invitations: arrayOf(ref('Invitation')) })),
+        ...errors(401, 403, 500)
+      }
+    }
+  },
+  '/api/invitations/{id}/resend': {
+    post: {
+      operationId: 'resendInvitation',
+      tags: ['Invitations'],
+      summary: 'Send a new link and restart the 7 days',
+      'x-permission': 'users:invite',
+      security: SESSION_WRITE,
+      parameters: [idParam('Invitation ID')],
+      responses: {
+        200: json('Invitation renewed', shape({ invitation: ref('Invitation') })),
+        ...errors(401, 403, 404, 409, 500)
+      }
+    }
+  },
+  '/api/invitations/{id}': {
+    delete: {
+      operationId: 'revokeInvitation',
+      tags: ['Invitations'],
+      summary: 'Revoke an invitation',
+      'x-permission': 'users:invite',
+      security: SESSION_WRITE,
+      parameters: [idParam('Invitation ID')],
+      responses: {
+        200: json('Invitation revoked', shape({ invitation: ref('Invitation') })),
+        ...errors(401, 403, 404, 409, 500)
+      }
+    }
+  },
+  '/api/invitations/accept': {
+    get: {
+      operationId: 'getInvitationDetails',
+      tags: ['Invitations'],
+      summary: 'Who is invited to what (accept page)',
+      description: 'Rate limited: 10 per IP per 15 minutes.',
+      security: PUBLIC,
+      parameters: [query('token', { type: 'string' }, 'Token from the emailed link')],
+      responses: {
+        200: json('Pending invitation', shape({
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: ['manager', 'staff'] },
+          restaurantName: { type: 'string' },
+          expiresAt: timestamp
+        })),
+        ...errors(400, 404, 429, 500)
+      }
+    },
+    post: {
+      operationId: 'acceptInvitation',
+      tags: ['Invitations'],
+      summary: 'Accept an invitation and create the account',
+      description: 'Email, role and restaurant come from the invitation. Rate limited: 10 per IP per 15 minutes.',
+      security: PUBLIC,
+      requestBody: jsonBody(body({
+        phone: fields.phone,
+        firstName: fields.firstName,
+        lastName: fields.lastName,
+        password: fields.password,
+        token: { type: 'string', description: 'Token from the emailed link', 'x-message': 'Invalid or expired invitation' }
+      }, ['firstName', 'lastName', 'password', 'token'])),
+      responses: {
+        201: json('Account created (email already verified)', shape({
+          id: uuid,
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: ['manager', 'staff'] },
+          restaurantId: uuid,
+          message
+        })),
+        ...errors(400, 409, 429, 500)
+      }
+    }
+  },
+
+  // Sessions
+  '/api/sessions': {
+    get: {
+      operationId: 'listSessions',
+      tags: ['Sessions'],
+      summary: 'Active sessions of the signed-in user, most recently used first',
+      security: SESSION,
+      responses: {
+        200: json('Sessions', shape({ sessions: arrayOf(ref('Session')) })),
+        ...errors(401, 500)
+      }
+    }
+  },
+  '/api/sessions/revoke-others': {
+    post: {
+      operationId: 'revokeOtherSessions',
+      tags: ['Sessions'],
+      summary: 'Sign out everywhere else',
+      security: SESSION_WRITE,
+      responses: {
+        200: json('Number of sessions signed out', shape({ ok, revoked: { type: 'integer' } })),
+        ...errors(401, 403, 500)
+      }
+    }
+  },
+  '/api/sessions/{id}': {
+    delete: {
+      operationId: 'revokeSession',
+      tags: ['Sessions'],
+      summary: 'Sign out one session',
+      description: 'Revoking the current session clears the cookies, like logging out.',
+      security: SESSION_WRITE,
+      parameters: [idParam('Session ID')],
+      responses: {
+        200: json('Session revoked', shape({ ok, current: { type: 'boolean' } })),
+        ...errors(401, 403, 404, 500)
+      }
+    }
+  },
+
+  // Impersonation
+  '/api/impersonation': {
+    post: {
+      operationId: 'startImpersonation',
+      tags: ['Impersonation'],
+      summary: 'Sign in as another user (support admins)',
+      description: 'Starts a 30-minute session of the target user; the admin\'s own session is resumed by DELETE. Audited.',
+      'x-permission': 'users:impersonate',
+      security: SESSION_WRITE,
+      requestBody: jsonBody({
+        ...body({
+          userId: { ...uuid, description: 'Target user ID (or email)' },
+          email: { type: 'string', format: 'email', description: 'Target user email (or userId)' },
+          reason: { type: ['string', 'null'], description: 'Why, e.g. a ticket number (up to 200 characters)', 'x-message': 'Reason must be 1-200 characters' }
+        }),
+        anyOf: [{ required: ['userId'] }, { required: ['email'] }],
+        'x-message': 'userId or email is required'
+      }),
+      responses: {
+        201: json('Impersonation started (the target\'s cookies are set)', shape({
+          ok,
+          impersonation: shape({ user: ref('User'), expiresAt: timestamp })
+        })),
+        ...errors(400, 401, 403, 404, 409, 500)
+      }
+    },
+    delete: {
+      operationId: 'stopImpersonation',
+      tags: ['Impersonation'],
+      summary: 'Stop impersonating',
+      security: SESSION_WRITE,
+      responses: {
+        200: json('Ended; restored tells whether the admin\'s own session was resumed', shape({ ok, restored: { type: 'boolean' } })),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+
+  // Single sign-on
+  '/api/auth/oidc': {
+    get: {
+      operationId: 'getSsoStatus',
+      tags: ['Single sign-on'],
+      summary: 'Whether single sign-on is configured',
+      security: PUBLIC,
+      responses: {
+        200: json('Availability and provider label', shape({ enabled: { type: 'boolean' }, name: { type: ['string', 'null'] } }))
+      }
+    }
+  },
+  '/api/auth/oidc/login': {
+    get: {
+      operationId: 'startSso',
+      tags: ['Single sign-on'],
+      summary: 'Start single sign-on (authorization code + PKCE)',
+      description: 'Rate limited: 20 per IP per 15 minutes.',
+      security: PUBLIC,
+      parameters: [query('remember', { type: 'string' }, '"1" for a persistent session')],
+      responses: {
+        302: redirect('To the identity provider'),
+        ...errors(400, 404, 429, 502)
+      }
+    }
+  },
+  '/api/auth/oidc/callback': {
+    get: {
+      operationId: 'finishSso',
+      tags: ['Single sign-on'],
+      summary: 'Return from the identity provider',
+      description: 'Rate limited: 20 per IP per 15 minutes.',
+      security: PUBLIC,
+      parameters: [
+        query('code', { type: 'string' }, 'Authorization code'),
+        query('state', { type: 'string' }, 'State echoed by the provider'),
+        query('error', { type: 'string' }, 'Set by the provider when sign-in was refused')
+      ],
+      responses: {
+        302: redirect('To /dashboard.html, /login.html#mfa=verify|setup&mfaToken=... or /login.html?sso_error=<code>'),
+        ...errors(400, 429)
+      }
+    }
+  },
+
+  // API keys
+  '/api/api-keys': {
+    post: {
+      operationId: 'createApiKey',
+      tags: ['API keys'],
+      summary: 'Create an API key',
+      description: 'The full key is returned once. Scopes are limited to API_KEY_SCOPES and to the creator\'s own permissions.',
+      'x-permission': 'api_keys:manage',
+      security: SESSION_WRITE,
+      requestBody: jsonBody(body({
+        name: { type: 'string', description: 'Label (max 100 characters)', example: 'Delivery aggregator', 'x-message': 'Name is required (max 100 characters)' },
+        scopes: {
+          ...stringList,
+          minItems: 1,
+          description: `Any of: ${permissions.API_KEY_SCOPES.join(', ')}`,
+          'x-message': 'At least one scope is required'
+        },
+        expiresInDays: {
+          type: ['integer', 'null'],
+          minimum: 1,
+          maximum: 365,
+          description: 'Lifetime in days (never expires when omitted)',
+          'x-message': 'expiresInDays must be a whole number from 1 to 365'
+        }
+      }, ['name', 'scopes'])),
+      responses: {
+        201: json('Key created; key is the full secret, shown only once', shape({ apiKey: ref('ApiKey'), key: { type: 'string' } })),
+        ...errors(400, 401, 403, 500)
+      }
+    },
+    get: {
+      operationId: 'listApiKeys',
+      tags: ['API keys'],
+      summary: 'API keys of the caller\'s restaurant, newest first',
+      'x-permission': 'api_keys:manage',
+      security: SESSION,
+      responses: {
+        200: json('Keys and the scopes the caller may grant', shape({ apiKeys: arrayOf(ref('ApiKey')), scopes: stringList })),
+        ...errors(401, 403, 500)
+      }
+    }
+  },
+  '/api/api-keys/{id}': {
+    delete: {
+      operationId: 'revokeApiKey',
+      tags: ['API keys'],
+      summary: 'Revoke an API key',
+      'x-permission': 'api_keys:manage',
+      security: SESSION_WRITE,
+      parameters: [idParam('API key ID')],
+      responses: {
+        200: json('Key revoked', shape({ ok, apiKey: ref('ApiKey') })),
+        ...errors(401, 403, 404, 500)
+      }
+    }
+  },
+
+  // Audit log
+  '/api/audit': {
+    get: {
+      operationId: 'searchAuditLog',
+      tags: ['Audit log'],
+      summary: 'Search the audit trail, newest first',
+      description: 'Limited to the caller\'s restaurant; group admins (no restaurant) see every restaurant.',
+      'x-permission': 'audit:read',
+      security: SESSION,
+      parameters: [
+        query('restaurantId', { ...uuid, 'x-message': 'restaurantId must be a UUID' }, 'Group admins only'),
+        query('table', { type: 'string', example: 'users', 'x-message': 'Invalid table' }, 'Table name'),
+        query('recordId', { ...uuid, 'x-message': 'recordId must be a UUID' }, 'Row ID'),
+        query('performedBy', { ...uuid, 'x-message': 'performedBy must be a UUID' }, 'User who made the change'),
+        query('requestId', { type: 'string', 'x-message': 'Invalid requestId' }, 'X-Request-Id of the request that made the change'),
+        query('action', { type: 'string', example: 'UPDATE', 'x-message': 'action must be one of INSERT, UPDATE, DELETE' }, 'INSERT, UPDATE or DELETE'),
+        query('event', { type: 'string', example: 'login_locked', 'x-message': 'Invalid event' }, 'Security event'),
+        query('from', { ...timestamp, 'x-message': 'from must be an ISO date' }, 'Earliest entry'),
+        query('to', { ...timestamp, 'x-message': 'to must be an ISO date' }, 'Latest entry'),
+        query('limit', { type: 'integer', minimum: 0, maximum: 999999, default: 50, 'x-message': 'limit must be a non-negative integer' }, 'Page size (1-200)'),
+        query('offset', { type: 'integer', minimum: 0, maximum: 999999, default: 0, 'x-message': 'offset must be a non-negative integer' }, 'Entries to skip')
+      ],
+      responses: {
+        200: json('Matching entries', shape({
+          entries: arrayOf(ref('AuditEntry')),
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' }
+        })),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+
+  // Signing keys
+  '/.well-known/jwks.json': {
+    get: {
+      operationId: 'getJwks',
+      tags: ['Signing keys'],
+      summary: 'Public keys that verify access tokens',
+      description: 'Empty when tokens are signed with the shared JWT_SECRET (HS256).',
+      security: PUBLIC,
+      responses: {
+        200: json('JSON Web Key Set', shape({ keys: arrayOf(ref('Jwk')) })),
+        ...errors(500)
+      }
+    }
+  },
+
+  // Documentation
+  '/api/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      tags: ['Documentation'],
+      summary: 'This document',
+      security: PUBLIC,
+      responses: {
+        200: json('OpenAPI 3.1 document', { type: 'object' })
+      }
+    }
+  },
+  '/api/docs': {
+    get: {
+      operationId: 'getApiDocs',
+      tags: ['Documentation'],
+      summary: 'This document as a web page',
+      security: PUBLIC,
+      responses: {
+        200: { description: 'HTML reference', content: { 'text/html': { schema: { type: 'string' } } } }
+      }
+    }
+  }
+};
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Restaurant Management API',
+    version,
+    description: 'Authentication, team and restaurant administration API. ' +
+      'Browsers authenticate with HttpOnly cookies (POST /api/login) and echo the rm_csrf cookie in X-CSRF-Token on writes; ' +
+      'integrations use restaurant API keys where listed. Every /api route is also subject to the global rate limit ' +
+      '(100 requests per IP, or 1000 per API key, per 15 minutes). ' +
+      'Invalid requests get 400 {error, code: "VALIDATION_ERROR", details: [{in, path, message}]}.'
+  },
+  tags: [
+    'Health', 'Authentication', 'Profile', 'Password', 'Email verification', 'Two-factor', 'Account lockout',
+    'Restaurant', 'Invitations', 'Sessions', 'Impersonation', 'Single sign-on', 'API keys', 'Audit log',
+    'Signing keys', 'Documentation'
+  ].map(name => ({ name })),
+  paths,
+  components: { schemas, responses, securitySchemes }
+};
+
+// ==================== Lookup ====================
+
+/**
+ * Convert an Express route path to an OpenAPI path ("/api/users/:id" -> "/api/users/{id}")
+ * @param {string} routePath - Express route path
+ * @returns {string}
+ */
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * Operation of an Express route
+ * @param {string} method - HTTP method
+ * @param {string} routePath - Express route path (req.route.path)
+ * @returns {Object|null} Operation object, or null when undocumented
+ */
+function findOperation(method, routePath) {
+  const pathItem = paths[toOpenApiPath(routePath)];
+  return (pathItem && pathItem[method.toLowerCase()]) || null;
+}
+
+module.exports = {
+  document,
+  findOperation,
+  toOpenApiPath
+};
@@ -0,0 +1,206 @@
+/**
+ * Permissions Service
+ * 
+ * Declarative role -> permission matrix used by the requirePermission()
+ * middleware in server.js. Permissions are "resource:action" strings.
+ * 
+ * Restaurant owners can override the defaults for the manager and staff roles
+ * of their own restaurant (restaurants.permission_overrides):
+ *   { "manager": { "orders:refund": false }, "staff": { "menu:write": true } }
+ * Owner and admin permissions are fixed, and the account and security
+ * permissions (LOCKED_PERMISSIONS) can never be overridden: granting them would
+ * let a role take over accounts, read the audit trail or escalate itself.
+ * 
+ * API keys carry a list of scopes instead of a role. Scopes are permission
+ * names from the same list, minus the account and security permissions that
+ * only a signed-in person may use (API_KEY_EXCLUDED).
+ * 
+ * Support admins can impersonate users (users:impersonate). While
+ * impersonating they have the impersonated user's permissions minus the
+ * sensitive ones in IMPERSONATION_EXCLUDED.
+ */
+
+// Every permission known to the API
+const PERMISSIONS = [
+  'restaurant:read',
+  'restaurant:update',
+  'restaurant:security',   // 2FA policy and other security settings
+  'permissions:manage',    // per-restaurant overrides of this matrix
+  'users:read',
+  'users:invite',
+  'users:manage',
+  'users:unlock',
+  'menu:read',
+  'menu:write',
+  'orders:read',
+  'orders:create',
+  'orders:update',
+  'orders:refund',
+  'tables:read',
+  'tables:write',
+  'customers:read',
+  'customers:write',
+  'inventory:read',
+  'inventory:write',
+  'reports:sales',
+  'audit:read',
+  'api_keys:manage',       // create and revoke API keys
+  'users:impersonate'      // sign in as another user (support admins only)
+];
+
+// Default permissions per role (users.role)
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  owner: PERMISSIONS.filter(permission => permission !== 'users:impersonate'),
+  manager: [
+    'restaurant:read',
+    'users:read',
+    'users:invite',
+    'menu:read',
+    'menu:write',
+    'orders:read',
+    'orders:create',
+    'orders:update',
+    'orders:refund',
+    'tables:read',
+    'tables:write',
+    'customers:read',
+    'customers:write',
+    'inventory:read',
+    'inventory:write',
+    'reports:sales'
+  ],
+  staff: [
+    'restaurant:read',
+    'menu:read',
+    'orders:read',
+    'orders:create',
+    'orders:update',
+    'tables:read',
+    'customers:read',
+    'inventory:read'
+  ]
+};
+
+// Roles whose permissions an owner may override
+const OVERRIDABLE_ROLES = ['manager', 'staff'];
+
+// Permissions that can never be changed by override (overrides already stored
+// for them are ignored by resolvePermissions)
+const LOCKED_PERMISSIONS = [
+  'restaurant:security',
+  'permissions:manage',
+  'users:manage',
+  'users:unlock',
+  'audit:read',
+  'api_keys:manage',
+  'users:impersonate'
+];
+
+// Permissions that can never be granted to an API key
+const API_KEY_EXCLUDED = [
+  'restaurant:security',
+  'permissions:manage',
+  'users:invite',
+  'users:manage',
+  'users:unlock',
+  'audit:read',
+  'api_keys:manage',
+  'users:impersonate'
+];
+
+// Permissions an admin never has while impersonating someone
+// (payout permissions belong here once payouts are part of the API)
+const IMPERSONATION_EXCLUDED = [
+  'restaurant:security',
+  'permissions:manage',
+  'api_keys:manage',
+  'users:impersonate'
+];
+
+// Permissions an API key may be scoped to
+const API_KEY_SCOPES = PERMISSIONS.filter(permission => !API_KEY_EXCLUDED.includes(permission));
+
+/**
+ * Effective permissions of a role, after restaurant overrides
+ * @param {string} role - users.role
+ * @param {Object} overrides - restaurants.permission_overrides (optional)
+ * @returns {Array<string>} - Sorted permission list
+ */
+function resolvePermissions(role, overrides = {}) {
+  const granted = new Set(ROLE_PERMISSIONS[role] || []);
+
+  if (OVERRIDABLE_ROLES.includes(role) && overrides && overrides[role]) {
+    for (const [permission, allowed] of Object.entries(overrides[role])) {
+      if (!PERMISSIONS.includes(permission) || LOCKED_PERMISSIONS.includes(permission)) continue;
+      if (allowed === true) granted.add(permission);
+      if (allowed === false) granted.delete(permission);
+    }
+  }
+  return [...granted].sort();
+}
+
+/**
+ * Check a single permission
+ * @param {string} role - users.role
+ * @param {string} permission - e.g. 'orders:refund'
+ * @param {Object} overrides - restaurants.permission_overrides (optional)
+ * @returns {boolean}
+ */
+function hasPermission(role, permission, overrides = {}) {
+  return resolvePermissions(role, overrides).includes(permission);
+}
+
+/**
+ * Validate an override before it is stored
+ * @param {string} role - Role to override
+ * @param {string} permission - Permission to override
+ * @returns {string|null} - Error message, or null if the override is allowed
+ */
+function validateOverride(role, permission) {
+  if (!OVERRIDABLE_ROLES.includes(role)) {
+    return `Only ${OVERRIDABLE_ROLES.join(' and ')} permissions can be overridden`;
+  }
+  if (!PERMISSIONS.includes(permission)) {
+    return 'Unknown permission';
+  }
+  if (LOCKED_PERMISSIONS.includes(permission)) {
+    return `${permission} cannot be overridden`;
+  }
+  return null;
+}
+
+/**
+ * Validate the scopes of a new API key
+ * @param {Array<string>} scopes - Requested scopes
+ * @param {Array<string>} granted - Permissions of the person creating the key
+ * @returns {string|null} - Error message, or null if the scopes are allowed
+ */
+function validateScopes(scopes, granted) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+  for (const scope of scopes) {
+    if (!API_KEY_SCOPES.includes(scope)) {
+      return `Invalid scope: ${scope}`;
+    }
+    // A key can never do more than the person who created it
+    if (!granted.includes(scope)) {
+      return `You do not have the ${scope} permission`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  OVERRIDABLE_ROLES,
+  LOCKED_PERMISSIONS,
+  API_KEY_SCOPES,
+  IMPERSONATION_EXCLUDED,
+  resolvePermissions,
+  hasPermission,
+  validateOverride,
+  validateScopes
+};
@@ -0,0 +1,98 @@
+/**
+ * Request Context Service
+ *
+ * Who is making the current request, available anywhere in the call chain
+ * (models included) without passing it down as parameters. Built on
+ * AsyncLocalStorage: middleware() opens a context per request and every
+ * await inside that request sees the same store.
+ *
+ * Context fields:
+ * - requestId:      correlation ID: the caller's X-Request-Id when it is a
+ *                   plain token (e.g. set by a load balancer), else a random
+ *                   UUID; returned in the X-Request-Id response header
+ * - ipAddress:      client IP
+ * - userAgent:      client User-Agent header
+ * - userId:         signed-in user (the impersonated user while impersonating)
+ * - impersonatorId: admin behind an impersonation session
+ * - apiKeyId:       API key of the request
+ * - restaurantId:   restaurant of the user or API key
+ *
+ * Outside a request (startup, background jobs, scripts) there is no context
+ * and the getters return null.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+/**
+ * Run a function inside a new context
+ * @param {Object} context - Initial fields (see above)
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+function run(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Context of the current request
+ * @returns {Object|null} - Context fields or null outside a request
+ */
+function get() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Add fields to the current context (no-op outside a request)
+ * @param {Object} fields - Fields to set, e.g. { userId, restaurantId } after authentication
+ */
+function set(fields) {
+  const context = storage.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+/**
+ * User responsible for the current change (the admin while impersonating)
+ * @returns {string|null} - User ID or null for anonymous, API key and system changes
+ */
+function actorId() {
+  const context = get();
+  return context ? context.impersonatorId || context.userId || null : null;
+}
+
+/**
+ * Express middleware: open a context for every request
+ * @returns {Function} - Middleware
+ */
+function middleware() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    run({
+      requestId,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+      userId: null,
+      impersonatorId: null,
+      apiKeyId: null,
+      restaurantId: null
+    }, next);
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  REQUEST_ID_PATTERN,
+  run,
+  get,
+  set,
+  actorId,
+  middleware
+};
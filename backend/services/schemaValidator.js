@@ -0,0 +1,186 @@
+/**
+ * Schema Validator Service
+ *
+ * Checks values against the JSON Schema subset used by the OpenAPI document
+ * (services/openapi.js). No external dependency: only the keywords the
+ * document uses are implemented.
+ *
+ * Keywords: $ref (local, "#/..."), type (a name or a list; "integer" and
+ * "null" included), enum, const, properties, required, additionalProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ * anyOf, oneOf. format, description, example and x-* keywords are annotations.
+ *
+ * x-message on a schema replaces the generic problem message in 400 responses,
+ * so validation failures read the same as the checks in the route handlers.
+ *
+ * Usage:
+ *   const problems = schemaValidator.validate(schema, req.body, { root: document });
+ *   // [{ path: 'email', message: 'must be a string', hint: 'Valid email is required' }]
+ */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null'
+};
+
+/**
+ * Follow a local $ref ("#/components/schemas/User")
+ * @param {Object} schema - Schema that may be a reference
+ * @param {Object} root - Document the reference points into
+ * @returns {Object} - Referenced schema (or the schema itself)
+ */
+function resolveRef(schema, root) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    if (!resolved.$ref.startsWith('#/')) {
+      throw new Error(`Unsupported $ref: ${resolved.$ref}`);
+    }
+    resolved = resolved.$ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!resolved) throw new Error(`Unresolved $ref: ${schema.$ref}`);
+  }
+  return resolved;
+}
+
+/**
+ * Whether a value has a JSON Schema type
+ * @param {*} value - Value
+ * @param {string} type - Type name
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Path of a nested value, e.g. "scopes[0]" or "impersonator.id"
+ * @param {string} base - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function childPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Problems of a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} options - { root: document for $ref, path: path of value }
+ * @returns {Array<Object>} - [{ path, message, hint }] (empty when valid)
+ */
+function validate(schema, value, { root = {}, path = '' } = {}) {
+  const spec = resolveRef(schema, root);
+  const problems = [];
+  const fail = message => problems.push({ path, message, hint: spec['x-message'] || null });
+
+  if (spec.type !== undefined) {
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+    if (!types.some(type => hasType(value, type))) {
+      fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+      return problems;
+    }
+  }
+  if (spec.const !== undefined && value !== spec.const) {
+    fail(`must be ${JSON.stringify(spec.const)}`);
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    fail(`must be one of ${spec.enum.map(option => (option === null ? 'null' : option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (spec.minLength !== undefined && value.length < spec.minLength) fail(`must be at least ${spec.minLength} characters`);
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) fail(`must be at most ${spec.maxLength} characters`);
+    if (spec.pattern && !new RegExp(spec.pattern).test(value)) fail('has an invalid format');
+  }
+  if (typeof value === 'number') {
+    if (spec.minimum !== undefined && value < spec.minimum) fail(`must be at least ${spec.minimum}`);
+    if (spec.maximum !== undefined && value > spec.maximum) fail(`must be at most ${spec.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) fail(`must have at least ${spec.minItems} items`);
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) fail(`must have at most ${spec.maxItems} items`);
+    if (spec.items) {
+      value.forEach((item, index) => {
+        problems.push(...validate(spec.items, item, { root, path: childPath(path, index) }));
+      });
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    // Declared properties first, in schema order, so the first problem is
+    // the one the route handler would have reported
+    const properties = spec.properties || {};
+    const required = spec.required || [];
+    const names = [...new Set([...Object.keys(properties), ...required])];
+    for (const name of names) {
+      if (value[name] === undefined) {
+        if (required.includes(name)) {
+          const property = properties[name] ? resolveRef(properties[name], root) : {};
+          problems.push({ path: childPath(path, name), message: 'is required', hint: property['x-message'] || null });
+        }
+      } else if (properties[name]) {
+        problems.push(...validate(properties[name], value[name], { root, path: childPath(path, name) }));
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined || properties[name]) continue;
+      if (spec.additionalProperties === false) {
+        problems.push({ path: childPath(path, name), message: 'is not allowed', hint: null });
+      } else if (spec.additionalProperties && typeof spec.additionalProperties === 'object') {
+        problems.push(...validate(spec.additionalProperties, item, { root, path: childPath(path, name) }));
+      }
+    }
+  }
+
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (!spec[keyword]) continue;
+    const matches = spec[keyword].filter(option => validate(option, value, { root, path }).length === 0).length;
+    if (keyword === 'anyOf' ? matches === 0 : matches !== 1) {
+      fail(keyword === 'anyOf' ? 'does not match any allowed shape' : 'must match exactly one allowed shape');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Convert a query string value to the type its schema expects
+ * ("25" -> 25, "true" -> true); values that do not convert are returned as
+ * they are, so validate() reports them.
+ * @param {Object} schema - Parameter schema
+ * @param {*} value - Raw value from req.query
+ * @param {Object} root - Document for $ref
+ * @returns {*} - Converted value
+ */
+function coerceQueryValue(schema, value, root = {}) {
+  const spec = resolveRef(schema, root);
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (typeof value !== 'string') return value;
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+module.exports = {
+  validate,
+  coerceQueryValue,
+  resolveRef
+};
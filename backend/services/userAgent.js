@@ -0,0 +1,59 @@
+/**
+ * User Agent Service
+ *
+ * Turns a User-Agent header into a short device label ("Chrome on macOS") for
+ * the active sessions list. Deliberately coarse: it only needs to help people
+ * recognise their own devices, not to fingerprint them.
+ */
+
+// Checked in order: Edge and Opera also claim to be Chrome, Chrome claims to be Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+  ['curl', /^curl\//]
+];
+
+// iOS before macOS: iPad user agents contain "like Mac OS X"
+const OPERATING_SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * First matching name of a pattern list
+ * @param {string} userAgent - User-Agent header
+ * @param {Array} patterns - [name, RegExp] pairs
+ * @returns {string|null} - Name or null
+ */
+function match(userAgent, patterns) {
+  const found = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+}
+
+/**
+ * Describe the device behind a User-Agent header
+ * @param {string} userAgent - User-Agent header (may be empty)
+ * @returns {Object} - { browser, os, label }
+ */
+function describe(userAgent) {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+  const browser = match(ua, BROWSERS);
+  const os = match(ua, OPERATING_SYSTEMS);
+
+  let label = 'Unknown device';
+  if (browser && os) label = `${browser} on ${os}`;
+  else if (browser || os) label = browser || os;
+
+  return { browser, os, label };
+}
+
+module.exports = {
+  describe
+};
@@ -0,0 +1,139 @@
+/**
+ * Mock OpenID Connect Provider for Tests
+ *
+ * A real HTTP server on a random local port implementing just enough of an
+ * identity provider for the authorization code + PKCE flow: discovery, JWKS,
+ * /authorize (signs the user in immediately) and /token (RS256 ID tokens).
+ *
+ * Usage:
+ *   const provider = await startMockOidcProvider({ clientId: 'rm', clientSecret: 's3cret' });
+ *   provider.setClaims({ sub: 'user-1', email: 'a@b.test', email_verified: true });
+ *   ... follow the redirects ...
+ *   await provider.close();
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Base64url SHA-256 of a PKCE verifier
+ * @param {string} verifier - Code verifier
+ * @returns {string} - S256 challenge
+ */
+function s256(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Start a mock provider
+ * @param {Object} options - { clientId, clientSecret }
+ * @returns {Promise<Object>} - { issuer, setClaims, denyNext, signWithUnknownKey, requests, close }
+ */
+async function startMockOidcProvider(options) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const foreignKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  const codes = new Map();
+  const provider = {
+    issuer: null,
+    claims: {},
+    deny: false,
+    unknownKey: false,
+    // Parameters of every /authorize request, for assertions
+    requests: []
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+    provider.requests.push({ ...req.query });
+
+    if (response_type !== 'code' || client_id !== options.clientId || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).send('invalid_request');
+    }
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('state', state);
+    if (provider.deny) {
+      provider.deny = false;
+      target.searchParams.set('error', 'access_denied');
+      return res.redirect(target.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { claims: { ...provider.claims }, nonce, challenge: code_challenge, redirectUri: redirect_uri });
+    target.searchParams.set('code', code);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    // client_secret_basic
+    const basic = /^Basic (.+)$/.exec(req.get('authorization') || '');
+    const [clientId, clientSecret] = basic
+      ? Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent)
+      : [req.body.client_id, req.body.client_secret];
+    if (clientId !== options.clientId || (options.clientSecret && clientSecret !== options.clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    // Codes are single-use
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (!req.body.code_verifier || s256(req.body.code_verifier) !== grant.challenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, provider.unknownKey ? foreignKey : privateKey, {
+      algorithm: 'RS256',
+      keyid: provider.unknownKey ? 'unknown' : kid,
+      issuer: provider.issuer,
+      audience: options.clientId,
+      expiresIn: 300
+    });
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  provider.issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer: provider.issuer,
+    requests: provider.requests,
+    /** Claims of the user who signs in next */
+    setClaims(claims) { provider.claims = claims; },
+    /** Make the next /authorize end with error=access_denied */
+    denyNext() { provider.deny = true; },
+    /** Sign ID tokens with a key that is not in the JWKS */
+    signWithUnknownKey(enabled) { provider.unknownKey = enabled; },
+    close() { return new Promise(resolve => server.close(resolve)); }
+  };
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,161 @@
+/**
+ * Accept Invitation Page (accept-invite.html)
+ * Features:
+ * - Reads the invitation token from ?token=... and shows who is invited to which restaurant
+ * - Invitee sets their name and password; email and role come from the invitation
+ * - Redirects to sign in once the account exists (no separate email verification)
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  const acceptForm = document.getElementById('acceptForm');
+  const inviteSummary = document.getElementById('inviteSummary');
+  const submitBtn = document.getElementById('submitBtn');
+  const loadingSpinner = document.getElementById('loadingSpinner');
+  const successMessage = document.getElementById('successMessage');
+  const generalError = document.getElementById('generalError');
+  const token = new URLSearchParams(window.location.search).get('token');
+
+  /**
+   * Display error message for a specific field
+   * @param {string} fieldName - Field identifier
+   * @param {string} message - Error message to display
+   */
+  function showError(fieldName, message) {
+    const errorEl = document.querySelector(`.error[data-for="${fieldName}"]`);
+    if (errorEl) {
+      errorEl.textContent = message || '';
+      errorEl.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show a message in the general error area
+   * @param {string} message - Error message to display
+   */
+  function showGeneralError(message) {
+    generalError.textContent = message;
+    generalError.style.display = 'block';
+    generalError.setAttribute('role', 'alert');
+  }
+
+  /**
+   * Clear all error messages and alerts
+   */
+  function clearErrors() {
+    document.querySelectorAll('.error').forEach(e => {
+      e.textContent = '';
+      e.style.display = 'none';
+    });
+    generalError.style.display = 'none';
+    generalError.textContent = '';
+  }
+
+  /**
+   * Show loading state on submit button
+   */
+  function setLoading(isLoading) {
+    submitBtn.disabled = isLoading;
+    loadingSpinner.style.display = isLoading ? 'inline-block' : 'none';
+    submitBtn.style.opacity = isLoading ? '0.8' : '1';
+  }
+
+  /**
+   * Invitation that cannot be used: explain and stop
+   * @param {string} message - Message to display
+   */
+  function showInvalid(message) {
+    inviteSummary.textContent = message;
+    acceptForm.style.display = 'none';
+  }
+
+  if (!token) {
+    showInvalid('This invitation link is invalid. Ask your restaurant owner to send a new one.');
+    return;
+  }
+
+  // Load the invitation details
+  try {
+    const response = await fetch(`/api/invitations/accept?token=${encodeURIComponent(token)}`, { credentials: 'include' });
+    if (!response.ok) {
+      showInvalid(response.status === 429
+        ? 'Too many attempts. Please try again later.'
+        : 'This invitation has expired or was already used. Ask your restaurant owner to send a new one.');
+      return;
+    }
+    const invitation = await response.json();
+    inviteSummary.textContent = `You're invited to join ${invitation.restaurantName || 'a restaurant'} as ${invitation.role}. Choose your password to create your account.`;
+    document.getElementById('email').value = invitation.email;
+    acceptForm.style.display = 'block';
+  } catch (error) {
+    console.error('Load invitation error:', error);
+    showInvalid('Cannot reach the server. Check your internet connection.');
+    return;
+  }
+
+  acceptForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    clearErrors();
+
+    const firstName = document.getElementById('firstName').value.trim();
+    const lastName = document.getElementById('lastName').value.trim();
+    const password = document.getElementById('password').value;
+    let isValid = true;
+
+    if (firstName.length < 2) {
+      showError('firstName', 'Enter your first name');
+      isValid = false;
+    }
+    if (lastName.length < 2) {
+      showError('lastName', 'Enter your last name');
+      isValid = false;
+    }
+    if (!password) {
+      showError('password', 'Password is required');
+      isValid = false;
+    }
+    if (password !== document.getElementById('confirmPassword').value) {
+      showError('confirmPassword', 'Passwords do not match');
+      isValid = false;
+    }
+    if (!isValid) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch('/api/invitations/accept', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ token, firstName, lastName, password })
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = data.error || 'Could not accept the invitation';
+        if (error.startsWith('Password')) {
+          showError('password', error);
+        } else if (error.startsWith('First name')) {
+          showError('firstName', error);
+        } else if (error.startsWith('Last name')) {
+          showError('lastName', error);
+        } else {
+          showGeneralError(response.status >= 500 ? 'Server error. Please try again later.' : error);
+        }
+        return;
+      }
+
+      successMessage.querySelector('p').textContent = '✓ Your account is ready. Redirecting to sign in...';
+      successMessage.style.display = 'block';
+      successMessage.setAttribute('role', 'status');
+      acceptForm.style.display = 'none';
+      setTimeout(() => {
+        window.location.href = 'login.html';
+      }, 1500);
+    } catch (error) {
+      console.error('Accept invitation error:', error);
+      showGeneralError('Cannot reach the server. Check your internet connection.');
+    } finally {
+      setLoading(false);
+    }
+  });
+});
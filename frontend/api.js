@@ -0,0 +1,81 @@
+/**
+ * Shared API Client
+ * Features:
+ * - Sends cookies with every request (HttpOnly session)
+ * - Silent session refresh: on a 401, calls POST /api/refresh once and retries
+ * - Concurrent 401s share a single refresh request (refresh tokens are single-use)
+ * - Redirects to the login page only when the session cannot be refreshed
+ * - Sends the CSRF token (rm_csrf cookie) in X-CSRF-Token with every write
+ */
+(function (global) {
+  // In-flight refresh shared by all callers
+  let refreshPromise = null;
+
+  // Methods the server does not check for a CSRF token
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+  /**
+   * The session's CSRF token, set by the server at login
+   * @returns {string|null} Token or null when not signed in
+   */
+  function csrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)rm_csrf=([^;]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * fetch() options with cookies and, for writes, the CSRF header
+   * @param {Object} options - fetch options
+   * @returns {Object} Options to pass to fetch()
+   */
+  function withCsrf(options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const token = csrfToken();
+    if (!token || SAFE_METHODS.includes(method)) {
+      return { credentials: 'include', ...options };
+    }
+    return { credentials: 'include', ...options, headers: { ...options.headers, 'X-CSRF-Token': token } };
+  }
+
+  /**
+   * Exchange the refresh cookie for a new access token
+   * @returns {Promise<boolean>} True if the session was refreshed
+   */
+  function refreshSession() {
+    if (!refreshPromise) {
+      refreshPromise = fetch('/api/refresh', withCsrf({ method: 'POST' }))
+        .then(res => res.ok)
+        .catch(() => false)
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+  }
+
+  /**
+   * fetch() wrapper for authenticated API calls
+   * @param {string} url - API URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response (401 only if refresh also failed)
+   */
+  async function apiFetch(url, options = {}) {
+    // Options are rebuilt on retry: a refresh may have issued a CSRF token
+    const request = () => fetch(url, withCsrf(options));
+
+    let response = await request();
+    if (response.status === 401 && await refreshSession()) {
+      response = await request();
+    }
+    return response;
+  }
+
+  /**
+   * Send the user to the login page
+   */
+  function redirectToLogin() {
+    window.location.href = 'login.html';
+  }
+
+  global.api = { apiFetch, withCsrf, refreshSession, redirectToLogin };
+})(window);
@@ -0,0 +1,611 @@
+/**
+ * Dashboard Page
+ * Features:
+ * - Loads the signed-in user (silent session refresh via api.js)
+ * - Profile: edit name and phone, change password
+ * - Two-factor authentication: enroll, new recovery codes, turn off
+ * - Restaurant-wide 2FA requirement (restaurant:security permission)
+ * - Team invitations: invite, resend, revoke (users:invite permission)
+ * - Active sessions: sign out one device or everywhere else
+ * - API keys: create (key shown once), revoke (api_keys:manage permission)
+ * - Impersonation: admins sign in as a user (users:impersonate permission);
+ *   a banner names both people until they stop or the time limit is reached
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  const content = document.getElementById('content');
+  const profileError = document.getElementById('profileError');
+  const profileSuccess = document.getElementById('profileSuccess');
+  const mfaPanel = document.getElementById('mfaPanel');
+  const mfaError = document.getElementById('mfaError');
+  const mfaInputs = document.getElementById('mfaInputs');
+  const mfaCode = document.getElementById('mfaCode');
+  const mfaPassword = document.getElementById('mfaPassword');
+  const requiredCheckbox = document.getElementById('mfaRequired');
+  const teamPanel = document.getElementById('teamPanel');
+  const teamError = document.getElementById('teamError');
+  const inviteList = document.getElementById('inviteList');
+  const sessionsError = document.getElementById('sessionsError');
+  const sessionList = document.getElementById('sessionList');
+  const apiKeysError = document.getElementById('apiKeysError');
+  const apiKeyList = document.getElementById('apiKeyList');
+  const apiKeyScopes = document.getElementById('apiKeyScopes');
+  const impersonateError = document.getElementById('impersonateError');
+
+  let currentUser = null;
+  // Action confirmed by the code input: 'enable' | 'disable' | 'codes'
+  let pendingAction = null;
+
+  /**
+   * Call a JSON API endpoint
+   * @param {string} url - API URL
+   * @param {string} method - HTTP method
+   * @param {Object} body - Request body (optional)
+   * @returns {Promise<{response: Response, data: Object}>}
+   */
+  async function callApi(url, method = 'GET', body) {
+    const options = { method };
+    if (body) {
+      options.headers = { 'Content-Type': 'application/json' };
+      options.body = JSON.stringify(body);
+    }
+    const response = await api.apiFetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    return { response, data };
+  }
+
+  /**
+   * Show a profile panel message
+   * @param {string} error - Error text ('' hides it)
+   * @param {string} success - Confirmation text ('' hides it)
+   */
+  function showProfileMessage(error, success) {
+    profileError.textContent = error || '';
+    profileError.style.display = error ? 'block' : 'none';
+    profileSuccess.textContent = success || '';
+    profileSuccess.style.display = success ? 'block' : 'none';
+  }
+
+  /**
+   * Render the signed-in user and fill the profile form
+   * @param {Object} user - User from /api/me
+   */
+  function renderUser(user) {
+    currentUser = user;
+    // Built with textContent: email and restaurant name are user-supplied
+    content.textContent = '';
+    for (const [label, value, strong] of [
+      ['Signed in as ', user.email, true],
+      ['Restaurant: ', user.restaurantName || '—', true],
+      ['Role: ', user.role || '—', false]
+    ]) {
+      const line = document.createElement('p');
+      line.textContent = label;
+      const text = document.createElement(strong ? 'strong' : 'span');
+      text.textContent = value;
+      line.appendChild(text);
+      content.appendChild(line);
+    }
+    document.getElementById('profileFirstName').value = user.firstName || '';
+    document.getElementById('profileLastName').value = user.lastName || '';
+    document.getElementById('profilePhone').value = user.phone || '';
+    document.getElementById('profilePanel').style.display = 'block';
+  }
+
+  /**
+   * Show or clear the 2FA panel error
+   * @param {string} message - Error text ('' hides it)
+   */
+  function showMfaError(message) {
+    mfaError.textContent = message || '';
+    mfaError.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Show a fresh set of recovery codes
+   * @param {Array<string>} codes - Recovery codes
+   */
+  function showRecoveryCodes(codes) {
+    document.getElementById('mfaRecoveryList').textContent = codes.join('\n');
+    document.getElementById('mfaRecovery').style.display = 'block';
+  }
+
+  /**
+   * Open the code (and password) inputs for an action
+   * @param {string} action - 'enable' | 'disable' | 'codes'
+   */
+  function askForCode(action) {
+    pendingAction = action;
+    mfaCode.value = '';
+    mfaPassword.value = '';
+    document.getElementById('mfaPasswordGroup').style.display = action === 'disable' ? 'block' : 'none';
+    mfaInputs.style.display = 'block';
+    document.getElementById('mfaActions').style.display = 'none';
+    mfaCode.focus();
+  }
+
+  /**
+   * Close the inputs and enrollment details
+   */
+  function resetMfaForm() {
+    pendingAction = null;
+    mfaInputs.style.display = 'none';
+    document.getElementById('mfaEnroll').style.display = 'none';
+    document.getElementById('mfaActions').style.display = 'flex';
+  }
+
+  /**
+   * Load and render the 2FA status
+   */
+  async function loadMfa() {
+    const { response, data } = await callApi('/api/mfa');
+    if (!response.ok) {
+      return;
+    }
+
+    document.getElementById('mfaStatus').textContent = data.enabled
+      ? `On. ${data.recoveryCodesRemaining} recovery codes left.`
+      : 'Off. Protect your account with a code from an authenticator app.';
+    document.getElementById('mfaSetupBtn').style.display = data.enabled ? 'none' : 'inline-block';
+    document.getElementById('mfaCodesBtn').style.display = data.enabled ? 'inline-block' : 'none';
+    document.getElementById('mfaDisableBtn').style.display = data.enabled && !data.required ? 'inline-block' : 'none';
+
+    if (currentUser && (currentUser.permissions || []).includes('restaurant:security')) {
+      document.getElementById('mfaPolicy').style.display = 'block';
+      requiredCheckbox.checked = data.required;
+    }
+    mfaPanel.style.display = 'block';
+  }
+
+  /**
+   * Show or clear the team panel error
+   * @param {string} message - Error text ('' hides it)
+   */
+  function showTeamError(message) {
+    teamError.textContent = message || '';
+    teamError.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Load and render the restaurant's invitations
+   */
+  async function loadInvitations() {
+    if (!currentUser || !(currentUser.permissions || []).includes('users:invite')) {
+      return;
+    }
+    const { response, data } = await callApi('/api/invitations');
+    if (!response.ok) {
+      return;
+    }
+
+    inviteList.textContent = '';
+    for (const invitation of data.invitations) {
+      const row = document.createElement('tr');
+      const expires = invitation.status === 'pending' ? new Date(invitation.expiresAt).toLocaleDateString() : '—';
+      for (const text of [invitation.email, invitation.role, invitation.status, expires]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+
+      const actions = document.createElement('td');
+      if (invitation.status === 'pending' || invitation.status === 'expired') {
+        for (const [action, label] of [['resend', 'Resend'], ['revoke', 'Revoke']]) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'btn';
+          button.textContent = label;
+          button.dataset.action = action;
+          button.dataset.id = invitation.id;
+          actions.appendChild(button);
+        }
+      }
+      row.appendChild(actions);
+      inviteList.appendChild(row);
+    }
+    teamPanel.style.display = 'block';
+  }
+
+  /**
+   * Show or clear the sessions panel error
+   * @param {string} message - Error text ('' hides it)
+   */
+  function showSessionsError(message) {
+    sessionsError.textContent = message || '';
+    sessionsError.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Load and render the active sessions
+   */
+  async function loadSessions() {
+    const { response, data } = await callApi('/api/sessions');
+    if (!response.ok) {
+      return;
+    }
+
+    sessionList.textContent = '';
+    for (const session of data.sessions) {
+      const row = document.createElement('tr');
+      const device = session.current ? `${session.device} (this device)` : session.device;
+      for (const text of [device, session.ipAddress || '—', new Date(session.lastSeenAt).toLocaleString()]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      // Full user agent on hover over the device name
+      row.firstChild.title = session.userAgent || '';
+
+      const actions = document.createElement('td');
+      if (!session.current) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn';
+        button.textContent = 'Sign out';
+        button.dataset.id = session.id;
+        actions.appendChild(button);
+      }
+      row.appendChild(actions);
+      sessionList.appendChild(row);
+    }
+    document.getElementById('revokeOthersBtn').style.display = data.sessions.length > 1 ? 'inline-block' : 'none';
+    document.getElementById('sessionsPanel').style.display = 'block';
+  }
+
+  /**
+   * Show or clear the API keys panel error
+   * @param {string} message - Error text ('' hides it)
+   */
+  function showApiKeysError(message) {
+    apiKeysError.textContent = message || '';
+    apiKeysError.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Load and render the restaurant's API keys and the scopes that can be granted
+   */
+  async function loadApiKeys() {
+    if (!currentUser || !(currentUser.permissions || []).includes('api_keys:manage')) {
+      return;
+    }
+    const { response, data } = await callApi('/api/api-keys');
+    if (!response.ok) {
+      return;
+    }
+
+    if (!apiKeyScopes.childElementCount) {
+      for (const scope of data.scopes) {
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = scope;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${scope}`));
+        apiKeyScopes.appendChild(label);
+      }
+    }
+
+    apiKeyList.textContent = '';
+    for (const apiKey of data.apiKeys) {
+      const row = document.createElement('tr');
+      const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : 'Never';
+      for (const text of [apiKey.name, `${apiKey.prefix}_…`, apiKey.scopes.join(', '), lastUsed, apiKey.status]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+
+      const actions = document.createElement('td');
+      if (apiKey.status === 'active') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn';
+        button.textContent = 'Revoke';
+        button.dataset.id = apiKey.id;
+        actions.appendChild(button);
+      }
+      row.appendChild(actions);
+      apiKeyList.appendChild(row);
+    }
+    document.getElementById('apiKeysPanel').style.display = 'block';
+  }
+
+  /**
+   * Show who is impersonating whom, and hide what is blocked meanwhile
+   * @param {Object|null} impersonation - From /api/me ({impersonator, expiresAt}) or null
+   */
+  function renderImpersonation(impersonation) {
+    const banner = document.getElementById('impersonationBanner');
+    if (!impersonation) {
+      banner.style.display = 'none';
+      return;
+    }
+    const { impersonator, expiresAt } = impersonation;
+    const admin = [impersonator.firstName, impersonator.lastName].filter(Boolean).join(' ') || impersonator.email;
+    document.getElementById('impersonationText').textContent =
+      `${admin} is signed in as ${currentUser.email} until ${new Date(expiresAt).toLocaleTimeString()}. Changes are recorded.`;
+    banner.style.display = 'block';
+
+    // Blocked by the server while impersonating
+    document.getElementById('passwordHeading').style.display = 'none';
+    document.getElementById('passwordForm').style.display = 'none';
+    mfaPanel.style.display = 'none';
+  }
+
+  /**
+   * Show or clear the impersonation panel error
+   * @param {string} message - Error text ('' hides it)
+   */
+  function showImpersonateError(message) {
+    impersonateError.textContent = message || '';
+    impersonateError.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Load the signed-in user
+   */
+  async function load() {
+    try {
+      const res = await api.apiFetch('/api/me');
+      if (!res.ok) { api.redirectToLogin(); return; }
+      const data = await res.json();
+      renderUser(data.user);
+      if (!data.impersonation) {
+        await loadMfa();
+      }
+      renderImpersonation(data.impersonation);
+      await loadSessions();
+      await loadInvitations();
+      await loadApiKeys();
+      if ((data.user.permissions || []).includes('users:impersonate')) {
+        document.getElementById('impersonatePanel').style.display = 'block';
+      }
+    } catch (e) { api.redirectToLogin(); }
+  }
+
+  /**
+   * Save name and phone
+   */
+  document.getElementById('profileForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showProfileMessage('');
+    const { response, data } = await callApi('/api/me', 'PUT', {
+      firstName: document.getElementById('profileFirstName').value.trim(),
+      lastName: document.getElementById('profileLastName').value.trim(),
+      phone: document.getElementById('profilePhone').value.trim()
+    });
+    if (!response.ok) {
+      showProfileMessage(data.error || 'Could not save your profile');
+      return;
+    }
+    renderUser(data.user);
+    showProfileMessage('', 'Profile saved.');
+  });
+
+  /**
+   * Change the password (other sessions are signed out by the server)
+   */
+  document.getElementById('passwordForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showProfileMessage('');
+    const form = e.target;
+    const newPassword = document.getElementById('newPassword').value;
+    if (newPassword !== document.getElementById('confirmNewPassword').value) {
+      showProfileMessage('New passwords do not match');
+      return;
+    }
+
+    const { response, data } = await callApi('/api/me/password', 'POST', {
+      currentPassword: document.getElementById('currentPassword').value,
+      newPassword
+    });
+    if (!response.ok) {
+      showProfileMessage(response.status === 429 ? 'Too many attempts. Please try again later.' : (data.error || 'Could not change your password'));
+      return;
+    }
+    form.reset();
+    showProfileMessage('', data.message || 'Password changed.');
+    await loadSessions();
+  });
+
+  /**
+   * Start enrollment: show the provisioning link and secret
+   */
+  document.getElementById('mfaSetupBtn').addEventListener('click', async () => {
+    showMfaError('');
+    const { response, data } = await callApi('/api/mfa/setup', 'POST');
+    if (!response.ok) {
+      showMfaError(data.error || 'Could not start setup');
+      return;
+    }
+    document.getElementById('mfaSecret').textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+    document.getElementById('mfaUri').href = data.otpauthUrl;
+    document.getElementById('mfaEnroll').style.display = 'block';
+    askForCode('enable');
+  });
+
+  document.getElementById('mfaCodesBtn').addEventListener('click', () => askForCode('codes'));
+  document.getElementById('mfaDisableBtn').addEventListener('click', () => askForCode('disable'));
+  document.getElementById('mfaCancel').addEventListener('click', () => {
+    showMfaError('');
+    resetMfaForm();
+  });
+
+  /**
+   * Confirm the pending action with the entered code
+   */
+  document.getElementById('mfaConfirm').addEventListener('click', async () => {
+    showMfaError('');
+    const code = mfaCode.value.trim();
+    const urls = { enable: '/api/mfa/enable', disable: '/api/mfa/disable', codes: '/api/mfa/recovery-codes' };
+    const body = pendingAction === 'disable' ? { code, password: mfaPassword.value } : { code };
+
+    const { response, data } = await callApi(urls[pendingAction], 'POST', body);
+    if (!response.ok) {
+      showMfaError(response.status === 429 ? 'Too many attempts. Please try again later.' : (data.error || 'Request failed'));
+      return;
+    }
+    if (data.recoveryCodes) {
+      showRecoveryCodes(data.recoveryCodes);
+    } else {
+      document.getElementById('mfaRecovery').style.display = 'none';
+    }
+    resetMfaForm();
+    await loadMfa();
+  });
+
+  /**
+   * Restaurant policy toggle (restaurant:security permission)
+   */
+  requiredCheckbox.addEventListener('change', async () => {
+    showMfaError('');
+    const { response, data } = await callApi('/api/restaurant/mfa-policy', 'PUT', { required: requiredCheckbox.checked });
+    if (!response.ok) {
+      showMfaError(data.error || 'Could not update the policy');
+    }
+    await loadMfa();
+  });
+
+  /**
+   * Send an invitation
+   */
+  document.getElementById('inviteForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showTeamError('');
+    const emailInput = document.getElementById('inviteEmail');
+    const { response, data } = await callApi('/api/invitations', 'POST', {
+      email: emailInput.value.trim(),
+      role: document.getElementById('inviteRole').value
+    });
+    if (!response.ok) {
+      showTeamError(response.status === 403 ? 'You cannot invite this role.' : (data.error || 'Could not send the invitation'));
+      return;
+    }
+    emailInput.value = '';
+    await loadInvitations();
+  });
+
+  /**
+   * Resend / revoke buttons in the invitation list
+   */
+  inviteList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) {
+      return;
+    }
+    showTeamError('');
+    const { id, action } = button.dataset;
+    const { response, data } = action === 'resend'
+      ? await callApi(`/api/invitations/${id}/resend`, 'POST')
+      : await callApi(`/api/invitations/${id}`, 'DELETE');
+    if (!response.ok) {
+      showTeamError(data.error || 'Request failed');
+    }
+    await loadInvitations();
+  });
+
+  /**
+   * Sign out one other session
+   */
+  sessionList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-id]');
+    if (!button) {
+      return;
+    }
+    showSessionsError('');
+    const { response, data } = await callApi(`/api/sessions/${button.dataset.id}`, 'DELETE');
+    if (!response.ok) {
+      showSessionsError(data.error || 'Could not sign out the session');
+    }
+    await loadSessions();
+  });
+
+  /**
+   * Sign out everywhere else
+   */
+  document.getElementById('revokeOthersBtn').addEventListener('click', async () => {
+    showSessionsError('');
+    const { response, data } = await callApi('/api/sessions/revoke-others', 'POST');
+    if (!response.ok) {
+      showSessionsError(data.error || 'Could not sign out other sessions');
+    }
+    await loadSessions();
+  });
+
+  /**
+   * Create an API key and show it once
+   */
+  document.getElementById('apiKeyForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showApiKeysError('');
+    const nameInput = document.getElementById('apiKeyName');
+    const expiry = document.getElementById('apiKeyExpiry').value;
+    const scopes = [...apiKeyScopes.querySelectorAll('input:checked')].map(input => input.value);
+
+    const { response, data } = await callApi('/api/api-keys', 'POST', {
+      name: nameInput.value.trim(),
+      scopes,
+      expiresInDays: expiry ? Number(expiry) : null
+    });
+    if (!response.ok) {
+      showApiKeysError(data.error || 'Could not create the key');
+      return;
+    }
+    document.getElementById('newApiKeyValue').textContent = data.key;
+    document.getElementById('newApiKey').style.display = 'block';
+    e.target.reset();
+    await loadApiKeys();
+  });
+
+  /**
+   * Revoke buttons in the API key list
+   */
+  apiKeyList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-id]');
+    if (!button) {
+      return;
+    }
+    showApiKeysError('');
+    const { response, data } = await callApi(`/api/api-keys/${button.dataset.id}`, 'DELETE');
+    if (!response.ok) {
+      showApiKeysError(data.error || 'Could not revoke the key');
+    }
+    await loadApiKeys();
+  });
+
+  /**
+   * Sign in as a user (the page reloads as them)
+   */
+  document.getElementById('impersonateForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showImpersonateError('');
+    const { response, data } = await callApi('/api/impersonation', 'POST', {
+      email: document.getElementById('impersonateEmail').value.trim(),
+      reason: document.getElementById('impersonateReason').value.trim()
+    });
+    if (!response.ok) {
+      showImpersonateError(data.error || 'Could not sign in as this user');
+      return;
+    }
+    window.location.reload();
+  });
+
+  /**
+   * Stop impersonating: back to the admin's own session, or to the login page
+   */
+  document.getElementById('stopImpersonationBtn').addEventListener('click', async () => {
+    const { response, data } = await callApi('/api/impersonation', 'DELETE');
+    if (response.ok && data.restored) {
+      window.location.reload();
+      return;
+    }
+    window.location.href = 'login.html';
+  });
+
+  document.getElementById('logout').addEventListener('click', async () => {
+    await fetch('/api/logout', api.withCsrf({ method: 'POST' }));
+    window.location.href = 'login.html';
+  });
+
+  load();
+});
@@ -6,7 +6,15 @@
  * - Comprehensive error handling
  * - Network error recovery
  * - Accessible error messages
- * - Remember me functionality (placeholder)
+ * - Remember me: persistent 30-day refresh cookie issued by the backend
+ * - Email verification: unverified accounts get a distinct message and a resend button
+ * - Two-factor: code (or recovery code) step after the password, and first-time
+ *   enrollment when the restaurant requires 2FA
+ * - Account lockout: locked message and the outcome of the emailed unlock link
+ * - Single sign-on: identity provider button, its errors (?sso_error=) and the
+ *   two-factor step when the provider did not do MFA (#mfa=...&mfaToken=...)
+ * - Requests go through api.withCsrf (api.js), which adds the CSRF header when
+ *   a session cookie is already present
  */
 document.addEventListener('DOMContentLoaded', () => {
   const form = document.getElementById('loginForm');
@@ -17,6 +25,18 @@ document.addEventListener('DOMContentLoaded', () => {
   const successMessage = document.getElementById('successMessage');
   const generalError = document.getElementById('generalError');
   const rememberCheckbox = document.getElementById('remember');
+  const verifyNotice = document.getElementById('verifyNotice');
+  const verifyNoticeText = document.getElementById('verifyNoticeText');
+  const resendBtn = document.getElementById('resendVerification');
+  const mfaStep = document.getElementById('mfaStep');
+  const mfaForm = document.getElementById('mfaForm');
+  const mfaCodeInput = document.getElementById('mfaCode');
+  const mfaCodeLabel = document.getElementById('mfaCodeLabel');
+  const mfaSubmitBtn = document.getElementById('mfaSubmitBtn');
+  const useRecoveryLink = document.getElementById('useRecoveryCode');
+
+  // Pending two-factor login: { mfaToken, email, rememberMe, useRecovery }
+  let mfaState = null;
 
   /**
    * Display error message for a specific field
@@ -41,6 +61,19 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     generalError.style.display = 'none';
     generalError.textContent = '';
+    verifyNotice.style.display = 'none';
+  }
+
+  /**
+   * Show the email verification notice
+   * @param {string} message - Text to display
+   * @param {boolean} offerResend - Show the "Resend verification email" button
+   */
+  function showVerifyNotice(message, offerResend) {
+    verifyNoticeText.textContent = message;
+    resendBtn.style.display = offerResend ? 'inline-block' : 'none';
+    verifyNotice.style.display = 'block';
+    verifyNotice.setAttribute('role', 'status');
   }
 
   /**
@@ -139,14 +172,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
       // Send login request to backend API
-      const response = await fetch('/api/login', {
+      const response = await fetch('/api/login', api.withCsrf({
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         credentials: 'include', // Include cookies for HttpOnly session
-        body: JSON.stringify({ email, password })
-      });
+        body: JSON.stringify({ email, password, remember: rememberMe })
+      }));
 
       // Handle non-200 responses (401, 403, 500, etc.)
       if (!response.ok) {
@@ -157,11 +190,18 @@ document.addEventListener('DOMContentLoaded', () => {
           const errorData = await response.json();
           errorMessage = errorData.error || errorMessage;
 
+          // Unverified email: distinct message with a way to get a new link
+          if (response.status === 403 && errorData.code === 'EMAIL_NOT_VERIFIED') {
+            showVerifyNotice('Please verify your email address before signing in. Check your inbox for the link we sent.', true);
+            setLoading(false);
+            return;
+          }
+
           // Handle specific HTTP status codes
           if (response.status === 401) {
             errorMessage = 'Invalid email or password';
           } else if (response.status === 403) {
-            errorMessage = 'Account is locked. Please try again later.';
+            errorMessage = 'Account is locked. Check your email for an unlock link or try again later.';
           } else if (response.status === 429) {
             errorMessage = 'Too many login attempts. Please try again later.';
           } else if (response.status >= 500) {
@@ -177,20 +217,15 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
-      // Successful login
-      showSuccess();
-
-      // Store remember me preference (optional)
-      if (rememberMe) {
-        localStorage.setItem('rememberMe', 'true');
-      } else {
-        localStorage.removeItem('rememberMe');
+      // Password accepted - a second factor may still be needed
+      const data = await response.json();
+      if (data.mfaRequired || data.mfaSetupRequired) {
+        setLoading(false);
+        await startMfaStep(data, email, rememberMe);
+        return;
       }
 
-      // Redirect to dashboard after brief delay to show success message
-      setTimeout(() => {
-        window.location.href = 'dashboard.html';
-      }, 1000);
+      completeLogin(email, rememberMe);
 
     } catch (error) {
       // Network error or other client-side issues
@@ -213,6 +248,141 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  /**
+   * Finish a successful login: remember the email and go to the dashboard
+   * @param {string} email - Signed-in email
+   * @param {boolean} rememberMe - "Keep me signed in" was ticked
+   */
+  function completeLogin(email, rememberMe) {
+    showSuccess();
+
+    // Store remember me preference so the email is pre-filled next time
+    // (the session itself lives in the backend's persistent refresh cookie)
+    if (rememberMe) {
+      localStorage.setItem('rememberMe', 'true');
+      localStorage.setItem('loginEmail', email);
+    } else {
+      localStorage.removeItem('rememberMe');
+      localStorage.removeItem('loginEmail');
+    }
+
+    // Redirect to dashboard after brief delay to show success message
+    setTimeout(() => {
+      window.location.href = 'dashboard.html';
+    }, 1000);
+  }
+
+  /**
+   * Switch from the password form to the two-factor step
+   * @param {Object} data - POST /api/login response ({mfaRequired | mfaSetupRequired, mfaToken})
+   * @param {string} email - Email being signed in
+   * @param {boolean} rememberMe - "Keep me signed in" was ticked
+   */
+  async function startMfaStep(data, email, rememberMe) {
+    mfaState = { mfaToken: data.mfaToken, email, rememberMe, useRecovery: false };
+    form.style.display = 'none';
+    mfaStep.style.display = 'block';
+
+    if (data.mfaSetupRequired) {
+      // Restaurant requires 2FA: enroll now, the first code completes sign-in
+      document.getElementById('mfaPrompt').textContent = 'Your restaurant requires two-factor authentication.';
+      useRecoveryLink.style.display = 'none';
+      try {
+        const res = await fetch('/api/login/mfa/setup', api.withCsrf({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ mfaToken: data.mfaToken })
+        }));
+        if (!res.ok) {
+          throw new Error('setup failed');
+        }
+        const setup = await res.json();
+        document.getElementById('mfaSecret').textContent = setup.secret.replace(/(.{4})/g, '$1 ').trim();
+        document.getElementById('mfaUri').href = setup.otpauthUrl;
+        document.getElementById('mfaSetup').style.display = 'block';
+      } catch (error) {
+        showError('mfaCode', 'Could not start two-factor setup. Please sign in again.');
+      }
+    }
+    mfaCodeInput.focus();
+  }
+
+  /**
+   * Toggle between authenticator code and recovery code
+   */
+  useRecoveryLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    mfaState.useRecovery = !mfaState.useRecovery;
+    mfaCodeLabel.textContent = mfaState.useRecovery ? 'Recovery code' : 'Authentication code';
+    mfaCodeInput.setAttribute('inputmode', mfaState.useRecovery ? 'text' : 'numeric');
+    useRecoveryLink.textContent = mfaState.useRecovery ? 'Use your authenticator app instead' : 'Use a recovery code instead';
+    mfaCodeInput.value = '';
+    showError('mfaCode', '');
+  });
+
+  /**
+   * Submit the second factor
+   */
+  mfaForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    showError('mfaCode', '');
+
+    const value = mfaCodeInput.value.trim();
+    if (!value) {
+      showError('mfaCode', 'Enter your code');
+      return;
+    }
+
+    mfaSubmitBtn.disabled = true;
+    try {
+      const body = { mfaToken: mfaState.mfaToken };
+      body[mfaState.useRecovery ? 'recoveryCode' : 'code'] = value;
+
+      const res = await fetch('/api/login/mfa', api.withCsrf({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body)
+      }));
+      const data = await res.json().catch(() => ({}));
+
+      if (!res.ok) {
+        let errorMessage = data.error || 'Verification failed';
+        if (data.code === 'ACCOUNT_LOCKED') {
+          errorMessage = 'Account is locked. Check your email for an unlock link or try again later.';
+        } else if (res.status === 429) {
+          errorMessage = 'Too many attempts. Please try again later.';
+        } else if (res.status >= 500) {
+          errorMessage = 'Server error. Please try again later.';
+        }
+        showError('mfaCode', errorMessage);
+        return;
+      }
+
+      if (data.recoveryCodes) {
+        // Just enrolled: show recovery codes once before continuing
+        mfaForm.style.display = 'none';
+        document.getElementById('mfaSetup').style.display = 'none';
+        document.getElementById('recoveryCodesList').textContent = data.recoveryCodes.join('\n');
+        document.getElementById('recoveryCodesBlock').style.display = 'block';
+        document.getElementById('recoveryContinue').addEventListener('click', () => {
+          completeLogin(mfaState.email, mfaState.rememberMe);
+        });
+        return;
+      }
+
+      if (typeof data.recoveryCodesRemaining === 'number' && data.recoveryCodesRemaining <= 2) {
+        alert(`Only ${data.recoveryCodesRemaining} recovery codes left. Generate new ones from your dashboard.`);
+      }
+      completeLogin(mfaState.email, mfaState.rememberMe);
+    } catch (error) {
+      showError('mfaCode', 'Cannot reach the server. Check your internet connection.');
+    } finally {
+      mfaSubmitBtn.disabled = false;
+    }
+  });
+
   /**
    * Keyboard shortcuts
    * - Enter key in password field submits form
@@ -223,6 +393,107 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  /**
+   * Resend the verification email for the address in the email field
+   */
+  resendBtn.addEventListener('click', async () => {
+    const email = emailInput.value.trim();
+    if (!isValidEmail(email)) {
+      showError('email', 'Please enter a valid email address');
+      return;
+    }
+
+    resendBtn.disabled = true;
+    try {
+      const response = await fetch('/api/verify-email/resend', api.withCsrf({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ email })
+      }));
+      if (response.status === 429) {
+        showVerifyNotice('Too many requests. Please try again later.', false);
+      } else if (!response.ok) {
+        showVerifyNotice('Could not send a new link. Please try again later.', true);
+      } else {
+        showVerifyNotice('A new verification link has been sent. Check your inbox.', false);
+      }
+    } catch (error) {
+      showVerifyNotice('Cannot reach the server. Check your internet connection.', true);
+    } finally {
+      resendBtn.disabled = false;
+    }
+  });
+
+  /**
+   * Outcome of a verification link click (?verified=1|0, set by GET /api/verify-email)
+   */
+  const verified = new URLSearchParams(window.location.search).get('verified');
+  if (verified === '1') {
+    showVerifyNotice('✓ Your email address is verified. You can now sign in.', false);
+  } else if (verified === '0') {
+    showVerifyNotice('This verification link is invalid or has expired. Enter your email to get a new one.', true);
+  }
+
+  /**
+   * Outcome of an unlock link click (?unlocked=1|0, set by GET /api/unlock-account)
+   */
+  const unlocked = new URLSearchParams(window.location.search).get('unlocked');
+  if (unlocked === '1') {
+    showVerifyNotice('✓ Your account is unlocked. You can sign in again.', false);
+  } else if (unlocked === '0') {
+    showVerifyNotice('This unlock link is invalid or has expired. The account unlocks automatically when the lock ends.', false);
+  }
+
+  /**
+   * Single sign-on button (GET /api/auth/oidc tells whether it is configured)
+   */
+  const ssoLink = document.getElementById('ssoLink');
+  fetch('/api/auth/oidc', { credentials: 'include' })
+    .then(res => (res.ok ? res.json() : { enabled: false }))
+    .then((sso) => {
+      if (!sso.enabled) return;
+      ssoLink.textContent = `Sign in with ${sso.name}`;
+      document.getElementById('ssoBlock').style.display = 'block';
+    })
+    .catch(() => {});
+
+  ssoLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    window.location.href = `/api/auth/oidc/login${rememberCheckbox.checked ? '?remember=1' : ''}`;
+  });
+
+  /**
+   * Outcome of a failed single sign-on (?sso_error=..., set by GET /api/auth/oidc/callback)
+   */
+  const ssoErrors = {
+    sso_state: 'Your sign-in took too long or was started in another window. Please try again.',
+    sso_denied: 'Sign-in was cancelled at your identity provider.',
+    sso_no_account: 'Your identity provider account is not linked to a restaurant account. Ask your restaurant owner for access.',
+    account_disabled: 'This account has been deactivated.',
+    account_locked: 'Account is locked. Check your email for an unlock link or try again later.',
+    sso_failed: 'Single sign-on failed. Please try again.'
+  };
+  const ssoError = new URLSearchParams(window.location.search).get('sso_error');
+  if (ssoError) {
+    generalError.textContent = ssoErrors[ssoError] || ssoErrors.sso_failed;
+    generalError.style.display = 'block';
+    generalError.setAttribute('role', 'alert');
+  }
+
+  /**
+   * Two-factor step after single sign-on (token in the fragment, never sent to a server)
+   */
+  const ssoMfa = new URLSearchParams(window.location.hash.slice(1));
+  if (ssoMfa.get('mfaToken')) {
+    history.replaceState(null, '', window.location.pathname);
+    startMfaStep({
+      mfaRequired: ssoMfa.get('mfa') === 'verify',
+      mfaSetupRequired: ssoMfa.get('mfa') === 'setup',
+      mfaToken: ssoMfa.get('mfaToken')
+    }, '', false);
+  }
+
   /**
    * Optional: Pre-fill email from localStorage if "remember me" was checked
    */
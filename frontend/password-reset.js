@@ -0,0 +1,203 @@
+/**
+ * Password Reset Form Handlers
+ * Shared by forgot-password.html (#forgotForm) and reset-password.html (#resetForm)
+ * Features:
+ * - Forgot: requests a reset link; the backend answers the same way whether
+ *   or not the email is registered, so the page does too
+ * - Reset: reads the single-use token from ?token=... and sets the new password
+ * - Loading state, field errors and network error handling as on the login page
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  const forgotForm = document.getElementById('forgotForm');
+  const resetForm = document.getElementById('resetForm');
+  const submitBtn = document.getElementById('submitBtn');
+  const loadingSpinner = document.getElementById('loadingSpinner');
+  const successMessage = document.getElementById('successMessage');
+  const generalError = document.getElementById('generalError');
+
+  /**
+   * Display error message for a specific field
+   * @param {string} fieldName - Field identifier
+   * @param {string} message - Error message to display
+   */
+  function showError(fieldName, message) {
+    const errorEl = document.querySelector(`.error[data-for="${fieldName}"]`);
+    if (errorEl) {
+      errorEl.textContent = message || '';
+      errorEl.style.display = message ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Show a message in the general error area
+   * @param {string} message - Error message to display
+   */
+  function showGeneralError(message) {
+    generalError.textContent = message;
+    generalError.style.display = 'block';
+    generalError.setAttribute('role', 'alert');
+  }
+
+  /**
+   * Clear all error messages and alerts
+   */
+  function clearErrors() {
+    document.querySelectorAll('.error').forEach(e => {
+      e.textContent = '';
+      e.style.display = 'none';
+    });
+    generalError.style.display = 'none';
+    generalError.textContent = '';
+  }
+
+  /**
+   * Show loading state on submit button
+   */
+  function setLoading(isLoading) {
+    submitBtn.disabled = isLoading;
+    loadingSpinner.style.display = isLoading ? 'inline-block' : 'none';
+    submitBtn.style.opacity = isLoading ? '0.8' : '1';
+  }
+
+  /**
+   * Show success message and hide the form
+   * @param {HTMLFormElement} form - Form to hide
+   * @param {string} message - Message to display
+   */
+  function showSuccess(form, message) {
+    successMessage.querySelector('p').textContent = `✓ ${message}`;
+    successMessage.style.display = 'block';
+    successMessage.setAttribute('role', 'status');
+    successMessage.setAttribute('aria-live', 'polite');
+    form.style.display = 'none';
+  }
+
+  /**
+   * POST JSON to the backend and return { response, data }
+   * @param {string} url - API endpoint
+   * @param {Object} body - Request body
+   */
+  async function postJson(url, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (parseErr) {
+      // Response was not JSON - callers fall back to default messages
+    }
+    return { response, data };
+  }
+
+  /**
+   * Map a failed response to a user-facing message
+   * @param {Response} response - Fetch response
+   * @param {Object} data - Parsed body
+   * @param {string} fallback - Default message
+   * @returns {string} Error message
+   */
+  function errorMessageFor(response, data, fallback) {
+    if (response.status === 429) {
+      return 'Too many attempts. Please try again later.';
+    }
+    if (response.status >= 500) {
+      return 'Server error. Please try again later.';
+    }
+    return data.error || fallback;
+  }
+
+  /**
+   * Forgot password: request a reset link
+   */
+  if (forgotForm) {
+    const emailInput = document.getElementById('email');
+
+    forgotForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      clearErrors();
+
+      const email = emailInput.value.trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        showError('email', email ? 'Please enter a valid email address' : 'Email address is required');
+        return;
+      }
+
+      setLoading(true);
+      try {
+        const { response, data } = await postJson('/api/password/forgot', { email });
+        if (!response.ok) {
+          showError('email', errorMessageFor(response, data, 'Could not send reset link'));
+          return;
+        }
+        showSuccess(forgotForm, data.message || 'Check your inbox for a reset link.');
+      } catch (error) {
+        console.error('Forgot password error:', error);
+        showGeneralError('Cannot reach the server. Check your internet connection.');
+      } finally {
+        setLoading(false);
+      }
+    });
+  }
+
+  /**
+   * Reset password: set the new password using the token from the link
+   */
+  if (resetForm) {
+    const passwordInput = document.getElementById('password');
+    const confirmInput = document.getElementById('confirmPassword');
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    if (!token) {
+      showGeneralError('This reset link is invalid. Please request a new one.');
+      submitBtn.disabled = true;
+      return;
+    }
+
+    resetForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      clearErrors();
+
+      const password = passwordInput.value;
+      let isValid = true;
+
+      if (!password) {
+        showError('password', 'Password is required');
+        isValid = false;
+      }
+      if (password !== confirmInput.value) {
+        showError('confirmPassword', 'Passwords do not match');
+        isValid = false;
+      }
+      if (!isValid) {
+        return;
+      }
+
+      setLoading(true);
+      try {
+        const { response, data } = await postJson('/api/password/reset', { token, password });
+        if (!response.ok) {
+          // Weak password keeps the token usable; an invalid token does not
+          if (data.error && data.error.startsWith('Password')) {
+            showError('password', data.error);
+          } else {
+            showGeneralError(errorMessageFor(response, data, 'Password reset failed'));
+          }
+          return;
+        }
+        showSuccess(resetForm, 'Your password has been reset. Redirecting to sign in...');
+        setTimeout(() => {
+          window.location.href = 'login.html';
+        }, 1500);
+      } catch (error) {
+        console.error('Reset password error:', error);
+        showGeneralError('Cannot reach the server. Check your internet connection.');
+      } finally {
+        setLoading(false);
+      }
+    });
+  }
+});
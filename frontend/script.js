@@ -34,6 +34,13 @@ password.addEventListener('input', ()=>{
   passwordStrength.value = s;
 });
 
+// Default the restaurant time zone to the browser's
+const timezone = document.getElementById('timezone');
+function prefillTimezone(){
+  timezone.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'America/New_York';
+}
+prefillTimezone();
+
 form.addEventListener('submit', async (e)=>{
   e.preventDefault();
   clearErrors();
@@ -63,8 +70,8 @@ form.addEventListener('submit', async (e)=>{
   if(!values.restaurantName || values.restaurantName.trim().length < 2){
     showError('restaurantName','Enter a restaurant name'); valid = false;
   }
-  if(!values.role){
-    showError('role','Select a role'); valid = false;
+  if(!values.timezone || !/^[A-Za-z][\w+\-]*(\/[\w+\-]+)*$/.test(values.timezone.trim())){
+    showError('timezone','Enter a time zone such as Europe/Paris'); valid = false;
   }
 
   const avatar = document.getElementById('avatar').files[0];
@@ -91,16 +98,20 @@ form.addEventListener('submit', async (e)=>{
       email: values.email,
       password: values.password,
       restaurantName: values.restaurantName,
-      role: values.role
+      timezone: values.timezone.trim(),
+      currency: values.currency,
+      role: 'owner'
     };
-    const res = await fetch('/api/register', { method: 'POST', headers: { 'Content-Type':'application/json' }, body: JSON.stringify(payload), credentials: 'include' });
+    const res = await fetch('/api/register', api.withCsrf({ method: 'POST', headers: { 'Content-Type':'application/json' }, body: JSON.stringify(payload), credentials: 'include' }));
     if(!res.ok){
       const err = await res.json().catch(()=>({error:'Registration failed'}));
-      showError('email', err.error || 'Registration failed');
+      const field = /time zone/i.test(err.error || '') ? 'timezone' : /currency/i.test(err.error || '') ? 'currency' : 'email';
+      showError(field, err.error || 'Registration failed');
       return;
     }
-    alert('Account created. You can now sign in.');
+    alert('Account created. Check your email for a verification link, then sign in.');
     form.reset();
+    prefillTimezone();
     passwordStrength.value = 0;
   }catch(err){
     showError('email','Network error');
@@ -110,5 +121,6 @@ form.addEventListener('submit', async (e)=>{
 resetBtn.addEventListener('click', ()=>{
   form.reset();
   clearErrors();
+  prefillTimezone();
   passwordStrength.value = 0;
 });